@@ -0,0 +1,166 @@
+import { Category, Action, Condition, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
+import type { Instance } from '../Instance.js';
+
+@Category('animation', 'Animation')
+export default class AnimationCategory {
+    /** @Actions */
+    @Action('playAnimation', 'Play animation', 'Play animation {1} on instance {0} (loop: {2}, speed: {3})', 'Play an animation of an instance from the start.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('name', 'Animation', { type: Param.String }),
+            addParam('loop', 'Loop', { type: Param.Boolean, initialValue: true }),
+            addParam('speed', 'Speed', { type: Param.Number, initialValue: 1, description: 'Playback rate, 1 is normal speed.' })
+        ]
+    })
+    playAnimation(this: Instance, instance: string | number, name: string, loop: boolean, speed: number) {
+        const model = this._getModel(instance);
+        if (!model) return;
+        if (!model.animationNames.includes(name)) {
+            console.warn('[rendera] Animation not found', name, instance);
+            return;
+        }
+        model.playAnimation(name, { loop, speed });
+    }
+
+    @Action('stopAnimation', 'Stop animation', 'Stop animation on instance {0}', 'Stop the current animation of an instance.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    stopAnimation(this: Instance, instance: string | number) {
+        this._getModel(instance)?.stopAnimation();
+    }
+
+    @Action('setAnimationSpeed', 'Set animation speed', 'Set animation speed of instance {0} to {1}', 'Set the playback rate of the current animation.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('speed', 'Speed', { type: Param.Number, initialValue: 1 })
+        ]
+    })
+    setAnimationSpeed(this: Instance, instance: string | number, speed: number) {
+        this._getModel(instance)?.setAnimationSpeed(speed);
+    }
+
+    @Action('setAnimationLoop', 'Set animation loop', 'Set animation loop of instance {0} to {1}', 'Set whether the current animation loops.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('loop', 'Loop', { type: Param.Boolean, initialValue: true })
+        ]
+    })
+    setAnimationLoop(this: Instance, instance: string | number, loop: boolean) {
+        this._getModel(instance)?.setAnimationLoop(loop);
+    }
+
+    @Action('setBindPose', 'Set bind pose', 'Set instance {0} to bind pose', 'Reset an instance to its bind pose.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    setBindPose(this: Instance, instance: string | number) {
+        this._getModel(instance)?.setBindPose();
+    }
+
+    /** @Conditions */
+    @Condition('onAnimationFinished', 'On animation finished', 'On instance {0} animation {1} finished', 'Triggered when a non-looping animation reaches its end. Leave the animation empty to match any.', {
+        isTrigger: true,
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('name', 'Animation', { type: Param.String })
+        ]
+    })
+    onAnimationFinished(this: Instance, instance: string | number, name: string) {
+        return this._getModel(instance)?.instanceId.id === this.triggeredInstanceId
+            && (name === '' || name === this.triggeredAnimation);
+    }
+
+    @Condition('onAnimationLooped', 'On animation looped', 'On instance {0} animation {1} looped', 'Triggered when a looping animation wraps back to its start. Leave the animation empty to match any.', {
+        isTrigger: true,
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('name', 'Animation', { type: Param.String })
+        ]
+    })
+    onAnimationLooped(this: Instance, instance: string | number, name: string) {
+        return this._getModel(instance)?.instanceId.id === this.triggeredInstanceId
+            && (name === '' || name === this.triggeredAnimation);
+    }
+
+    @Condition('isAnimationPlaying', 'Is animation playing', 'Instance {0} is playing animation {1}', 'True if the instance is playing the animation. Leave the animation empty to match any.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('name', 'Animation', { type: Param.String })
+        ]
+    })
+    isAnimationPlaying(this: Instance, instance: string | number, name: string) {
+        const model = this._getModel(instance);
+        if (!model || !model.isAnimationPlaying) return false;
+        return name === '' || model.animationName === name;
+    }
+
+    /** @Expressions */
+    @Expression('AnimationName', 'AnimationName', 'Name of the current animation of an instance.', {
+        returnType: 'string',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    AnimationName(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.animationName ?? '';
+    }
+
+    @Expression('AnimationTime', 'AnimationTime', 'Current time in seconds of the current animation of an instance.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    AnimationTime(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.animationTime ?? 0;
+    }
+
+    @Expression('AnimationDuration', 'AnimationDuration', 'Duration in seconds of the current animation of an instance.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    AnimationDuration(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.animationDuration ?? 0;
+    }
+
+    @Expression('AnimationCount', 'AnimationCount', 'Number of animations in the model of an instance.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    AnimationCount(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.animationNames.length ?? 0;
+    }
+
+    @Expression('AnimationNameAt', 'AnimationNameAt', 'Name of the animation at an index in the model of an instance.', {
+        returnType: 'string',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('index', 'Index', { type: Param.Number })
+        ]
+    })
+    AnimationNameAt(this: Instance, instance: string | number, index: number) {
+        return this._getModel(instance)?.animationNames[Math.floor(index)] ?? '';
+    }
+
+    @Expression('TriggeredAnimation', 'TriggeredAnimation', 'Name of the animation in an "On animation finished" or "On animation looped" trigger.', {
+        returnType: 'string'
+    })
+    TriggeredAnimation(this: Instance) {
+        return this.triggeredAnimation;
+    }
+
+    @Expression('TriggeredInstanceId', 'TriggeredInstanceId', 'Id of the instance in an "On animation finished" or "On animation looped" trigger.', {
+        returnType: 'number'
+    })
+    TriggeredInstanceId(this: Instance) {
+        return this.triggeredInstanceId;
+    }
+
+}
@@ -0,0 +1,80 @@
+import { Category, Action, Condition, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
+import type { Instance } from '../Instance.js';
+
+@Category('attachments', 'Attachments')
+export default class AttachmentsCategory {
+    /** @Actions */
+    @Action('attach', 'Attach to node', 'Attach instance {0} to node {2} of instance {1} at offset ({3}, {4}, {5})', 'Attach an instance to a node or joint of another instance, e.g. a sword to a hand bone. While attached, the position, rotation and scale actions set its offset from the node.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag to attach.' }),
+            addParam('parent', 'Parent', { type: Param.Any, description: 'Instance id or tag to attach to.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name, empty for the parent\'s origin.' }),
+            addParam('x', 'Offset X', { type: Param.Number }),
+            addParam('y', 'Offset Y', { type: Param.Number }),
+            addParam('z', 'Offset Z', { type: Param.Number })
+        ]
+    })
+    attach(this: Instance, instance: string | number, parent: string | number, node: string, x: number, y: number, z: number) {
+        const model = this._getModel(instance);
+        const parentModel = this._getModel(parent);
+        if (!model || !parentModel) return;
+        try {
+            model.attachTo(parentModel, node, { position: [x, y, z] });
+        } catch (error) {
+            console.warn('[rendera] Failed to attach instance', model.instanceId.id, parentModel.instanceId.id, node, error);
+        }
+    }
+
+    @Action('detach', 'Detach', 'Detach instance {0} (keep world pose: {1})', 'Detach an instance from its parent.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('keepWorldPose', 'Keep world pose', { type: Param.Boolean, initialValue: true, description: 'Stay where it is now, otherwise its offset becomes its world transform.' })
+        ]
+    })
+    detach(this: Instance, instance: string | number, keepWorldPose: boolean) {
+        this._getModel(instance)?.detach(keepWorldPose);
+    }
+
+    /** @Conditions */
+    @Condition('isAttached', 'Is attached', 'Instance {0} is attached', 'True if the instance is attached to another instance.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    isAttached(this: Instance, instance: string | number) {
+        return !!this._getModel(instance)?.attachment;
+    }
+
+    /** @Expressions */
+    @Expression('ParentId', 'ParentId', 'Id of the instance an instance is attached to, or -1.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    ParentId(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.attachment?.parentId ?? -1;
+    }
+
+    @Expression('AttachedNode', 'AttachedNode', 'Node or joint an instance is attached to, empty for the parent\'s origin.', {
+        returnType: 'string',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    AttachedNode(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.attachment?.node ?? '';
+    }
+
+    @Expression('ChildCount', 'ChildCount', 'Number of instances attached to an instance.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    ChildCount(this: Instance, instance: string | number) {
+        const model = this._getModel(instance);
+        return model ? this.instanceManager.getModelChildren(model).length : 0;
+    }
+
+}
@@ -0,0 +1,119 @@
+import { Category, Action, Condition, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
+import type { Instance } from '../Instance.js';
+
+@Category('camera', 'Camera')
+export default class CameraCategory {
+    /** @Actions */
+    @Action('setCameraPosition', 'Set camera position', 'Set camera position to ({0}, {1}, {2})', 'Set the camera position. Stops the camera following the layout.', {
+        params: [
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number })
+        ]
+    })
+    setCameraPosition(this: Instance, x: number, y: number, z: number) {
+        this.cameraFollowsLayout = false;
+        this.camera.setPosition(x, y, z);
+    }
+
+    @Action('setCameraLookAt', 'Set camera look at', 'Set camera to look at ({0}, {1}, {2})', 'Set the point the camera looks at. Stops the camera following the layout.', {
+        params: [
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number })
+        ]
+    })
+    setCameraLookAt(this: Instance, x: number, y: number, z: number) {
+        this.cameraFollowsLayout = false;
+        this.camera.lookAt(x, y, z);
+    }
+
+    @Action('setCameraUp', 'Set camera up vector', 'Set camera up vector to ({0}, {1}, {2})', 'Set the camera up direction. Stops the camera following the layout.', {
+        params: [
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number, initialValue: 1 }),
+            addParam('z', 'Z', { type: Param.Number })
+        ]
+    })
+    setCameraUp(this: Instance, x: number, y: number, z: number) {
+        this.cameraFollowsLayout = false;
+        this.camera.setUp(x, y, z);
+    }
+
+    @Action('setCameraFov', 'Set camera FOV', 'Set camera field of view to {0} degrees', 'Set the vertical field of view of the camera.', {
+        params: [
+            addParam('fov', 'FOV', { type: Param.Number, initialValue: 45, description: 'Vertical field of view, in degrees.' })
+        ]
+    })
+    setCameraFov(this: Instance, fov: number) {
+        this.camera.setFov(fov);
+    }
+
+    @Action('setCameraClipPlanes', 'Set camera near/far planes', 'Set camera near plane to {0} and far plane to {1}', 'Set the near and far clipping distances of the camera.', {
+        params: [
+            addParam('near', 'Near', { type: Param.Number, initialValue: 1 }),
+            addParam('far', 'Far', { type: Param.Number, initialValue: 10000 })
+        ]
+    })
+    setCameraClipPlanes(this: Instance, near: number, far: number) {
+        this.camera.setClipPlanes(near, far);
+    }
+
+    @Action('followLayout', 'Follow layout', 'Set camera to follow the layout', 'Frame the camera on the visible area of the layout every frame.')
+    followLayout(this: Instance) {
+        this.cameraFollowsLayout = true;
+    }
+
+    /** @Conditions */
+    @Condition('isFollowingLayout', 'Is following layout', 'Camera is following the layout', 'True if the camera is framed on the layout every frame.')
+    isFollowingLayout(this: Instance) {
+        return this.cameraFollowsLayout;
+    }
+
+    /** @Expressions */
+    @Expression('CameraX', 'CameraX', 'Camera X position.', { returnType: 'number' })
+    CameraX(this: Instance) {
+        return this.camera.position[0];
+    }
+
+    @Expression('CameraY', 'CameraY', 'Camera Y position.', { returnType: 'number' })
+    CameraY(this: Instance) {
+        return this.camera.position[1];
+    }
+
+    @Expression('CameraZ', 'CameraZ', 'Camera Z position.', { returnType: 'number' })
+    CameraZ(this: Instance) {
+        return this.camera.position[2];
+    }
+
+    @Expression('CameraTargetX', 'CameraTargetX', 'X of the point the camera looks at.', { returnType: 'number' })
+    CameraTargetX(this: Instance) {
+        return this.camera.target[0];
+    }
+
+    @Expression('CameraTargetY', 'CameraTargetY', 'Y of the point the camera looks at.', { returnType: 'number' })
+    CameraTargetY(this: Instance) {
+        return this.camera.target[1];
+    }
+
+    @Expression('CameraTargetZ', 'CameraTargetZ', 'Z of the point the camera looks at.', { returnType: 'number' })
+    CameraTargetZ(this: Instance) {
+        return this.camera.target[2];
+    }
+
+    @Expression('CameraFov', 'CameraFov', 'Vertical field of view of the camera, in degrees.', { returnType: 'number' })
+    CameraFov(this: Instance) {
+        return this.camera.fov;
+    }
+
+    @Expression('CameraNear', 'CameraNear', 'Near clipping distance of the camera.', { returnType: 'number' })
+    CameraNear(this: Instance) {
+        return this.camera.near;
+    }
+
+    @Expression('CameraFar', 'CameraFar', 'Far clipping distance of the camera.', { returnType: 'number' })
+    CameraFar(this: Instance) {
+        return this.camera.far;
+    }
+
+}
@@ -0,0 +1,91 @@
+import { Category, Action, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
+import type { Instance } from '../Instance.js';
+
+@Category('coordinates', 'Coordinates')
+export default class CoordinatesCategory {
+    /** @Actions */
+    @Action('setCoordinateMapping', 'Set coordinate mapping', 'Map layout ({0}, {1}) to the world origin at {2} units per pixel', 'Set how layout pixels (y down) map to world units (y up).', {
+        params: [
+            addParam('originX', 'Origin X', { type: Param.Number, description: 'Layout X of the world origin.' }),
+            addParam('originY', 'Origin Y', { type: Param.Number, description: 'Layout Y of the world origin.' }),
+            addParam('unitsPerPixel', 'Units per pixel', { type: Param.Number, initialValue: 1, description: 'World units per layout pixel.' })
+        ]
+    })
+    setCoordinateMapping(this: Instance, originX: number, originY: number, unitsPerPixel: number) {
+        if (unitsPerPixel <= 0) {
+            console.warn('[rendera] Units per pixel must be positive', unitsPerPixel);
+            return;
+        }
+        this.coordinates.setOrigin(originX, originY);
+        this.coordinates.setUnitsPerPixel(unitsPerPixel);
+    }
+
+    /** @Expressions */
+    @Expression('OriginX', 'OriginX', 'Layout X of the world origin.', { returnType: 'number' })
+    OriginX(this: Instance) {
+        return this.coordinates.originX;
+    }
+
+    @Expression('OriginY', 'OriginY', 'Layout Y of the world origin.', { returnType: 'number' })
+    OriginY(this: Instance) {
+        return this.coordinates.originY;
+    }
+
+    @Expression('UnitsPerPixel', 'UnitsPerPixel', 'World units per layout pixel.', { returnType: 'number' })
+    UnitsPerPixel(this: Instance) {
+        return this.coordinates.unitsPerPixel;
+    }
+
+    @Expression('WorldToLayoutX', 'WorldToLayoutX', 'Layout X where a world point appears on a layer.', {
+        returnType: 'number',
+        params: [
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number }),
+            addParam('layer', 'Layer', { type: Param.Any, description: 'Layer name or index the models are drawn on, empty for the top layer.' })
+        ]
+    })
+    WorldToLayoutX(this: Instance, x: number, y: number, z: number, layer: string | number) {
+        return this._worldToLayout(x, y, z, layer)?.[0] ?? 0;
+    }
+
+    @Expression('WorldToLayoutY', 'WorldToLayoutY', 'Layout Y where a world point appears on a layer.', {
+        returnType: 'number',
+        params: [
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number }),
+            addParam('layer', 'Layer', { type: Param.Any, description: 'Layer name or index the models are drawn on, empty for the top layer.' })
+        ]
+    })
+    WorldToLayoutY(this: Instance, x: number, y: number, z: number, layer: string | number) {
+        return this._worldToLayout(x, y, z, layer)?.[1] ?? 0;
+    }
+
+    @Expression('LayoutToWorldX', 'LayoutToWorldX', 'World X under a layout position on a layer, on the plane at height Z.', {
+        returnType: 'number',
+        params: [
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Plane Z', { type: Param.Number, description: 'World height of the plane to hit.' }),
+            addParam('layer', 'Layer', { type: Param.Any, description: 'Layer name or index the models are drawn on, empty for the top layer.' })
+        ]
+    })
+    LayoutToWorldX(this: Instance, x: number, y: number, z: number, layer: string | number) {
+        return this._layoutToWorld(x, y, z, layer)?.[0] ?? 0;
+    }
+
+    @Expression('LayoutToWorldY', 'LayoutToWorldY', 'World Y under a layout position on a layer, on the plane at height Z.', {
+        returnType: 'number',
+        params: [
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Plane Z', { type: Param.Number, description: 'World height of the plane to hit.' }),
+            addParam('layer', 'Layer', { type: Param.Any, description: 'Layer name or index the models are drawn on, empty for the top layer.' })
+        ]
+    })
+    LayoutToWorldY(this: Instance, x: number, y: number, z: number, layer: string | number) {
+        return this._layoutToWorld(x, y, z, layer)?.[1] ?? 0;
+    }
+
+}
@@ -0,0 +1,89 @@
+import { Category, Action, Condition, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
+import type { Instance } from '../Instance.js';
+
+@Category('follow', 'Follow')
+export default class FollowCategory {
+    /** @Actions */
+    @Action('followObject', 'Follow object', 'Instance {0} follows object UID {1} (copy scale: {2}, use Z elevation: {3}, destroy with object: {4})', 'Make an instance follow the position and angle of a Construct world instance every tick. Positions go through the coordinate mapping.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('uid', 'UID', { type: Param.Number, description: 'UID of the Construct instance to follow.' }),
+            addParam('copyScale', 'Copy scale', { type: Param.Boolean, initialValue: false, description: 'Scale with the object\'s size, relative to its size now.' }),
+            addParam('useZElevation', 'Use Z elevation', { type: Param.Boolean, initialValue: true, description: 'Use the object\'s Z elevation as height.' }),
+            addParam('destroyWithObject', 'Destroy with object', { type: Param.Boolean, initialValue: true, description: 'Destroy the instance when the object is destroyed, otherwise only stop following.' })
+        ]
+    })
+    followObject(this: Instance, instance: string | number, uid: number, copyScale: boolean, useZElevation: boolean, destroyWithObject: boolean) {
+        const model = this._getModel(instance);
+        if (!model) return;
+        const target = this.runtime.getInstanceByUid(uid);
+        if (!(target instanceof IWorldInstance)) {
+            console.warn('[rendera] Follow target not found or not a world instance', uid);
+            return;
+        }
+        const previous = this.followBindings.get(model.instanceId.id);
+        const scale = this.instanceManager.getModelSnapshot(model)?.scale ?? [1, 1, 1];
+        this._follow(model, target, {
+            offset: previous?.offset ?? [0, 0, 0],
+            angleOffset: previous?.angleOffset ?? 0,
+            copyScale,
+            useZElevation,
+            destroyWithObject,
+            baseWidth: target.width,
+            baseHeight: target.height,
+            baseScale: [scale[0], scale[1], scale[2]]
+        });
+    }
+
+    @Action('setFollowOffset', 'Set follow offset', 'Set follow offset of instance {0} to ({1}, {2}, {3}), angle {4} degrees', 'Set the world offset and angle offset applied on top of the followed object.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number }),
+            addParam('angle', 'Angle', { type: Param.Number, description: 'Degrees added to the object\'s angle.' })
+        ]
+    })
+    setFollowOffset(this: Instance, instance: string | number, x: number, y: number, z: number, angle: number) {
+        const model = this._getModel(instance);
+        const binding = model && this.followBindings.get(model.instanceId.id);
+        if (!binding) return;
+        binding.offset = [x, y, z];
+        binding.angleOffset = angle;
+    }
+
+    @Action('stopFollowing', 'Stop following', 'Stop instance {0} following its object', 'Stop an instance following a Construct object. It keeps its current transform.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    stopFollowing(this: Instance, instance: string | number) {
+        const model = this._getModel(instance);
+        if (!model) return;
+        this._unfollow(model);
+    }
+
+    /** @Conditions */
+    @Condition('isFollowing', 'Is following', 'Instance {0} is following an object', 'True if the instance follows a Construct object.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    isFollowing(this: Instance, instance: string | number) {
+        const model = this._getModel(instance);
+        return !!model && this.followBindings.has(model.instanceId.id);
+    }
+
+    /** @Expressions */
+    @Expression('FollowedUid', 'FollowedUid', 'UID of the object an instance follows, or -1.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    FollowedUid(this: Instance, instance: string | number) {
+        const model = this._getModel(instance);
+        return (model && this.followBindings.get(model.instanceId.id)?.uid) ?? -1;
+    }
+
+}
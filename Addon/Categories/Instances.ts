@@ -0,0 +1,247 @@
+import { Category, Action, Condition, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
+import type { Instance } from '../Instance.js';
+
+@Category('instances', 'Instances')
+export default class InstancesCategory {
+    /** @Actions */
+    @Action('createInstance', 'Create instance', 'Create instance of {0} with tag {1} at ({2}, {3}, {4})', 'Create a 3D instance of a loaded model.', {
+        params: [
+            addParam('path', 'Path', { type: Param.String, description: 'Path the model was loaded from.' }),
+            addParam('tag', 'Tag', { type: Param.String, description: 'Optional tag to address the instance by.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number })
+        ]
+    })
+    createInstance(this: Instance, path: string, tag: string, x: number, y: number, z: number) {
+        const modelId = this.modelLoader.generateModelId(path);
+        if (!this.modelLoader.hasModel(modelId)) {
+            console.error('[rendera] Model not loaded', modelId, path);
+            return;
+        }
+        try {
+            const model = this.instanceManager.createModel(modelId.id);
+            model.setPosition(x, y, z);
+            this._addModel(model, tag);
+        } catch (error) {
+            console.error('[rendera] Failed to create instance', modelId, path, error);
+        }
+    }
+
+    @Action('destroyInstance', 'Destroy instance', 'Destroy instance {0}', 'Destroy a 3D instance.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    destroyInstance(this: Instance, instance: string | number) {
+        const model = this._getModel(instance);
+        if (!model) return;
+        this._destroyModel(model);
+    }
+
+    @Action('destroyAllInstances', 'Destroy all instances', 'Destroy all instances', 'Destroy every 3D instance.')
+    destroyAllInstances(this: Instance) {
+        for (const model of [...this.models.values()]) {
+            this._destroyModel(model);
+        }
+    }
+
+    @Action('setTag', 'Set tag', 'Set tag of instance {0} to {1}', 'Set the tag an instance is addressed by.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('tag', 'Tag', { type: Param.String })
+        ]
+    })
+    setTag(this: Instance, instance: string | number, tag: string) {
+        const model = this._getModel(instance);
+        if (!model) return;
+        const oldTag = this._getModelTag(model);
+        if (oldTag) {
+            this.modelTags.delete(oldTag);
+        }
+        if (tag) {
+            this.modelTags.set(tag, model.instanceId.id);
+        }
+    }
+
+    @Action('setPosition', 'Set position', 'Set instance {0} position to ({1}, {2}, {3})', 'Set the position of an instance.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number })
+        ]
+    })
+    setPosition(this: Instance, instance: string | number, x: number, y: number, z: number) {
+        this._getModel(instance)?.setPosition(x, y, z);
+    }
+
+    @Action('setWorldPosition', 'Set world position', 'Set instance {0} world position to ({1}, {2}, {3})', 'Set the world position of an instance. For attached instances this moves the offset from the parent.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number })
+        ]
+    })
+    setWorldPosition(this: Instance, instance: string | number, x: number, y: number, z: number) {
+        this._getModel(instance)?.setWorldPosition(x, y, z);
+    }
+
+    @Action('setRotation', 'Set rotation', 'Set instance {0} rotation to ({1}, {2}, {3})', 'Set the rotation of an instance from Euler angles in degrees.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('x', 'X', { type: Param.Number, description: 'Rotation around the X axis, in degrees.' }),
+            addParam('y', 'Y', { type: Param.Number, description: 'Rotation around the Y axis, in degrees.' }),
+            addParam('z', 'Z', { type: Param.Number, description: 'Rotation around the Z axis, in degrees.' })
+        ]
+    })
+    setRotation(this: Instance, instance: string | number, x: number, y: number, z: number) {
+        this._getModel(instance)?.setEulerAngles(x, y, z);
+    }
+
+    @Action('setQuaternion', 'Set quaternion', 'Set instance {0} quaternion to ({1}, {2}, {3}, {4})', 'Set the rotation of an instance from a quaternion.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number }),
+            addParam('w', 'W', { type: Param.Number, initialValue: 1 })
+        ]
+    })
+    setQuaternion(this: Instance, instance: string | number, x: number, y: number, z: number, w: number) {
+        this._getModel(instance)?.setQuaternion(x, y, z, w);
+    }
+
+    @Action('setScale', 'Set scale', 'Set instance {0} scale to ({1}, {2}, {3})', 'Set the scale of an instance.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('x', 'X', { type: Param.Number, initialValue: 1 }),
+            addParam('y', 'Y', { type: Param.Number, initialValue: 1 }),
+            addParam('z', 'Z', { type: Param.Number, initialValue: 1 })
+        ]
+    })
+    setScale(this: Instance, instance: string | number, x: number, y: number, z: number) {
+        this._getModel(instance)?.setScale(x, y, z);
+    }
+
+    @Action('setLayer', 'Set layer', 'Set layer of instance {0} to {1}', 'Set the Construct layer an instance is drawn on. Instances without a layer are drawn on the top layer.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('layer', 'Layer', { type: Param.Any, description: 'Layer name or index, empty for the top layer.' })
+        ]
+    })
+    setLayer(this: Instance, instance: string | number, layer: string | number) {
+        const model = this._getModel(instance);
+        if (!model) return;
+        if (layer === '') {
+            model.setLayer('');
+            return;
+        }
+        const found = this._getLayer(layer);
+        if (!found) {
+            console.warn('[rendera] Layer not found', layer);
+            return;
+        }
+        model.setLayer(found.name);
+    }
+
+    /** @Conditions */
+    @Condition('instanceExists', 'Instance exists', 'Instance {0} exists', 'True if an instance with the id or tag exists.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    instanceExists(this: Instance, instance: string | number) {
+        return this._getModel(instance) !== null;
+    }
+
+    @Condition('instanceHasModel', 'Instance has model', 'Instance {0} is of model {1}', 'True if the instance was created from the model at the path.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('path', 'Path', { type: Param.String })
+        ]
+    })
+    instanceHasModel(this: Instance, instance: string | number, path: string) {
+        const model = this._getModel(instance);
+        if (!model) return false;
+        return model.instanceId.modelId === this.modelLoader.generateModelId(path).id;
+    }
+
+    /** @Expressions */
+    @Expression('LastCreatedId', 'LastCreatedId', 'Id of the last instance created.', {
+        returnType: 'number'
+    })
+    LastCreatedId(this: Instance) {
+        return this.lastCreatedInstanceId;
+    }
+
+    @Expression('InstanceCount', 'InstanceCount', 'Number of instances.', {
+        returnType: 'number'
+    })
+    InstanceCount(this: Instance) {
+        return this.models.size;
+    }
+
+    @Expression('InstanceIdByTag', 'InstanceIdByTag', 'Id of the instance with a tag, or -1.', {
+        returnType: 'number',
+        params: [
+            addParam('tag', 'Tag', { type: Param.String })
+        ]
+    })
+    InstanceIdByTag(this: Instance, tag: string) {
+        return this.modelTags.get(tag) ?? -1;
+    }
+
+    @Expression('InstanceTag', 'InstanceTag', 'Tag of an instance.', {
+        returnType: 'string',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    InstanceTag(this: Instance, instance: string | number) {
+        const model = this._getModel(instance);
+        return model ? this._getModelTag(model) : '';
+    }
+
+    @Expression('InstanceLayer', 'InstanceLayer', 'Name of the layer an instance is drawn on, empty for the top layer.', {
+        returnType: 'string',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    InstanceLayer(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.layer ?? '';
+    }
+
+    @Expression('WorldX', 'WorldX', 'World X of an instance, including its parent when attached.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    WorldX(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.worldTransform?.position[0] ?? 0;
+    }
+
+    @Expression('WorldY', 'WorldY', 'World Y of an instance, including its parent when attached.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    WorldY(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.worldTransform?.position[1] ?? 0;
+    }
+
+    @Expression('WorldZ', 'WorldZ', 'World Z of an instance, including its parent when attached.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    WorldZ(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.worldTransform?.position[2] ?? 0;
+    }
+
+}
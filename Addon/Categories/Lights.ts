@@ -0,0 +1,289 @@
+import { Category, Action, Condition, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
+import type { Instance } from '../Instance.js';
+
+// The shader compares against the cosine of the spot cone half-angle
+const degreesToSpotAngle = (degrees: number) => Math.cos(degrees * Math.PI / 180);
+const spotAngleToDegrees = (spotAngle: number) => Math.acos(Math.min(Math.max(spotAngle, -1), 1)) * 180 / Math.PI;
+
+@Category('lights', 'Lights')
+export default class LightsCategory {
+    /** @Actions */
+    @Action('setPointLight', 'Set point light', 'Set light {0} to point light at ({1}, {2}, {3}), color ({4}, {5}, {6}), intensity {7}, attenuation {8}', 'Configure a light slot as a point light.', {
+        params: [
+            addParam('index', 'Index', { type: Param.Number, description: 'Light slot, 0 to 7.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number }),
+            addParam('r', 'Red', { type: Param.Number, initialValue: 255, description: 'Red component, 0-255.' }),
+            addParam('g', 'Green', { type: Param.Number, initialValue: 255, description: 'Green component, 0-255.' }),
+            addParam('b', 'Blue', { type: Param.Number, initialValue: 255, description: 'Blue component, 0-255.' }),
+            addParam('intensity', 'Intensity', { type: Param.Number, initialValue: 1 }),
+            addParam('attenuation', 'Attenuation', { type: Param.Number, initialValue: 0.0001, description: 'Falloff with squared distance.' })
+        ]
+    })
+    setPointLight(this: Instance, index: number, x: number, y: number, z: number, r: number, g: number, b: number, intensity: number, attenuation: number) {
+        this.gpuResourceManager.updateLight(index, {
+            type: 'point',
+            enabled: true,
+            position: [x, y, z],
+            color: [r / 255, g / 255, b / 255],
+            intensity,
+            attenuation
+        });
+    }
+
+    @Action('setDirectionalLight', 'Set directional light', 'Set light {0} to directional light along ({1}, {2}, {3}), color ({4}, {5}, {6}), intensity {7}', 'Configure a light slot as a directional light.', {
+        params: [
+            addParam('index', 'Index', { type: Param.Number, description: 'Light slot, 0 to 7.' }),
+            addParam('x', 'Direction X', { type: Param.Number }),
+            addParam('y', 'Direction Y', { type: Param.Number, initialValue: -1 }),
+            addParam('z', 'Direction Z', { type: Param.Number }),
+            addParam('r', 'Red', { type: Param.Number, initialValue: 255, description: 'Red component, 0-255.' }),
+            addParam('g', 'Green', { type: Param.Number, initialValue: 255, description: 'Green component, 0-255.' }),
+            addParam('b', 'Blue', { type: Param.Number, initialValue: 255, description: 'Blue component, 0-255.' }),
+            addParam('intensity', 'Intensity', { type: Param.Number, initialValue: 1 })
+        ]
+    })
+    setDirectionalLight(this: Instance, index: number, x: number, y: number, z: number, r: number, g: number, b: number, intensity: number) {
+        this.gpuResourceManager.updateLight(index, {
+            type: 'directional',
+            enabled: true,
+            direction: [x, y, z],
+            color: [r / 255, g / 255, b / 255],
+            intensity
+        });
+    }
+
+    @Action('setSpotLight', 'Set spot light', 'Set light {0} to spot light at ({1}, {2}, {3}) along ({4}, {5}, {6}), color ({7}, {8}, {9}), intensity {10}, attenuation {11}, cone {12}°, penumbra {13}', 'Configure a light slot as a spot light.', {
+        params: [
+            addParam('index', 'Index', { type: Param.Number, description: 'Light slot, 0 to 7.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number }),
+            addParam('dx', 'Direction X', { type: Param.Number }),
+            addParam('dy', 'Direction Y', { type: Param.Number }),
+            addParam('dz', 'Direction Z', { type: Param.Number, initialValue: -1 }),
+            addParam('r', 'Red', { type: Param.Number, initialValue: 255, description: 'Red component, 0-255.' }),
+            addParam('g', 'Green', { type: Param.Number, initialValue: 255, description: 'Green component, 0-255.' }),
+            addParam('b', 'Blue', { type: Param.Number, initialValue: 255, description: 'Blue component, 0-255.' }),
+            addParam('intensity', 'Intensity', { type: Param.Number, initialValue: 1 }),
+            addParam('attenuation', 'Attenuation', { type: Param.Number, initialValue: 0.0001, description: 'Falloff with squared distance.' }),
+            addParam('angle', 'Cone angle', { type: Param.Number, initialValue: 15, description: 'Half-angle of the cone, in degrees.' }),
+            addParam('penumbra', 'Penumbra', { type: Param.Number, initialValue: 0.1, description: 'Softness of the cone edge, 0-1.' })
+        ]
+    })
+    setSpotLight(this: Instance, index: number, x: number, y: number, z: number, dx: number, dy: number, dz: number, r: number, g: number, b: number, intensity: number, attenuation: number, angle: number, penumbra: number) {
+        this.gpuResourceManager.updateLight(index, {
+            type: 'spot',
+            enabled: true,
+            position: [x, y, z],
+            direction: [dx, dy, dz],
+            color: [r / 255, g / 255, b / 255],
+            intensity,
+            attenuation,
+            spotAngle: degreesToSpotAngle(angle),
+            spotPenumbra: penumbra
+        });
+    }
+
+    @Action('setLightEnabled', 'Set light enabled', 'Set light {0} enabled to {1}', 'Turn a light slot on or off.', {
+        params: [
+            addParam('index', 'Index', { type: Param.Number, description: 'Light slot, 0 to 7.' }),
+            addParam('enabled', 'Enabled', { type: Param.Boolean, initialValue: true })
+        ]
+    })
+    setLightEnabled(this: Instance, index: number, enabled: boolean) {
+        this.gpuResourceManager.setLightEnabled(index, enabled);
+    }
+
+    @Action('setLightPosition', 'Set light position', 'Set light {0} position to ({1}, {2}, {3})', 'Move a point or spot light.', {
+        params: [
+            addParam('index', 'Index', { type: Param.Number, description: 'Light slot, 0 to 7.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number })
+        ]
+    })
+    setLightPosition(this: Instance, index: number, x: number, y: number, z: number) {
+        const light = this.gpuResourceManager.getLight(index);
+        if (!light || light.type === 'directional') return;
+        this.gpuResourceManager.updateLight(index, { position: [x, y, z] });
+    }
+
+    @Action('setLightDirection', 'Set light direction', 'Set light {0} direction to ({1}, {2}, {3})', 'Point a directional or spot light.', {
+        params: [
+            addParam('index', 'Index', { type: Param.Number, description: 'Light slot, 0 to 7.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number })
+        ]
+    })
+    setLightDirection(this: Instance, index: number, x: number, y: number, z: number) {
+        this.gpuResourceManager.setLightDirection(index, [x, y, z]);
+    }
+
+    @Action('setLightColor', 'Set light color', 'Set light {0} color to ({1}, {2}, {3})', 'Set the color of a light slot.', {
+        params: [
+            addParam('index', 'Index', { type: Param.Number, description: 'Light slot, 0 to 7.' }),
+            addParam('r', 'Red', { type: Param.Number, initialValue: 255, description: 'Red component, 0-255.' }),
+            addParam('g', 'Green', { type: Param.Number, initialValue: 255, description: 'Green component, 0-255.' }),
+            addParam('b', 'Blue', { type: Param.Number, initialValue: 255, description: 'Blue component, 0-255.' })
+        ]
+    })
+    setLightColor(this: Instance, index: number, r: number, g: number, b: number) {
+        this.gpuResourceManager.setLightColor(index, [r / 255, g / 255, b / 255]);
+    }
+
+    @Action('setLightIntensity', 'Set light intensity', 'Set light {0} intensity to {1}', 'Set the intensity of a light slot.', {
+        params: [
+            addParam('index', 'Index', { type: Param.Number, description: 'Light slot, 0 to 7.' }),
+            addParam('intensity', 'Intensity', { type: Param.Number, initialValue: 1 })
+        ]
+    })
+    setLightIntensity(this: Instance, index: number, intensity: number) {
+        this.gpuResourceManager.setLightIntensity(index, intensity);
+    }
+
+    @Action('setSpotLightCone', 'Set spot light cone', 'Set light {0} cone to {1}°, penumbra {2}', 'Set the cone of a spot light.', {
+        params: [
+            addParam('index', 'Index', { type: Param.Number, description: 'Light slot, 0 to 7.' }),
+            addParam('angle', 'Cone angle', { type: Param.Number, initialValue: 15, description: 'Half-angle of the cone, in degrees.' }),
+            addParam('penumbra', 'Penumbra', { type: Param.Number, initialValue: 0.1, description: 'Softness of the cone edge, 0-1.' })
+        ]
+    })
+    setSpotLightCone(this: Instance, index: number, angle: number, penumbra: number) {
+        this.gpuResourceManager.setSpotLightParams(index, degreesToSpotAngle(angle), penumbra);
+    }
+
+    /** @Conditions */
+    @Condition('isLightEnabled', 'Is light enabled', 'Light {0} is enabled', 'True if the light slot is turned on.', {
+        params: [
+            addParam('index', 'Index', { type: Param.Number, description: 'Light slot, 0 to 7.' })
+        ]
+    })
+    isLightEnabled(this: Instance, index: number) {
+        return this.gpuResourceManager.getLight(index)?.enabled ?? false;
+    }
+
+    /** @Expressions */
+    @Expression('MaxLights', 'MaxLights', 'Number of light slots.', { returnType: 'number' })
+    MaxLights(this: Instance) {
+        return this.gpuResourceManager.maxLights;
+    }
+
+    @Expression('LightType', 'LightType', 'Type of a light slot: "point", "directional" or "spot".', {
+        returnType: 'string',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightType(this: Instance, index: number) {
+        return this.gpuResourceManager.getLight(index)?.type ?? '';
+    }
+
+    @Expression('LightX', 'LightX', 'X position of a point or spot light.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightX(this: Instance, index: number) {
+        return this._getLightVector(index, 'position', 0);
+    }
+
+    @Expression('LightY', 'LightY', 'Y position of a point or spot light.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightY(this: Instance, index: number) {
+        return this._getLightVector(index, 'position', 1);
+    }
+
+    @Expression('LightZ', 'LightZ', 'Z position of a point or spot light.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightZ(this: Instance, index: number) {
+        return this._getLightVector(index, 'position', 2);
+    }
+
+    @Expression('LightDirectionX', 'LightDirectionX', 'X direction of a directional or spot light.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightDirectionX(this: Instance, index: number) {
+        return this._getLightVector(index, 'direction', 0);
+    }
+
+    @Expression('LightDirectionY', 'LightDirectionY', 'Y direction of a directional or spot light.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightDirectionY(this: Instance, index: number) {
+        return this._getLightVector(index, 'direction', 1);
+    }
+
+    @Expression('LightDirectionZ', 'LightDirectionZ', 'Z direction of a directional or spot light.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightDirectionZ(this: Instance, index: number) {
+        return this._getLightVector(index, 'direction', 2);
+    }
+
+    @Expression('LightColorR', 'LightColorR', 'Red component of a light, 0-255.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightColorR(this: Instance, index: number) {
+        return this._getLightVector(index, 'color', 0) * 255;
+    }
+
+    @Expression('LightColorG', 'LightColorG', 'Green component of a light, 0-255.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightColorG(this: Instance, index: number) {
+        return this._getLightVector(index, 'color', 1) * 255;
+    }
+
+    @Expression('LightColorB', 'LightColorB', 'Blue component of a light, 0-255.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightColorB(this: Instance, index: number) {
+        return this._getLightVector(index, 'color', 2) * 255;
+    }
+
+    @Expression('LightIntensity', 'LightIntensity', 'Intensity of a light.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightIntensity(this: Instance, index: number) {
+        return this.gpuResourceManager.getLight(index)?.intensity ?? 0;
+    }
+
+    @Expression('LightAttenuation', 'LightAttenuation', 'Attenuation of a point or spot light.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightAttenuation(this: Instance, index: number) {
+        const light = this.gpuResourceManager.getLight(index);
+        return light && light.type !== 'directional' ? light.attenuation : 0;
+    }
+
+    @Expression('LightConeAngle', 'LightConeAngle', 'Cone half-angle of a spot light, in degrees.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightConeAngle(this: Instance, index: number) {
+        const light = this.gpuResourceManager.getLight(index);
+        return light?.type === 'spot' ? spotAngleToDegrees(light.spotAngle) : 0;
+    }
+
+    @Expression('LightPenumbra', 'LightPenumbra', 'Penumbra of a spot light, 0-1.', {
+        returnType: 'number',
+        params: [addParam('index', 'Index', { type: Param.Number })]
+    })
+    LightPenumbra(this: Instance, index: number) {
+        const light = this.gpuResourceManager.getLight(index);
+        return light?.type === 'spot' ? light.spotPenumbra : 0;
+    }
+
+}
@@ -1,40 +1,163 @@
 import { Category, Action, Condition, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
 // import type { Instance } from '@Instance';
 import type { Instance } from '../Instance.js';
-import type { ModelId } from '../Modules/index.js';
 
 @Category('modelId', 'Model')
 export default class ModelCategory {
     /** @Actions */
-    @Action('loadModel', 'Load Model', 'Load model {0}', 'Load model...', {
+    @Action('loadModel', 'Load Model', 'Load model {0}', 'Load a .glb or .gltf model. External .bin and texture files of a .gltf are loaded relative to it.', {
         params: [
-            addParam('path', 'Path', { type: Param.String })
+            addParam('path', 'Path', { type: Param.String, description: 'Project file name or URL of the model.' })
         ]
     })
     loadModel(this: Instance, path: string) {
-        let modelId = this.modelLoader.generateModelId(path);
-        if (this.modelLoader.hasModel(modelId)) {
-            console.info('[rendera] Model already loaded', modelId, path);
-            return;
-        }
-        const result = this.modelLoader.readDocument(path);
-        if (!result) {
-            console.error('[rendera] Model not found', modelId, path);
+        this._loadModel(path);
+    }
+
+    @Action('loadModelFromBinaryData', 'Load model from Binary Data', 'Load model {0} from Binary Data UID {1}', 'Load a .glb or self-contained .gltf from a Binary Data object. The name is used as the model\'s path in other actions and expressions.', {
+        params: [
+            addParam('name', 'Name', { type: Param.String, description: 'Name to address the model by, in place of a path.' }),
+            addParam('uid', 'UID', { type: Param.Number, description: 'UID of the Binary Data object holding the model.' })
+        ]
+    })
+    loadModelFromBinaryData(this: Instance, name: string, uid: number) {
+        const binaryData = this.runtime.getInstanceByUid(uid) as IBinaryDataInstance | null;
+        if (typeof binaryData?.getArrayBufferCopy !== 'function') {
+            console.warn('[rendera] Binary Data object not found', uid);
             return;
         }
-        console.info('[rendera] Model loaded', modelId, path);
+        // A copy, the Binary Data can change while the model loads
+        this._loadModelFromData(name, binaryData.getArrayBufferCopy());
+    }
+
+    @Action('cancelModelLoad', 'Cancel model load', 'Cancel loading model {0}', 'Stop loading a model. The load fails with the error code "LOAD_CANCELLED".', {
+        params: [
+            addParam('path', 'Path', { type: Param.String, description: 'Path the model is loading from.' })
+        ]
+    })
+    cancelModelLoad(this: Instance, path: string) {
+        this._cancelModelLoad(path);
     }
 
     /** @Conditions */
-    @Condition('onCondition', 'On condition', 'On condition')
-    onCondition() {
-        return false;
+    @Condition('onModelLoaded', 'On model loaded', 'On model {0} loaded', 'Triggered when the model at the path has finished loading.', {
+        isTrigger: true,
+        params: [
+            addParam('path', 'Path', { type: Param.String })
+        ]
+    })
+    onModelLoaded(this: Instance, path: string) {
+        return this.triggeredPath === path;
+    }
+
+    @Condition('onAnyModelLoaded', 'On any model loaded', 'On any model loaded', 'Triggered when any model has finished loading.', {
+        isTrigger: true
+    })
+    onAnyModelLoaded() {
+        return true;
+    }
+
+    @Condition('onModelLoadFailed', 'On model load failed', 'On model {0} load failed', 'Triggered when the model at the path fails to load.', {
+        isTrigger: true,
+        params: [
+            addParam('path', 'Path', { type: Param.String })
+        ]
+    })
+    onModelLoadFailed(this: Instance, path: string) {
+        return this.triggeredPath === path;
+    }
+
+    @Condition('onAnyModelLoadFailed', 'On any model load failed', 'On any model load failed', 'Triggered when any model fails to load.', {
+        isTrigger: true
+    })
+    onAnyModelLoadFailed() {
+        return true;
+    }
+
+    @Condition('onModelLoadProgress', 'On model load progress', 'On model {0} load progress', 'Triggered as the model at the path downloads and when it moves to the parse and upload phases, at most once per percent.', {
+        isTrigger: true,
+        params: [
+            addParam('path', 'Path', { type: Param.String })
+        ]
+    })
+    onModelLoadProgress(this: Instance, path: string) {
+        return this.triggeredPath === path;
+    }
+
+    @Condition('onAnyModelLoadProgress', 'On any model load progress', 'On any model load progress', 'Triggered as any model loads, at most once per percent.', {
+        isTrigger: true
+    })
+    onAnyModelLoadProgress() {
+        return true;
+    }
+
+    @Condition('isModelLoaded', 'Is model loaded', 'Model {0} is loaded', 'True if the model at the path has finished loading.', {
+        params: [
+            addParam('path', 'Path', { type: Param.String })
+        ]
+    })
+    isModelLoaded(this: Instance, path: string) {
+        return this.modelLoader.hasModel(this.modelLoader.generateModelId(path));
     }
 
     /** @Expressions */
-    @Expression('expression', 'Expression')
-    Expression() {
-        return 'Value';
+    @Expression('LoadedPath', 'LoadedPath', 'Path of the model in an "On model loaded", "On model load failed" or "On model load progress" trigger.', {
+        returnType: 'string'
+    })
+    LoadedPath(this: Instance) {
+        return this.triggeredPath;
+    }
+
+    @Expression('LastLoadError', 'LastLoadError', 'Error code of the last failed model load, e.g. "LOAD_FAILED".', {
+        returnType: 'string'
+    })
+    LastLoadError(this: Instance) {
+        return this.lastLoadError;
+    }
+
+    @Expression('LastLoadErrorMessage', 'LastLoadErrorMessage', 'Error message of the last failed model load.', {
+        returnType: 'string'
+    })
+    LastLoadErrorMessage(this: Instance) {
+        return this.lastLoadErrorMessage;
+    }
+
+    @Expression('ModelLoadProgress', 'ModelLoadProgress', 'Load progress of the model at the path from 0 to 1, 1 once loaded.', {
+        returnType: 'number',
+        params: [
+            addParam('path', 'Path', { type: Param.String })
+        ]
+    })
+    ModelLoadProgress(this: Instance, path: string) {
+        return this._getModelLoadProgress(path);
+    }
+
+    @Expression('LoadProgress', 'LoadProgress', 'Load progress from 0 to 1 in an "On model load progress" trigger.', {
+        returnType: 'number'
+    })
+    LoadProgress(this: Instance) {
+        return this.triggeredProgress?.progress ?? 0;
+    }
+
+    @Expression('LoadPhase', 'LoadPhase', 'Phase in an "On model load progress" trigger: "download", "parse" or "upload".', {
+        returnType: 'string'
+    })
+    LoadPhase(this: Instance) {
+        return this.triggeredProgress?.phase ?? '';
+    }
+
+    @Expression('LoadedBytes', 'LoadedBytes', 'Bytes downloaded so far in an "On model load progress" trigger.', {
+        returnType: 'number'
+    })
+    LoadedBytes(this: Instance) {
+        return this.triggeredProgress?.loaded ?? 0;
+    }
+
+    @Expression('TotalBytes', 'TotalBytes', 'Bytes expected in an "On model load progress" trigger. It grows as external resources are requested.', {
+        returnType: 'number'
+    })
+    TotalBytes(this: Instance) {
+        return this.triggeredProgress?.total ?? 0;
     }
 
-}
\ No newline at end of file
+}
@@ -0,0 +1,141 @@
+import { Category, Condition, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
+import type { Instance } from '../Instance.js';
+
+@Category('nodes', 'Nodes')
+export default class NodesCategory {
+    /** @Conditions */
+    @Condition('hasNode', 'Has node', 'Instance {0} has node {1}', 'True if the instance\'s model has a node or joint with that name.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' })
+        ]
+    })
+    hasNode(this: Instance, instance: string | number, node: string) {
+        return !!this._getModel(instance)?.nodeNames.includes(node);
+    }
+
+    /** @Expressions */
+    @Expression('NodeX', 'NodeX', 'World X of a node or joint.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' })
+        ]
+    })
+    NodeX(this: Instance, instance: string | number, node: string) {
+        const model = this._getModel(instance);
+        return (model && model.getNodeTransform(node)?.position[0]) ?? 0;
+    }
+
+    @Expression('NodeY', 'NodeY', 'World Y of a node or joint.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' })
+        ]
+    })
+    NodeY(this: Instance, instance: string | number, node: string) {
+        const model = this._getModel(instance);
+        return (model && model.getNodeTransform(node)?.position[1]) ?? 0;
+    }
+
+    @Expression('NodeZ', 'NodeZ', 'World Z of a node or joint.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' })
+        ]
+    })
+    NodeZ(this: Instance, instance: string | number, node: string) {
+        const model = this._getModel(instance);
+        return (model && model.getNodeTransform(node)?.position[2]) ?? 0;
+    }
+
+    @Expression('NodeQuatX', 'NodeQuatX', 'X of a node or joint\'s world rotation quaternion.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' })
+        ]
+    })
+    NodeQuatX(this: Instance, instance: string | number, node: string) {
+        const model = this._getModel(instance);
+        return (model && model.getNodeTransform(node)?.rotation[0]) ?? 0;
+    }
+
+    @Expression('NodeQuatY', 'NodeQuatY', 'Y of a node or joint\'s world rotation quaternion.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' })
+        ]
+    })
+    NodeQuatY(this: Instance, instance: string | number, node: string) {
+        const model = this._getModel(instance);
+        return (model && model.getNodeTransform(node)?.rotation[1]) ?? 0;
+    }
+
+    @Expression('NodeQuatZ', 'NodeQuatZ', 'Z of a node or joint\'s world rotation quaternion.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' })
+        ]
+    })
+    NodeQuatZ(this: Instance, instance: string | number, node: string) {
+        const model = this._getModel(instance);
+        return (model && model.getNodeTransform(node)?.rotation[2]) ?? 0;
+    }
+
+    @Expression('NodeQuatW', 'NodeQuatW', 'W of a node or joint\'s world rotation quaternion.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' })
+        ]
+    })
+    NodeQuatW(this: Instance, instance: string | number, node: string) {
+        const model = this._getModel(instance);
+        return (model && model.getNodeTransform(node)?.rotation[3]) ?? 0;
+    }
+
+    @Expression('NodeLayoutX', 'NodeLayoutX', 'Layout X where a node or joint appears on a layer.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' }),
+            addParam('layer', 'Layer', { type: Param.Any, description: 'Layer name or index the models are drawn on, empty for the top layer.' })
+        ]
+    })
+    NodeLayoutX(this: Instance, instance: string | number, node: string, layer: string | number) {
+        const model = this._getModel(instance);
+        return (model && this._nodeToLayout(model, node, layer)?.x) ?? 0;
+    }
+
+    @Expression('NodeLayoutY', 'NodeLayoutY', 'Layout Y where a node or joint appears on a layer.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' }),
+            addParam('layer', 'Layer', { type: Param.Any, description: 'Layer name or index the models are drawn on, empty for the top layer.' })
+        ]
+    })
+    NodeLayoutY(this: Instance, instance: string | number, node: string, layer: string | number) {
+        const model = this._getModel(instance);
+        return (model && this._nodeToLayout(model, node, layer)?.y) ?? 0;
+    }
+
+    @Expression('NodeLayoutAngle', 'NodeLayoutAngle', 'Angle in degrees of a node or joint\'s X axis as seen on a layer.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('node', 'Node', { type: Param.String, description: 'Node or joint name.' }),
+            addParam('layer', 'Layer', { type: Param.Any, description: 'Layer name or index the models are drawn on, empty for the top layer.' })
+        ]
+    })
+    NodeLayoutAngle(this: Instance, instance: string | number, node: string, layer: string | number) {
+        const model = this._getModel(instance);
+        return (model && this._nodeToLayout(model, node, layer)?.angle) ?? 0;
+    }
+
+}
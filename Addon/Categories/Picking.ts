@@ -0,0 +1,125 @@
+import { Category, Action, Condition, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
+import type { Instance } from '../Instance.js';
+
+@Category('picking', 'Picking')
+export default class PickingCategory {
+    /** @Actions */
+    @Action('pickAt', 'Pick at', 'Pick the instance at ({0}, {1}) on layer {2}', 'Find the nearest instance drawn on a layer under a layout position. The result is read with the Pick expressions.', {
+        params: [
+            addParam('x', 'X', { type: Param.Number, description: 'Layout X on the layer.' }),
+            addParam('y', 'Y', { type: Param.Number, description: 'Layout Y on the layer.' }),
+            addParam('layer', 'Layer', { type: Param.Any, description: 'Layer name or index the models are drawn on, empty for the top layer.' })
+        ]
+    })
+    pickAt(this: Instance, x: number, y: number, layer: string | number) {
+        const found = this._getLayer(layer);
+        this.lastPick = found && this._pickOnLayer(x, y, found);
+    }
+
+    @Action('setHoverPicking', 'Set hover picking', 'Set hover picking {0}', 'Turn tracking of the instance under the mouse on or off. The hover conditions and HoveredInstanceId need it on.', {
+        params: [
+            addParam('enabled', 'Enabled', { type: Param.Boolean, initialValue: true })
+        ]
+    })
+    setHoverPicking(this: Instance, enabled: boolean) {
+        this._setHoverPicking(enabled);
+    }
+
+    /** @Conditions */
+    @Condition('onInstanceClicked', 'On instance clicked', 'On instance {0} clicked', 'Triggered when the instance is the nearest one under a click or tap. Empty matches any instance.', {
+        isTrigger: true,
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag, empty for any.' })
+        ]
+    })
+    onInstanceClicked(this: Instance, instance: string | number) {
+        return instance === '' || this._getModel(instance)?.instanceId.id === this.pickTriggerInstanceId;
+    }
+
+    @Condition('onHoverStart', 'On hover start', 'On mouse over instance {0}', 'Triggered when the mouse moves over the instance. Empty matches any instance. Needs hover picking on.', {
+        isTrigger: true,
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag, empty for any.' })
+        ]
+    })
+    onHoverStart(this: Instance, instance: string | number) {
+        return instance === '' || this._getModel(instance)?.instanceId.id === this.pickTriggerInstanceId;
+    }
+
+    @Condition('onHoverEnd', 'On hover end', 'On mouse leaving instance {0}', 'Triggered when the mouse leaves the instance. Empty matches any instance. Needs hover picking on.', {
+        isTrigger: true,
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag, empty for any.' })
+        ]
+    })
+    onHoverEnd(this: Instance, instance: string | number) {
+        return instance === '' || this._getModel(instance)?.instanceId.id === this.pickTriggerInstanceId;
+    }
+
+    @Condition('isHovered', 'Is hovered', 'Mouse is over instance {0}', 'True if the instance is the nearest one under the mouse. Needs hover picking on.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    isHovered(this: Instance, instance: string | number) {
+        const model = this._getModel(instance);
+        return !!model && model.instanceId.id === this.hoveredInstanceId;
+    }
+
+    /** @Expressions */
+    @Expression('PickedInstanceId', 'PickedInstanceId', 'Instance id of the last click or Pick at, or -1 if nothing was hit.', { returnType: 'number' })
+    PickedInstanceId(this: Instance) {
+        return this.lastPick?.instanceId ?? -1;
+    }
+
+    @Expression('HoveredInstanceId', 'HoveredInstanceId', 'Instance id under the mouse, or -1. Needs hover picking on.', { returnType: 'number' })
+    HoveredInstanceId(this: Instance) {
+        return this.hoveredInstanceId;
+    }
+
+    @Expression('PickX', 'PickX', 'World X of the last hit point.', { returnType: 'number' })
+    PickX(this: Instance) {
+        return this.lastPick?.point[0] ?? 0;
+    }
+
+    @Expression('PickY', 'PickY', 'World Y of the last hit point.', { returnType: 'number' })
+    PickY(this: Instance) {
+        return this.lastPick?.point[1] ?? 0;
+    }
+
+    @Expression('PickZ', 'PickZ', 'World Z of the last hit point.', { returnType: 'number' })
+    PickZ(this: Instance) {
+        return this.lastPick?.point[2] ?? 0;
+    }
+
+    @Expression('PickNormalX', 'PickNormalX', 'World X of the hit surface normal.', { returnType: 'number' })
+    PickNormalX(this: Instance) {
+        return this.lastPick?.normal[0] ?? 0;
+    }
+
+    @Expression('PickNormalY', 'PickNormalY', 'World Y of the hit surface normal.', { returnType: 'number' })
+    PickNormalY(this: Instance) {
+        return this.lastPick?.normal[1] ?? 0;
+    }
+
+    @Expression('PickNormalZ', 'PickNormalZ', 'World Z of the hit surface normal.', { returnType: 'number' })
+    PickNormalZ(this: Instance) {
+        return this.lastPick?.normal[2] ?? 0;
+    }
+
+    @Expression('PickDistance', 'PickDistance', 'World distance from the camera\'s near plane to the hit point.', { returnType: 'number' })
+    PickDistance(this: Instance) {
+        return this.lastPick?.distance ?? 0;
+    }
+
+    @Expression('PickedMeshName', 'PickedMeshName', 'Name of the mesh that was hit.', { returnType: 'string' })
+    PickedMeshName(this: Instance) {
+        return this.lastPick?.meshName ?? '';
+    }
+
+    @Expression('PickedNodeName', 'PickedNodeName', 'Name of the node whose mesh was hit.', { returnType: 'string' })
+    PickedNodeName(this: Instance) {
+        return this.lastPick?.nodeName ?? '';
+    }
+
+}
@@ -0,0 +1,288 @@
+import { Category, Action, Expression, addParam, Param } from 'jsr:@lost-c3/lib@3.0.0';
+import type { Instance } from '../Instance.js';
+
+@Category('transform', 'Transform')
+export default class TransformCategory {
+    /** @Actions */
+    @Action('moveBy', 'Move by', 'Move instance {0} by ({1}, {2}, {3})', 'Move an instance by an offset, in its parent\'s space or the world when not attached.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number })
+        ]
+    })
+    moveBy(this: Instance, instance: string | number, x: number, y: number, z: number) {
+        this._getModel(instance)?.translate(x, y, z);
+    }
+
+    @Action('moveLocal', 'Move along own axes', 'Move instance {0} along its own axes by ({1}, {2}, {3})', 'Move an instance along its own rotated axes. +Z is forward, +Y is up and -X is right.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('x', 'X', { type: Param.Number }),
+            addParam('y', 'Y', { type: Param.Number }),
+            addParam('z', 'Z', { type: Param.Number, description: 'Distance forward.' })
+        ]
+    })
+    moveLocal(this: Instance, instance: string | number, x: number, y: number, z: number) {
+        this._getModel(instance)?.translateLocal(x, y, z);
+    }
+
+    @Action('rotateBy', 'Rotate by', 'Rotate instance {0} by ({1}, {2}, {3}) degrees', 'Turn an instance about its own axes by Euler angles in degrees, applied in X, Y, Z order.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('x', 'X', { type: Param.Number, description: 'Turn around the X axis, in degrees.' }),
+            addParam('y', 'Y', { type: Param.Number, description: 'Turn around the Y axis, in degrees.' }),
+            addParam('z', 'Z', { type: Param.Number, description: 'Turn around the Z axis, in degrees.' })
+        ]
+    })
+    rotateBy(this: Instance, instance: string | number, x: number, y: number, z: number) {
+        this._getModel(instance)?.rotate(x, y, z);
+    }
+
+    @Action('lookAt', 'Look at', 'Turn instance {0} to look at ({1}, {2}, {3})', 'Turn an instance so its forward axis (+Z) points at a world position, keeping its up axis toward world up.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('x', 'X', { type: Param.Number, description: 'World X to look at.' }),
+            addParam('y', 'Y', { type: Param.Number, description: 'World Y to look at.' }),
+            addParam('z', 'Z', { type: Param.Number, description: 'World Z to look at.' })
+        ]
+    })
+    lookAt(this: Instance, instance: string | number, x: number, y: number, z: number) {
+        this._getModel(instance)?.lookAt(x, y, z);
+    }
+
+    @Action('lookAtInstance', 'Look at instance', 'Turn instance {0} to look at instance {1}', 'Turn an instance so its forward axis (+Z) points at another instance\'s world position.', {
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' }),
+            addParam('target', 'Target', { type: Param.Any, description: 'Instance id or tag to look at.' })
+        ]
+    })
+    lookAtInstance(this: Instance, instance: string | number, target: string | number) {
+        const position = this._getModel(target)?.worldTransform?.position;
+        if (!position) return;
+        this._getModel(instance)?.lookAt(position[0], position[1], position[2]);
+    }
+
+    /** @Expressions */
+    @Expression('PositionX', 'PositionX', 'Local X position of an instance, its offset from the parent when attached.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    PositionX(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.position[0] ?? 0;
+    }
+
+    @Expression('PositionY', 'PositionY', 'Local Y position of an instance, its offset from the parent when attached.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    PositionY(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.position[1] ?? 0;
+    }
+
+    @Expression('PositionZ', 'PositionZ', 'Local Z position of an instance, its offset from the parent when attached.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    PositionZ(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.position[2] ?? 0;
+    }
+
+    @Expression('RotationX', 'RotationX', 'Local rotation around X of an instance, in degrees.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    RotationX(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.eulerAngles[0] ?? 0;
+    }
+
+    @Expression('RotationY', 'RotationY', 'Local rotation around Y of an instance, in degrees.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    RotationY(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.eulerAngles[1] ?? 0;
+    }
+
+    @Expression('RotationZ', 'RotationZ', 'Local rotation around Z of an instance, in degrees.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    RotationZ(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.eulerAngles[2] ?? 0;
+    }
+
+    @Expression('QuatX', 'QuatX', 'X component of an instance\'s local rotation quaternion.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    QuatX(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.quaternion[0] ?? 0;
+    }
+
+    @Expression('QuatY', 'QuatY', 'Y component of an instance\'s local rotation quaternion.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    QuatY(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.quaternion[1] ?? 0;
+    }
+
+    @Expression('QuatZ', 'QuatZ', 'Z component of an instance\'s local rotation quaternion.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    QuatZ(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.quaternion[2] ?? 0;
+    }
+
+    @Expression('QuatW', 'QuatW', 'W component of an instance\'s local rotation quaternion.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    QuatW(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.quaternion[3] ?? 1;
+    }
+
+    @Expression('ScaleX', 'ScaleX', 'Local X scale of an instance.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    ScaleX(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.scale[0] ?? 1;
+    }
+
+    @Expression('ScaleY', 'ScaleY', 'Local Y scale of an instance.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    ScaleY(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.scale[1] ?? 1;
+    }
+
+    @Expression('ScaleZ', 'ScaleZ', 'Local Z scale of an instance.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    ScaleZ(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.scale[2] ?? 1;
+    }
+
+    @Expression('ForwardX', 'ForwardX', 'World X of an instance\'s forward (+Z) direction.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    ForwardX(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.forward[0] ?? 0;
+    }
+
+    @Expression('ForwardY', 'ForwardY', 'World Y of an instance\'s forward (+Z) direction.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    ForwardY(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.forward[1] ?? 0;
+    }
+
+    @Expression('ForwardZ', 'ForwardZ', 'World Z of an instance\'s forward (+Z) direction.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    ForwardZ(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.forward[2] ?? 1;
+    }
+
+    @Expression('RightX', 'RightX', 'World X of an instance\'s right (-X) direction.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    RightX(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.right[0] ?? -1;
+    }
+
+    @Expression('RightY', 'RightY', 'World Y of an instance\'s right (-X) direction.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    RightY(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.right[1] ?? 0;
+    }
+
+    @Expression('RightZ', 'RightZ', 'World Z of an instance\'s right (-X) direction.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    RightZ(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.right[2] ?? 0;
+    }
+
+    @Expression('UpX', 'UpX', 'World X of an instance\'s up (+Y) direction.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    UpX(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.up[0] ?? 0;
+    }
+
+    @Expression('UpY', 'UpY', 'World Y of an instance\'s up (+Y) direction.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    UpY(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.up[1] ?? 1;
+    }
+
+    @Expression('UpZ', 'UpZ', 'World Z of an instance\'s up (+Y) direction.', {
+        returnType: 'number',
+        params: [
+            addParam('instance', 'Instance', { type: Param.Any, description: 'Instance id or tag.' })
+        ]
+    })
+    UpZ(this: Instance, instance: string | number) {
+        return this._getModel(instance)?.up[2] ?? 0;
+    }
+
+}
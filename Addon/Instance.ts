@@ -1,4 +1,6 @@
-import { GPUResourceManager, InstanceManager, ModelLoader } from './Modules/index.js';
+import { Camera, CoordinateMapping, GPUResourceManager, InstanceManager, ModelLoader } from './Modules/index.js';
+import type { AnimationEvent, InstanceSnapshot, Light, Model, ModelLoadEvent, ModelLoadProgress, ModelSource, PickResult } from './Modules/index.js';
+import { RenderaScriptInterface } from './ScriptInterface.js';
 
 const C3 = globalThis.C3;
 
@@ -9,14 +11,58 @@ class LostInstance extends globalThis.ISDKInstanceBase {
 	public gpuResourceManager: GPUResourceManager;
 	public instanceManager: InstanceManager;
 	public modelLoader: ModelLoader;
+	public camera: Camera;
+	// Stable API for project scripts, the managers above are internal
+	public api: RenderaScriptInterface;
+	// When following the layout, the camera is re-framed on the drawn layer every frame
+	public cameraFollowsLayout = true;
+	public coordinates = new CoordinateMapping();
+
+	// Model instances created from events, by instance id and by user tag
+	public models: Map<number, Model> = new Map();
+	public modelTags: Map<string, number> = new Map();
+	public lastCreatedInstanceId = 0;
+
+	// Model load tracking, paths by model id
+	public modelPaths: Map<string, string> = new Map();
+	// Models loaded from memory, their path is only a name and can't be fetched again
+	public dataModelIds: Set<string> = new Set();
+	public triggeredPath = '';
+	public lastLoadError = '';
+	public lastLoadErrorMessage = '';
+	// Progress of the load in an "On model load progress" trigger
+	public triggeredProgress: ModelLoadProgress | null = null;
+
+	// Animation trigger state
+	public triggeredInstanceId = 0;
+	public triggeredAnimation = '';
+
+	// Picking: the last click or Pick at result, the instance under the mouse and the instance a pick trigger is for
+	public lastPick: PickResult | null = null;
+	public hoveredInstanceId = -1;
+	public pickTriggerInstanceId = 0;
+	// Hover picking rays are cast every tick, so it is only on when the project uses the hover conditions
+	public hoverPicking = false;
+	private hoverPointer: { clientX: number, clientY: number } | null = null;
+	// Pointer, view and scene the last hover pick saw, it is only picked again once one of them changes
+	private hoverKey: number[] = [];
+
+	// 3D instances following a Construct world instance, by instance id
+	public followBindings: Map<number, FollowBinding> = new Map();
+
+	// Instances from a loaded savegame, waiting for their model to finish loading
+	private pendingRestores: Map<string, SavedInstance[]> = new Map();
+	// Restored instances attached to a parent that is not restored yet, by instance id
+	private pendingAttachments: Map<number, SavedInstance> = new Map();
+
+	private gl: WebGL2RenderingContext;
+	private drawHooks: Array<{ layer: ILayer, layerNames: string[], listener: (e: { renderer: IRenderer }) => void }> = [];
+	// The configured clear only applies to the first layer drawn each frame
+	private drawnThisFrame = false;
 
 	constructor() {
 		super();
 		const properties = this._getInitProperties();
-
-        if (properties) {
-			// Add properties to the instance
-        }
 		// @ts-ignore c3 globalThis not typed
 		const canvas = globalThis.c3canvas
 		if (!canvas) {
@@ -28,15 +74,51 @@ class LostInstance extends globalThis.ISDKInstanceBase {
 			throw new Error('[rendera] WebGL2 not supported');
 		}
 		console.log('[rendera] WebGL2 supported', gl);
+		this.gl = gl;
 		// Initialize managers
 		this.gpuResourceManager = new GPUResourceManager(gl);
-		this.modelLoader = new ModelLoader(gl, this.gpuResourceManager);
+		this.modelLoader = new ModelLoader(gl, this.gpuResourceManager, {
+			dracoDecoderPath: (properties?.[8] as string) || undefined,
+			basisTranscoderPath: (properties?.[9] as string) || undefined,
+			// Project files sit behind blob or bundle URLs in preview and exported builds
+			resolveUrl: (path) => this.runtime.assets.getProjectFileUrl(path)
+		});
 		this.instanceManager = new InstanceManager(gl, this.modelLoader, this.gpuResourceManager);
+		this.camera = new Camera(this.gpuResourceManager);
+		if (properties) {
+			this._applyProperties(properties);
+		}
 		console.info('[rendera] GPUResourceManager created', this.gpuResourceManager);
 		console.info('[rendera] InstanceManager created', this.instanceManager);
 		console.info('[rendera] ModelLoader created', this.modelLoader);
+		this.modelLoader.addLoadListener((e) => this._onModelLoadEvent(e));
+		this.instanceManager.addAnimationListener((e) => this._onAnimationEvent(e));
+		this.api = new RenderaScriptInterface(this);
 		this._setTicking(true);
 
+		this.runtime.addEventListener('beforeanylayoutstart', (e) => this._attachDrawHooks(e.layout));
+		this.runtime.addEventListener('beforeanylayoutend', () => this._detachDrawHooks());
+		this.runtime.addEventListener('pointerdown', (e) => this._onPointerDown(e));
+		this.runtime.addEventListener('pointermove', (e) => {
+			// Touches only hover while they are down, so only mice and pens hover
+			if (e.pointerType !== 'touch') {
+				this.hoverPointer = { clientX: e.clientX, clientY: e.clientY };
+			}
+		});
+	}
+
+	// Property order follows addon.ts, combos arrive as item indices and colors as 0-1 arrays
+	_applyProperties(properties: unknown[]) {
+		const clearModes = ['depth', 'color-depth', 'none'] as const;
+		const clearColor = properties[1] as number[];
+		this.instanceManager.setClearMode(clearModes[properties[0] as number] ?? 'depth', [clearColor[0], clearColor[1], clearColor[2], 1]);
+		this.camera.setFov(properties[2] as number);
+		this.camera.setClipPlanes(properties[3] as number, properties[4] as number);
+		const ambientColor = properties[5] as number[];
+		this.gpuResourceManager.setAmbientColor([ambientColor[0], ambientColor[1], ambientColor[2]]);
+		this.gpuResourceManager.setActiveLightCount(properties[6] as number);
+		this.instanceManager.setDefaultNormalMapEnabled(properties[7] as boolean);
+		this.hoverPicking = properties[10] as boolean;
 	}
 
 	_tick() {
@@ -44,13 +126,637 @@ class LostInstance extends globalThis.ISDKInstanceBase {
 		if (count > 0) {
 			console.info('[rendera] processPendingDocuments', count);
 		}
+		this._updateFollowers();
+		this.instanceManager.update(this.runtime.dt);
+		// After the update, so hovering follows animated and moving instances under a still mouse
+		this._updateHover();
+		this.drawnThisFrame = false;
+	}
+
+	_onModelLoadEvent(e: ModelLoadEvent) {
+		this.triggeredPath = this.modelPaths.get(e.modelId) ?? '';
+		if (e.type === 'progress') {
+			const { type, modelId, ...progress } = e;
+			this.triggeredProgress = progress;
+			this._trigger(this.Conditions.onModelLoadProgress);
+			this._trigger(this.Conditions.onAnyModelLoadProgress);
+			return;
+		}
+		const restores = this.pendingRestores.get(e.modelId);
+		this.pendingRestores.delete(e.modelId);
+		if (e.type === 'loaded') {
+			restores?.forEach((saved) => this._restoreInstance(saved));
+			this._trigger(this.Conditions.onModelLoaded);
+			this._trigger(this.Conditions.onAnyModelLoaded);
+		} else {
+			this.lastLoadError = e.error.code;
+			this.lastLoadErrorMessage = e.error.message;
+			console.error('[rendera] Model load failed', e.modelId, this.triggeredPath, e.error);
+			if (restores) {
+				console.warn('[rendera] Saved instances dropped', restores.length, e.modelId);
+			}
+			this._trigger(this.Conditions.onModelLoadFailed);
+			this._trigger(this.Conditions.onAnyModelLoadFailed);
+		}
+	}
+
+	_onAnimationEvent(e: AnimationEvent) {
+		this.triggeredInstanceId = e.instanceId;
+		this.triggeredAnimation = e.animation;
+		if (e.type === 'finished') {
+			this._trigger(this.Conditions.onAnimationFinished);
+		} else {
+			this._trigger(this.Conditions.onAnimationLooped);
+		}
+	}
+
+	// Starts loading unless the model is loaded or loading, the outcome arrives as a load event
+	_loadModel(path: string) {
+		const modelId = this.modelLoader.generateModelId(path);
+		if (this.modelLoader.hasModel(modelId)) {
+			console.info('[rendera] Model already loaded', modelId, path);
+			return;
+		}
+		const loadState = this.modelLoader.getLoadState(modelId);
+		if (loadState && loadState !== 'failed') {
+			console.info('[rendera] Model already loading', modelId, path, loadState);
+			return;
+		}
+		this.modelPaths.set(modelId.id, path);
+		this.dataModelIds.delete(modelId.id);
+		// Failures are reported through the loader's load events
+		this.modelLoader.readDocument(path).catch(() => {});
+		console.info('[rendera] Model loading', modelId, path);
+	}
+
+	// Like _loadModel, the name stands in for the path everywhere a model is addressed
+	_loadModelFromData(name: string, data: ModelSource) {
+		const modelId = this.modelLoader.generateModelId(name);
+		if (this.modelLoader.hasModel(modelId)) {
+			console.info('[rendera] Model already loaded', modelId, name);
+			return;
+		}
+		const loadState = this.modelLoader.getLoadState(modelId);
+		if (loadState && loadState !== 'failed') {
+			console.info('[rendera] Model already loading', modelId, name, loadState);
+			return;
+		}
+		this.modelPaths.set(modelId.id, name);
+		this.dataModelIds.add(modelId.id);
+		this.modelLoader.readBinary(modelId, data).catch(() => {});
+		console.info('[rendera] Model loading from data', modelId, name);
+	}
+
+	// The load fails with LOAD_CANCELLED, false if the model is not loading
+	_cancelModelLoad(path: string): boolean {
+		return this.modelLoader.cancelLoad(this.modelLoader.generateModelId(path));
+	}
+
+	// 0 to 1, 1 once loaded and 0 if the model was never loaded
+	_getModelLoadProgress(path: string): number {
+		const modelId = this.modelLoader.generateModelId(path);
+		if (this.modelLoader.hasModel(modelId)) return 1;
+		return this.modelLoader.getLoadProgress(modelId)?.progress ?? 0;
+	}
+
+	_addModel(model: Model, tag: string) {
+		const id = model.instanceId.id;
+		this.models.set(id, model);
+		if (tag) {
+			this.modelTags.set(tag, id);
+		}
+		this.lastCreatedInstanceId = id;
+	}
+
+	// Instances attached to the destroyed one are destroyed with it
+	_destroyModel(model: Model) {
+		for (const id of this.instanceManager.deleteModel(model.instanceId.id)) {
+			const deleted = this.models.get(id);
+			if (deleted) {
+				this._removeModel(deleted);
+			}
+		}
+	}
+
+	_removeModel(model: Model) {
+		const id = model.instanceId.id;
+		this._unfollow(model);
+		this.pendingAttachments.delete(id);
+		this.models.delete(id);
+		for (const [tag, taggedId] of this.modelTags) {
+			if (taggedId === id) {
+				this.modelTags.delete(tag);
+			}
+		}
+	}
+
+	// Instances are addressed from events by numeric instance id or by tag
+	_getModel(instance: string | number): Model | null {
+		const id = typeof instance === 'number' ? instance : this.modelTags.get(instance);
+		if (id === undefined) return null;
+		return this.models.get(id) ?? null;
+	}
+
+	_getModelTag(model: Model): string {
+		for (const [tag, id] of this.modelTags) {
+			if (id === model.instanceId.id) return tag;
+		}
+		return '';
+	}
+
+	_follow(model: Model, target: IWorldInstance, settings: FollowSettings) {
+		this._unfollow(model);
+		const onDestroy = () => {
+			if (settings.destroyWithObject) {
+				this._destroyModel(model);
+			} else {
+				this._unfollow(model);
+			}
+		};
+		target.addEventListener('destroy', onDestroy);
+		this.followBindings.set(model.instanceId.id, { ...settings, uid: target.uid, target, onDestroy });
+	}
+
+	_unfollow(model: Model) {
+		const binding = this.followBindings.get(model.instanceId.id);
+		if (!binding) return;
+		binding.target.removeEventListener('destroy', binding.onDestroy);
+		this.followBindings.delete(model.instanceId.id);
+	}
+
+	_updateFollowers() {
+		for (const [id, binding] of this.followBindings) {
+			const model = this.models.get(id);
+			if (!model) continue;
+			const { target, offset } = binding;
+			const [x, y, z] = this.coordinates.layoutToWorld(target.x, target.y, binding.useZElevation ? target.totalZElevation : 0);
+			model.setPosition(x + offset[0], y + offset[1], z + offset[2]);
+			// Clockwise Construct angles become counter-clockwise turns about z
+			const halfAngle = -(target.angle + binding.angleOffset * Math.PI / 180) / 2;
+			model.setQuaternion(0, 0, Math.sin(halfAngle), Math.cos(halfAngle));
+			if (binding.copyScale) {
+				const scaleX = target.width / (binding.baseWidth || 1);
+				const scaleY = target.height / (binding.baseHeight || 1);
+				const baseScale = binding.baseScale;
+				model.setScale(baseScale[0] * scaleX, baseScale[1] * scaleY, baseScale[2] * Math.abs(scaleX));
+			}
+		}
+	}
+
+	_getLightVector(index: number, key: 'position' | 'direction' | 'color', component: number): number {
+		const light = this.gpuResourceManager.getLight(index);
+		if (!light || !(key in light)) return 0;
+		return (light as Record<typeof key, [number, number, number]>)[key][component];
+	}
+
+	_attachDrawHooks(layout: ILayout) {
+		this._detachDrawHooks();
+		// Each layer draws its models after its own 2D content, so layers above stay on top
+		const layers = layout.getAllLayers();
+		const topLayer = layers[layers.length - 1];
+		for (const layer of layers) {
+			// Instances without a layer are drawn with the top layer
+			const layerNames = layer === topLayer ? [layer.name, ''] : [layer.name];
+			const listener = (e: { renderer: IRenderer }) => this._drawLayer(e.renderer, layer, layerNames);
+			// @ts-ignore layer draw events not typed
+			layer.addEventListener('afterdraw', listener);
+			this.drawHooks.push({ layer, layerNames, listener });
+		}
+	}
+
+	_detachDrawHooks() {
+		for (const { layer, listener } of this.drawHooks) {
+			// @ts-ignore layer draw events not typed
+			layer.removeEventListener('afterdraw', listener);
+		}
+		this.drawHooks = [];
+	}
+
+	// Layers below full opacity are drawn to their own texture and composited by Construct,
+	// so drawing into the current target picks up the layer's opacity
+	_drawLayer(renderer: IRenderer, layer: ILayer, layerNames: string[]) {
+		if (!layer.isSelfAndParentsVisible) return;
+		if (!this.instanceManager.hasInstancesOnLayers(layerNames)) return;
+
+		// Construct batches its draw calls, flush them before using the context directly
+		// @ts-ignore internal renderer not typed
+		renderer._renderer?.EndBatch?.();
+
+		const gl = this.gl;
+		const resolution = { width: gl.drawingBufferWidth, height: gl.drawingBufferHeight };
+		if (this.cameraFollowsLayout) {
+			this._frameLayer(layer);
+		}
+		this.instanceManager.renderEmbedded(
+			this.camera.getViewProjection(resolution),
+			{ x: 0, y: 0, ...resolution },
+			layerNames,
+			// Later layers keep what is below them and only get a fresh depth buffer
+			this.drawnThisFrame ? 'depth' : undefined
+		);
+		this.drawnThisFrame = true;
+	}
+
+	_frameLayer(layer: ILayer) {
+		// The viewport already follows the layer's scroll, parallax and scale
+		// Look at the layer's visible area, so layout pixels line up with the coordinate mapping
+		const viewport = layer.getViewport();
+		const [x, y] = this.coordinates.layoutToWorld(viewport.left + viewport.width / 2, viewport.top + viewport.height / 2);
+		this.camera.frameView(x, y, this.coordinates.toWorldLength(viewport.height));
+	}
+
+	// Where a world point appears on a layer, in that layer's layout co-ordinates
+	_worldToLayout(x: number, y: number, z: number, layer: string | number): [number, number, number] | null {
+		const found = this._getLayer(layer);
+		if (!found) return null;
+		// The camera is framed on whichever layer was drawn or picked last, and a frame ago
+		if (this.cameraFollowsLayout) {
+			this._frameLayer(found);
+		}
+		return this.camera.worldToLayout(x, y, z, found.getViewport());
+	}
+
+	// The world point under a layout position on a layer, on the plane at height planeZ
+	_layoutToWorld(x: number, y: number, planeZ: number, layer: string | number): [number, number, number] | null {
+		const found = this._getLayer(layer);
+		if (!found) return null;
+		if (this.cameraFollowsLayout) {
+			this._frameLayer(found);
+		}
+		return this.camera.layoutToWorld(x, y, found.getViewport(), planeZ);
+	}
+
+	_onPointerDown(e: ConstructPointerEvent) {
+		if (e.button !== 0) return;
+		this.lastPick = this._pickAtClient(e.clientX, e.clientY);
+		if (!this.lastPick) return;
+		this.pickTriggerInstanceId = this.lastPick.instanceId;
+		this._trigger(this.Conditions.onInstanceClicked);
+	}
+
+	_updateHover() {
+		if (!this.hoverPicking || !this.hoverPointer) return;
+		const key = this._getHoverKey(this.hoverPointer);
+		if (key.length === this.hoverKey.length && key.every((value, i) => value === this.hoverKey[i])) return;
+		this.hoverKey = key;
+		const hit = this._pickAtClient(this.hoverPointer.clientX, this.hoverPointer.clientY);
+		const hoveredInstanceId = hit?.instanceId ?? -1;
+		if (hoveredInstanceId === this.hoveredInstanceId) return;
+		const previous = this.hoveredInstanceId;
+		this.hoveredInstanceId = hoveredInstanceId;
+		if (previous !== -1) {
+			this.pickTriggerInstanceId = previous;
+			this._trigger(this.Conditions.onHoverEnd);
+		}
+		if (hoveredInstanceId !== -1) {
+			this.pickTriggerInstanceId = hoveredInstanceId;
+			this._trigger(this.Conditions.onHoverStart);
+		}
+	}
+
+	_setHoverPicking(enabled: boolean) {
+		this.hoverPicking = enabled;
+		if (!enabled) {
+			this.hoveredInstanceId = -1;
+			this.hoverKey = [];
+		}
+	}
+
+	// Everything a hover pick depends on: the pointer, the models, the camera and the drawn layers' views
+	_getHoverKey(pointer: { clientX: number, clientY: number }): number[] {
+		const key = [pointer.clientX, pointer.clientY, this.instanceManager.changeCount];
+		if (this.cameraFollowsLayout) {
+			const coordinates = this.coordinates;
+			key.push(coordinates.originX, coordinates.originY, coordinates.unitsPerPixel);
+		} else {
+			const { position, target, up } = this.camera;
+			key.push(position[0], position[1], position[2], target[0], target[1], target[2], up[0], up[1], up[2], this.camera.fov);
+		}
+		for (const { layer } of this.drawHooks) {
+			const viewport = layer.getViewport();
+			key.push(viewport.left, viewport.top, viewport.width, viewport.height, +layer.isSelfAndParentsVisible, +layer.isSelfAndParentsInteractive);
+		}
+		return key;
+	}
+
+	// Layers are tried from the top down, the first layer with a hit wins
+	_pickAtClient(clientX: number, clientY: number): PickResult | null {
+		for (const { layer, layerNames } of [...this.drawHooks].reverse()) {
+			if (!layer.isSelfAndParentsVisible || !layer.isSelfAndParentsInteractive) continue;
+			const [x, y] = layer.cssPxToLayer(clientX, clientY);
+			const hit = this._pickOnLayer(x, y, layer, layerNames);
+			if (hit) return hit;
+		}
+		return null;
+	}
+
+	// Nearest instance drawn on a layer under a position in that layer's layout co-ordinates
+	_pickOnLayer(x: number, y: number, layer: ILayer, layerNames = this._getLayerNames(layer)): PickResult | null {
+		if (!this.instanceManager.hasInstancesOnLayers(layerNames)) return null;
+		if (this.cameraFollowsLayout) {
+			this._frameLayer(layer);
+		}
+		const ray = this.camera.getRay(x, y, layer.getViewport());
+		return ray && this.instanceManager.pick(ray.origin, ray.direction, layerNames);
+	}
+
+	// Instance layer names drawn with a host layer
+	_getLayerNames(layer: ILayer): string[] {
+		return this.drawHooks.find((hook) => hook.layer === layer)?.layerNames ?? [layer.name];
+	}
+
+	// Where a node appears on a layer: layout position, depth and the angle of its x axis in degrees
+	_nodeToLayout(model: Model, name: string, layer: string | number): { x: number, y: number, depth: number, angle: number } | null {
+		const matrix = this.instanceManager.getModelNodeWorldMatrix(name, model);
+		if (!matrix) return null;
+		const length = Math.hypot(matrix[0], matrix[1], matrix[2]) || 1;
+		const origin = this._worldToLayout(matrix[12], matrix[13], matrix[14], layer);
+		const axisEnd = this._worldToLayout(
+			matrix[12] + matrix[0] / length,
+			matrix[13] + matrix[1] / length,
+			matrix[14] + matrix[2] / length,
+			layer
+		);
+		if (!origin || !axisEnd) return null;
+		return {
+			x: origin[0],
+			y: origin[1],
+			depth: origin[2],
+			angle: Math.atan2(axisEnd[1] - origin[1], axisEnd[0] - origin[0]) * 180 / Math.PI
+		};
+	}
+
+	// Layer by name or index, '' for the top layer, which also draws instances without a layer
+	_getLayer(layer: string | number): ILayer | null {
+		const layout = this.runtime.layout;
+		if (layer === '') {
+			const layers = layout.getAllLayers();
+			return layers[layers.length - 1] ?? null;
+		}
+		return layout.getLayer(layer);
+	}
+
+	_getDebuggerProperties() {
+		const modelName = (modelId: string) => this.modelPaths.get(modelId) ?? modelId;
+		const counts = this.gpuResourceManager.resourceCounts;
+		const sections: DebuggerSection[] = [{
+			title: 'Rendera',
+			properties: [
+				{ name: '$Loaded models', value: this.modelLoader.loadedModelIds.map(modelName).join(', ') },
+				{ name: '$Pending documents', value: [...this.modelLoader.pendingDocuments.keys()].map(modelName).join(', ') },
+				{ name: '$Buffers', value: counts.buffers },
+				{ name: '$Textures', value: counts.textures },
+				{ name: '$VAOs', value: counts.vaos }
+			]
+		}, {
+			title: 'Instances per model',
+			properties: [...this.instanceManager.instanceCountsByModel].map(([modelId, count]) => ({
+				name: '$' + modelName(modelId),
+				value: count
+			}))
+		}];
+
+		for (const model of this.models.values()) {
+			const snapshot = this.instanceManager.getModelSnapshot(model);
+			if (!snapshot) continue;
+			const tag = this._getModelTag(model);
+			const animation = snapshot.animation;
+			sections.push({
+				title: `Instance ${model.instanceId.id}${tag ? ` (${tag})` : ''}`,
+				properties: [
+					{ name: '$Model', value: modelName(snapshot.modelId) },
+					...this._debugVector('Position', snapshot.position, (v) => model.setPosition(v[0], v[1], v[2])),
+					// Quaternion components, renormalized after an edit
+					...this._debugVector('Rotation', snapshot.rotation, (v) => {
+						const length = Math.hypot(v[0], v[1], v[2], v[3]) || 1;
+						model.setQuaternion(v[0] / length, v[1] / length, v[2] / length, v[3] / length);
+					}),
+					...this._debugVector('Scale', snapshot.scale, (v) => model.setScale(v[0], v[1], v[2])),
+					{ name: '$Animation', value: animation.name ?? '' },
+					{ name: '$Animation time', value: animation.time },
+					{ name: '$Animation playing', value: animation.playing },
+					{ name: '$Animation speed', value: animation.speed, onedit: (v: number) => model.setAnimationSpeed(v) },
+					{ name: '$Animation loop', value: animation.loop, onedit: (v: boolean) => model.setAnimationLoop(v) }
+				]
+			});
+		}
+
+		const lights = this.gpuResourceManager;
+		for (let i = 0; i < lights.maxLights; i++) {
+			const light = lights.getLight(i)!;
+			const properties: DebuggerProperty[] = [
+				{ name: '$Type', value: light.type },
+				{ name: '$Enabled', value: light.enabled, onedit: (v: boolean) => lights.setLightEnabled(i, v) },
+				...this._debugVector('Color', light.color.map((c) => c * 255), (v) => lights.setLightColor(i, [v[0] / 255, v[1] / 255, v[2] / 255])),
+				{ name: '$Intensity', value: light.intensity, onedit: (v: number) => lights.setLightIntensity(i, v) }
+			];
+			if (light.type !== 'directional') {
+				properties.push(...this._debugVector('Position', light.position, (v) => lights.updateLight(i, { position: [v[0], v[1], v[2]] })));
+			}
+			if (light.type !== 'point') {
+				properties.push(...this._debugVector('Direction', light.direction, (v) => lights.setLightDirection(i, [v[0], v[1], v[2]])));
+			}
+			sections.push({ title: `Light ${i}`, properties });
+		}
+		return sections;
+	}
+
+	// One editable debugger row per component, an edit writes back the whole vector
+	_debugVector(label: string, vector: readonly number[], onedit: (vector: number[]) => void): DebuggerProperty[] {
+		return vector.map((value, i) => ({
+			name: `$${label} ${'XYZW'[i]}`,
+			value,
+			onedit: (v: number) => {
+				const edited = [...vector];
+				edited[i] = v;
+				onedit(edited);
+			}
+		}));
+	}
+
+	_saveToJson() {
+		const instances: SavedInstance[] = [];
+		for (const model of this.models.values()) {
+			const snapshot = this.instanceManager.getModelSnapshot(model);
+			if (snapshot) {
+				const binding = this.followBindings.get(model.instanceId.id);
+				const follow = binding && followSettings(binding);
+				instances.push({ id: model.instanceId.id, tag: this._getModelTag(model), ...snapshot, follow });
+			}
+		}
+		// Instances still waiting on a model from an earlier load are kept as they were
+		for (const restores of this.pendingRestores.values()) {
+			instances.push(...restores);
+		}
+		const lights: Light[] = [];
+		for (let i = 0; i < this.gpuResourceManager.maxLights; i++) {
+			lights.push(this.gpuResourceManager.getLight(i)!);
+		}
+		const camera = this.camera;
+		const coordinates = this.coordinates;
+		const data: SaveData = {
+			modelPaths: Object.fromEntries(this.modelPaths),
+			dataModelIds: [...this.dataModelIds],
+			instances,
+			lastCreatedInstanceId: this.lastCreatedInstanceId,
+			lights,
+			camera: {
+				position: [...camera.position],
+				target: [...camera.target],
+				up: [...camera.up],
+				fov: camera.fov,
+				near: camera.near,
+				far: camera.far,
+				followsLayout: this.cameraFollowsLayout
+			},
+			coordinates: {
+				originX: coordinates.originX,
+				originY: coordinates.originY,
+				unitsPerPixel: coordinates.unitsPerPixel
+			}
+		};
+		return data as unknown as JSONValue;
+	}
+
+	_loadFromJson(o: JSONValue) {
+		const data = o as unknown as SaveData;
+
+		for (const model of [...this.models.values()]) {
+			this._destroyModel(model);
+		}
+		this.pendingRestores.clear();
+		this.pendingAttachments.clear();
+		this.lastCreatedInstanceId = data.lastCreatedInstanceId;
+
+		data.lights.forEach((light, index) => this.gpuResourceManager.updateLight(index, light));
+
+		const camera = data.camera;
+		this.camera.setPosition(camera.position[0], camera.position[1], camera.position[2]);
+		this.camera.lookAt(camera.target[0], camera.target[1], camera.target[2]);
+		this.camera.setUp(camera.up[0], camera.up[1], camera.up[2]);
+		this.camera.setFov(camera.fov);
+		this.camera.setClipPlanes(camera.near, camera.far);
+		this.cameraFollowsLayout = camera.followsLayout;
+		this.coordinates.setOrigin(data.coordinates.originX, data.coordinates.originY);
+		this.coordinates.setUnitsPerPixel(data.coordinates.unitsPerPixel);
+
+		for (const [modelId, path] of Object.entries(data.modelPaths)) {
+			this.modelPaths.set(modelId, path);
+		}
+		data.dataModelIds?.forEach((modelId) => this.dataModelIds.add(modelId));
+		for (const saved of data.instances) {
+			if (this.modelLoader.getModelData(saved.modelId)) {
+				this._restoreInstance(saved);
+				continue;
+			}
+			const restores = this.pendingRestores.get(saved.modelId) ?? [];
+			restores.push(saved);
+			this.pendingRestores.set(saved.modelId, restores);
+		}
+
+		// Re-queue saved models that are neither loaded nor loading, e.g. after a page reload.
+		// Models from memory wait for the project to load the same name again
+		for (const [modelId, path] of Object.entries(data.modelPaths)) {
+			if (!this.dataModelIds.has(modelId)) {
+				this._loadModel(path);
+			}
+		}
+	}
+
+	_restoreInstance(saved: SavedInstance) {
+		try {
+			const model = this.instanceManager.createModel(saved.modelId, undefined, saved.id);
+			this.instanceManager.restoreModelSnapshot(saved, model);
+			const lastCreatedInstanceId = this.lastCreatedInstanceId;
+			this._addModel(model, saved.tag);
+			this.lastCreatedInstanceId = lastCreatedInstanceId;
+			// UIDs survive savegames, so the followed object is found again by uid
+			const target = saved.follow && this.runtime.getInstanceByUid(saved.follow.uid);
+			if (saved.follow && target instanceof IWorldInstance) {
+				this._follow(model, target, saved.follow);
+			}
+			// Parents can finish loading after their attachments, restoring again attaches them
+			if (saved.attachment && !model.attachment) {
+				this.pendingAttachments.set(saved.id, saved);
+			}
+			for (const [childId, child] of [...this.pendingAttachments]) {
+				const childModel = this.models.get(childId);
+				if (child.attachment?.parentId !== saved.id || !childModel) continue;
+				this.pendingAttachments.delete(childId);
+				this.instanceManager.restoreModelSnapshot(child, childModel);
+			}
+		} catch (error) {
+			console.error('[rendera] Failed to restore instance', saved.id, saved.modelId, error);
+		}
 	}
 
 	_release() {
+		this._detachDrawHooks();
 		super._release();
 	}
 
 };
 
+// Names starting with $ are shown as-is instead of being looked up in the language file
+interface DebuggerProperty {
+	name: string;
+	value: string | number | boolean;
+	onedit?: (value: any) => void;
+}
+
+interface DebuggerSection {
+	title: string;
+	properties: DebuggerProperty[];
+}
+
+interface FollowSettings {
+	offset: [number, number, number];
+	// Degrees added to the followed object's angle
+	angleOffset: number;
+	copyScale: boolean;
+	useZElevation: boolean;
+	destroyWithObject: boolean;
+	// Copied scale is relative to the object's size and the model's scale when bound
+	baseWidth: number;
+	baseHeight: number;
+	baseScale: [number, number, number];
+}
+
+interface FollowBinding extends FollowSettings {
+	uid: number;
+	target: IWorldInstance;
+	onDestroy: () => void;
+}
+
+function followSettings(binding: FollowBinding): FollowSettings & { uid: number } {
+	const { target, onDestroy, ...settings } = binding;
+	return settings;
+}
+
+type SavedInstance = InstanceSnapshot & { id: number, tag: string, follow?: FollowSettings & { uid: number } };
+
+interface SaveData {
+	modelPaths: Record<string, string>;
+	// Missing in saves from before loading from memory
+	dataModelIds?: string[];
+	instances: SavedInstance[];
+	lastCreatedInstanceId: number;
+	lights: Light[];
+	camera: {
+		position: number[];
+		target: number[];
+		up: number[];
+		fov: number;
+		near: number;
+		far: number;
+		followsLayout: boolean;
+	};
+	coordinates: {
+		originX: number;
+		originY: number;
+		unitsPerPixel: number;
+	};
+}
+
 C3.Plugins[Lost.addonId].Instance = LostInstance;
 export type { LostInstance as Instance };
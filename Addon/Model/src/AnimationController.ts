@@ -1,14 +1,30 @@
 // src/AnimationController.ts
 import { ModelLoader } from './ModelLoader';
-import { InstanceData, AnimationOptions, AnimationState } from './types';
+import { InstanceData, AnimationOptions, AnimationState, AnimationEvent, AnimationListener, ModelData } from './types';
 import { mat4, quat, vec3, vec4 } from 'gl-matrix';
 import { Animation, Node, TypedArray } from '@gltf-transform/core';
 
 export class AnimationController {
+    private listeners = new Set<AnimationListener>();
+
     constructor(private modelLoader: ModelLoader) {
         this.modelLoader = modelLoader;
     }
 
+    addListener(listener: AnimationListener): void {
+        this.listeners.add(listener);
+    }
+
+    removeListener(listener: AnimationListener): void {
+        this.listeners.delete(listener);
+    }
+
+    private emit(event: AnimationEvent): void {
+        for (const listener of this.listeners) {
+            listener(event);
+        }
+    }
+
     private updateNodeLocalTransforms(instance: InstanceData): void {
         const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
         if (!modelData) return;
@@ -83,11 +99,37 @@ export class AnimationController {
         const maxDuration = this.maxDuration(animation);
 
         // Update animation time
-        instance.animationState.currentTime = this.updateTime(
-            instance.animationState,
+        const previousTime = animationState.currentTime;
+        animationState.currentTime = this.updateTime(
+            animationState,
             deltaTime,
             maxDuration
         );
+        const wrapped = animationState.loop && animationState.currentTime < previousTime;
+        const finished = !animationState.loop && maxDuration > 0 && animationState.currentTime >= maxDuration;
+        this.updatePose(instance, animation, modelData);
+
+        // Notify after the pose is updated, so listeners see the final/wrapped frame
+        if (wrapped) {
+            this.emit({ type: 'looped', instanceId: instance.instanceId.id, animation: currentAnimation });
+        } else if (finished) {
+            // Hold the last frame; playing again restarts the clip
+            animationState.playing = false;
+            this.emit({ type: 'finished', instanceId: instance.instanceId.id, animation: currentAnimation });
+        }
+    }
+
+    // Pose the instance at its current time, without advancing it or notifying listeners
+    applyPose(instance: InstanceData): void {
+        const currentAnimation = instance.animationState.currentAnimation;
+        if (currentAnimation === null) return;
+        const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
+        const animation = modelData?.animations.get(currentAnimation);
+        if (!modelData || !animation) return;
+        this.updatePose(instance, animation, modelData);
+    }
+
+    private updatePose(instance: InstanceData, animation: Animation, modelData: ModelData): void {
         // TODO: This can be optimized by creating a version of this at the model level and copying it to the instance
         this.updateNodeLocalTransforms(instance);
 
@@ -98,11 +140,18 @@ export class AnimationController {
         this.updateNodeHierarchyTransforms(instance);
 
         // Update bone matrices if skinning
-        if (modelData?.jointData?.length > 0) {
+        if (modelData.jointData?.length > 0) {
             this.updateNodeSkinningMatrices(instance);
         }
     }
 
+    getDuration(instance: InstanceData): number {
+        const currentAnimation = instance.animationState.currentAnimation;
+        if (currentAnimation === null) return 0;
+        const animation = this.modelLoader.getModelData(instance.instanceId.modelId)?.animations.get(currentAnimation);
+        return animation ? this.maxDuration(animation) : 0;
+    }
+
     private updateNodeHierarchyTransforms(instance: InstanceData): void {
         const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
         if (!modelData) return;
@@ -156,6 +205,7 @@ export class AnimationController {
         deltaTime: number, 
         duration: number
     ): number {
+        if (duration <= 0) return 0;
         const newTime = state.currentTime + (deltaTime * state.speed);
         return state.loop ? (newTime % duration) : Math.min(newTime, duration);
     }
@@ -0,0 +1,140 @@
+import { mat4, vec3, vec4 } from 'gl-matrix';
+import { IGPUResourceManager } from './types';
+
+// Layout area shown by the camera, e.g. a host layer's viewport
+export interface LayoutViewport {
+    left: number;
+    top: number;
+    width: number;
+    height: number;
+}
+
+export class Camera {
+    private gpuResources: IGPUResourceManager;
+    private _position = vec3.fromValues(0, 0, 300);
+    private _target = vec3.fromValues(0, 0, 0);
+    private _up = vec3.fromValues(0, 1, 0);
+    private _fov = 45;
+    private _near = 0.1;
+    private _far = 1000;
+
+    constructor(gpuResources: IGPUResourceManager) {
+        this.gpuResources = gpuResources;
+        this.syncCameraPosition();
+    }
+
+    setPosition(x: number, y: number, z: number): void {
+        vec3.set(this._position, x, y, z);
+        this.syncCameraPosition();
+    }
+
+    lookAt(x: number, y: number, z: number): void {
+        vec3.set(this._target, x, y, z);
+    }
+
+    setUp(x: number, y: number, z: number): void {
+        vec3.set(this._up, x, y, z);
+    }
+
+    setFov(fov: number): void {
+        this._fov = fov;
+    }
+
+    setClipPlanes(near: number, far: number): void {
+        this._near = near;
+        this._far = far;
+    }
+
+    // Look straight down -z at (x, y, 0), far enough back that the vertical fov spans height
+    frameView(x: number, y: number, height: number): void {
+        const distance = (height / 2) / Math.tan(this._fov * Math.PI / 360);
+        vec3.set(this._target, x, y, 0);
+        vec3.set(this._up, 0, 1, 0);
+        this.setPosition(x, y, distance);
+    }
+
+    getViewProjection(resolution: { width: number, height: number }): { view: mat4, projection: mat4 } {
+        const projection = mat4.create();
+        mat4.perspective(projection, this._fov * Math.PI / 180, resolution.width / resolution.height, this._near, this._far);
+        const view = mat4.create();
+        mat4.lookAt(view, this._position, this._target, this._up);
+        return { view, projection };
+    }
+
+    // Project a world point into the layout rectangle the camera image covers, y down.
+    // Depth is -1 at the near plane and 1 at the far plane, null for points in the eye plane
+    worldToLayout(x: number, y: number, z: number, viewport: LayoutViewport): [number, number, number] | null {
+        const clip = vec4.transformMat4(vec4.create(), [x, y, z, 1], this.viewProjectionMatrix(viewport));
+        if (clip[3] === 0) return null;
+        const ndcX = clip[0] / clip[3];
+        const ndcY = clip[1] / clip[3];
+        return [
+            viewport.left + (ndcX + 1) / 2 * viewport.width,
+            viewport.top + (1 - ndcY) / 2 * viewport.height,
+            clip[2] / clip[3]
+        ];
+    }
+
+    // Ray through a layout point, starting on the near plane, with a unit direction
+    getRay(x: number, y: number, viewport: LayoutViewport): { origin: vec3, direction: vec3 } | null {
+        const inverse = mat4.invert(mat4.create(), this.viewProjectionMatrix(viewport));
+        if (!inverse) return null;
+        const ndcX = (x - viewport.left) / viewport.width * 2 - 1;
+        const ndcY = 1 - (y - viewport.top) / viewport.height * 2;
+        const origin = this.unproject(inverse, ndcX, ndcY, -1);
+        const far = this.unproject(inverse, ndcX, ndcY, 1);
+        const direction = vec3.normalize(vec3.create(), vec3.subtract(vec3.create(), far, origin));
+        return { origin, direction };
+    }
+
+    // Cast a ray through a layout point and intersect it with the world plane z = planeZ.
+    // Null when the ray is parallel to the plane or the plane is behind the camera
+    layoutToWorld(x: number, y: number, viewport: LayoutViewport, planeZ = 0): [number, number, number] | null {
+        const ray = this.getRay(x, y, viewport);
+        if (!ray) return null;
+        const { origin, direction } = ray;
+        if (Math.abs(direction[2]) < 1e-9) return null;
+        const t = (planeZ - origin[2]) / direction[2];
+        if (t < 0) return null;
+        return [origin[0] + direction[0] * t, origin[1] + direction[1] * t, planeZ];
+    }
+
+    get position(): Readonly<vec3> {
+        return this._position;
+    }
+
+    get target(): Readonly<vec3> {
+        return this._target;
+    }
+
+    get up(): Readonly<vec3> {
+        return this._up;
+    }
+
+    get fov(): number {
+        return this._fov;
+    }
+
+    get near(): number {
+        return this._near;
+    }
+
+    get far(): number {
+        return this._far;
+    }
+
+    private viewProjectionMatrix(viewport: LayoutViewport): mat4 {
+        const { view, projection } = this.getViewProjection(viewport);
+        return mat4.multiply(mat4.create(), projection, view);
+    }
+
+    private unproject(inverseViewProjection: mat4, x: number, y: number, z: number): vec3 {
+        const point = vec4.transformMat4(vec4.create(), [x, y, z, 1], inverseViewProjection);
+        return vec3.fromValues(point[0] / point[3], point[1] / point[3], point[2] / point[3]);
+    }
+
+    // Specular lighting needs the eye position, keep the shader's copy in step with the camera
+    private syncCameraPosition(): void {
+        this.gpuResources.updateCameraPosition([this._position[0], this._position[1], this._position[2]]);
+    }
+}
@@ -0,0 +1,44 @@
+// Maps host layout pixels (y down) to world units (y up) around a chosen origin
+export class CoordinateMapping {
+    private _originX = 0;
+    private _originY = 0;
+    private _unitsPerPixel = 1;
+
+    setOrigin(x: number, y: number): void {
+        this._originX = x;
+        this._originY = y;
+    }
+
+    setUnitsPerPixel(unitsPerPixel: number): void {
+        if (unitsPerPixel <= 0) return;
+        this._unitsPerPixel = unitsPerPixel;
+    }
+
+    // z is a height in pixels, e.g. a z elevation
+    layoutToWorld(x: number, y: number, z = 0): [number, number, number] {
+        const scale = this._unitsPerPixel;
+        return [(x - this._originX) * scale, (this._originY - y) * scale, z * scale];
+    }
+
+    worldToLayout(x: number, y: number, z = 0): [number, number, number] {
+        const scale = this._unitsPerPixel;
+        return [x / scale + this._originX, this._originY - y / scale, z / scale];
+    }
+
+    // Length in pixels to length in world units
+    toWorldLength(pixels: number): number {
+        return pixels * this._unitsPerPixel;
+    }
+
+    get originX(): number {
+        return this._originX;
+    }
+
+    get originY(): number {
+        return this._originY;
+    }
+
+    get unitsPerPixel(): number {
+        return this._unitsPerPixel;
+    }
+}
@@ -1,3 +1,5 @@
+import { IGPUResourceCache, SAMPLER_TEXTURE_UNIT_MAP } from './types';
+
 export class GPUResourceCache implements IGPUResourceCache {
     private gl: WebGL2RenderingContext;
 
@@ -8,6 +10,33 @@ export class GPUResourceCache implements IGPUResourceCache {
         elementArrayBuffer: WebGLBuffer | null;
     } | null = null;
 
+    // Host (e.g. Construct) render state, saved around each embedded render pass
+    private cachedRenderState: {
+        framebuffer: WebGLFramebuffer | null;
+        vao: WebGLVertexArrayObject | null;
+        arrayBuffer: WebGLBuffer | null;
+        shaderProgram: WebGLProgram | null;
+        activeTexture: number;
+        textureBindings: (WebGLTexture | null)[];
+        viewport: Int32Array;
+        depthTest: boolean;
+        depthMask: boolean;
+        depthFunc: number;
+        cullFace: boolean;
+        cullFaceMode: number;
+        frontFace: number;
+        blend: boolean;
+        blendSrcRGB: number;
+        blendDstRGB: number;
+        blendSrcAlpha: number;
+        blendDstAlpha: number;
+        blendEquationRGB: number;
+        blendEquationAlpha: number;
+        clearColor: Float32Array;
+        scissorTest: boolean;
+        stencilTest: boolean;
+    } | null = null;
+
     constructor(gl: WebGL2RenderingContext) {
         this.gl = gl;
     }
@@ -46,5 +75,85 @@ export class GPUResourceCache implements IGPUResourceCache {
         }
     }
 
-}
+    cacheRenderMode() {
+        const gl = this.gl;
+        const textureUnits = Object.values(SAMPLER_TEXTURE_UNIT_MAP);
+        const activeTexture = gl.getParameter(gl.ACTIVE_TEXTURE);
+
+        // Texture bindings are per unit, so visit every unit the model shader uses
+        const textureBindings: (WebGLTexture | null)[] = [];
+        for (const unit of textureUnits) {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            textureBindings[unit] = gl.getParameter(gl.TEXTURE_BINDING_2D);
+        }
+        gl.activeTexture(activeTexture);
+
+        this.cachedRenderState = {
+            framebuffer: gl.getParameter(gl.FRAMEBUFFER_BINDING),
+            vao: gl.getParameter(gl.VERTEX_ARRAY_BINDING),
+            arrayBuffer: gl.getParameter(gl.ARRAY_BUFFER_BINDING),
+            shaderProgram: gl.getParameter(gl.CURRENT_PROGRAM),
+            activeTexture,
+            textureBindings,
+            viewport: gl.getParameter(gl.VIEWPORT),
+            depthTest: gl.isEnabled(gl.DEPTH_TEST),
+            depthMask: gl.getParameter(gl.DEPTH_WRITEMASK),
+            depthFunc: gl.getParameter(gl.DEPTH_FUNC),
+            cullFace: gl.isEnabled(gl.CULL_FACE),
+            cullFaceMode: gl.getParameter(gl.CULL_FACE_MODE),
+            frontFace: gl.getParameter(gl.FRONT_FACE),
+            blend: gl.isEnabled(gl.BLEND),
+            blendSrcRGB: gl.getParameter(gl.BLEND_SRC_RGB),
+            blendDstRGB: gl.getParameter(gl.BLEND_DST_RGB),
+            blendSrcAlpha: gl.getParameter(gl.BLEND_SRC_ALPHA),
+            blendDstAlpha: gl.getParameter(gl.BLEND_DST_ALPHA),
+            blendEquationRGB: gl.getParameter(gl.BLEND_EQUATION_RGB),
+            blendEquationAlpha: gl.getParameter(gl.BLEND_EQUATION_ALPHA),
+            clearColor: gl.getParameter(gl.COLOR_CLEAR_VALUE),
+            scissorTest: gl.isEnabled(gl.SCISSOR_TEST),
+            stencilTest: gl.isEnabled(gl.STENCIL_TEST)
+        };
+    }
 
+    restoreRenderMode() {
+        const state = this.cachedRenderState;
+        if (!state) return;
+        const gl = this.gl;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, state.framebuffer);
+        gl.bindVertexArray(state.vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, state.arrayBuffer);
+        gl.useProgram(state.shaderProgram);
+
+        state.textureBindings.forEach((texture, unit) => {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+        });
+        gl.activeTexture(state.activeTexture);
+
+        gl.viewport(state.viewport[0], state.viewport[1], state.viewport[2], state.viewport[3]);
+        this.setEnabled(gl.DEPTH_TEST, state.depthTest);
+        gl.depthMask(state.depthMask);
+        gl.depthFunc(state.depthFunc);
+        this.setEnabled(gl.CULL_FACE, state.cullFace);
+        gl.cullFace(state.cullFaceMode);
+        gl.frontFace(state.frontFace);
+        this.setEnabled(gl.BLEND, state.blend);
+        gl.blendFuncSeparate(state.blendSrcRGB, state.blendDstRGB, state.blendSrcAlpha, state.blendDstAlpha);
+        gl.blendEquationSeparate(state.blendEquationRGB, state.blendEquationAlpha);
+        gl.clearColor(state.clearColor[0], state.clearColor[1], state.clearColor[2], state.clearColor[3]);
+        this.setEnabled(gl.SCISSOR_TEST, state.scissorTest);
+        this.setEnabled(gl.STENCIL_TEST, state.stencilTest);
+
+        this.cachedRenderState = null;
+    }
+
+    private setEnabled(capability: number, enabled: boolean) {
+        if (enabled) {
+            this.gl.enable(capability);
+        } else {
+            this.gl.disable(capability);
+        }
+    }
+
+}
@@ -1,6 +1,6 @@
 import { ModelError, ModelErrorCode } from './errors';
 import { GPUResourceCache } from './GPUResourceCache';
-import { IGPUResourceManager, IGPUResourceCache, Light, ModelData } from './types';
+import { IGPUResourceManager, IGPUResourceCache, Light, ModelData, GPUResourceCounts, TextureLevel } from './types';
 
 export class GPUResourceManager implements IGPUResourceManager {
     private gl: WebGL2RenderingContext;
@@ -14,12 +14,17 @@ export class GPUResourceManager implements IGPUResourceManager {
 
     private readonly MAX_LIGHTS = 8;
     private lights: Light[] = new Array(8);
-    private dirtyLightParams: boolean = false;
+    // Start dirty so the active light count reaches the shader on first bind
+    private dirtyLightParams: boolean = true;
+    private activeLightCount = 8;
     private dirtyLightStates: Set<number> = new Set();
 
     private cameraPosition: [number, number, number] = [0, 0, 0];
     private dirtyCameraPosition: boolean = false;
 
+    private ambientColor: [number, number, number] = [0.03, 0.03, 0.03];
+    private dirtyAmbientColor: boolean = true;
+
     constructor(gl: WebGL2RenderingContext) {
         this.gl = gl;
         this.shaderSystem = new ShaderSystem(gl);
@@ -67,7 +72,7 @@ export class GPUResourceManager implements IGPUResourceManager {
         return buffer;
     }
 
-    createTexture(image: ImageData | HTMLImageElement): WebGLTexture {
+    createTexture(image: ImageData | HTMLImageElement | ImageBitmap): WebGLTexture {
         const texture = this.gl.createTexture();
         if (!texture) {
             throw this.createError(
@@ -91,6 +96,33 @@ export class GPUResourceManager implements IGPUResourceManager {
         return texture;
     }
 
+    // Uploads every level as given, RGBA8 levels are plain pixels and others are compressed blocks
+    createCompressedTexture(levels: TextureLevel[], format: number): WebGLTexture {
+        const texture = this.gl.createTexture();
+        if (!texture) {
+            throw this.createError(
+                ModelErrorCode.GL_ERROR,
+                'Failed to create WebGL texture'
+            );
+        }
+
+        // Construct shares this context, so its texture binding is put back afterwards
+        const previous = this.gl.getParameter(this.gl.TEXTURE_BINDING_2D) as WebGLTexture | null;
+        this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+        levels.forEach((level, index) => {
+            if (format === this.gl.RGBA8) {
+                this.gl.texImage2D(this.gl.TEXTURE_2D, index, this.gl.RGBA8, level.width, level.height, 0, this.gl.RGBA, this.gl.UNSIGNED_BYTE, level.data);
+            } else {
+                this.gl.compressedTexImage2D(this.gl.TEXTURE_2D, index, format, level.width, level.height, 0, level.data);
+            }
+        });
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAX_LEVEL, levels.length - 1);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, previous);
+        this.textures.add(texture);
+
+        return texture;
+    }
+
     deleteBuffer(buffer: WebGLBuffer): void {
         this.gl.deleteBuffer(buffer);
         this.buffers.delete(buffer);
@@ -253,6 +285,8 @@ export class GPUResourceManager implements IGPUResourceManager {
         in mat3 v_TBN;
 
         uniform vec3 u_CameraPosition;
+        uniform vec3 u_AmbientColor;
+        uniform int u_ActiveLightCount;
         uniform vec4 u_BaseColorFactor;
         uniform vec3 u_EmissiveFactor;
         uniform float u_MetallicFactor;
@@ -393,11 +427,12 @@ export class GPUResourceManager implements IGPUResourceManager {
             // Calculate lighting
             vec3 color = vec3(0.0);
             for(int i = 0; i < MAX_LIGHTS; i++) {
+                if (i >= u_ActiveLightCount) break;
                 color += calculateLightContribution(u_Lights[i], N, V, baseColor, metallic, roughness);
             }
             
             // Add ambient and emissive
-            vec3 ambient = vec3(0.03) * baseColor * aoSample;
+            vec3 ambient = u_AmbientColor * baseColor * aoSample;
             vec3 emissive = SRGBtoLinear(emissiveSample.rgb);
             color += ambient + emissive;
             
@@ -415,20 +450,48 @@ export class GPUResourceManager implements IGPUResourceManager {
         return this.shaderSystem.createProgram(vertexShader, fragmentShader, 'default');
     }
 
+    get resourceCounts(): GPUResourceCounts {
+        return { buffers: this.buffers.size, textures: this.textures.size, vaos: this.vaos.size };
+    }
+
+    get maxLights(): number {
+        return this.MAX_LIGHTS;
+    }
+
+    getLight(index: number): Readonly<Light> | null {
+        if (!this.isValidLightIndex(index)) return null;
+        return this.lights[index];
+    }
+
+    private isValidLightIndex(index: number): boolean {
+        return Number.isInteger(index) && index >= 0 && index < this.MAX_LIGHTS;
+    }
+
     updateLight(index: number, lightParams: Partial<Light>): void {
-        if (index >= this.MAX_LIGHTS) return;
+        if (!this.isValidLightIndex(index)) return;
         
         Object.assign(this.lights[index], lightParams);
         this.dirtyLightParams = true;
     }
 
+    setAmbientColor(color: [number, number, number]): void {
+        this.ambientColor = color;
+        this.dirtyAmbientColor = true;
+    }
+
+    // Lights in slots at or above the count are skipped by the shader
+    setActiveLightCount(count: number): void {
+        this.activeLightCount = Math.min(Math.max(Math.floor(count), 0), this.MAX_LIGHTS);
+        this.dirtyLightParams = true;
+    }
+
     updateCameraPosition(position: [number, number, number]): void {
         this.cameraPosition = position;
         this.dirtyCameraPosition = true;
     }
 
     setLightEnabled(index: number, enabled: boolean): void {
-        if (index >= this.MAX_LIGHTS) return;
+        if (!this.isValidLightIndex(index)) return;
         
         this.lights[index].enabled = enabled;
         this.dirtyLightStates.add(index);
@@ -445,6 +508,13 @@ export class GPUResourceManager implements IGPUResourceManager {
         }
     }
 
+    private updateAmbientColorUniforms(shader: WebGLProgram): void {
+        if (this.dirtyAmbientColor) {
+            this.gl.uniform3fv(this.gl.getUniformLocation(shader, 'u_AmbientColor'), this.ambientColor);
+            this.dirtyAmbientColor = false;
+        }
+    }
+
     private updateCameraPositionUniforms(shader: WebGLProgram): void {
         if (this.dirtyCameraPosition) {
             this.gl.uniform3fv(this.gl.getUniformLocation(shader, 'u_CameraPosition'), this.cameraPosition);
@@ -453,6 +523,7 @@ export class GPUResourceManager implements IGPUResourceManager {
     }
 
     private updateAllLightUniforms(shader: WebGLProgram): void {
+        this.gl.uniform1i(this.gl.getUniformLocation(shader, 'u_ActiveLightCount'), this.activeLightCount);
         for (let i = 0; i < this.MAX_LIGHTS; i++) {
             const light = this.lights[i];
             const prefix = `u_Lights[${i}]`;
@@ -500,33 +571,35 @@ export class GPUResourceManager implements IGPUResourceManager {
         const materialSystem = modelData.materialSystem;
         this.gl.useProgram(shader);
         this.updateCameraPositionUniforms(shader);
+        this.updateAmbientColorUniforms(shader);
         this.updateLightUniforms(shader);
         materialSystem.bindMaterial(materialIndex, shader);
     }
 
     setLightDirection(index: number, direction: [number, number, number]): void {
-        if (index >= this.MAX_LIGHTS) return;
-        if (this.lights[index].type !== 'directional') return;
-        this.lights[index].direction = direction;
+        if (!this.isValidLightIndex(index)) return;
+        const light = this.lights[index];
+        if (light.type === 'point') return;
+        light.direction = direction;
         this.dirtyLightParams = true;
     }
 
     setLightColor(index: number, color: [number, number, number]): void {
-        if (index >= this.MAX_LIGHTS) return;
+        if (!this.isValidLightIndex(index)) return;
         
         this.lights[index].color = color;
         this.dirtyLightParams = true;
     }
 
     setLightIntensity(index: number, intensity: number): void {
-        if (index >= this.MAX_LIGHTS) return;
+        if (!this.isValidLightIndex(index)) return;
         
         this.lights[index].intensity = intensity;
         this.dirtyLightParams = true;
     }
 
     setSpotLightParams(index: number, angle: number, penumbra: number): void {
-        if (index >= this.MAX_LIGHTS || this.lights[index].type !== 'spot') return;
+        if (!this.isValidLightIndex(index) || this.lights[index].type !== 'spot') return;
         
         this.lights[index].spotAngle = angle;
         this.lights[index].spotPenumbra = penumbra;
@@ -1,10 +1,12 @@
 import { ModelError, ModelErrorCode } from './errors';
-import { InstanceData, IInstanceManager, IGPUResourceManager, InstanceId, type AnimationOptions, MAX_BONES, NodeTransforms } from './types';
+import { InstanceData, IInstanceManager, IGPUResourceManager, InstanceId, type AnimationOptions, MAX_BONES, NodeTransforms, AnimationState, AnimationListener, ClearMode, InstanceSnapshot, PickResult, NodeTransform, Attachment, AttachmentOffset, TransformValues, Transform, TransformAxes } from './types';
 import { ModelLoader } from './ModelLoader';
 import { Model } from './Model';
 import { GPUResourceCache } from './GPUResourceCache';
 import { AnimationController } from './AnimationController';
-import { mat3, mat4 } from 'gl-matrix';
+import { Picker } from './Picker';
+import { SceneGraph } from './SceneGraph';
+import { mat3, mat4, quat, vec3 } from 'gl-matrix';
 import { Node } from '@gltf-transform/core';
 
 export class InstanceManager implements IInstanceManager {
@@ -22,9 +24,21 @@ export class InstanceManager implements IInstanceManager {
     }> = new Map();
     
     private nextInstanceId = 1;
+    // Instances whose local matrix needs rebuilding from their transform
     private dirtyInstances: Set<number> = new Set();
+    // Attached instances by child id, their transform is local to the parent's node
+    private attachments: Map<number, Attachment> = new Map();
+    // One node per instance, parented like the attachments, world matrices are the instances' own
+    private sceneGraph = new SceneGraph();
+    // Bumped when a transform, pose, layer or the set of instances changes, see changeCount
+    private changes = 0;
 
     private _animationController: AnimationController;
+    private _picker: Picker;
+
+    private defaultNormalMapEnabled = false;
+    private clearMode: ClearMode = 'depth';
+    private clearColor: [number, number, number, number] = [0, 0, 0, 1];
 
     constructor(
         gl: WebGL2RenderingContext,
@@ -34,6 +48,7 @@ export class InstanceManager implements IInstanceManager {
         this.gl = gl;
         this.modelLoader = modelLoader;
         this._animationController = new AnimationController(modelLoader);
+        this._picker = new Picker(modelLoader);
         this.defaultShaderProgram = this.gpuResources.getDefaultShader();
     }
 
@@ -95,7 +110,8 @@ export class InstanceManager implements IInstanceManager {
         return { view: viewMatrix, projection: projectionMatrix };
     }
 
-    createModel(modelId: string, animationName?: string): Model {
+    // An explicit instance id is only for restoring saved instances, it must not be in use
+    createModel(modelId: string, animationName?: string, id?: number): Model {
         // Verify model exists
         const modelData = this.modelLoader.getModelData(modelId);
         if (!modelData) {
@@ -105,11 +121,19 @@ export class InstanceManager implements IInstanceManager {
             );
         }
 
+        if (id !== undefined && this.instances.has(id)) {
+            throw this.createError(
+                ModelErrorCode.INVALID_DATA,
+                `Instance ${id} already exists`
+            );
+        }
+
         // Create instance data
         const instanceId: InstanceId = {
-            id: this.nextInstanceId++,
+            id: id ?? this.nextInstanceId++,
             modelId
         };
+        this.nextInstanceId = Math.max(this.nextInstanceId, instanceId.id + 1);
 
             if (modelData.animations.size > 0) {
                 if (!animationName || !modelData.animations.has(animationName)) {
@@ -120,15 +144,18 @@ export class InstanceManager implements IInstanceManager {
             animationName = undefined;
         }
 
+        const sceneNode = this.sceneGraph.createNode();
         const instanceData: InstanceData = {
             instanceId,
+            sceneNode,
             transform: {
                 position: new Float32Array([0, 0, 0]),
                 rotation: new Float32Array([0, 0, 0, 1]), // Quaternion
                 scale: new Float32Array([1, 1, 1])
             },
             renderOptions: {
-                useNormalMap: false
+                useNormalMap: this.defaultNormalMapEnabled,
+                layer: ''
             },
             animationState: {
                 currentAnimation: animationName ?? null,
@@ -140,11 +167,12 @@ export class InstanceManager implements IInstanceManager {
                 animationNodeTransforms: new WeakMap<Node, NodeTransforms>(),
                 boneMatrices: new WeakMap<Node, Float32Array>()
             },
-            worldMatrix: new Float32Array(16) // 4x4 matrix
+            worldMatrix: this.sceneGraph.getWorldMatrix(sceneNode)!
         };
 
         // Store instance
         this.instances.set(instanceId.id, instanceData);
+        this.dirtyInstances.add(instanceId.id);
 
         // Animate instance for 0 seconds to set bind pose
         this.updateAnimation(instanceData, 0);
@@ -156,8 +184,18 @@ export class InstanceManager implements IInstanceManager {
         return new Model(instanceId, this);
     }
 
-    deleteModel(instanceId: number): void {
+    // Instances attached to the deleted one are deleted with it, returns every deleted id
+    deleteModel(instanceId: number): number[] {
+        if (!this.instances.has(instanceId)) return [];
+        const deleted = [instanceId];
+        for (const [childId, attachment] of [...this.attachments]) {
+            if (attachment.parentId === instanceId) {
+                deleted.push(...this.deleteModel(childId));
+            }
+        }
+        this.attachments.delete(instanceId);
         this.cleanupInstance(instanceId);
+        return deleted;
     }
 
     updateInstance(instanceId: number, deltaTime: number): void {
@@ -168,18 +206,105 @@ export class InstanceManager implements IInstanceManager {
         if (instance.animationState.currentAnimation !== null ) {
             this.updateAnimation(instance, deltaTime);
         }
+    }
 
-        // Update world matrix if transform is dirty
-        if (this.dirtyInstances.has(instanceId)) {
-            this.updateWorldMatrix(instance);
+    // Advance every instance, e.g. once per host tick
+    update(deltaTime: number): void {
+        for (const instanceId of this.instances.keys()) {
+            this.updateInstance(instanceId, deltaTime);
         }
+        this.updateTransforms();
     }
 
-    render(viewProjection: { view: mat4, projection: mat4 }): void {
+    // Without layers every instance is drawn, otherwise only instances on one of the layers
+    render(viewProjection: { view: mat4, projection: mat4 }, layers?: readonly string[]): void {
+        this.updateTransforms();
         // Render each model group
         for (const [modelId, instanceGroup] of this.instancesByModel) {
-            this.renderModelInstances(modelId, instanceGroup, viewProjection);
+            const group = layers ? this.filterByLayer(instanceGroup, layers) : instanceGroup;
+            if (group.size === 0) continue;
+            this.renderModelInstances(modelId, group, viewProjection);
+        }
+    }
+
+    // Render into a context owned by a host renderer (e.g. Construct), leaving its state as found
+    renderEmbedded(
+        viewProjection: { view: mat4, projection: mat4 },
+        viewport: { x: number, y: number, width: number, height: number },
+        layers?: readonly string[],
+        clearMode: ClearMode = this.clearMode
+    ): void {
+        if (!this.hasInstancesOnLayers(layers)) return;
+
+        const cache = this.gpuResources.gpuResourceCache;
+        cache.cacheRenderMode();
+
+        this.gl.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
+        this.gl.disable(this.gl.SCISSOR_TEST);
+        this.gl.disable(this.gl.STENCIL_TEST);
+        this.gl.enable(this.gl.DEPTH_TEST);
+        this.gl.depthMask(true);
+        this.gl.depthFunc(this.gl.LESS);
+        this.gl.enable(this.gl.CULL_FACE);
+        this.gl.cullFace(this.gl.BACK);
+        this.gl.frontFace(this.gl.CCW);
+        this.gl.enable(this.gl.BLEND);
+        this.gl.blendEquation(this.gl.FUNC_ADD);
+        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+
+        // Models are depth tested against each other, not against the host's 2D content
+        if (clearMode === 'color-depth') {
+            this.gl.clearColor(...this.clearColor);
+            this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+        } else if (clearMode === 'depth') {
+            this.gl.clear(this.gl.DEPTH_BUFFER_BIT);
+        }
+
+        this.render(viewProjection, layers);
+
+        cache.restoreRenderMode();
+    }
+
+    hasInstancesOnLayers(layers?: readonly string[]): boolean {
+        if (!layers) return this.instances.size > 0;
+        for (const instance of this.instances.values()) {
+            if (layers.includes(instance.renderOptions.layer ?? '')) return true;
         }
+        return false;
+    }
+
+    // Nearest instance hit by a world space ray, only instances on one of the layers if given
+    pick(origin: ArrayLike<number>, direction: ArrayLike<number>, layers?: readonly string[]): PickResult | null {
+        this.updateTransforms();
+        const candidates: InstanceData[] = [];
+        for (const instance of this.instances.values()) {
+            if (layers && !layers.includes(instance.renderOptions.layer ?? '')) continue;
+            candidates.push(instance);
+        }
+        return this._picker.pick(candidates, origin, direction);
+    }
+
+    private filterByLayer(instanceGroup: Set<number>, layers: readonly string[]): Set<number> {
+        const group = new Set<number>();
+        for (const instanceId of instanceGroup) {
+            const layer = this.instances.get(instanceId)?.renderOptions.layer ?? '';
+            if (layers.includes(layer)) {
+                group.add(instanceId);
+            }
+        }
+        return group;
+    }
+
+    setClearMode(mode: ClearMode, color?: [number, number, number, number]): void {
+        this.clearMode = mode;
+        if (color) {
+            this.clearColor = color;
+        }
+    }
+
+    // Normal mapping state for instances created from now on
+    setDefaultNormalMapEnabled(enabled: boolean): void {
+        this.defaultNormalMapEnabled = enabled;
     }
 
     public setModelPosition(x: number, y: number, z: number, instance: Model): void {
@@ -210,6 +335,8 @@ export class InstanceManager implements IInstanceManager {
         const instanceData = this.instances.get(instance.instanceId.id);
         if (instanceData) {
             this._animationController.setBindPose(instanceData);
+            this.markSocketsDirty(instance.instanceId.id);
+            this.changes++;
         }
     }
 
@@ -238,6 +365,278 @@ export class InstanceManager implements IInstanceManager {
         }
     }
 
+    public setModelAnimationSpeed(speed: number, instance: Model): void {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (instanceData) {
+            instanceData.animationState.speed = speed;
+        }
+    }
+
+    public setModelAnimationLoop(loop: boolean, instance: Model): void {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (instanceData) {
+            instanceData.animationState.loop = loop;
+        }
+    }
+
+    public getModelAnimationState(instance: Model): Readonly<AnimationState> | null {
+        return this.instances.get(instance.instanceId.id)?.animationState ?? null;
+    }
+
+    public getModelAnimationDuration(instance: Model): number {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        return instanceData ? this._animationController.getDuration(instanceData) : 0;
+    }
+
+    public getModelAnimationNames(instance: Model): string[] {
+        const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
+        return modelData ? [...modelData.animations.keys()] : [];
+    }
+
+    public setModelLayer(layer: string, instance: Model): void {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (instanceData) {
+            instanceData.renderOptions.layer = layer;
+            this.changes++;
+        }
+    }
+
+    public getModelLayer(instance: Model): string {
+        return this.instances.get(instance.instanceId.id)?.renderOptions.layer ?? '';
+    }
+
+    public getModelSnapshot(instance: Model): InstanceSnapshot | null {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData) return null;
+        const { transform, animationState } = instanceData;
+        const attachment = this.attachments.get(instance.instanceId.id);
+        return {
+            modelId: instance.instanceId.modelId,
+            position: Array.from(transform.position),
+            rotation: Array.from(transform.rotation),
+            scale: Array.from(transform.scale),
+            useNormalMap: !!instanceData.renderOptions.useNormalMap,
+            layer: instanceData.renderOptions.layer ?? '',
+            ...(attachment && { attachment: { ...attachment } }),
+            animation: {
+                name: animationState.currentAnimation,
+                time: animationState.currentTime,
+                speed: animationState.speed,
+                loop: animationState.loop,
+                playing: animationState.playing
+            }
+        };
+    }
+
+    public restoreModelSnapshot(snapshot: InstanceSnapshot, instance: Model): void {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData) return;
+        instanceData.transform.position.set(snapshot.position);
+        instanceData.transform.rotation.set(snapshot.rotation);
+        instanceData.transform.scale.set(snapshot.scale);
+        instanceData.renderOptions.useNormalMap = snapshot.useNormalMap;
+        instanceData.renderOptions.layer = snapshot.layer ?? '';
+        // Attachments to parents that don't exist yet are left to the caller
+        const parent = snapshot.attachment && this.instances.get(snapshot.attachment.parentId);
+        if (parent && this.sceneGraph.reparentNode(instanceData.sceneNode, parent.sceneNode)) {
+            this.attachments.set(instance.instanceId.id, { ...snapshot.attachment! });
+        } else if (this.attachments.delete(instance.instanceId.id)) {
+            this.sceneGraph.reparentNode(instanceData.sceneNode, 0);
+        }
+
+        const animationState = instanceData.animationState;
+        const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
+        const name = snapshot.animation.name;
+        animationState.currentAnimation = name !== null && modelData?.animations.has(name) ? name : null;
+        animationState.currentTime = snapshot.animation.time;
+        animationState.speed = snapshot.animation.speed;
+        animationState.loop = snapshot.animation.loop;
+        animationState.playing = snapshot.animation.playing;
+        this._animationController.applyPose(instanceData);
+        this.dirtyInstances.add(instance.instanceId.id);
+        this.markSocketsDirty(instance.instanceId.id);
+    }
+
+    public getModelNodeNames(instance: Model): string[] {
+        const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
+        return modelData ? [...modelData.nodesByName.keys()] : [];
+    }
+
+    // Node or joint matrix as drawn: the instance's world matrix times the node's animated matrix
+    public getModelNodeWorldMatrix(name: string, instance: Model): mat4 | null {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        const node = this.modelLoader.getModelData(instance.instanceId.modelId)?.nodesByName.get(name);
+        if (!instanceData || !node) return null;
+        this.updateTransforms();
+        return mat4.multiply(mat4.create(), instanceData.worldMatrix, this.getNodeMatrix(instanceData, node));
+    }
+    public getModelNodeTransform(name: string, instance: Model): NodeTransform | null {
+        const matrix = this.getModelNodeWorldMatrix(name, instance);
+        if (!matrix) return null;
+        const position = mat4.getTranslation(vec3.create(), matrix);
+        const rotation = quat.normalize(quat.create(), mat4.getRotation(quat.create(), matrix));
+        return {
+            position: [position[0], position[1], position[2]],
+            rotation: [rotation[0], rotation[1], rotation[2], rotation[3]]
+        };
+    }
+
+    // The instance's transform becomes its offset from the parent's node or joint, '' for the parent's origin
+    public attachModel(parent: Model, node: string, instance: Model, offset: AttachmentOffset = {}): void {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData || !this.instances.has(parent.instanceId.id)) {
+            throw this.createError(
+                ModelErrorCode.RESOURCE_NOT_FOUND,
+                `Instance ${instanceData ? parent.instanceId.id : instance.instanceId.id} not found`
+            );
+        }
+        if (node && !this.modelLoader.getModelData(parent.instanceId.modelId)?.nodesByName.has(node)) {
+            throw this.createError(
+                ModelErrorCode.RESOURCE_NOT_FOUND,
+                `Node ${node} not found on instance ${parent.instanceId.id}`
+            );
+        }
+        const parentNode = this.instances.get(parent.instanceId.id)!.sceneNode;
+        if (!this.sceneGraph.reparentNode(instanceData.sceneNode, parentNode)) {
+            throw this.createError(
+                ModelErrorCode.INVALID_DATA,
+                `Instance ${instance.instanceId.id} cannot be attached to itself or its own attachments`
+            );
+        }
+
+        this.attachments.set(instance.instanceId.id, { parentId: parent.instanceId.id, node });
+        instanceData.transform.position.set(offset.position ?? [0, 0, 0]);
+        instanceData.transform.rotation.set(offset.rotation ?? [0, 0, 0, 1]);
+        instanceData.transform.scale.set(offset.scale ?? [1, 1, 1]);
+        this.dirtyInstances.add(instance.instanceId.id);
+    }
+
+    // Keeping the world pose turns the current world matrix back into the instance's transform
+    public detachModel(instance: Model, keepWorldPose = true): void {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData || !this.attachments.has(instance.instanceId.id)) return;
+        this.updateTransforms();
+        this.attachments.delete(instance.instanceId.id);
+        this.sceneGraph.reparentNode(instanceData.sceneNode, 0);
+        if (keepWorldPose) {
+            decomposeMatrix(instanceData.worldMatrix, instanceData.transform);
+        }
+        this.dirtyInstances.add(instance.instanceId.id);
+    }
+
+    public getModelAttachment(instance: Model): Attachment | null {
+        const attachment = this.attachments.get(instance.instanceId.id);
+        return attachment ? { ...attachment } : null;
+    }
+
+    public getModelChildren(instance: Model): number[] {
+        const children: number[] = [];
+        for (const [childId, attachment] of this.attachments) {
+            if (attachment.parentId === instance.instanceId.id) {
+                children.push(childId);
+            }
+        }
+        return children;
+    }
+
+    public getModelLocalTransform(instance: Model): TransformValues | null {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        return instanceData ? toTransformValues(instanceData.transform) : null;
+    }
+
+    public getModelWorldTransform(instance: Model): TransformValues | null {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData) return null;
+        this.updateTransforms();
+        return toTransformValues(decomposeMatrix(instanceData.worldMatrix));
+    }
+
+    // Sets world space values, the instance's local transform is solved from its parent
+    public setModelWorldTransform(values: Partial<TransformValues>, instance: Model): void {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData) return;
+        this.updateTransforms();
+        const world = decomposeMatrix(instanceData.worldMatrix);
+        if (values.position) world.position.set(values.position);
+        if (values.rotation) world.rotation.set(values.rotation);
+        if (values.scale) world.scale.set(values.scale);
+        const worldMatrix = mat4.fromRotationTranslationScale(mat4.create(), world.rotation, world.position, world.scale);
+
+        // Parent world matrix times the socket is what the local transform is relative to
+        const parentMatrix = mat4.clone(this.sceneGraph.getWorldMatrix(this.sceneGraph.getParent(instanceData.sceneNode)) ?? mat4.create());
+        const socketMatrix = this.getSocketMatrix(instance.instanceId.id);
+        if (socketMatrix) {
+            mat4.multiply(parentMatrix, parentMatrix, socketMatrix);
+        }
+        const inverseParent = mat4.invert(mat4.create(), parentMatrix);
+        if (!inverseParent) return;
+        decomposeMatrix(mat4.multiply(worldMatrix, inverseParent, worldMatrix), instanceData.transform);
+        this.dirtyInstances.add(instance.instanceId.id);
+    }
+
+    // Moves in the parent's space, or along the instance's own axes when local
+    public translateModel(x: number, y: number, z: number, instance: Model, local = false): void {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData) return;
+        const offset = vec3.fromValues(x, y, z);
+        if (local) {
+            vec3.transformQuat(offset, offset, instanceData.transform.rotation);
+        }
+        vec3.add(instanceData.transform.position, instanceData.transform.position, offset);
+        this.dirtyInstances.add(instance.instanceId.id);
+    }
+
+    // Turns about the instance's own axes when local, otherwise about its parent's
+    public rotateModel(quaternion: ArrayLike<number>, instance: Model, local = true): void {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData) return;
+        const rotation = instanceData.transform.rotation;
+        const delta = quat.fromValues(quaternion[0], quaternion[1], quaternion[2], quaternion[3]);
+        if (local) {
+            quat.multiply(rotation, rotation, delta);
+        } else {
+            quat.multiply(rotation, delta, rotation);
+        }
+        quat.normalize(rotation, rotation);
+        this.dirtyInstances.add(instance.instanceId.id);
+    }
+
+    // Turns the instance's forward axis toward a world point, keeping its up axis toward up
+    public lookAtModel(x: number, y: number, z: number, instance: Model, up: ArrayLike<number> = [0, 1, 0]): void {
+        const position = this.getModelWorldTransform(instance)?.position;
+        if (!position) return;
+        const target = vec3.fromValues(x, y, z);
+        const direction = vec3.subtract(vec3.create(), target, position);
+        if (vec3.length(direction) < 1e-9) return;
+        let upAxis = vec3.fromValues(up[0], up[1], up[2]);
+        // Looking along the up axis leaves the turn undefined, fall back to another up
+        if (vec3.length(vec3.cross(vec3.create(), direction, upAxis)) < 1e-9) {
+            upAxis = Math.abs(direction[2]) < Math.abs(direction[1]) ? vec3.fromValues(0, 0, 1) : vec3.fromValues(0, 1, 0);
+        }
+        // targetTo points +Z from its target to its eye, so the eye is the point looked at
+        const matrix = mat4.targetTo(mat4.create(), target, position, upAxis);
+        const rotation = quat.normalize(quat.create(), mat4.getRotation(quat.create(), matrix));
+        this.setModelWorldTransform({ rotation: [rotation[0], rotation[1], rotation[2], rotation[3]] }, instance);
+    }
+
+    public getModelAxes(instance: Model): TransformAxes | null {
+        const rotation = this.getModelWorldTransform(instance)?.rotation;
+        if (!rotation) return null;
+        const axis = (x: number, y: number, z: number): [number, number, number] => {
+            const direction = vec3.transformQuat(vec3.create(), [x, y, z], rotation);
+            return [direction[0], direction[1], direction[2]];
+        };
+        return { forward: axis(0, 0, 1), right: axis(-1, 0, 0), up: axis(0, 1, 0) };
+    }
+
+    addAnimationListener(listener: AnimationListener): void {
+        this._animationController.addListener(listener);
+    }
+
+    removeAnimationListener(listener: AnimationListener): void {
+        this._animationController.removeListener(listener);
+    }
+
     private createError(code: ModelErrorCode, message: string): ModelError {
         return { name: 'ModelError', code, message };
     }
@@ -265,30 +664,57 @@ export class InstanceManager implements IInstanceManager {
         if (instance.animationState.currentAnimation === null || !instance.animationState.playing) return;
 
         this._animationController.updateAnimation(instance, deltaTime);
-        this.dirtyInstances.add(instance.instanceId.id);
+        this.markSocketsDirty(instance.instanceId.id);
+        this.changes++;
     }
 
-    private updateWorldMatrixWithScale(instance: InstanceData): void {
-        // Calculate world matrix from position, rotation, and scale
-        const matrix = mat4.create();
-        // Create translation matrix
-        mat4.fromTranslation(matrix, instance.transform.position);
-        
-        // Create rotation matrix and multiply with existing matrix
-        const rotationMatrix = mat4.create();
-        mat4.fromQuat(rotationMatrix, instance.transform.rotation);
-        mat4.multiply(matrix, matrix, rotationMatrix);
-        
-        // Apply scale
-        mat4.scale(matrix, matrix, instance.transform.scale);
-        instance.worldMatrix.set(matrix);
+    // Instances attached to a node move with the parent's pose
+    private markSocketsDirty(instanceId: number): void {
+        for (const [childId, attachment] of this.attachments) {
+            if (attachment.parentId === instanceId && attachment.node) {
+                this.dirtyInstances.add(childId);
+            }
+        }
     }
 
-    private updateWorldMatrix(instance: InstanceData): void {
-        // Calculate world matrix from position, rotation, and scale
-       const srtMatrix = mat4.create();
-       mat4.fromRotationTranslationScale(srtMatrix, instance.transform.rotation, instance.transform.position, instance.transform.scale);
-       instance.worldMatrix.set(srtMatrix);
+    // Rebuild the local matrices of changed instances, then the world matrices of their subtrees
+    private updateTransforms(): void {
+        if (this.dirtyInstances.size > 0) {
+            this.changes++;
+        }
+        for (const instanceId of this.dirtyInstances) {
+            const instance = this.instances.get(instanceId);
+            if (instance) {
+                this.updateLocalMatrix(instance);
+            }
+        }
+        this.dirtyInstances.clear();
+        this.sceneGraph.updateWorldMatrices();
+    }
+
+    private updateLocalMatrix(instance: InstanceData): void {
+        // Calculate local matrix from position, rotation, and scale
+        const srtMatrix = mat4.create();
+        mat4.fromRotationTranslationScale(srtMatrix, instance.transform.rotation, instance.transform.position, instance.transform.scale);
+        const socketMatrix = this.getSocketMatrix(instance.instanceId.id);
+        if (socketMatrix) {
+            mat4.multiply(srtMatrix, socketMatrix, srtMatrix);
+        }
+        this.sceneGraph.setLocalMatrix(instance.sceneNode, srtMatrix as Float32Array);
+    }
+
+    // Animated matrix of the node an attached instance hangs from, in the parent's model space
+    private getSocketMatrix(instanceId: number): mat4 | null {
+        const attachment = this.attachments.get(instanceId);
+        const parent = attachment?.node && this.instances.get(attachment.parentId);
+        if (!parent) return null;
+        const node = this.modelLoader.getModelData(parent.instanceId.modelId)?.nodesByName.get(attachment.node);
+        return node ? this.getNodeMatrix(parent, node) : null;
+    }
+
+    // Nodes of instances that were never posed are at their rest pose
+    private getNodeMatrix(instance: InstanceData, node: Node): mat4 {
+        return instance.animationState.animationMatrices.get(node) ?? node.getWorldMatrix();
     }
 
     private renderModelInstances(
@@ -315,9 +741,6 @@ export class InstanceManager implements IInstanceManager {
                 renderOptions.useNormalMap ?? false
             );
 
-            // Update world matrix
-            this.updateWorldMatrix(instance);
-
             // For each mesh in the model
             for (const renderableNode of modelData.renderableNodes) {
                 const mesh = renderableNode.modelMesh;
@@ -442,6 +865,8 @@ export class InstanceManager implements IInstanceManager {
         // Remove instance data
         this.instances.delete(instanceId);
         this.dirtyInstances.delete(instanceId);
+        this.changes++;
+        this.sceneGraph.removeNode(instance.sceneNode);
     }
 
     public setModelNormalMapEnabled(enabled: boolean, instance: Model): void {
@@ -452,7 +877,43 @@ export class InstanceManager implements IInstanceManager {
         }
     }
 
+    get instanceCountsByModel(): Map<string, number> {
+        const counts = new Map<string, number>();
+        for (const [modelId, group] of this.instancesByModel) {
+            counts.set(modelId, group.size);
+        }
+        return counts;
+    }
+
+    // Anything drawn or picked differs once this changes, so per-frame work can be skipped while it holds.
+    // World matrices are brought up to date first
+    get changeCount(): number {
+        this.updateTransforms();
+        return this.changes;
+    }
+
     get animationController(): AnimationController {
         return this._animationController;
     }
 }
+
+// Position, rotation and scale of an affine matrix, into an existing transform if given
+function decomposeMatrix(matrix: mat4, transform: Transform = {
+    position: new Float32Array(3),
+    rotation: new Float32Array(4),
+    scale: new Float32Array(3)
+}): Transform {
+    mat4.getTranslation(transform.position, matrix);
+    mat4.getScaling(transform.scale, matrix);
+    quat.normalize(transform.rotation, mat4.getRotation(transform.rotation, matrix));
+    return transform;
+}
+
+function toTransformValues(transform: Transform): TransformValues {
+    const { position, rotation, scale } = transform;
+    return {
+        position: [position[0], position[1], position[2]],
+        rotation: [rotation[0], rotation[1], rotation[2], rotation[3]],
+        scale: [scale[0], scale[1], scale[2]]
+    };
+}
@@ -0,0 +1,155 @@
+import { BASIS } from './basis/basis_transcoder';
+import { TextureLevel } from './types';
+
+// Subset of the Basis Universal transcoder's KTX2File binding used here
+interface KTX2File {
+    isValid(): boolean;
+    isUASTC(): boolean;
+    getWidth(): number;
+    getHeight(): number;
+    getLevels(): number;
+    getHasAlpha(): boolean;
+    startTranscoding(): boolean;
+    getImageLevelInfo(level: number, layer: number, face: number): { origWidth: number, origHeight: number };
+    getImageTranscodedSizeInBytes(level: number, layer: number, face: number, format: number): number;
+    transcodeImage(dst: Uint8Array, level: number, layer: number, face: number, format: number, getAlphaForOpaqueFormats: number, channel0: number, channel1: number): number;
+    close(): void;
+    delete(): void;
+}
+
+interface BasisModule {
+    initializeBasis(): void;
+    KTX2File: new (data: Uint8Array) => KTX2File;
+}
+
+// Basis transcoder_texture_format values
+const TranscoderFormat = {
+    ETC1_RGB: 0,
+    ETC2_RGBA: 1,
+    BC1_RGB: 2,
+    BC3_RGBA: 3,
+    BC7_RGBA: 6,
+    ASTC_4x4_RGBA: 10,
+    RGBA32: 13
+};
+
+// GPU formats in order of preference for each kind of Basis data. ETC1 data is valid ETC2 RGB
+interface TargetFormat {
+    extension: string;
+    opaque: [number, number];
+    alpha: [number, number];
+}
+
+const ASTC: TargetFormat = {
+    extension: 'WEBGL_compressed_texture_astc',
+    opaque: [TranscoderFormat.ASTC_4x4_RGBA, 0x93B0],   // COMPRESSED_RGBA_ASTC_4x4_KHR
+    alpha: [TranscoderFormat.ASTC_4x4_RGBA, 0x93B0]
+};
+const BC7: TargetFormat = {
+    extension: 'EXT_texture_compression_bptc',
+    opaque: [TranscoderFormat.BC7_RGBA, 0x8E8C],        // COMPRESSED_RGBA_BPTC_UNORM_EXT
+    alpha: [TranscoderFormat.BC7_RGBA, 0x8E8C]
+};
+const ETC2: TargetFormat = {
+    extension: 'WEBGL_compressed_texture_etc',
+    opaque: [TranscoderFormat.ETC1_RGB, 0x9274],        // COMPRESSED_RGB8_ETC2
+    alpha: [TranscoderFormat.ETC2_RGBA, 0x9278]         // COMPRESSED_RGBA8_ETC2_EAC
+};
+const S3TC: TargetFormat = {
+    extension: 'WEBGL_compressed_texture_s3tc',
+    opaque: [TranscoderFormat.BC1_RGB, 0x83F0],         // COMPRESSED_RGB_S3TC_DXT1_EXT
+    alpha: [TranscoderFormat.BC3_RGBA, 0x83F3]          // COMPRESSED_RGBA_S3TC_DXT5_EXT
+};
+
+// ETC1S transcodes fastest to ETC, UASTC keeps most quality in ASTC and BC7
+const ETC1S_FORMATS = [ETC2, BC7, S3TC];
+const UASTC_FORMATS = [ASTC, BC7, ETC2, S3TC];
+
+export interface TranscodedTexture {
+    // A compressed internal format, or RGBA8 when the GPU supports none of the targets
+    format: number;
+    levels: TextureLevel[];
+}
+
+// Transcodes KHR_texture_basisu KTX2 images to a compressed format the GPU supports.
+// The wasm is only fetched once the first KTX2 texture is met, it ships once in Addon/Files
+export class KTX2Transcoder {
+    private gl: WebGL2RenderingContext;
+    private locateWasm: () => Promise<string | undefined>;
+    private module: Promise<BasisModule> | null = null;
+    private supported: Set<TargetFormat> | null = null;
+
+    constructor(gl: WebGL2RenderingContext, locateWasm: () => Promise<string | undefined>) {
+        this.gl = gl;
+        this.locateWasm = locateWasm;
+    }
+
+    async transcode(data: Uint8Array): Promise<TranscodedTexture> {
+        const basis = await this.getModule();
+        const file = new basis.KTX2File(data);
+        try {
+            if (!file.isValid()) {
+                throw new Error('invalid KTX2 data');
+            }
+            const width = file.getWidth();
+            const height = file.getHeight();
+            const levelCount = file.getLevels();
+            if (!width || !height || !levelCount) {
+                throw new Error('KTX2 image has no levels');
+            }
+            if (!file.startTranscoding()) {
+                throw new Error('KTX2 transcoding could not start');
+            }
+            const [transcoderFormat, format] = this.chooseFormat(file.isUASTC(), file.getHasAlpha(), width, height);
+            const levels: TextureLevel[] = [];
+            for (let level = 0; level < levelCount; level++) {
+                const { origWidth, origHeight } = file.getImageLevelInfo(level, 0, 0);
+                const levelData = new Uint8Array(file.getImageTranscodedSizeInBytes(level, 0, 0, transcoderFormat));
+                if (!file.transcodeImage(levelData, level, 0, 0, transcoderFormat, 0, -1, -1)) {
+                    throw new Error(`KTX2 level ${level} failed to transcode`);
+                }
+                levels.push({ width: origWidth, height: origHeight, data: levelData });
+            }
+            return { format, levels };
+        } finally {
+            file.close();
+            file.delete();
+        }
+    }
+
+    private getModule(): Promise<BasisModule> {
+        if (!this.module) {
+            this.module = (async () => {
+                const wasmPath = await this.locateWasm();
+                const basis = await (BASIS as (module?: object) => Promise<BasisModule>)(wasmPath ? {
+                    locateFile: (file: string) => file.endsWith('.wasm') ? wasmPath : file
+                } : undefined);
+                basis.initializeBasis();
+                console.info('[rendera] KTX2Transcoder: basis transcoder loaded');
+                return basis;
+            })();
+            // A failed load is retried by the next texture
+            this.module.catch(() => { this.module = null; });
+        }
+        return this.module;
+    }
+
+    private chooseFormat(uastc: boolean, hasAlpha: boolean, width: number, height: number): [number, number] {
+        // Block formats need whole 4x4 blocks at the top level
+        if (width % 4 === 0 && height % 4 === 0) {
+            const supported = this.getSupportedFormats();
+            const target = (uastc ? UASTC_FORMATS : ETC1S_FORMATS).find((format) => supported.has(format));
+            if (target) {
+                return hasAlpha ? target.alpha : target.opaque;
+            }
+        }
+        return [TranscoderFormat.RGBA32, this.gl.RGBA8];
+    }
+
+    private getSupportedFormats(): Set<TargetFormat> {
+        if (!this.supported) {
+            this.supported = new Set([ASTC, BC7, ETC2, S3TC].filter((format) => this.gl.getExtension(format.extension)));
+        }
+        return this.supported;
+    }
+}
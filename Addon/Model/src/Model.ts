@@ -1,4 +1,5 @@
-import { InstanceId, IModel, IInstanceManager, AnimationOptions } from './types';
+import { InstanceId, IModel, IInstanceManager, AnimationOptions, NodeTransform, Attachment, AttachmentOffset, TransformValues } from './types';
+import { eulerToQuaternion, quaternionToEuler } from './euler';
 
 export class Model implements IModel {
     readonly instanceId: InstanceId;
@@ -41,6 +42,138 @@ export class Model implements IModel {
         this._manager.setModelBindPose(this);
     }
 
+    public setAnimationSpeed(speed: number): void {
+        this._manager.setModelAnimationSpeed(speed, this);
+    }
+
+    public setAnimationLoop(loop: boolean): void {
+        this._manager.setModelAnimationLoop(loop, this);
+    }
+
+    get animationName(): string | null {
+        return this._manager.getModelAnimationState(this)?.currentAnimation ?? null;
+    }
+
+    get animationTime(): number {
+        return this._manager.getModelAnimationState(this)?.currentTime ?? 0;
+    }
+
+    get animationDuration(): number {
+        return this._manager.getModelAnimationDuration(this);
+    }
+
+    get isAnimationPlaying(): boolean {
+        const state = this._manager.getModelAnimationState(this);
+        return !!state && state.playing && state.currentAnimation !== null;
+    }
+
+    get animationNames(): string[] {
+        return this._manager.getModelAnimationNames(this);
+    }
+
+    public setLayer(layer: string): void {
+        this._manager.setModelLayer(layer, this);
+    }
+
+    get layer(): string {
+        return this._manager.getModelLayer(this);
+    }
+
+    get nodeNames(): string[] {
+        return this._manager.getModelNodeNames(this);
+    }
+
+    public getNodeTransform(name: string): NodeTransform | null {
+        return this._manager.getModelNodeTransform(name, this);
+    }
+
+    public attachTo(parent: Model, node = '', offset?: AttachmentOffset): void {
+        this._manager.attachModel(parent, node, this, offset);
+    }
+
+    public detach(keepWorldPose = true): void {
+        this._manager.detachModel(this, keepWorldPose);
+    }
+
+    get attachment(): Attachment | null {
+        return this._manager.getModelAttachment(this);
+    }
+
+    // Relative to the parent when attached, the same as the world transform otherwise
+    get localTransform(): TransformValues | null {
+        return this._manager.getModelLocalTransform(this);
+    }
+
+    get worldTransform(): TransformValues | null {
+        return this._manager.getModelWorldTransform(this);
+    }
+
+    public setWorldPosition(x: number, y: number, z: number): void {
+        this._manager.setModelWorldTransform({ position: [x, y, z] }, this);
+    }
+
+    public setWorldRotation(quaternion: ArrayLike<number>): void {
+        this._manager.setModelWorldTransform({ rotation: [quaternion[0], quaternion[1], quaternion[2], quaternion[3]] }, this);
+    }
+
+    public setWorldScale(x: number, y: number, z: number): void {
+        this._manager.setModelWorldTransform({ scale: [x, y, z] }, this);
+    }
+
+    // Position, rotation and scale read back the local transform, as set
+    get position(): [number, number, number] {
+        return this.localTransform?.position ?? [0, 0, 0];
+    }
+
+    get quaternion(): [number, number, number, number] {
+        return this.localTransform?.rotation ?? [0, 0, 0, 1];
+    }
+
+    get scale(): [number, number, number] {
+        return this.localTransform?.scale ?? [1, 1, 1];
+    }
+
+    // Degrees, applied in X, Y, Z order
+    get eulerAngles(): [number, number, number] {
+        return quaternionToEuler(this.quaternion);
+    }
+
+    public setEulerAngles(x: number, y: number, z: number): void {
+        this._manager.setModelRotation(new Float32Array(eulerToQuaternion(x, y, z)), this);
+    }
+
+    // Moves in the parent's space
+    public translate(x: number, y: number, z: number): void {
+        this._manager.translateModel(x, y, z, this);
+    }
+
+    // Moves along the instance's own axes
+    public translateLocal(x: number, y: number, z: number): void {
+        this._manager.translateModel(x, y, z, this, true);
+    }
+
+    // Turns by Euler angles in degrees about the instance's own axes
+    public rotate(x: number, y: number, z: number): void {
+        this._manager.rotateModel(eulerToQuaternion(x, y, z), this);
+    }
+
+    public lookAt(x: number, y: number, z: number, up?: ArrayLike<number>): void {
+        this._manager.lookAtModel(x, y, z, this, up);
+    }
+
+    // World space unit vectors, glTF style: +Z forward, -X right, +Y up
+    get forward(): [number, number, number] {
+        return this._manager.getModelAxes(this)?.forward ?? [0, 0, 1];
+    }
+
+    get right(): [number, number, number] {
+        return this._manager.getModelAxes(this)?.right ?? [-1, 0, 0];
+    }
+
+    get up(): [number, number, number] {
+        return this._manager.getModelAxes(this)?.up ?? [0, 1, 0];
+    }
+
     // Additional convenience methods
     public setQuaternion(x: number, y: number, z: number, w: number): void {
         const quat = new Float32Array([x, y, z, w]);
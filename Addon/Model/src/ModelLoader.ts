@@ -1,48 +1,206 @@
-import { Animation,Accessor, Document, Node, Primitive, WebIO, Texture, Mesh, TextureInfo } from '@gltf-transform/core';
+import { Animation,Accessor, Document, Node, Primitive, Texture, Mesh, TextureInfo, JSONDocument, GLTF, ImageUtils } from '@gltf-transform/core';
 import { ModelError, ModelErrorCode, createModelError } from './errors';
-import { AttributeSemantic, ModelId, ModelData, IGPUResourceManager, MeshPrimitive, MaterialData, IModelLoader, SAMPLER_TEXTURE_UNIT_MAP, ModelMesh } from './types';
+import { AttributeSemantic, ModelId, ModelData, IGPUResourceManager, MeshPrimitive, MaterialData, IModelLoader, SAMPLER_TEXTURE_UNIT_MAP, ModelMesh, ModelLoadState, ModelLoadEvent, ModelLoadListener, ModelLoaderOptions, PickGeometry, ModelLoadPhase, ModelLoadProgress, ReadDocumentOptions, ModelSource } from './types';
 import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
 import { DracoDecoderModule } from './draco/draco_decoder_gltf';
+import { MeshoptDecoder } from './meshopt/meshopt_decoder.module';
 import { mat4} from 'gl-matrix';
 import { MaterialSystem } from './MaterialSystem';
+import { ProjectFileIO } from './ProjectFileIO';
+import { KTX2Transcoder, TranscodedTexture } from './KTX2Transcoder';
+
+// Image types createImageBitmap may decode, whether it can depends on the browser
+const DECODABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/avif'];
+
+// Share of the whole load each phase covers, downloads usually dominate
+const LOAD_PHASE_RANGES: Record<ModelLoadPhase, [number, number]> = {
+    download: [0, 0.8],
+    parse: [0.8, 0.9],
+    upload: [0.9, 1]
+};
+
 export class ModelLoader implements IModelLoader {
     public gl: WebGL2RenderingContext;
     private loadedModels: Map<string, ModelData> = new Map();
     private gpuResources: IGPUResourceManager;
-    private webio!: WebIO;
+    // Resolves once the decoders are registered, every read waits for it
+    private webio: Promise<ProjectFileIO>;
     private _pendingDocuments = new Map<string, Document>();
-
-    constructor(gl: WebGL2RenderingContext, gpuResources: IGPUResourceManager) {
+    private loadStates = new Map<string, ModelLoadState>();
+    private loadListeners = new Set<ModelLoadListener>();
+    private loadProgress = new Map<string, ModelLoadProgress>();
+    // Loads that can still be cancelled, by model id
+    private loadControllers = new Map<string, AbortController>();
+    private options: ModelLoaderOptions;
+    private ktx2Transcoder: KTX2Transcoder;
+
+    constructor(gl: WebGL2RenderingContext, gpuResources: IGPUResourceManager, options: ModelLoaderOptions = {}) {
         this.gl = gl;
         this.gpuResources = gpuResources;
-        this.createWebIO();
+        this.options = options;
+        this.webio = this.createWebIO();
+        // Reads report a failed setup, this only keeps it from going unhandled
+        this.webio.catch((error) => console.error('[rendera] ModelLoader: decoder setup failed', error));
+        this.ktx2Transcoder = new KTX2Transcoder(gl, async () => this.options.basisTranscoderPath && (await this.webio).toUrl(this.options.basisTranscoderPath));
     }
 
-    private async createWebIO(): Promise<void> {
-        const dracoDecoder = await (DracoDecoderModule as () => Promise<unknown>)();
-        console.log('ModelLoader: dracoDecoder loaded')
-        this.webio = new WebIO()
+    private async createWebIO(): Promise<ProjectFileIO> {
+        const io = new ProjectFileIO(this.options.resolveUrl);
+        const dracoDecoderPath = this.options.dracoDecoderPath && await io.toUrl(this.options.dracoDecoderPath);
+        const [dracoDecoder] = await Promise.all([
+            (DracoDecoderModule as (module?: object) => Promise<unknown>)(dracoDecoderPath ? {
+                locateFile: (file: string) => file.endsWith('.wasm') ? dracoDecoderPath : file
+            } : undefined),
+            // The meshopt wasm is inlined in the bundle, it only needs compiling
+            MeshoptDecoder.ready
+        ]);
+        console.log('ModelLoader: dracoDecoder and meshoptDecoder loaded')
+        return io
             .registerExtensions([...ALL_EXTENSIONS])
             .registerDependencies({
-                'draco3d.decoder': dracoDecoder
+                'draco3d.decoder': dracoDecoder,
+                'meshopt.decoder': MeshoptDecoder
             });
     }
 
-    async readDocument(url: string): Promise<boolean> {
+    async readDocument(url: string, options: ReadDocumentOptions = {}): Promise<boolean> {
+        // Pending documents are keyed by model id, so processModel stores them where hasModel looks
+        return this.readInto(this.generateModelId(url), url, options, (io) => io.readAsJSON(url));
+    }
+
+    // .glb or self-contained .gltf data already in memory, or a data: URI of either
+    async readBinary(modelId: ModelId, data: ModelSource, options: ReadDocumentOptions = {}): Promise<boolean> {
+        return this.readInto(modelId, modelId.id, options, async (io, onProgress) => {
+            if (typeof data === 'string') {
+                if (!data.startsWith('data:')) {
+                    throw new Error('Only data: URIs can be read as model data, load URLs with readDocument');
+                }
+                return io.readAsJSON(data);
+            }
+            const view = data instanceof Blob
+                ? new Uint8Array(await data.arrayBuffer())
+                : ArrayBuffer.isView(data)
+                    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+                    : new Uint8Array(data);
+            onProgress(view.byteLength, view.byteLength);
+            if (isGLB(view)) {
+                return io.binaryToJSON(view);
+            }
+            return { json: JSON.parse(new TextDecoder().decode(view)), resources: {} };
+        });
+    }
+
+    // glTF JSON with its external buffers and images by URI, embedded data: URIs need no entry
+    async readJSON(modelId: ModelId, json: GLTF.IGLTF | string, resources: Record<string, Uint8Array> = {}, options: ReadDocumentOptions = {}): Promise<boolean> {
+        return this.readInto(modelId, modelId.id, options, async () => ({
+            json: typeof json === 'string' ? JSON.parse(json) : json,
+            resources
+        }));
+    }
+
+    // Reads into a pending document under the model id, failures and cancels are also sent as load events
+    private async readInto(
+        modelId: ModelId,
+        source: string,
+        options: ReadDocumentOptions,
+        read: (io: ProjectFileIO, onProgress: (loaded: number, total: number) => void) => Promise<JSONDocument>
+    ): Promise<boolean> {
+        const controller = new AbortController();
+        const { signal } = controller;
+        this.loadControllers.set(modelId.id, controller);
+        if (options.signal?.aborted) {
+            controller.abort();
+        } else {
+            options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+        this.loadStates.set(modelId.id, 'reading');
+        this.loadProgress.delete(modelId.id);
+        this.reportProgress(modelId, 'download', 0, 0, 0);
         try {
-            const document = await this.webio.read(url);
-            console.info('[rendera] ModelLoader: read', url);
-            this._pendingDocuments.set(url, document);
+            // Nothing to fetch counts as fetched, empty data reports 0 of 0 bytes
+            const onProgress = (loaded: number, total: number) => this.reportProgress(modelId, 'download', total > 0 ? loaded / total : 1, loaded, total);
+            const io = (await this.webio).forLoad({ signal, onProgress });
+            if (signal.aborted) throw new Error('Aborted');
+            const jsonDocument = await read(io, onProgress);
+            if (signal.aborted) throw new Error('Aborted');
+            this.reportProgress(modelId, 'parse', 0);
+            const document = await io.readJSON(jsonDocument);
+            if (signal.aborted) throw new Error('Aborted');
+            console.info('[rendera] ModelLoader: read', source.startsWith('data:') ? modelId.id : source);
+            this._pendingDocuments.set(modelId.id, document);
+            this.loadStates.set(modelId.id, 'pending');
             return true;
         } catch (error) {
-            throw this.createModelError(ModelErrorCode.LOAD_FAILED, `Failed to read document: ${error}`);
+            const modelError = signal.aborted
+                ? this.createModelError(ModelErrorCode.LOAD_CANCELLED, `Load of ${modelId.id} was cancelled`, modelId.id)
+                : this.createModelError(ModelErrorCode.LOAD_FAILED, `Failed to read document: ${error}`, modelId.id);
+            this.failLoad(modelId, modelError);
+            throw modelError;
         }
     }
 
+    // Stops a load that has not finished, it fails with LOAD_CANCELLED
+    cancelLoad(modelId: ModelId): boolean {
+        const controller = this.loadControllers.get(modelId.id);
+        if (!controller) return false;
+        controller.abort();
+        // Reads fail when their fetch rejects and processing checks once it is done, a waiting document fails now
+        if (this._pendingDocuments.delete(modelId.id)) {
+            this.failLoad(modelId, this.createModelError(ModelErrorCode.LOAD_CANCELLED, 'Load was cancelled', modelId.id));
+        }
+        return true;
+    }
+
     hasModel(modelId: ModelId): boolean {
         return this.loadedModels.has(modelId.id);
     }
 
+    getLoadState(modelId: ModelId): ModelLoadState | null {
+        return this.loadStates.get(modelId.id) ?? null;
+    }
+
+    getLoadProgress(modelId: ModelId): ModelLoadProgress | null {
+        return this.loadProgress.get(modelId.id) ?? null;
+    }
+
+    addLoadListener(listener: ModelLoadListener): void {
+        this.loadListeners.add(listener);
+    }
+
+    removeLoadListener(listener: ModelLoadListener): void {
+        this.loadListeners.delete(listener);
+    }
+
+    private emitLoadEvent(event: ModelLoadEvent): void {
+        for (const listener of this.loadListeners) {
+            listener(event);
+        }
+    }
+
+    // Progress never goes back within a phase, though a new resource can grow the download total
+    private reportProgress(modelId: ModelId, phase: ModelLoadPhase, fraction: number, loaded?: number, total?: number): void {
+        const previous = this.loadProgress.get(modelId.id);
+        const [start, end] = LOAD_PHASE_RANGES[phase];
+        const current: ModelLoadProgress = {
+            phase,
+            loaded: loaded ?? previous?.loaded ?? 0,
+            total: total ?? previous?.total ?? 0,
+            progress: Math.max(start + (end - start) * Math.min(fraction, 1), previous?.progress ?? 0)
+        };
+        this.loadProgress.set(modelId.id, current);
+        // Streaming reports every chunk, listeners hear about each whole percent
+        if (previous && previous.phase === phase && Math.floor(previous.progress * 100) === Math.floor(current.progress * 100)) {
+            return;
+        }
+        this.emitLoadEvent({ type: 'progress', modelId: modelId.id, ...current });
+    }
+
+    private failLoad(modelId: ModelId, error: ModelError): void {
+        this.loadControllers.delete(modelId.id);
+        this.loadStates.set(modelId.id, 'failed');
+        this.emitLoadEvent({ type: 'failed', modelId: modelId.id, error });
+    }
+
     async processModel(modelId: ModelId): Promise<boolean> {
 
         const document = this._pendingDocuments.get(modelId.id);
@@ -52,18 +210,47 @@ export class ModelLoader implements IModelLoader {
             return false;
         }
 
-        const modelData = await this.processDocument(document);
-        if (!modelData) {
-            console.error('[rendera] ModelLoader: processModel - modelData not found', modelId.id);
+        const signal = this.loadControllers.get(modelId.id)?.signal;
+        if (signal?.aborted) {
+            this.failLoad(modelId, this.createModelError(ModelErrorCode.LOAD_CANCELLED, 'Load was cancelled', modelId.id));
+            return false;
+        }
+
+        this.loadStates.set(modelId.id, 'processing');
+        this.reportProgress(modelId, 'upload', 0);
+        let modelData: ModelData;
+        try {
+            modelData = await this.processDocument(document);
+        } catch (error) {
+            console.error('[rendera] ModelLoader: processModel - failed', modelId.id, error);
+            const modelError = (error as ModelError).code
+                ? { ...(error as ModelError), modelId: modelId.id }
+                : this.createModelError(ModelErrorCode.INVALID_MODEL, `Failed to process document: ${error}`, modelId.id);
+            this.failLoad(modelId, modelError);
             return false;
         }
         
+        // Uploads can't be stopped part way, a cancel during them drops the result
+        if (signal?.aborted) {
+            this.cleanupModelResources(modelData);
+            this.failLoad(modelId, this.createModelError(ModelErrorCode.LOAD_CANCELLED, 'Load was cancelled', modelId.id));
+            return false;
+        }
+
         // Store model data
+        this.loadControllers.delete(modelId.id);
+        this.reportProgress(modelId, 'upload', 1);
         this.loadedModels.set(modelId.id, modelData);
+        this.loadStates.set(modelId.id, 'loaded');
         console.info('[rendera] ModelLoader: processModel - modelData loaded', modelId.id);
+        this.emitLoadEvent({ type: 'loaded', modelId: modelId.id });
         return true;
     }
 
+    get loadedModelIds(): string[] {
+        return [...this.loadedModels.keys()];
+    }
+
     get pendingDocuments(): Map<string, Document> {
         return this._pendingDocuments;
     }
@@ -93,6 +280,8 @@ export class ModelLoader implements IModelLoader {
         // Clean up GPU resources
         this.cleanupModelResources(modelData);
         this.loadedModels.delete(modelId);
+        this.loadStates.delete(modelId);
+        this.loadProgress.delete(modelId);
     }
 
     private async processDocument(document: Document): Promise<ModelData> {
@@ -103,6 +292,7 @@ export class ModelLoader implements IModelLoader {
             jointData: [],
             rootNode: document.getRoot().listScenes()[0].listChildren()[0],
             scene: document.getRoot().listScenes()[0],
+            nodesByName: new Map(),
             renderableNodes: [],
             materialSystem: new MaterialSystem(this.gl, SAMPLER_TEXTURE_UNIT_MAP)
         };
@@ -124,6 +314,7 @@ export class ModelLoader implements IModelLoader {
         console.log('ModelLoader: processJoints', modelData);
         await this.processRenderableNodes(document, modelData);
         console.log('ModelLoader: processRenderableNodes', modelData);
+        this.processNodeNames(modelData);
         this.gpuResources.gpuResourceCache.restoreModelMode();
         await this.processMaterials(document, modelData);
         console.log('ModelLoader: processMaterials', modelData);
@@ -149,6 +340,21 @@ export class ModelLoader implements IModelLoader {
         });
     }
 
+    // Unnamed joints go by their generated joint names
+    private processNodeNames(modelData: ModelData): void {
+        modelData.scene.traverse(node => {
+            const name = node.getName();
+            if (name && !modelData.nodesByName.has(name)) {
+                modelData.nodesByName.set(name, node);
+            }
+        });
+        for (const joint of modelData.jointData) {
+            if (!modelData.nodesByName.has(joint.name)) {
+                modelData.nodesByName.set(joint.name, joint.node);
+            }
+        }
+    }
+
     private processMesh(mesh: Mesh, document: Document): ModelMesh {
         const modelMesh: ModelMesh = {
             primitives: [],
@@ -257,11 +463,53 @@ export class ModelLoader implements IModelLoader {
             indexType: this.getIndexType(indices ?? null),
             vertexCount: positionAttribute.getCount(),
             hasSkin: !!primitive.getAttribute('JOINTS_0'),
+            geometry: this.createPickGeometry(primitive),
             attributes,
             vao
         };
     }
 
+    // getElement decodes normalized and quantized values, so picking sees what the shader sees
+    private createPickGeometry(primitive: Primitive): PickGeometry {
+        const positionAttribute = primitive.getAttribute('POSITION')!;
+        const count = positionAttribute.getCount();
+        const positions = new Float32Array(count * 3);
+        const min: [number, number, number] = [Infinity, Infinity, Infinity];
+        const max: [number, number, number] = [-Infinity, -Infinity, -Infinity];
+        const element: number[] = [];
+        for (let i = 0; i < count; i++) {
+            positionAttribute.getElement(i, element);
+            for (let axis = 0; axis < 3; axis++) {
+                positions[i * 3 + axis] = element[axis];
+                min[axis] = Math.min(min[axis], element[axis]);
+                max[axis] = Math.max(max[axis], element[axis]);
+            }
+        }
+
+        const indices = primitive.getIndices()?.getArray();
+        const jointsAttribute = primitive.getAttribute('JOINTS_0');
+        const weightsAttribute = primitive.getAttribute('WEIGHTS_0');
+        let joints: Uint32Array | null = null;
+        let weights: Float32Array | null = null;
+        if (jointsAttribute && weightsAttribute) {
+            joints = new Uint32Array(count * 4);
+            weights = new Float32Array(count * 4);
+            for (let i = 0; i < count; i++) {
+                joints.set(jointsAttribute.getElement(i, element), i * 4);
+                weights.set(weightsAttribute.getElement(i, element), i * 4);
+            }
+        }
+
+        return {
+            positions,
+            indices: indices ? Uint32Array.from(indices) : null,
+            joints,
+            weights,
+            min,
+            max
+        };
+    }
+
     private getMaterialIndex(primitive: Primitive, document: Document): number {
         const material = primitive.getMaterial();
         const materials = document.getRoot().listMaterials();
@@ -417,9 +665,10 @@ export class ModelLoader implements IModelLoader {
 
     private createModelError(
         code: ModelErrorCode, 
-        message: string
+        message: string,
+        modelId?: string
     ): ModelError {
-        return createModelError(code, message);
+        return createModelError(code, message, modelId);
     }
 
     public generateModelId(url: string): ModelId {
@@ -461,14 +710,15 @@ export class ModelLoader implements IModelLoader {
         if (!imageData) {
             throw this.createModelError(ModelErrorCode.INVALID_DATA, 'Texture image data is null');
         }
-        
-        // Create a blob from the array buffer and convert to image
-        const blob = new Blob([imageData], { type: 'image/png' });
-        const imageUrl = URL.createObjectURL(blob);
-        const image = await this.loadImage(imageUrl);
-        URL.revokeObjectURL(imageUrl);
 
-        const texture = this.gpuResources.createTexture(image);
+        // The declared type wins, the bytes are sniffed when a URI left it out
+        const mimeType = textureNode.getMimeType() || ImageUtils.getMimeType(imageData) || '';
+        const name = textureNode.getName() || textureNode.getURI() || 'embedded image';
+        // KTX2 brings its own mip levels, already in a GPU format
+        const isKTX2 = mimeType === 'image/ktx2';
+        const texture = isKTX2
+            ? await this.createKTX2Texture(imageData, name)
+            : await this.createImageTexture(imageData, mimeType, name);
         this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
         
         // Get wrap modes from textureInfo or use defaults
@@ -484,10 +734,11 @@ export class ModelLoader implements IModelLoader {
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, magFilter);
 
         // Generate mipmaps if using a mipmap filter
-        if (minFilter === this.gl.LINEAR_MIPMAP_LINEAR || 
+        if (!isKTX2 && (
+            minFilter === this.gl.LINEAR_MIPMAP_LINEAR || 
             minFilter === this.gl.LINEAR_MIPMAP_NEAREST ||
             minFilter === this.gl.NEAREST_MIPMAP_LINEAR ||
-            minFilter === this.gl.NEAREST_MIPMAP_NEAREST) {
+            minFilter === this.gl.NEAREST_MIPMAP_NEAREST)) {
             this.gl.generateMipmap(this.gl.TEXTURE_2D);
         }
         
@@ -496,13 +747,51 @@ export class ModelLoader implements IModelLoader {
         return texture;
     }
 
-    private loadImage(url: string): Promise<HTMLImageElement> {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => resolve(img);
-            img.onerror = reject;
-            img.src = url;
-        });
+    private async createImageTexture(imageData: Uint8Array, mimeType: string, name: string): Promise<WebGLTexture> {
+        const image = await this.decodeImage(imageData, mimeType, name);
+        try {
+            return this.gpuResources.createTexture(image);
+        } finally {
+            image.close();
+        }
+    }
+
+    // Levels the file doesn't have are not generated, compressed formats can't be rendered to
+    private async createKTX2Texture(imageData: Uint8Array, name: string): Promise<WebGLTexture> {
+        let transcoded: TranscodedTexture;
+        try {
+            transcoded = await this.ktx2Transcoder.transcode(imageData);
+        } catch (error) {
+            throw this.createModelError(
+                ModelErrorCode.TEXTURE_DECODE_FAILED,
+                `Texture ${name} (image/ktx2) could not be transcoded: ${error}`
+            );
+        }
+        return this.gpuResources.createCompressedTexture(transcoded.levels, transcoded.format);
+    }
+
+    // Decodes off the main thread where the browser can. glTF images are uploaded as stored: top row
+    // first, straight alpha and no color space conversion, normal and ORM maps are data not color
+    private async decodeImage(imageData: Uint8Array, mimeType: string, name: string): Promise<ImageBitmap> {
+        if (!DECODABLE_IMAGE_TYPES.includes(mimeType)) {
+            throw this.createModelError(
+                ModelErrorCode.TEXTURE_DECODE_FAILED,
+                `Texture ${name} has unsupported image type ${mimeType || 'unknown'}`
+            );
+        }
+        try {
+            return await createImageBitmap(new Blob([imageData], { type: mimeType }), {
+                imageOrientation: 'none',
+                premultiplyAlpha: 'none',
+                colorSpaceConversion: 'none'
+            });
+        } catch (error) {
+            // e.g. AVIF or WebP in a browser without a decoder for it
+            throw this.createModelError(
+                ModelErrorCode.TEXTURE_DECODE_FAILED,
+                `Texture ${name} (${mimeType}) could not be decoded: ${error}`
+            );
+        }
     }
 
     private getIndexType(accessor: Accessor | null): number {
@@ -524,4 +813,9 @@ export class ModelLoader implements IModelLoader {
             );
         }
     }
-}
\ No newline at end of file
+}
+
+// GLB files start with the magic 'glTF'
+function isGLB(view: Uint8Array): boolean {
+    return view.byteLength >= 12 && view[0] === 0x67 && view[1] === 0x6c && view[2] === 0x54 && view[3] === 0x46;
+}
@@ -0,0 +1,247 @@
+import { mat3, mat4, vec3 } from 'gl-matrix';
+import { InstanceData, PickGeometry, PickResult } from './types';
+import { ModelLoader } from './ModelLoader';
+
+// Triangle closest to the ray origin, in the space the ray was tested in
+interface TriangleHit {
+    distance: number;
+    positions: Float32Array;
+    indices: [number, number, number];
+}
+
+// Casts rays against instances as they are drawn, skinned meshes in their current pose.
+// Each primitive's bounds are tested before its triangles
+export class Picker {
+    private modelLoader: ModelLoader;
+
+    constructor(modelLoader: ModelLoader) {
+        this.modelLoader = modelLoader;
+    }
+
+    // World matrices must be up to date
+    pick(instances: Iterable<InstanceData>, origin: ArrayLike<number>, direction: ArrayLike<number>): PickResult | null {
+        const rayOrigin = vec3.fromValues(origin[0], origin[1], origin[2]);
+        const rayDirection = vec3.normalize(vec3.create(), [direction[0], direction[1], direction[2]]);
+        if (vec3.length(rayDirection) === 0) return null;
+
+        let nearest: PickResult | null = null;
+        for (const instance of instances) {
+            const hit = this.pickInstance(instance, rayOrigin, rayDirection, nearest?.distance ?? Infinity);
+            if (hit) {
+                nearest = hit;
+            }
+        }
+        return nearest;
+    }
+
+    private pickInstance(instance: InstanceData, origin: vec3, direction: vec3, maxDistance: number): PickResult | null {
+        const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
+        if (!modelData) return null;
+
+        const animationState = instance.animationState;
+        let nearest: PickResult | null = null;
+        for (const renderableNode of modelData.renderableNodes) {
+            // Same choice as the renderer: skinned vertices are in model space, others go through the node matrix
+            const boneMatrices = renderableNode.useSkinning ? animationState.boneMatrices.get(renderableNode.node) : undefined;
+            const skinned = !!boneMatrices && boneMatrices.length > 0;
+            const matrix = mat4.clone(instance.worldMatrix);
+            if (!skinned) {
+                const nodeMatrix = animationState.animationMatrices.get(renderableNode.node);
+                if (nodeMatrix) {
+                    mat4.multiply(matrix, matrix, nodeMatrix);
+                }
+            }
+            const inverse = mat4.invert(mat4.create(), matrix);
+            if (!inverse) continue;
+
+            // An affine transform keeps distances along the ray, so hits compare across spaces
+            const localOrigin = vec3.transformMat4(vec3.create(), origin, inverse);
+            const localDirection = vec3.transformMat3(vec3.create(), direction, mat3.fromMat4(mat3.create(), inverse));
+            // Back faces are culled when drawing, a mirroring transform flips which side that is
+            const mirrored = mat4.determinant(matrix) < 0;
+
+            for (const primitive of renderableNode.modelMesh.primitives) {
+                let geometry = primitive.geometry;
+                const limit = Math.min(maxDistance, nearest?.distance ?? Infinity);
+                if (skinned) {
+                    // Without joints the shader collapses skinned vertices, nothing is drawn
+                    if (!geometry.joints || !geometry.weights) continue;
+                    // Skinning touches every vertex, rays that miss the bounds of the posed joints are dropped before that
+                    const bounds = skinnedBounds(geometry, boneMatrices!);
+                    const boundsDistance = bounds && intersectBox(localOrigin, localDirection, bounds[0], bounds[1]);
+                    if (boundsDistance === null || boundsDistance >= limit) continue;
+                    geometry = skinGeometry(geometry, boneMatrices!);
+                }
+                const boxDistance = intersectBox(localOrigin, localDirection, geometry.min, geometry.max);
+                if (boxDistance === null || boxDistance >= limit) continue;
+
+                const triangle = intersectTriangles(localOrigin, localDirection, geometry, mirrored, limit);
+                if (!triangle) continue;
+                nearest = {
+                    instanceId: instance.instanceId.id,
+                    distance: triangle.distance,
+                    point: [
+                        origin[0] + direction[0] * triangle.distance,
+                        origin[1] + direction[1] * triangle.distance,
+                        origin[2] + direction[2] * triangle.distance
+                    ],
+                    normal: worldNormal(triangle, matrix, direction),
+                    meshName: renderableNode.modelMesh.name,
+                    nodeName: renderableNode.node.getName()
+                };
+            }
+        }
+        return nearest;
+    }
+}
+
+// Joints with weight in a skinned primitive, found once per primitive
+const weightedJoints = new WeakMap<PickGeometry, number[]>();
+
+function getWeightedJoints(geometry: PickGeometry): number[] {
+    let joints = weightedJoints.get(geometry);
+    if (!joints) {
+        const found = new Set<number>();
+        for (let i = 0; i < geometry.joints!.length; i++) {
+            if (geometry.weights![i] !== 0) {
+                found.add(geometry.joints![i]);
+            }
+        }
+        joints = [...found];
+        weightedJoints.set(geometry, joints);
+    }
+    return joints;
+}
+
+// A skinned vertex is a weighted average of its joints' transforms of a point inside the bind-pose box,
+// so the box around every weighted joint's transform of that box holds the posed primitive. Null when no joint moves it
+function skinnedBounds(geometry: PickGeometry, boneMatrices: Float32Array): [[number, number, number], [number, number, number]] | null {
+    const min: [number, number, number] = [Infinity, Infinity, Infinity];
+    const max: [number, number, number] = [-Infinity, -Infinity, -Infinity];
+    const corner = vec3.create();
+    let found = false;
+    for (const joint of getWeightedJoints(geometry)) {
+        const m = joint * 16;
+        if (m + 16 > boneMatrices.length) continue;
+        const bone = boneMatrices.subarray(m, m + 16) as mat4;
+        found = true;
+        for (let i = 0; i < 8; i++) {
+            vec3.set(corner,
+                i & 1 ? geometry.max[0] : geometry.min[0],
+                i & 2 ? geometry.max[1] : geometry.min[1],
+                i & 4 ? geometry.max[2] : geometry.min[2]
+            );
+            vec3.transformMat4(corner, corner, bone);
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], corner[axis]);
+                max[axis] = Math.max(max[axis], corner[axis]);
+            }
+        }
+    }
+    return found ? [min, max] : null;
+}
+
+// Mirrors the vertex shader: weighted bone transforms, bone matrices are column-major
+function skinGeometry(geometry: PickGeometry, boneMatrices: Float32Array): PickGeometry {
+    const { positions, joints, weights } = geometry;
+    const skinned = new Float32Array(positions.length);
+    const min: [number, number, number] = [Infinity, Infinity, Infinity];
+    const max: [number, number, number] = [-Infinity, -Infinity, -Infinity];
+    for (let v = 0; v < positions.length / 3; v++) {
+        const x = positions[v * 3];
+        const y = positions[v * 3 + 1];
+        const z = positions[v * 3 + 2];
+        let sx = 0, sy = 0, sz = 0, sw = 0;
+        for (let i = 0; i < 4; i++) {
+            const weight = weights![v * 4 + i];
+            const m = joints![v * 4 + i] * 16;
+            if (weight === 0 || m + 16 > boneMatrices.length) continue;
+            sx += weight * (boneMatrices[m] * x + boneMatrices[m + 4] * y + boneMatrices[m + 8] * z + boneMatrices[m + 12]);
+            sy += weight * (boneMatrices[m + 1] * x + boneMatrices[m + 5] * y + boneMatrices[m + 9] * z + boneMatrices[m + 13]);
+            sz += weight * (boneMatrices[m + 2] * x + boneMatrices[m + 6] * y + boneMatrices[m + 10] * z + boneMatrices[m + 14]);
+            sw += weight;
+        }
+        // Weights that don't sum to one end up in w, which the projection divides out
+        if (sw === 0) continue;
+        const point = [sx / sw, sy / sw, sz / sw];
+        for (let axis = 0; axis < 3; axis++) {
+            skinned[v * 3 + axis] = point[axis];
+            min[axis] = Math.min(min[axis], point[axis]);
+            max[axis] = Math.max(max[axis], point[axis]);
+        }
+    }
+    return { ...geometry, positions: skinned, min, max };
+}
+
+// Slab test, distance to where the ray enters the box or 0 when it starts inside
+function intersectBox(origin: vec3, direction: vec3, min: readonly number[], max: readonly number[]): number | null {
+    let near = 0;
+    let far = Infinity;
+    for (let axis = 0; axis < 3; axis++) {
+        if (Math.abs(direction[axis]) < 1e-12) {
+            if (origin[axis] < min[axis] || origin[axis] > max[axis]) return null;
+            continue;
+        }
+        let t0 = (min[axis] - origin[axis]) / direction[axis];
+        let t1 = (max[axis] - origin[axis]) / direction[axis];
+        if (t0 > t1) [t0, t1] = [t1, t0];
+        near = Math.max(near, t0);
+        far = Math.min(far, t1);
+        if (near > far) return null;
+    }
+    return near;
+}
+
+// Möller-Trumbore over the primitive's triangle list, front faces only
+function intersectTriangles(origin: vec3, direction: vec3, geometry: PickGeometry, mirrored: boolean, maxDistance: number): TriangleHit | null {
+    const { positions, indices } = geometry;
+    const triangleCount = Math.floor((indices ? indices.length : positions.length / 3) / 3);
+    const [ox, oy, oz] = origin;
+    const [dx, dy, dz] = direction;
+    let nearest: TriangleHit | null = null;
+    for (let triangle = 0; triangle < triangleCount; triangle++) {
+        const i0 = indices ? indices[triangle * 3] : triangle * 3;
+        const i1 = indices ? indices[triangle * 3 + 1] : triangle * 3 + 1;
+        const i2 = indices ? indices[triangle * 3 + 2] : triangle * 3 + 2;
+        const ax = positions[i0 * 3], ay = positions[i0 * 3 + 1], az = positions[i0 * 3 + 2];
+        const e1x = positions[i1 * 3] - ax, e1y = positions[i1 * 3 + 1] - ay, e1z = positions[i1 * 3 + 2] - az;
+        const e2x = positions[i2 * 3] - ax, e2y = positions[i2 * 3 + 1] - ay, e2z = positions[i2 * 3 + 2] - az;
+
+        const px = dy * e2z - dz * e2y;
+        const py = dz * e2x - dx * e2z;
+        const pz = dx * e2y - dy * e2x;
+        const determinant = e1x * px + e1y * py + e1z * pz;
+        // Positive for counter-clockwise triangles facing the ray
+        if (mirrored ? determinant > -1e-12 : determinant < 1e-12) continue;
+
+        const inverse = 1 / determinant;
+        const tx = ox - ax, ty = oy - ay, tz = oz - az;
+        const u = (tx * px + ty * py + tz * pz) * inverse;
+        if (u < 0 || u > 1) continue;
+        const qx = ty * e1z - tz * e1y;
+        const qy = tz * e1x - tx * e1z;
+        const qz = tx * e1y - ty * e1x;
+        const v = (dx * qx + dy * qy + dz * qz) * inverse;
+        if (v < 0 || u + v > 1) continue;
+        const distance = (e2x * qx + e2y * qy + e2z * qz) * inverse;
+        if (distance < 0 || distance >= (nearest?.distance ?? maxDistance)) continue;
+        nearest = { distance, positions, indices: [i0, i1, i2] };
+    }
+    return nearest;
+}
+
+// Face normal of the hit triangle after the transform it was drawn with, towards the ray origin
+function worldNormal(triangle: TriangleHit, matrix: mat4, direction: vec3): [number, number, number] {
+    const corners = triangle.indices.map((index) => vec3.transformMat4(
+        vec3.create(),
+        [triangle.positions[index * 3], triangle.positions[index * 3 + 1], triangle.positions[index * 3 + 2]],
+        matrix
+    ));
+    const edge1 = vec3.subtract(vec3.create(), corners[1], corners[0]);
+    const edge2 = vec3.subtract(vec3.create(), corners[2], corners[0]);
+    const normal = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), edge1, edge2));
+    if (vec3.dot(normal, direction) > 0) {
+        vec3.negate(normal, normal);
+    }
+    return [normal[0], normal[1], normal[2]];
+}
@@ -0,0 +1,111 @@
+import { WebIO, HTTPUtils, Extension } from '@gltf-transform/core';
+import { ProjectUrlResolver } from './types';
+
+// Per load: bytes fetched so far over the expected total of the responses seen, and a signal to stop fetching
+export interface FetchContext {
+    signal?: AbortSignal;
+    onProgress?: (loaded: number, total: number) => void;
+}
+
+// http:, blob:, data: and similar URLs are fetched as they are
+const URL_SCHEME = /^[a-zA-Z][a-zA-Z\d+.-]*:/;
+
+// WebIO that fetches relative paths through the host's project file URLs.
+// Relative .bin and image URIs in a .gltf are resolved against the model's
+// project path first, so external resources can be separate project files.
+export class ProjectFileIO extends WebIO {
+    private resolveUrl?: ProjectUrlResolver;
+    private context: FetchContext;
+    // Kept so forLoad can configure a copy, the base class keeps them private
+    private extensions: (typeof Extension)[] = [];
+    private dependencies: { [key: string]: unknown } = {};
+    private loaded = 0;
+    private total = 0;
+
+    constructor(resolveUrl?: ProjectUrlResolver, context: FetchContext = {}) {
+        super();
+        this.resolveUrl = resolveUrl;
+        this.context = context;
+    }
+
+    registerExtensions(extensions: (typeof Extension)[]): this {
+        this.extensions.push(...extensions);
+        return super.registerExtensions(extensions);
+    }
+
+    registerDependencies(dependencies: { [key: string]: unknown }): this {
+        Object.assign(this.dependencies, dependencies);
+        return super.registerDependencies(dependencies);
+    }
+
+    // Same configuration, with progress and cancellation for one read
+    forLoad(context: FetchContext): ProjectFileIO {
+        return new ProjectFileIO(this.resolveUrl, context)
+            .registerExtensions(this.extensions)
+            .registerDependencies(this.dependencies);
+    }
+
+    protected readURI(uri: string, type: 'view'): Promise<Uint8Array>;
+    protected readURI(uri: string, type: 'text'): Promise<string>;
+    protected readURI(uri: string, type: 'view' | 'text'): Promise<Uint8Array | string>;
+    protected async readURI(uri: string, type: 'view' | 'text'): Promise<Uint8Array | string> {
+        const url = await this.toUrl(uri);
+        const response = await fetch(url, { signal: this.context.signal });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText} fetching ${uri}`);
+        }
+        const view = await this.readBody(response);
+        return type === 'view' ? view : new TextDecoder().decode(view);
+    }
+
+    // Streams the body to count bytes as they arrive
+    private async readBody(response: Response): Promise<Uint8Array> {
+        const { onProgress } = this.context;
+        if (!onProgress || !response.body) {
+            return new Uint8Array(await response.arrayBuffer());
+        }
+        // Compressed responses report the compressed length, so loaded can pass it
+        const length = Number(response.headers.get('Content-Length')) || 0;
+        this.total += length;
+        const chunks: Uint8Array[] = [];
+        let size = 0;
+        const reader = response.body.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            size += value.byteLength;
+            this.loaded += value.byteLength;
+            onProgress(this.loaded, Math.max(this.total, this.loaded));
+        }
+        // Without a length the total is only known once the body is read
+        if (length === 0) {
+            this.total += size;
+            onProgress(this.loaded, Math.max(this.total, this.loaded));
+        }
+        const view = new Uint8Array(size);
+        let offset = 0;
+        for (const chunk of chunks) {
+            view.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+        return view;
+    }
+
+    async toUrl(path: string): Promise<string> {
+        if (!this.resolveUrl || !HTTPUtils.isRelativePath(path) || URL_SCHEME.test(path)) {
+            return path;
+        }
+        // glTF URIs are percent-encoded, project file names are not
+        return this.resolveUrl(decodePath(path.replace(/^(\.\/)+/, '')));
+    }
+}
+
+// Exporters do not always encode URIs, a stray '%' as in '100%.png' is kept as written
+function decodePath(path: string): string {
+    try {
+        return decodeURIComponent(path);
+    } catch {
+        return path;
+    }
+}
@@ -11,15 +11,17 @@ interface SceneNode {
 }
 
 export class SceneGraph {
-    private nodes: SceneNode[] = [];
+    // Removed nodes leave a null slot until createNode reuses it
+    private nodes: (SceneNode | null)[] = [];
+    private freeSlots: number[] = [];
     private dirtyNodes: Set<number> = new Set();
     
     constructor() {
         // Initialize root node
         this.nodes.push({
             nodeIndex: 0,
-            localMatrix: new Float32Array(16),  // Identity matrix
-            worldMatrix: new Float32Array(16),  // Identity matrix
+            localMatrix: mat4.create() as Float32Array,  // Identity matrix
+            worldMatrix: mat4.create() as Float32Array,  // Identity matrix
             children: [],
             parent: -1        // Root has no parent
         });
@@ -32,23 +34,24 @@ export class SceneGraph {
             skin?: number;
         }
     ): number {
-        const nodeIndex = this.nodes.length;
+        if (!this.nodes[parent]) {
+            parent = 0;
+        }
+        const nodeIndex = this.freeSlots.pop() ?? this.nodes.length;
         
         const node: SceneNode = {
             nodeIndex,
-            localMatrix: new Float32Array(16),  // Identity matrix
-            worldMatrix: new Float32Array(16),  // Identity matrix
+            localMatrix: mat4.create() as Float32Array,  // Identity matrix
+            worldMatrix: mat4.create() as Float32Array,  // Identity matrix
             children: [],
             parent,
             ...options
         };
 
         // Add to parent's children
-        if (parent >= 0 && parent < this.nodes.length) {
-            this.nodes[parent].children.push(nodeIndex);
-        }
+        this.nodes[parent]!.children.push(nodeIndex);
 
-        this.nodes.push(node);
+        this.nodes[nodeIndex] = node;
         this.markDirty(nodeIndex);
         
         return nodeIndex;
@@ -58,25 +61,42 @@ export class SceneGraph {
         nodeIndex: number, 
         matrix: Float32Array
     ): void {
-        if (nodeIndex >= 0 && nodeIndex < this.nodes.length) {
-            const node = this.nodes[nodeIndex];
+        const node = this.nodes[nodeIndex];
+        if (node) {
             node.localMatrix.set(matrix);
             this.markDirty(nodeIndex);
         }
     }
 
+    getLocalMatrix(nodeIndex: number): Float32Array | null {
+        return this.nodes[nodeIndex]?.localMatrix ?? null;
+    }
+
+    // Only current after updateWorldMatrices
     getWorldMatrix(nodeIndex: number): Float32Array | null {
-        if (nodeIndex >= 0 && nodeIndex < this.nodes.length) {
-            return this.nodes[nodeIndex].worldMatrix;
+        return this.nodes[nodeIndex]?.worldMatrix ?? null;
+    }
+
+    getParent(nodeIndex: number): number {
+        return this.nodes[nodeIndex]?.parent ?? -1;
+    }
+
+    isAncestor(ancestorIndex: number, nodeIndex: number): boolean {
+        for (let index = this.getParent(nodeIndex); index !== -1; index = this.getParent(index)) {
+            if (index === ancestorIndex) return true;
         }
-        return null;
+        return false;
     }
 
     updateWorldMatrices(): void {
         if (this.dirtyNodes.size === 0) return;
 
-        // Start from root and traverse in order
-        this.updateNodeWorldMatrix(0, null);
+        // A dirty node's subtree is dirty too, so updates start at dirty nodes under a clean parent
+        for (const nodeIndex of this.dirtyNodes) {
+            const node = this.nodes[nodeIndex];
+            if (!node || this.dirtyNodes.has(node.parent)) continue;
+            this.updateNodeWorldMatrix(nodeIndex, this.nodes[node.parent]?.worldMatrix ?? null);
+        }
         this.dirtyNodes.clear();
     }
 
@@ -84,7 +104,7 @@ export class SceneGraph {
         nodeIndex: number, 
         parentWorldMatrix: Float32Array | null
     ): void {
-        const node = this.nodes[nodeIndex];
+        const node = this.nodes[nodeIndex]!;
 
         if (parentWorldMatrix) {
             // Multiply parent's world matrix with node's local matrix
@@ -105,10 +125,11 @@ export class SceneGraph {
     }
 
     private markDirty(nodeIndex: number): void {
-        // Mark node and all its children as dirty
+        // Mark node and all its children as dirty, a dirty node's children already are
+        if (this.dirtyNodes.has(nodeIndex)) return;
         this.dirtyNodes.add(nodeIndex);
         
-        const node = this.nodes[nodeIndex];
+        const node = this.nodes[nodeIndex]!;
         for (const childIndex of node.children) {
             this.markDirty(childIndex);
         }
@@ -121,14 +142,14 @@ export class SceneGraph {
 
     findNodesByMesh(meshIndex: number): number[] {
         return this.nodes
-            .filter(node => node.mesh === meshIndex)
-            .map(node => node.nodeIndex);
+            .filter(node => node?.mesh === meshIndex)
+            .map(node => node!.nodeIndex);
     }
 
     findNodesBySkin(skinIndex: number): number[] {
         return this.nodes
-            .filter(node => node.skin === skinIndex)
-            .map(node => node.nodeIndex);
+            .filter(node => node?.skin === skinIndex)
+            .map(node => node!.nodeIndex);
     }
 
     // Hierarchy manipulation
@@ -138,14 +159,15 @@ export class SceneGraph {
     ): boolean {
         if (nodeIndex === newParentIndex ||
             nodeIndex === 0 || // Can't reparent root
-            nodeIndex >= this.nodes.length ||
-            newParentIndex >= this.nodes.length) {
+            !this.nodes[nodeIndex] ||
+            !this.nodes[newParentIndex] ||
+            this.isAncestor(nodeIndex, newParentIndex)) { // Would create a cycle
             return false;
         }
 
-        const node = this.nodes[nodeIndex];
-        const oldParent = this.nodes[node.parent];
-        const newParent = this.nodes[newParentIndex];
+        const node = this.nodes[nodeIndex]!;
+        const oldParent = this.nodes[node.parent]!;
+        const newParent = this.nodes[newParentIndex]!;
 
         // Remove from old parent
         oldParent.children = oldParent.children.filter(
@@ -169,18 +191,19 @@ export class SceneGraph {
         if (!node) return;
 
         // Reparent children to grandparent
-        for (const childIndex of node.children) {
+        for (const childIndex of [...node.children]) {
             this.reparentNode(childIndex, node.parent);
         }
 
         // Remove from parent's children
-        const parent = this.nodes[node.parent];
+        const parent = this.nodes[node.parent]!;
         parent.children = parent.children.filter(
             child => child !== nodeIndex
         );
 
-        // Mark slot as available (could be reused)
-        this.nodes[nodeIndex] = null!;
+        // Free the slot for the next createNode
+        this.nodes[nodeIndex] = null;
+        this.freeSlots.push(nodeIndex);
         this.dirtyNodes.delete(nodeIndex);
     }
 }
\ No newline at end of file
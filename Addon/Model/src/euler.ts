@@ -0,0 +1,24 @@
+import { mat3, quat } from 'gl-matrix';
+
+// Euler angles are in degrees and applied in X, Y, Z order, the same as quat.fromEuler
+export function eulerToQuaternion(x: number, y: number, z: number): [number, number, number, number] {
+    const q = quat.fromEuler(quat.create(), x, y, z);
+    return [q[0], q[1], q[2], q[3]];
+}
+
+export function quaternionToEuler(rotation: ArrayLike<number>): [number, number, number] {
+    const q = quat.normalize(quat.create(), [rotation[0], rotation[1], rotation[2], rotation[3]]);
+    // Column-major, m[column * 3 + row] of Rz * Ry * Rx
+    const m = mat3.fromQuat(mat3.create(), q);
+    const sinY = Math.max(-1, Math.min(1, -m[2]));
+    const toDegrees = 180 / Math.PI;
+    if (Math.abs(sinY) < 0.9999999) {
+        return [
+            Math.atan2(m[5], m[8]) * toDegrees,
+            Math.asin(sinY) * toDegrees,
+            Math.atan2(m[1], m[0]) * toDegrees
+        ];
+    }
+    // Gimbal lock, X and Z turn about the same axis so Z is folded into X
+    return [Math.atan2(-m[7], m[4]) * toDegrees, Math.asin(sinY) * toDegrees, 0];
+}
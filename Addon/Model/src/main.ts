@@ -2,3 +2,6 @@ export { ModelLoader } from './ModelLoader';
 export { GPUResourceManager } from './GPUResourceManager';
 export { InstanceManager } from './InstanceManager';
 export { GPUResourceCache } from './GPUResourceCache';
+export { Camera } from './Camera';
+export { CoordinateMapping } from './CoordinateMapping';
+export { eulerToQuaternion, quaternionToEuler } from './euler';
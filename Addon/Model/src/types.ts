@@ -2,10 +2,11 @@
 
 import { Model } from './Model';
 
-import { Node, Animation, Scene, Document as gltfDocument } from '@gltf-transform/core';
+import { Node, Animation, Scene, Document as gltfDocument, GLTF } from '@gltf-transform/core';
 
 import { mat4, vec3, vec4 } from 'gl-matrix';
 import { MaterialSystem } from './MaterialSystem';
+import { ModelError } from './errors';
 
 export const MAX_BONES = 64;
 
@@ -42,6 +43,21 @@ export interface Transform {
     scale: Float32Array;
 }
 
+// World space directions of an instance's axes, glTF style: +Z forward, +Y up, -X right
+export interface TransformAxes {
+    forward: [number, number, number];
+    right: [number, number, number];
+    up: [number, number, number];
+}
+
+// Plain copy of a transform, in local or world space
+export interface TransformValues {
+    position: [number, number, number];
+    // Quaternion as [x, y, z, w]
+    rotation: [number, number, number, number];
+    scale: [number, number, number];
+}
+
 export interface AnimationState {
     currentAnimation: string | null;
     playing: boolean;
@@ -70,6 +86,7 @@ export interface MeshPrimitive {
     indexType: number;
     vertexCount: number;
     hasSkin: boolean;
+    geometry: PickGeometry;
     attributes: {
         POSITION?: WebGLBuffer;
         NORMAL?: WebGLBuffer;
@@ -79,6 +96,28 @@ export interface MeshPrimitive {
     };
 }
 
+// CPU copy of a primitive's triangles for picking, in the mesh's local space
+export interface PickGeometry {
+    positions: Float32Array;
+    // Null for non-indexed primitives
+    indices: Uint32Array | null;
+    joints: Uint32Array | null;
+    weights: Float32Array | null;
+    min: [number, number, number];
+    max: [number, number, number];
+}
+
+// Nearest hit of a ray, in world space
+export interface PickResult {
+    instanceId: number;
+    // Along the ray, from its origin
+    distance: number;
+    point: [number, number, number];
+    normal: [number, number, number];
+    meshName: string;
+    nodeName: string;
+}
+
 export interface ModelMesh {
     primitives: MeshPrimitive[];
     name: string;
@@ -109,28 +148,143 @@ export type InterpolationType = 'LINEAR' | 'STEP' | 'CUBICSPLINE';
 // Instance data
 export interface InstanceData {
     readonly instanceId: InstanceId;
+    // Local to the parent when attached
     transform: Transform;
+    // Instance's node in the instance scene graph, which owns worldMatrix
+    readonly sceneNode: number;
     animationState: AnimationState;
     worldMatrix: Float32Array;
     renderOptions: {
         useNormalMap?: boolean;
         lightPosition?: [number, number, number];
+        // Host layer the instance is drawn on, '' for the host's default
+        layer?: string;
     };
 }
 
+// Plain-data copy of an instance's state, e.g. for savegames
+export interface InstanceSnapshot {
+    modelId: string;
+    position: number[];
+    rotation: number[];
+    scale: number[];
+    useNormalMap: boolean;
+    layer: string;
+    attachment?: Attachment;
+    animation: {
+        name: string | null;
+        time: number;
+        speed: number;
+        loop: boolean;
+        playing: boolean;
+    };
+}
+
+// Where an instance is attached, its transform is then relative to that node
+export interface Attachment {
+    parentId: number;
+    // Node or joint name, '' for the parent's origin
+    node: string;
+}
+
+// Local transform of an attached instance, identity where left out
+export interface AttachmentOffset {
+    position?: ArrayLike<number>;
+    // Quaternion as [x, y, z, w]
+    rotation?: ArrayLike<number>;
+    scale?: ArrayLike<number>;
+}
+
+// A node's world position and rotation, e.g. an attachment point on a joint
+export interface NodeTransform {
+    position: [number, number, number];
+    // Quaternion as [x, y, z, w]
+    rotation: [number, number, number, number];
+}
+
+// Model loading
+// Maps a project file path to a fetchable URL, e.g. the runtime asset manager
+export type ProjectUrlResolver = (path: string) => Promise<string>;
+
+export interface ModelLoaderOptions {
+    // URL of draco_decoder_gltf.wasm, defaults to next to the bundle
+    dracoDecoderPath?: string;
+    // URL of basis_transcoder.wasm for KTX2 textures, defaults to next to the bundle
+    basisTranscoderPath?: string;
+    // Without a resolver, paths are fetched as given
+    resolveUrl?: ProjectUrlResolver;
+}
+
+export type ModelLoadState = 'reading' | 'pending' | 'processing' | 'loaded' | 'failed';
+
+// download fetches the file and its resources, parse builds the document, upload creates the GPU resources
+export type ModelLoadPhase = 'download' | 'parse' | 'upload';
+
+export interface ModelLoadProgress {
+    phase: ModelLoadPhase;
+    // Bytes fetched over the bytes expected, the total grows as external resources are requested
+    loaded: number;
+    total: number;
+    // Estimate of the whole load from 0 to 1
+    progress: number;
+}
+
+// In-memory model data: .glb or self-contained .gltf bytes, or a data: URI of either
+export type ModelSource = ArrayBuffer | ArrayBufferView | Blob | string;
+
+export interface ReadDocumentOptions {
+    // Aborting fails the load with LOAD_CANCELLED
+    signal?: AbortSignal;
+}
+
+export type ModelLoadEvent =
+    | { type: 'loaded', modelId: string }
+    | { type: 'failed', modelId: string, error: ModelError }
+    | ({ type: 'progress', modelId: string } & ModelLoadProgress);
+
+export type ModelLoadListener = (event: ModelLoadEvent) => void;
+
+// Animation events
+export type AnimationEvent = {
+    type: 'finished' | 'looped';
+    instanceId: number;
+    animation: string;
+};
+
+export type AnimationListener = (event: AnimationEvent) => void;
+
+// What an embedded render pass clears before drawing
+export type ClearMode = 'none' | 'depth' | 'color-depth';
+
+export interface GPUResourceCounts {
+    buffers: number;
+    textures: number;
+    vaos: number;
+}
+
 // Main class interfaces
 export interface IModelLoader {
     hasModel(modelId: ModelId): boolean;
-    readDocument(url: string): Promise<boolean>;
+    getLoadState(modelId: ModelId): ModelLoadState | null;
+    addLoadListener(listener: ModelLoadListener): void;
+    removeLoadListener(listener: ModelLoadListener): void;
+    getLoadProgress(modelId: ModelId): ModelLoadProgress | null;
+    readDocument(url: string, options?: ReadDocumentOptions): Promise<boolean>;
+    readBinary(modelId: ModelId, data: ModelSource, options?: ReadDocumentOptions): Promise<boolean>;
+    readJSON(modelId: ModelId, json: GLTF.IGLTF | string, resources?: Record<string, Uint8Array>, options?: ReadDocumentOptions): Promise<boolean>;
+    cancelLoad(modelId: ModelId): boolean;
     processModel(modelId: ModelId): Promise<boolean>;
     getModelData(modelId: string): ModelData | null;
     deleteModel(modelId: string): void;
     generateModelId(url: string): ModelId;
+    readonly loadedModelIds: string[];
 }
 
 export interface IGPUResourceCache {
     cacheModelMode(): void;
     restoreModelMode(): void;
+    cacheRenderMode(): void;
+    restoreRenderMode(): void;
 }
 
 export interface IInstanceManager {
@@ -142,6 +296,31 @@ export interface IInstanceManager {
     setModelNormalMapEnabled(enabled: boolean, instance: Model): void;
     updateModelAnimation(instance: Model, deltaTime: number): void;
     setModelBindPose(instance: Model): void;
+    setModelAnimationSpeed(speed: number, instance: Model): void;
+    setModelAnimationLoop(loop: boolean, instance: Model): void;
+    getModelAnimationState(instance: Model): Readonly<AnimationState> | null;
+    getModelAnimationDuration(instance: Model): number;
+    getModelAnimationNames(instance: Model): string[];
+    setModelLayer(layer: string, instance: Model): void;
+    getModelLayer(instance: Model): string;
+    getModelSnapshot(instance: Model): InstanceSnapshot | null;
+    restoreModelSnapshot(snapshot: InstanceSnapshot, instance: Model): void;
+    readonly instanceCountsByModel: Map<string, number>;
+    getModelNodeNames(instance: Model): string[];
+    getModelNodeWorldMatrix(name: string, instance: Model): mat4 | null;
+    getModelNodeTransform(name: string, instance: Model): NodeTransform | null;
+    attachModel(parent: Model, node: string, instance: Model, offset?: AttachmentOffset): void;
+    detachModel(instance: Model, keepWorldPose?: boolean): void;
+    getModelAttachment(instance: Model): Attachment | null;
+    getModelLocalTransform(instance: Model): TransformValues | null;
+    getModelWorldTransform(instance: Model): TransformValues | null;
+    setModelWorldTransform(values: Partial<TransformValues>, instance: Model): void;
+    translateModel(x: number, y: number, z: number, instance: Model, local?: boolean): void;
+    rotateModel(quaternion: ArrayLike<number>, instance: Model, local?: boolean): void;
+    lookAtModel(x: number, y: number, z: number, instance: Model, up?: ArrayLike<number>): void;
+    getModelAxes(instance: Model): TransformAxes | null;
+    getModelChildren(instance: Model): number[];
+    pick(origin: ArrayLike<number>, direction: ArrayLike<number>, layers?: readonly string[]): PickResult | null;
 }
 
 export interface IModel {
@@ -151,8 +330,39 @@ export interface IModel {
     setScale(x: number, y: number, z: number): void;
     playAnimation(name: string, options?: AnimationOptions): void;
     stopAnimation(): void;
+    setAnimationSpeed(speed: number): void;
+    setAnimationLoop(loop: boolean): void;
+    readonly animationName: string | null;
+    readonly animationTime: number;
+    readonly animationDuration: number;
+    readonly isAnimationPlaying: boolean;
+    readonly animationNames: string[];
     setNormalMapEnabled(enabled: boolean): void;
     setBindPose(): void;
+    setLayer(layer: string): void;
+    readonly layer: string;
+    readonly nodeNames: string[];
+    getNodeTransform(name: string): NodeTransform | null;
+    attachTo(parent: Model, node?: string, offset?: AttachmentOffset): void;
+    detach(keepWorldPose?: boolean): void;
+    readonly attachment: Attachment | null;
+    readonly localTransform: TransformValues | null;
+    readonly worldTransform: TransformValues | null;
+    setWorldPosition(x: number, y: number, z: number): void;
+    setWorldRotation(quaternion: ArrayLike<number>): void;
+    setWorldScale(x: number, y: number, z: number): void;
+    readonly position: [number, number, number];
+    readonly quaternion: [number, number, number, number];
+    readonly scale: [number, number, number];
+    readonly eulerAngles: [number, number, number];
+    setEulerAngles(x: number, y: number, z: number): void;
+    translate(x: number, y: number, z: number): void;
+    translateLocal(x: number, y: number, z: number): void;
+    rotate(x: number, y: number, z: number): void;
+    lookAt(x: number, y: number, z: number, up?: ArrayLike<number>): void;
+    readonly forward: [number, number, number];
+    readonly right: [number, number, number];
+    readonly up: [number, number, number];
 }
 
 export enum TextureType {
@@ -171,6 +381,8 @@ export interface ModelData {
     jointData: JointData[];
     rootNode: Node;
     scene: Scene;
+    // First node with each name, joints included
+    nodesByName: Map<string, Node>;
     renderableNodes: {
         node: Node;
         modelMesh: ModelMesh;
@@ -196,9 +408,17 @@ export interface AnimationOptions {
 export type BufferUsage = WebGL2RenderingContext['STATIC_DRAW'] | WebGL2RenderingContext['DYNAMIC_DRAW'];
 
 // GPU resource management
+// One mip level of texture data, in the texture's internal format
+export interface TextureLevel {
+    width: number;
+    height: number;
+    data: Uint8Array;
+}
+
 export interface IGPUResourceManager {
     createBuffer(data: BufferSource, usage: BufferUsage): WebGLBuffer;
-    createTexture(image: ImageData | HTMLImageElement): WebGLTexture;
+    createTexture(image: ImageData | HTMLImageElement | ImageBitmap): WebGLTexture;
+    createCompressedTexture(levels: TextureLevel[], format: number): WebGLTexture;
     deleteBuffer(buffer: WebGLBuffer): void;
     deleteTexture(texture: WebGLTexture): void;
     deleteVertexArray(vao: WebGLVertexArrayObject): void;
@@ -208,6 +428,12 @@ export interface IGPUResourceManager {
     createIndexBuffer(data: BufferSource, usage: BufferUsage): WebGLBuffer;
     setNormalMapEnabled(program: WebGLProgram, enabled: boolean): void;
     setLightPosition(program: WebGLProgram, lightPosition: [number, number, number]): void;
+    updateCameraPosition(position: [number, number, number]): void;
+    setAmbientColor(color: [number, number, number]): void;
+    setActiveLightCount(count: number): void;
+    readonly resourceCounts: GPUResourceCounts;
+    readonly maxLights: number;
+    getLight(index: number): Readonly<Light> | null;
     updateLight(index: number, lightParams: Partial<Light>): void;
     setLightEnabled(index: number, enabled: boolean): void;
     setLightDirection(index: number, direction: [number, number, number]): void;
@@ -0,0 +1,46 @@
+// Runs against the built bundle: npm run build && npm run test:unit
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelLoader } from '../dist/index.js';
+
+// Reading never touches the GL context, the Draco wasm is read from disk
+function createLoader() {
+    const loader = new ModelLoader({}, {}, { dracoDecoderPath: new URL('./draco_decoder.wasm', import.meta.url).pathname });
+    const events = [];
+    loader.addLoadListener((event) => events.push(event));
+    return { loader, events };
+}
+
+function assertFiniteProgress(loader, modelId, events) {
+    const progress = events.filter((event) => event.type === 'progress');
+    assert.ok(progress.length > 0);
+    for (const event of progress) {
+        assert.ok(Number.isFinite(event.progress), `progress ${event.progress} in ${event.phase}`);
+    }
+    assert.ok(Number.isFinite(loader.getLoadProgress(modelId).progress));
+}
+
+test('empty in-memory data fails to load with finite progress', async () => {
+    const { loader, events } = createLoader();
+    const modelId = { id: 'empty' };
+    await assert.rejects(loader.readBinary(modelId, new ArrayBuffer(0)), { code: 'LOAD_FAILED' });
+    assertFiniteProgress(loader, modelId, events);
+    assert.equal(events.at(-1).type, 'failed');
+});
+
+test('empty data URI fails to load with finite progress', async () => {
+    const { loader, events } = createLoader();
+    const modelId = { id: 'empty-uri' };
+    await assert.rejects(loader.readBinary(modelId, 'data:model/gltf-binary;base64,'), { code: 'LOAD_FAILED' });
+    assertFiniteProgress(loader, modelId, events);
+});
+
+test('a model in memory loads with progress up to the parse phase', async () => {
+    const { loader, events } = createLoader();
+    const modelId = { id: 'scene' };
+    const gltf = JSON.stringify({ asset: { version: '2.0' }, scenes: [{ nodes: [] }], scene: 0 });
+    assert.equal(await loader.readBinary(modelId, new TextEncoder().encode(gltf)), true);
+    assertFiniteProgress(loader, modelId, events);
+    assert.equal(loader.getLoadState(modelId), 'pending');
+    assert.equal(loader.getLoadProgress(modelId).phase, 'parse');
+});
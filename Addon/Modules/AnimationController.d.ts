@@ -1,12 +1,19 @@
 import { ModelLoader } from './ModelLoader';
-import { InstanceData, AnimationOptions } from './types';
+import { InstanceData, AnimationOptions, AnimationListener } from './types';
 export declare class AnimationController {
     private modelLoader;
+    private listeners;
     constructor(modelLoader: ModelLoader);
+    addListener(listener: AnimationListener): void;
+    removeListener(listener: AnimationListener): void;
+    private emit;
     private updateNodeLocalTransforms;
     setBindPose(instance: InstanceData): void;
     private updateAnimationMatricesFromTransforms;
     updateAnimation(instance: InstanceData, deltaTime: number): void;
+    applyPose(instance: InstanceData): void;
+    private updatePose;
+    getDuration(instance: InstanceData): number;
     private updateNodeHierarchyTransforms;
     private maxDuration;
     private updateTime;
@@ -0,0 +1,47 @@
+import { mat4, vec3 } from 'gl-matrix';
+import { IGPUResourceManager } from './types';
+export interface LayoutViewport {
+    left: number;
+    top: number;
+    width: number;
+    height: number;
+}
+export declare class Camera {
+    private gpuResources;
+    private _position;
+    private _target;
+    private _up;
+    private _fov;
+    private _near;
+    private _far;
+    constructor(gpuResources: IGPUResourceManager);
+    setPosition(x: number, y: number, z: number): void;
+    lookAt(x: number, y: number, z: number): void;
+    setUp(x: number, y: number, z: number): void;
+    setFov(fov: number): void;
+    setClipPlanes(near: number, far: number): void;
+    frameView(x: number, y: number, height: number): void;
+    getViewProjection(resolution: {
+        width: number;
+        height: number;
+    }): {
+        view: mat4;
+        projection: mat4;
+    };
+    worldToLayout(x: number, y: number, z: number, viewport: LayoutViewport): [number, number, number] | null;
+    getRay(x: number, y: number, viewport: LayoutViewport): {
+        origin: vec3;
+        direction: vec3;
+    } | null;
+    layoutToWorld(x: number, y: number, viewport: LayoutViewport, planeZ?: number): [number, number, number] | null;
+    get position(): Readonly<vec3>;
+    get target(): Readonly<vec3>;
+    get up(): Readonly<vec3>;
+    get fov(): number;
+    get near(): number;
+    get far(): number;
+    private viewProjectionMatrix;
+    private unproject;
+    private syncCameraPosition;
+}
+//# sourceMappingURL=Camera.d.ts.map
\ No newline at end of file
@@ -0,0 +1,14 @@
+export declare class CoordinateMapping {
+    private _originX;
+    private _originY;
+    private _unitsPerPixel;
+    setOrigin(x: number, y: number): void;
+    setUnitsPerPixel(unitsPerPixel: number): void;
+    layoutToWorld(x: number, y: number, z?: number): [number, number, number];
+    worldToLayout(x: number, y: number, z?: number): [number, number, number];
+    toWorldLength(pixels: number): number;
+    get originX(): number;
+    get originY(): number;
+    get unitsPerPixel(): number;
+}
+//# sourceMappingURL=CoordinateMapping.d.ts.map
\ No newline at end of file
@@ -1,8 +1,13 @@
+import { IGPUResourceCache } from './types';
 export declare class GPUResourceCache implements IGPUResourceCache {
     private gl;
     private cachedState;
+    private cachedRenderState;
     constructor(gl: WebGL2RenderingContext);
     cacheModelMode(): void;
     restoreModelMode(): void;
+    cacheRenderMode(): void;
+    restoreRenderMode(): void;
+    private setEnabled;
 }
 //# sourceMappingURL=GPUResourceCache.d.ts.map
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { IGPUResourceManager, IGPUResourceCache, Light, ModelData } from './types';
+import { IGPUResourceManager, IGPUResourceCache, Light, ModelData, GPUResourceCounts, TextureLevel } from './types';
 export declare class GPUResourceManager implements IGPUResourceManager {
     private gl;
     private shaderSystem;
@@ -9,13 +9,17 @@ export declare class GPUResourceManager implements IGPUResourceManager {
     private readonly MAX_LIGHTS;
     private lights;
     private dirtyLightParams;
+    private activeLightCount;
     private dirtyLightStates;
     private cameraPosition;
     private dirtyCameraPosition;
+    private ambientColor;
+    private dirtyAmbientColor;
     constructor(gl: WebGL2RenderingContext);
     createBuffer(data: BufferSource, usage: number): WebGLBuffer;
     createIndexBuffer(data: BufferSource, usage: number): WebGLBuffer;
-    createTexture(image: ImageData | HTMLImageElement): WebGLTexture;
+    createTexture(image: ImageData | HTMLImageElement | ImageBitmap): WebGLTexture;
+    createCompressedTexture(levels: TextureLevel[], format: number): WebGLTexture;
     deleteBuffer(buffer: WebGLBuffer): void;
     deleteTexture(texture: WebGLTexture): void;
     deleteVertexArray(vao: WebGLVertexArrayObject): void;
@@ -26,10 +30,17 @@ export declare class GPUResourceManager implements IGPUResourceManager {
     setNormalMapEnabled(shader: WebGLProgram, enabled: boolean): void;
     setLightPosition(shader: WebGLProgram, lightPosition: [number, number, number]): void;
     getDefaultShader(): WebGLProgram;
+    get resourceCounts(): GPUResourceCounts;
+    get maxLights(): number;
+    getLight(index: number): Readonly<Light> | null;
+    private isValidLightIndex;
     updateLight(index: number, lightParams: Partial<Light>): void;
+    setAmbientColor(color: [number, number, number]): void;
+    setActiveLightCount(count: number): void;
     updateCameraPosition(position: [number, number, number]): void;
     setLightEnabled(index: number, enabled: boolean): void;
     private updateLightUniforms;
+    private updateAmbientColorUniforms;
     private updateCameraPositionUniforms;
     private updateAllLightUniforms;
     private updateLightEnableStates;
@@ -1,4 +1,4 @@
-import { InstanceData, IInstanceManager, IGPUResourceManager, type AnimationOptions } from './types';
+import { InstanceData, IInstanceManager, IGPUResourceManager, type AnimationOptions, AnimationState, AnimationListener, ClearMode, InstanceSnapshot, PickResult, NodeTransform, Attachment, AttachmentOffset, TransformValues, TransformAxes } from './types';
 import { ModelLoader } from './ModelLoader';
 import { Model } from './Model';
 import { AnimationController } from './AnimationController';
@@ -13,7 +13,14 @@ export declare class InstanceManager implements IInstanceManager {
     private instanceBuffers;
     private nextInstanceId;
     private dirtyInstances;
+    private attachments;
+    private sceneGraph;
+    private changes;
     private _animationController;
+    private _picker;
+    private defaultNormalMapEnabled;
+    private clearMode;
+    private clearColor;
     constructor(gl: WebGL2RenderingContext, modelLoader: ModelLoader, gpuResources: IGPUResourceManager);
     initialize(): void;
     createViewProjection(fov: number, resolution: {
@@ -23,13 +30,28 @@ export declare class InstanceManager implements IInstanceManager {
         view: mat4;
         projection: mat4;
     };
-    createModel(modelId: string, animationName?: string): Model;
-    deleteModel(instanceId: number): void;
+    createModel(modelId: string, animationName?: string, id?: number): Model;
+    deleteModel(instanceId: number): number[];
     updateInstance(instanceId: number, deltaTime: number): void;
+    update(deltaTime: number): void;
     render(viewProjection: {
         view: mat4;
         projection: mat4;
-    }): void;
+    }, layers?: readonly string[]): void;
+    renderEmbedded(viewProjection: {
+        view: mat4;
+        projection: mat4;
+    }, viewport: {
+        x: number;
+        y: number;
+        width: number;
+        height: number;
+    }, layers?: readonly string[], clearMode?: ClearMode): void;
+    hasInstancesOnLayers(layers?: readonly string[]): boolean;
+    pick(origin: ArrayLike<number>, direction: ArrayLike<number>, layers?: readonly string[]): PickResult | null;
+    private filterByLayer;
+    setClearMode(mode: ClearMode, color?: [number, number, number, number]): void;
+    setDefaultNormalMapEnabled(enabled: boolean): void;
     setModelPosition(x: number, y: number, z: number, instance: Model): void;
     setModelRotation(quaternion: Float32Array, instance: Model): void;
     setModelScale(x: number, y: number, z: number, instance: Model): void;
@@ -37,16 +59,46 @@ export declare class InstanceManager implements IInstanceManager {
     playModelAnimation(animationName: string, instance: Model, options?: AnimationOptions): void;
     updateModelAnimation(instance: Model, deltaTime: number): void;
     stopModelAnimation(instance: Model): void;
+    setModelAnimationSpeed(speed: number, instance: Model): void;
+    setModelAnimationLoop(loop: boolean, instance: Model): void;
+    getModelAnimationState(instance: Model): Readonly<AnimationState> | null;
+    getModelAnimationDuration(instance: Model): number;
+    getModelAnimationNames(instance: Model): string[];
+    setModelLayer(layer: string, instance: Model): void;
+    getModelLayer(instance: Model): string;
+    getModelSnapshot(instance: Model): InstanceSnapshot | null;
+    restoreModelSnapshot(snapshot: InstanceSnapshot, instance: Model): void;
+    getModelNodeNames(instance: Model): string[];
+    getModelNodeWorldMatrix(name: string, instance: Model): mat4 | null;
+    getModelNodeTransform(name: string, instance: Model): NodeTransform | null;
+    attachModel(parent: Model, node: string, instance: Model, offset?: AttachmentOffset): void;
+    detachModel(instance: Model, keepWorldPose?: boolean): void;
+    getModelAttachment(instance: Model): Attachment | null;
+    getModelChildren(instance: Model): number[];
+    getModelLocalTransform(instance: Model): TransformValues | null;
+    getModelWorldTransform(instance: Model): TransformValues | null;
+    setModelWorldTransform(values: Partial<TransformValues>, instance: Model): void;
+    translateModel(x: number, y: number, z: number, instance: Model, local?: boolean): void;
+    rotateModel(quaternion: ArrayLike<number>, instance: Model, local?: boolean): void;
+    lookAtModel(x: number, y: number, z: number, instance: Model, up?: ArrayLike<number>): void;
+    getModelAxes(instance: Model): TransformAxes | null;
+    addAnimationListener(listener: AnimationListener): void;
+    removeAnimationListener(listener: AnimationListener): void;
     private createError;
     private addToModelGroup;
     private removeFromModelGroup;
     updateAnimation(instance: InstanceData, deltaTime: number): void;
-    private updateWorldMatrixWithScale;
-    private updateWorldMatrix;
+    private markSocketsDirty;
+    private updateTransforms;
+    private updateLocalMatrix;
+    private getSocketMatrix;
+    private getNodeMatrix;
     private renderModelInstances;
     private startAnimation;
     private cleanupInstance;
     setModelNormalMapEnabled(enabled: boolean, instance: Model): void;
+    get instanceCountsByModel(): Map<string, number>;
+    get changeCount(): number;
     get animationController(): AnimationController;
 }
 //# sourceMappingURL=InstanceManager.d.ts.map
\ No newline at end of file
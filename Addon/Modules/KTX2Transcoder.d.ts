@@ -0,0 +1,17 @@
+import { TextureLevel } from './types';
+export interface TranscodedTexture {
+    format: number;
+    levels: TextureLevel[];
+}
+export declare class KTX2Transcoder {
+    private gl;
+    private locateWasm;
+    private module;
+    private supported;
+    constructor(gl: WebGL2RenderingContext, locateWasm: () => Promise<string | undefined>);
+    transcode(data: Uint8Array): Promise<TranscodedTexture>;
+    private getModule;
+    private chooseFormat;
+    private getSupportedFormats;
+}
+//# sourceMappingURL=KTX2Transcoder.d.ts.map
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { InstanceId, IModel, IInstanceManager, AnimationOptions } from './types';
+import { InstanceId, IModel, IInstanceManager, AnimationOptions, NodeTransform, Attachment, AttachmentOffset, TransformValues } from './types';
 export declare class Model implements IModel {
     readonly instanceId: InstanceId;
     private _manager;
@@ -11,6 +11,37 @@ export declare class Model implements IModel {
     updateAnimation(deltaTime: number): void;
     stopAnimation(): void;
     setBindPose(): void;
+    setAnimationSpeed(speed: number): void;
+    setAnimationLoop(loop: boolean): void;
+    get animationName(): string | null;
+    get animationTime(): number;
+    get animationDuration(): number;
+    get isAnimationPlaying(): boolean;
+    get animationNames(): string[];
+    setLayer(layer: string): void;
+    get layer(): string;
+    get nodeNames(): string[];
+    getNodeTransform(name: string): NodeTransform | null;
+    attachTo(parent: Model, node?: string, offset?: AttachmentOffset): void;
+    detach(keepWorldPose?: boolean): void;
+    get attachment(): Attachment | null;
+    get localTransform(): TransformValues | null;
+    get worldTransform(): TransformValues | null;
+    setWorldPosition(x: number, y: number, z: number): void;
+    setWorldRotation(quaternion: ArrayLike<number>): void;
+    setWorldScale(x: number, y: number, z: number): void;
+    get position(): [number, number, number];
+    get quaternion(): [number, number, number, number];
+    get scale(): [number, number, number];
+    get eulerAngles(): [number, number, number];
+    setEulerAngles(x: number, y: number, z: number): void;
+    translate(x: number, y: number, z: number): void;
+    translateLocal(x: number, y: number, z: number): void;
+    rotate(x: number, y: number, z: number): void;
+    lookAt(x: number, y: number, z: number, up?: ArrayLike<number>): void;
+    get forward(): [number, number, number];
+    get right(): [number, number, number];
+    get up(): [number, number, number];
     setQuaternion(x: number, y: number, z: number, w: number): void;
     get manager(): IInstanceManager;
 }
@@ -1,24 +1,44 @@
-import { Document } from '@gltf-transform/core';
-import { ModelId, ModelData, IGPUResourceManager, IModelLoader } from './types';
+import { Document, GLTF } from '@gltf-transform/core';
+import { ModelId, ModelData, IGPUResourceManager, IModelLoader, ModelLoadState, ModelLoadListener, ModelLoaderOptions, ModelLoadProgress, ReadDocumentOptions, ModelSource } from './types';
 export declare class ModelLoader implements IModelLoader {
     gl: WebGL2RenderingContext;
     private loadedModels;
     private gpuResources;
     private webio;
     private _pendingDocuments;
-    constructor(gl: WebGL2RenderingContext, gpuResources: IGPUResourceManager);
+    private loadStates;
+    private loadListeners;
+    private loadProgress;
+    private loadControllers;
+    private options;
+    private ktx2Transcoder;
+    constructor(gl: WebGL2RenderingContext, gpuResources: IGPUResourceManager, options?: ModelLoaderOptions);
     private createWebIO;
-    readDocument(url: string): Promise<boolean>;
+    readDocument(url: string, options?: ReadDocumentOptions): Promise<boolean>;
+    readBinary(modelId: ModelId, data: ModelSource, options?: ReadDocumentOptions): Promise<boolean>;
+    readJSON(modelId: ModelId, json: GLTF.IGLTF | string, resources?: Record<string, Uint8Array>, options?: ReadDocumentOptions): Promise<boolean>;
+    private readInto;
+    cancelLoad(modelId: ModelId): boolean;
     hasModel(modelId: ModelId): boolean;
+    getLoadState(modelId: ModelId): ModelLoadState | null;
+    getLoadProgress(modelId: ModelId): ModelLoadProgress | null;
+    addLoadListener(listener: ModelLoadListener): void;
+    removeLoadListener(listener: ModelLoadListener): void;
+    private emitLoadEvent;
+    private reportProgress;
+    private failLoad;
     processModel(modelId: ModelId): Promise<boolean>;
+    get loadedModelIds(): string[];
     get pendingDocuments(): Map<string, Document>;
     processPendingDocuments(): Promise<number>;
     getModelData(modelId: string): ModelData | null;
     deleteModel(modelId: string): void;
     private processDocument;
     private processRenderableNodes;
+    private processNodeNames;
     private processMesh;
     private processPrimitive;
+    private createPickGeometry;
     private getMaterialIndex;
     private processMaterials;
     private processAnimations;
@@ -29,7 +49,9 @@ export declare class ModelLoader implements IModelLoader {
     private createAttributeBuffer;
     private createIndexBuffer;
     private loadTexture;
-    private loadImage;
+    private createImageTexture;
+    private createKTX2Texture;
+    private decodeImage;
     private getIndexType;
     private getAttributeLocation;
 }
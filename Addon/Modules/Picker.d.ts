@@ -0,0 +1,9 @@
+import { InstanceData, PickResult } from './types';
+import { ModelLoader } from './ModelLoader';
+export declare class Picker {
+    private modelLoader;
+    constructor(modelLoader: ModelLoader);
+    pick(instances: Iterable<InstanceData>, origin: ArrayLike<number>, direction: ArrayLike<number>): PickResult | null;
+    private pickInstance;
+}
+//# sourceMappingURL=Picker.d.ts.map
\ No newline at end of file
@@ -0,0 +1,26 @@
+import { WebIO, Extension } from '@gltf-transform/core';
+import { ProjectUrlResolver } from './types';
+export interface FetchContext {
+    signal?: AbortSignal;
+    onProgress?: (loaded: number, total: number) => void;
+}
+export declare class ProjectFileIO extends WebIO {
+    private resolveUrl?;
+    private context;
+    private extensions;
+    private dependencies;
+    private loaded;
+    private total;
+    constructor(resolveUrl?: ProjectUrlResolver, context?: FetchContext);
+    registerExtensions(extensions: (typeof Extension)[]): this;
+    registerDependencies(dependencies: {
+        [key: string]: unknown;
+    }): this;
+    forLoad(context: FetchContext): ProjectFileIO;
+    protected readURI(uri: string, type: 'view'): Promise<Uint8Array>;
+    protected readURI(uri: string, type: 'text'): Promise<string>;
+    protected readURI(uri: string, type: 'view' | 'text'): Promise<Uint8Array | string>;
+    private readBody;
+    toUrl(path: string): Promise<string>;
+}
+//# sourceMappingURL=ProjectFileIO.d.ts.map
\ No newline at end of file
@@ -9,6 +9,7 @@ interface SceneNode {
 }
 export declare class SceneGraph {
     private nodes;
+    private freeSlots;
     private dirtyNodes;
     constructor();
     createNode(parent?: number, options?: {
@@ -16,7 +17,10 @@ export declare class SceneGraph {
         skin?: number;
     }): number;
     setLocalMatrix(nodeIndex: number, matrix: Float32Array): void;
+    getLocalMatrix(nodeIndex: number): Float32Array | null;
     getWorldMatrix(nodeIndex: number): Float32Array | null;
+    getParent(nodeIndex: number): number;
+    isAncestor(ancestorIndex: number, nodeIndex: number): boolean;
     updateWorldMatrices(): void;
     private updateNodeWorldMatrix;
     private markDirty;
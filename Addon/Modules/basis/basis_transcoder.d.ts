@@ -0,0 +1,2 @@
+export function BASIS(moduleArg?: {}): Promise<any>;
+//# sourceMappingURL=basis_transcoder.d.ts.map
\ No newline at end of file
@@ -1,11 +1,13 @@
 export declare enum ModelErrorCode {
     LOAD_FAILED = "LOAD_FAILED",
+    LOAD_CANCELLED = "LOAD_CANCELLED",
     RESOURCE_CREATION_FAILED = "RESOURCE_CREATION_FAILED",
     INVALID_MODEL = "INVALID_MODEL",
     RESOURCE_NOT_FOUND = "RESOURCE_NOT_FOUND",
     ANIMATION_NOT_FOUND = "ANIMATION_NOT_FOUND",
     GL_ERROR = "GL_ERROR",
     INVALID_DATA = "INVALID_DATA",
+    TEXTURE_DECODE_FAILED = "TEXTURE_DECODE_FAILED",
     NOT_IMPLEMENTED = "NOT_IMPLEMENTED",
     ANIMATION_INVALID_DATA = "ANIMATION_INVALID_DATA",
     ANIMATION_INTERPOLATION_ERROR = "ANIMATION_INTERPOLATION_ERROR"
@@ -0,0 +1,3 @@
+export declare function eulerToQuaternion(x: number, y: number, z: number): [number, number, number, number];
+export declare function quaternionToEuler(rotation: ArrayLike<number>): [number, number, number];
+//# sourceMappingURL=euler.d.ts.map
\ No newline at end of file
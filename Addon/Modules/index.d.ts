@@ -1,9 +1,18 @@
 /// <reference path="./AnimationController.d.ts" />
 export * from './AnimationController';
 
+/// <reference path="./Camera.d.ts" />
+export * from './Camera';
+
+/// <reference path="./CoordinateMapping.d.ts" />
+export * from './CoordinateMapping';
+
 /// <reference path="./errors.d.ts" />
 export * from './errors';
 
+/// <reference path="./euler.d.ts" />
+export * from './euler';
+
 /// <reference path="./GPUResourceCache.d.ts" />
 export * from './GPUResourceCache';
 
@@ -13,6 +22,9 @@ export * from './GPUResourceManager';
 /// <reference path="./InstanceManager.d.ts" />
 export * from './InstanceManager';
 
+/// <reference path="./KTX2Transcoder.d.ts" />
+export * from './KTX2Transcoder';
+
 /// <reference path="./main.d.ts" />
 export * from './main';
 
@@ -25,6 +37,12 @@ export * from './Model';
 /// <reference path="./ModelLoader.d.ts" />
 export * from './ModelLoader';
 
+/// <reference path="./Picker.d.ts" />
+export * from './Picker';
+
+/// <reference path="./ProjectFileIO.d.ts" />
+export * from './ProjectFileIO';
+
 /// <reference path="./SceneGraph.d.ts" />
 export * from './SceneGraph';
 
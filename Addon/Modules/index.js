@@ -935,7 +935,7 @@ function length$1(a) {
  * @returns {vec3} out
  */
 
-function transformMat4(out, a, m) {
+function transformMat4$2(out, a, m) {
   var x = a[0],
       y = a[1],
       z = a[2];
@@ -1024,7 +1024,7 @@ function getMeshBounds(mesh, worldMatrix) {
     for (let i = 0, il = indices ? indices.getCount() : position.getCount(); i < il; i++) {
       const index = indices ? indices.getScalar(i) : i;
       localPos = position.getElement(index, localPos);
-      worldPos = transformMat4(worldPos, localPos, worldMatrix);
+      worldPos = transformMat4$2(worldPos, localPos, worldMatrix);
       expandBounds(worldPos, meshBounds);
     }
   }
@@ -1404,7 +1404,7 @@ Logger.DEFAULT_INSTANCE = new _Logger(_Logger.Verbosity.INFO);
  * @returns {Number} determinant of a
  */
 
-function determinant(a) {
+function determinant$1(a) {
   var a00 = a[0],
       a01 = a[1],
       a02 = a[2],
@@ -1445,7 +1445,7 @@ function determinant(a) {
  * @returns {mat4} out
  */
 
-function multiply$1(out, a, b) {
+function multiply$2(out, a, b) {
   var a00 = a[0],
       a01 = a[1],
       a02 = a[2],
@@ -1659,7 +1659,7 @@ class MathUtils {
     const sy = length$1([srcMat[4], srcMat[5], srcMat[6]]);
     const sz = length$1([srcMat[8], srcMat[9], srcMat[10]]);
     // if determine is negative, we need to invert one scale
-    const det = determinant(srcMat);
+    const det = determinant$1(srcMat);
     if (det < 0) sx = -sx;
     dstTranslation[0] = srcMat[12];
     dstTranslation[1] = srcMat[13];
@@ -3043,7 +3043,7 @@ class Buffer$1 extends ExtensibleProperty {
  *
  * @category Properties
  */
-class Camera extends ExtensibleProperty {
+let Camera$1 = class Camera extends ExtensibleProperty {
   /**********************************************************************************************
    * Instance.
    */
@@ -3154,11 +3154,11 @@ class Camera extends ExtensibleProperty {
   setYMag(ymag) {
     return this.set('ymag', ymag);
   }
-}
+};
 /**********************************************************************************************
  * Constants.
  */
-Camera.Type = {
+Camera$1.Type = {
   /** A perspective camera representing a perspective projection matrix. */
   PERSPECTIVE: 'perspective',
   /** An orthographic camera representing an orthographic projection matrix. */
@@ -3864,7 +3864,7 @@ class Node extends ExtensibleProperty {
     let ancestor;
     const worldMatrix = ancestors.pop().getMatrix();
     while (ancestor = ancestors.pop()) {
-      multiply$1(worldMatrix, worldMatrix, ancestor.getMatrix());
+      multiply$2(worldMatrix, worldMatrix, ancestor.getMatrix());
     }
     return worldMatrix;
   }
@@ -4506,7 +4506,7 @@ class Root extends ExtensibleProperty {
       this.addRef('scenes', child);
     } else if (child instanceof Node) {
       this.addRef('nodes', child);
-    } else if (child instanceof Camera) {
+    } else if (child instanceof Camera$1) {
       this.addRef('cameras', child);
     } else if (child instanceof Skin) {
       this.addRef('skins', child);
@@ -4769,7 +4769,7 @@ class Document {
   }
   /** Creates a new {@link Camera} attached to this document's {@link Root}. */
   createCamera(name = '') {
-    return new Camera(this._graph, name);
+    return new Camera$1(this._graph, name);
   }
   /** Creates a new {@link Skin} attached to this document's {@link Root}. */
   createSkin(name = '') {
@@ -5269,7 +5269,7 @@ class GLTFReader {
     context.cameras = cameraDefs.map(cameraDef => {
       const camera = document.createCamera(cameraDef.name).setType(cameraDef.type);
       if (cameraDef.extras) camera.setExtras(cameraDef.extras);
-      if (cameraDef.type === Camera.Type.PERSPECTIVE) {
+      if (cameraDef.type === Camera$1.Type.PERSPECTIVE) {
         const perspectiveDef = cameraDef.perspective;
         camera.setYFov(perspectiveDef.yfov);
         camera.setZNear(perspectiveDef.znear);
@@ -6290,7 +6290,7 @@ class GLTFWriter {
     json.cameras = root.listCameras().map((camera, index) => {
       const cameraDef = context.createPropertyDef(camera);
       cameraDef.type = camera.getType();
-      if (cameraDef.type === Camera.Type.PERSPECTIVE) {
+      if (cameraDef.type === Camera$1.Type.PERSPECTIVE) {
         cameraDef.perspective = {
           znear: camera.getZNear(),
           zfar: camera.getZFar(),
@@ -6494,7 +6494,7 @@ class PlatformIO {
   async readAsJSON(uri) {
     const view = await this.readURI(uri, 'view');
     this.lastReadBytes = view.byteLength;
-    const jsonDoc = isGLB(view) ? this._binaryToJSON(view) : {
+    const jsonDoc = isGLB$1(view) ? this._binaryToJSON(view) : {
       json: JSON.parse(BufferUtils.decodeText(view)),
       resources: {}
     };
@@ -6641,7 +6641,7 @@ class PlatformIO {
   /** Internal version of binaryToJSON; does not warn about external resources. */
   _binaryToJSON(glb) {
     // Decode and verify GLB header.
-    if (!isGLB(glb)) {
+    if (!isGLB$1(glb)) {
       throw new Error('Invalid glTF 2.0 binary.');
     }
     // Decode JSON chunk.
@@ -6686,7 +6686,7 @@ function isExternalBuffer(jsonDocument, bufferDef) {
 function isExternalImage(jsonDocument, imageDef) {
   return imageDef.uri !== undefined && !(imageDef.uri in jsonDocument.resources) && imageDef.bufferView === undefined;
 }
-function isGLB(view) {
+function isGLB$1(view) {
   if (view.byteLength < 3 * Uint32Array.BYTES_PER_ELEMENT) return false;
   const header = new Uint32Array(view.buffer, view.byteOffset, 3);
   return header[0] === 0x46546c67 && header[1] === 2;
@@ -6747,12 +6747,14 @@ class WebIO extends PlatformIO {
 var ModelErrorCode;
 (function (ModelErrorCode) {
     ModelErrorCode["LOAD_FAILED"] = "LOAD_FAILED";
+    ModelErrorCode["LOAD_CANCELLED"] = "LOAD_CANCELLED";
     ModelErrorCode["RESOURCE_CREATION_FAILED"] = "RESOURCE_CREATION_FAILED";
     ModelErrorCode["INVALID_MODEL"] = "INVALID_MODEL";
     ModelErrorCode["RESOURCE_NOT_FOUND"] = "RESOURCE_NOT_FOUND";
     ModelErrorCode["ANIMATION_NOT_FOUND"] = "ANIMATION_NOT_FOUND";
     ModelErrorCode["GL_ERROR"] = "GL_ERROR";
     ModelErrorCode["INVALID_DATA"] = "INVALID_DATA";
+    ModelErrorCode["TEXTURE_DECODE_FAILED"] = "TEXTURE_DECODE_FAILED";
     ModelErrorCode["NOT_IMPLEMENTED"] = "NOT_IMPLEMENTED";
     ModelErrorCode["ANIMATION_INVALID_DATA"] = "ANIMATION_INVALID_DATA";
     ModelErrorCode["ANIMATION_INTERPOLATION_ERROR"] = "ANIMATION_INTERPOLATION_ERROR";
@@ -12318,6 +12320,188 @@ else if (typeof define === 'function' && define['amd'])
 else if (typeof exports === 'object')
   exports["DracoDecoderModule"] = DracoDecoderModule;
 
+// This file is part of meshoptimizer library and is distributed under the terms of MIT License.
+// Copyright (C) 2016-2024, by Arseny Kapoulkine (arseny.kapoulkine@gmail.com)
+var MeshoptDecoder = (function() {
+	// Built with clang version 18.1.2
+	// Built from meshoptimizer 0.21
+	var wasm_base = "b9H79Tebbbe8Fv9Gbb9Gvuuuuueu9Giuuub9Geueu9Giuuueuikqbeeedddillviebeoweuec:q;iekr;leDo9TW9T9VV95dbH9F9F939H79T9F9J9H229F9Jt9VV7bb8A9TW79O9V9Wt9F9KW9J9V9KW9wWVtW949c919M9MWVbeY9TW79O9V9Wt9F9KW9J9V9KW69U9KW949c919M9MWVbdE9TW79O9V9Wt9F9KW9J9V9KW69U9KW949tWG91W9U9JWbiL9TW79O9V9Wt9F9KW9J9V9KWS9P2tWV9p9JtblK9TW79O9V9Wt9F9KW9J9V9KWS9P2tWV9r919HtbvL9TW79O9V9Wt9F9KW9J9V9KWS9P2tWVT949Wbol79IV9Rbrq;w8Wqdbk;esezu8Jjjjjbcj;eb9Rgv8Kjjjjbc9:hodnadcefal0mbcuhoaiRbbc:Ge9hmbavaialfgrad9Radz1jjjbhwcj;abad9Uc;WFbGgocjdaocjd6EhDaicefhocbhqdnindndndnaeaq9nmbaDaeaq9RaqaDfae6Egkcsfglcl4cifcd4hxalc9WGgmTmecbhPawcjdfhsaohzinaraz9Rax6mvarazaxfgo9RcK6mvczhlcbhHinalgic9WfgOawcj;cbffhldndndndndnazaOco4fRbbaHcoG4ciGPlbedibkal9cb83ibalcwf9cb83ibxikalaoRblaoRbbgOco4gAaAciSgAE86bbawcj;cbfaifglcGfaoclfaAfgARbbaOcl4ciGgCaCciSgCE86bbalcVfaAaCfgARbbaOcd4ciGgCaCciSgCE86bbalc7faAaCfgARbbaOciGgOaOciSgOE86bbalctfaAaOfgARbbaoRbegOco4gCaCciSgCE86bbalc91faAaCfgARbbaOcl4ciGgCaCciSgCE86bbalc4faAaCfgARbbaOcd4ciGgCaCciSgCE86bbalc93faAaCfgARbbaOciGgOaOciSgOE86bbalc94faAaOfgARbbaoRbdgOco4gCaCciSgCE86bbalc95faAaCfgARbbaOcl4ciGgCaCciSgCE86bbalc96faAaCfgARbbaOcd4ciGgCaCciSgCE86bbalc97faAaCfgARbbaOciGgOaOciSgOE86bbalc98faAaOfgORbbaoRbigoco4gAaAciSgAE86bbalc99faOaAfgORbbaocl4ciGgAaAciSgAE86bbalc9:faOaAfgORbbaocd4ciGgAaAciSgAE86bbalcufaOaAfglRbbaociGgoaociSgoE86bbalaofhoxdkalaoRbwaoRbbgOcl4gAaAcsSgAE86bbawcj;cbfaifglcGfaocwfaAfgARbbaOcsGgOaOcsSgOE86bbalcVfaAaOfgORbbaoRbegAcl4gCaCcsSgCE86bbalc7faOaCfgORbbaAcsGgAaAcsSgAE86bbalctfaOaAfgORbbaoRbdgAcl4gCaCcsSgCE86bbalc91faOaCfgORbbaAcsGgAaAcsSgAE86bbalc4faOaAfgORbbaoRbigAcl4gCaCcsSgCE86bbalc93faOaCfgORbbaAcsGgAaAcsSgAE86bbalc94faOaAfgORbbaoRblgAcl4gCaCcsSgCE86bbalc95faOaCfgORbbaAcsGgAaAcsSgAE86bbalc96faOaAfgORbbaoRbvgAcl4gCaCcsSgCE86bbalc97faOaCfgORbbaAcsGgAaAcsSgAE86bbalc98faOaAfgORbbaoRbogAcl4gCaCcsSgCE86bbalc99faOaCfgORbbaAcsGgAaAcsSgAE86bbalc9:faOaAfgORbbaoRbrgocl4gAaAcsSgAE86bbalcufaOaAfglRbbaocsGgoaocsSgoE86bbalaofhoxekalao8Pbb83bbalcwfaocwf8Pbb83bbaoczfhokdnaiam9pmbaHcdfhHaiczfhlarao9RcL0mekkaiam6mvaoTmvdnakTmbawaPfRbbhHawcj;cbfhlashiakhOinaialRbbgzce4cbazceG9R7aHfgH86bbaiadfhialcefhlaOcufgOmbkkascefhsaohzaPcefgPad9hmbxikkcbc99arao9Radcaadca0ESEhoxlkaoaxad2fhCdnakmbadhlinaoTmlarao9Rax6mlaoaxfhoalcufglmbkaChoxekcbhmawcjdfhAinarao9Rax6miawamfRbbhHawcj;cbfhlaAhiakhOinaialRbbgzce4cbazceG9R7aHfgH86bbaiadfhialcefhlaOcufgOmbkaAcefhAaoaxfhoamcefgmad9hmbkaChokabaqad2fawcjdfakad2z1jjjb8Aawawcjdfakcufad2fadz1jjjb8Aakaqfhqaombkc9:hoxekc9:hokavcj;ebf8Kjjjjbaok;cseHu8Jjjjjbc;ae9Rgv8Kjjjjbc9:hodnaeci9UgrcHfal0mbcuhoaiRbbgwc;WeGc;Ge9hmbawcsGgwce0mbavc;abfcFecjez:jjjjb8AavcUf9cu83ibavc8Wf9cu83ibavcyf9cu83ibavcaf9cu83ibavcKf9cu83ibavczf9cu83ibav9cu83iwav9cu83ibaialfc9WfhDaicefgqarfhidnaeTmbcmcsawceSEhkcbhxcbhmcbhPcbhwcbhlindnaiaD9nmbc9:hoxikdndnaqRbbgoc;Ve0mbavc;abfalaocu7gscl4fcsGcitfgzydlhrazydbhzdnaocsGgHak9pmbavawasfcsGcdtfydbaxaHEhoaHThsdndnadcd9hmbabaPcetfgHaz87ebaHclfao87ebaHcdfar87ebxekabaPcdtfgHazBdbaHcwfaoBdbaHclfarBdbkaxasfhxcdhHavawcdtfaoBdbawasfhwcehsalhOxdkdndnaHcsSmbaHc987aHamffcefhoxekaicefhoai8SbbgHcFeGhsdndnaHcu9mmbaohixekaicvfhiascFbGhscrhHdninao8SbbgOcFbGaHtasVhsaOcu9kmeaocefhoaHcrfgHc8J9hmbxdkkaocefhikasce4cbasceG9R7amfhokdndnadcd9hmbabaPcetfgHaz87ebaHclfao87ebaHcdfar87ebxekabaPcdtfgHazBdbaHcwfaoBdbaHclfarBdbkcdhHavawcdtfaoBdbcehsawcefhwalhOaohmxekdnaocpe0mbaxcefgHavawaDaocsGfRbbgocl49RcsGcdtfydbaocz6gzEhravawao9RcsGcdtfydbaHazfgAaocsGgHEhoaHThCdndnadcd9hmbabaPcetfgHax87ebaHclfao87ebaHcdfar87ebxekabaPcdtfgHaxBdbaHcwfaoBdbaHclfarBdbkcdhsavawcdtfaxBdbavawcefgwcsGcdtfarBdbcihHavc;abfalcitfgOaxBdlaOarBdbavawazfgwcsGcdtfaoBdbalcefcsGhOawaCfhwaxhzaAaCfhxxekaxcbaiRbbgOEgzaoc;:eSgHfhraOcsGhCaOcl4hAdndnaOcs0mbarcefhoxekarhoavawaA9RcsGcdtfydbhrkdndnaCmbaocefhxxekaohxavawaO9RcsGcdtfydbhokdndnaHTmbaicefhHxekaicdfhHai8SbegscFeGhzdnascu9kmbaicofhXazcFbGhzcrhidninaH8SbbgscFbGaitazVhzascu9kmeaHcefhHaicrfgic8J9hmbkaXhHxekaHcefhHkazce4cbazceG9R7amfgmhzkdndnaAcsSmbaHhsxekaHcefhsaH8SbbgicFeGhrdnaicu9kmbaHcvfhXarcFbGhrcrhidninas8SbbgHcFbGaitarVhraHcu9kmeascefhsaicrfgic8J9hmbkaXhsxekascefhskarce4cbarceG9R7amfgmhrkdndnaCcsSmbashixekascefhias8SbbgocFeGhHdnaocu9kmbascvfhXaHcFbGhHcrhodninai8SbbgscFbGaotaHVhHascu9kmeaicefhiaocrfgoc8J9hmbkaXhixekaicefhikaHce4cbaHceG9R7amfgmhokdndnadcd9hmbabaPcetfgHaz87ebaHclfao87ebaHcdfar87ebxekabaPcdtfgHazBdbaHcwfaoBdbaHclfarBdbkcdhsavawcdtfazBdbavawcefgwcsGcdtfarBdbcihHavc;abfalcitfgXazBdlaXarBdbavawaOcz6aAcsSVfgwcsGcdtfaoBdbawaCTaCcsSVfhwalcefcsGhOkaqcefhqavc;abfaOcitfgOarBdlaOaoBdbavc;abfalasfcsGcitfgraoBdlarazBdbawcsGhwalaHfcsGhlaPcifgPae6mbkkcbc99aiaDSEhokavc;aef8Kjjjjbaok:flevu8Jjjjjbcz9Rhvc9:hodnaecvfal0mbcuhoaiRbbc;:eGc;qe9hmbav9cb83iwaicefhraialfc98fhwdnaeTmbdnadcdSmbcbhDindnaraw6mbc9:skarcefhoar8SbbglcFeGhidndnalcu9mmbaohrxekarcvfhraicFbGhicrhldninao8SbbgdcFbGaltaiVhiadcu9kmeaocefhoalcrfglc8J9hmbxdkkaocefhrkabaDcdtfaic8Etc8F91aicd47avcwfaiceGcdtVgoydbfglBdbaoalBdbaDcefgDae9hmbxdkkcbhDindnaraw6mbc9:skarcefhoar8SbbglcFeGhidndnalcu9mmbaohrxekarcvfhraicFbGhicrhldninao8SbbgdcFbGaltaiVhiadcu9kmeaocefhoalcrfglc8J9hmbxdkkaocefhrkabaDcetfaic8Etc8F91aicd47avcwfaiceGcdtVgoydbfgl87ebaoalBdbaDcefgDae9hmbkkcbc99arawSEhokaok:Lvoeue99dud99eud99dndnadcl9hmbaeTmeindndnabcdfgd8Sbb:Yab8Sbbgi:Ygl:l:tabcefgv8Sbbgo:Ygr:l:tgwJbb;:9cawawNJbbbbawawJbbbb9GgDEgq:mgkaqaicb9iEalMgwawNakaqaocb9iEarMgqaqNMM:r:vglNJbbbZJbbb:;aDEMgr:lJbbb9p9DTmbar:Ohixekcjjjj94hikadai86bbdndnaqalNJbbbZJbbb:;aqJbbbb9GEMgq:lJbbb9p9DTmbaq:Ohdxekcjjjj94hdkavad86bbdndnawalNJbbbZJbbb:;awJbbbb9GEMgw:lJbbb9p9DTmbaw:Ohdxekcjjjj94hdkabad86bbabclfhbaecufgembxdkkaeTmbindndnabclfgd8Ueb:Yab8Uebgi:Ygl:l:tabcdfgv8Uebgo:Ygr:l:tgwJb;:FSawawNJbbbbawawJbbbb9GgDEgq:mgkaqaicb9iEalMgwawNakaqaocb9iEarMgqaqNMM:r:vglNJbbbZJbbb:;aDEMgr:lJbbb9p9DTmbar:Ohixekcjjjj94hikadai87ebdndnaqalNJbbbZJbbb:;aqJbbbb9GEMgq:lJbbb9p9DTmbaq:Ohdxekcjjjj94hdkavad87ebdndnawalNJbbbZJbbb:;awJbbbb9GEMgw:lJbbb9p9DTmbaw:Ohdxekcjjjj94hdkabad87ebabcwfhbaecufgembkkk;oiliui99iue99dnaeTmbcbhiabhlindndnJ;Zl81Zalcof8UebgvciV:Y:vgoal8Ueb:YNgrJb;:FSNJbbbZJbbb:;arJbbbb9GEMgw:lJbbb9p9DTmbaw:OhDxekcjjjj94hDkalclf8Uebhqalcdf8UebhkabaiavcefciGfcetfaD87ebdndnaoak:YNgwJb;:FSNJbbbZJbbb:;awJbbbb9GEMgx:lJbbb9p9DTmbax:OhDxekcjjjj94hDkabaiavciGfgkcd7cetfaD87ebdndnaoaq:YNgoJb;:FSNJbbbZJbbb:;aoJbbbb9GEMgx:lJbbb9p9DTmbax:OhDxekcjjjj94hDkabaiavcufciGfcetfaD87ebdndnJbbjZararN:tawawN:taoaoN:tgrJbbbbarJbbbb9GE:rJb;:FSNJbbbZMgr:lJbbb9p9DTmbar:Ohvxekcjjjj94hvkabakcetfav87ebalcwfhlaiclfhiaecufgembkkk9mbdnadcd4ae2gdTmbinababydbgecwtcw91:Yaece91cjjj98Gcjjj;8if::NUdbabclfhbadcufgdmbkkk9teiucbcbydj1jjbgeabcifc98GfgbBdj1jjbdndnabZbcztgd9nmbcuhiabad9RcFFifcz4nbcuSmekaehikaik;LeeeudndnaeabVciGTmbabhixekdndnadcz9pmbabhixekabhiinaiaeydbBdbaiclfaeclfydbBdbaicwfaecwfydbBdbaicxfaecxfydbBdbaeczfheaiczfhiadc9Wfgdcs0mbkkadcl6mbinaiaeydbBdbaeclfheaiclfhiadc98fgdci0mbkkdnadTmbinaiaeRbb86bbaicefhiaecefheadcufgdmbkkabk;aeedudndnabciGTmbabhixekaecFeGc:b:c:ew2hldndnadcz9pmbabhixekabhiinaialBdbaicxfalBdbaicwfalBdbaiclfalBdbaiczfhiadc9Wfgdcs0mbkkadcl6mbinaialBdbaiclfhiadc98fgdci0mbkkdnadTmbinaiae86bbaicefhiadcufgdmbkkabkkkebcjwklz9Kbb";
+	var wasm_simd = "b9H79TebbbeKl9Gbb9Gvuuuuueu9Giuuub9Geueuikqbbebeedddilve9Weeeviebeoweuec:q;Aekr;leDo9TW9T9VV95dbH9F9F939H79T9F9J9H229F9Jt9VV7bb8A9TW79O9V9Wt9F9KW9J9V9KW9wWVtW949c919M9MWVbdY9TW79O9V9Wt9F9KW9J9V9KW69U9KW949c919M9MWVblE9TW79O9V9Wt9F9KW9J9V9KW69U9KW949tWG91W9U9JWbvL9TW79O9V9Wt9F9KW9J9V9KWS9P2tWV9p9JtboK9TW79O9V9Wt9F9KW9J9V9KWS9P2tWV9r919HtbrL9TW79O9V9Wt9F9KW9J9V9KWS9P2tWVT949Wbwl79IV9RbDq:p9sqlbzik9:evu8Jjjjjbcz9Rhbcbheincbhdcbhiinabcwfadfaicjuaead4ceGglE86bbaialfhiadcefgdcw9hmbkaec:q:yjjbfai86bbaecitc:q1jjbfab8Piw83ibaecefgecjd9hmbkk:N8JlHud97euo978Jjjjjbcj;kb9Rgv8Kjjjjbc9:hodnadcefal0mbcuhoaiRbbc:Ge9hmbavaialfgrad9Rad;8qbbcj;abad9UhlaicefhodnaeTmbadTmbalc;WFbGglcjdalcjd6EhwcbhDinawaeaD9RaDawfae6Egqcsfglc9WGgkci2hxakcethmalcl4cifcd4hPabaDad2fhsakc;ab6hzcbhHincbhOaohAdndninaraA9RaP6meavcj;cbfaOak2fhCaAaPfhocbhidnazmbarao9Rc;Gb6mbcbhlinaCalfhidndndndndnaAalco4fRbbgXciGPlbedibkaipxbbbbbbbbbbbbbbbbpklbxikaiaopbblaopbbbgQclp:meaQpmbzeHdOiAlCvXoQrLgQcdp:meaQpmbzeHdOiAlCvXoQrLpxiiiiiiiiiiiiiiiip9ogLpxiiiiiiiiiiiiiiiip8JgQp5b9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibaKc:q:yjjbfpbbbgYaYpmbbbbbbbbbbbbbbbbaQp5e9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibp9UpmbedilvorzHOACXQLpPaLaQp9spklbaoclfaYpQbfaKc:q:yjjbfRbbfhoxdkaiaopbbwaopbbbgQclp:meaQpmbzeHdOiAlCvXoQrLpxssssssssssssssssp9ogLpxssssssssssssssssp8JgQp5b9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibaKc:q:yjjbfpbbbgYaYpmbbbbbbbbbbbbbbbbaQp5e9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibp9UpmbedilvorzHOACXQLpPaLaQp9spklbaocwfaYpQbfaKc:q:yjjbfRbbfhoxekaiaopbbbpklbaoczfhokdndndndndnaXcd4ciGPlbedibkaipxbbbbbbbbbbbbbbbbpklzxikaiaopbblaopbbbgQclp:meaQpmbzeHdOiAlCvXoQrLgQcdp:meaQpmbzeHdOiAlCvXoQrLpxiiiiiiiiiiiiiiiip9ogLpxiiiiiiiiiiiiiiiip8JgQp5b9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibaKc:q:yjjbfpbbbgYaYpmbbbbbbbbbbbbbbbbaQp5e9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibp9UpmbedilvorzHOACXQLpPaLaQp9spklzaoclfaYpQbfaKc:q:yjjbfRbbfhoxdkaiaopbbwaopbbbgQclp:meaQpmbzeHdOiAlCvXoQrLpxssssssssssssssssp9ogLpxssssssssssssssssp8JgQp5b9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibaKc:q:yjjbfpbbbgYaYpmbbbbbbbbbbbbbbbbaQp5e9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibp9UpmbedilvorzHOACXQLpPaLaQp9spklzaocwfaYpQbfaKc:q:yjjbfRbbfhoxekaiaopbbbpklzaoczfhokdndndndndnaXcl4ciGPlbedibkaipxbbbbbbbbbbbbbbbbpklaxikaiaopbblaopbbbgQclp:meaQpmbzeHdOiAlCvXoQrLgQcdp:meaQpmbzeHdOiAlCvXoQrLpxiiiiiiiiiiiiiiiip9ogLpxiiiiiiiiiiiiiiiip8JgQp5b9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibaKc:q:yjjbfpbbbgYaYpmbbbbbbbbbbbbbbbbaQp5e9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibp9UpmbedilvorzHOACXQLpPaLaQp9spklaaoclfaYpQbfaKc:q:yjjbfRbbfhoxdkaiaopbbwaopbbbgQclp:meaQpmbzeHdOiAlCvXoQrLpxssssssssssssssssp9ogLpxssssssssssssssssp8JgQp5b9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibaKc:q:yjjbfpbbbgYaYpmbbbbbbbbbbbbbbbbaQp5e9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibp9UpmbedilvorzHOACXQLpPaLaQp9spklaaocwfaYpQbfaKc:q:yjjbfRbbfhoxekaiaopbbbpklaaoczfhokdndndndndnaXco4Plbedibkaipxbbbbbbbbbbbbbbbbpkl8WxikaiaopbblaopbbbgQclp:meaQpmbzeHdOiAlCvXoQrLgQcdp:meaQpmbzeHdOiAlCvXoQrLpxiiiiiiiiiiiiiiiip9ogLpxiiiiiiiiiiiiiiiip8JgQp5b9cjF;8;4;W;G;ab9:9cU1:NgXcitc:q1jjbfpbibaXc:q:yjjbfpbbbgYaYpmbbbbbbbbbbbbbbbbaQp5e9cjF;8;4;W;G;ab9:9cU1:NgXcitc:q1jjbfpbibp9UpmbedilvorzHOACXQLpPaLaQp9spkl8WaoclfaYpQbfaXc:q:yjjbfRbbfhoxdkaiaopbbwaopbbbgQclp:meaQpmbzeHdOiAlCvXoQrLpxssssssssssssssssp9ogLpxssssssssssssssssp8JgQp5b9cjF;8;4;W;G;ab9:9cU1:NgXcitc:q1jjbfpbibaXc:q:yjjbfpbbbgYaYpmbbbbbbbbbbbbbbbbaQp5e9cjF;8;4;W;G;ab9:9cU1:NgXcitc:q1jjbfpbibp9UpmbedilvorzHOACXQLpPaLaQp9spkl8WaocwfaYpQbfaXc:q:yjjbfRbbfhoxekaiaopbbbpkl8Waoczfhokalc;abfhialcjefak0meaihlarao9Rc;Fb0mbkkdnaiak9pmbaici4hlinarao9RcK6miaCaifhXdndndndndnaAaico4fRbbalcoG4ciGPlbedibkaXpxbbbbbbbbbbbbbbbbpkbbxikaXaopbblaopbbbgQclp:meaQpmbzeHdOiAlCvXoQrLgQcdp:meaQpmbzeHdOiAlCvXoQrLpxiiiiiiiiiiiiiiiip9ogLpxiiiiiiiiiiiiiiiip8JgQp5b9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibaKc:q:yjjbfpbbbgYaYpmbbbbbbbbbbbbbbbbaQp5e9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibp9UpmbedilvorzHOACXQLpPaLaQp9spkbbaoclfaYpQbfaKc:q:yjjbfRbbfhoxdkaXaopbbwaopbbbgQclp:meaQpmbzeHdOiAlCvXoQrLpxssssssssssssssssp9ogLpxssssssssssssssssp8JgQp5b9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibaKc:q:yjjbfpbbbgYaYpmbbbbbbbbbbbbbbbbaQp5e9cjF;8;4;W;G;ab9:9cU1:NgKcitc:q1jjbfpbibp9UpmbedilvorzHOACXQLpPaLaQp9spkbbaocwfaYpQbfaKc:q:yjjbfRbbfhoxekaXaopbbbpkbbaoczfhokalcdfhlaiczfgiak6mbkkaoTmeaohAaOcefgOclSmdxbkkc9:hoxlkdnakTmbavcjdfaHfhiavaHfpbdbhYcbhXinaiavcj;cbfaXfglpblbgLcep9TaLpxeeeeeeeeeeeeeeeegQp9op9Hp9rgLalakfpblbg8Acep9Ta8AaQp9op9Hp9rg8ApmbzeHdOiAlCvXoQrLgEalamfpblbg3cep9Ta3aQp9op9Hp9rg3alaxfpblbg5cep9Ta5aQp9op9Hp9rg5pmbzeHdOiAlCvXoQrLg8EpmbezHdiOAlvCXorQLgQaQpmbedibedibedibediaYp9UgYp9AdbbaiadfglaYaQaQpmlvorlvorlvorlvorp9UgYp9AdbbaladfglaYaQaQpmwDqkwDqkwDqkwDqkp9UgYp9AdbbaladfglaYaQaQpmxmPsxmPsxmPsxmPsp9UgYp9AdbbaladfglaYaEa8EpmwDKYqk8AExm35Ps8E8FgQaQpmbedibedibedibedip9UgYp9AdbbaladfglaYaQaQpmlvorlvorlvorlvorp9UgYp9AdbbaladfglaYaQaQpmwDqkwDqkwDqkwDqkp9UgYp9AdbbaladfglaYaQaQpmxmPsxmPsxmPsxmPsp9UgYp9AdbbaladfglaYaLa8ApmwKDYq8AkEx3m5P8Es8FgLa3a5pmwKDYq8AkEx3m5P8Es8Fg8ApmbezHdiOAlvCXorQLgQaQpmbedibedibedibedip9UgYp9AdbbaladfglaYaQaQpmlvorlvorlvorlvorp9UgYp9AdbbaladfglaYaQaQpmwDqkwDqkwDqkwDqkp9UgYp9AdbbaladfglaYaQaQpmxmPsxmPsxmPsxmPsp9UgYp9AdbbaladfglaYaLa8ApmwDKYqk8AExm35Ps8E8FgQaQpmbedibedibedibedip9UgYp9AdbbaladfglaYaQaQpmlvorlvorlvorlvorp9UgYp9AdbbaladfglaYaQaQpmwDqkwDqkwDqkwDqkp9UgYp9AdbbaladfglaYaQaQpmxmPsxmPsxmPsxmPsp9UgYp9AdbbaladfhiaXczfgXak6mbkkaHclfgHad6mbkasavcjdfaqad2;8qbbavavcjdfaqcufad2fad;8qbbaqaDfgDae6mbkkcbc99arao9Radcaadca0ESEhokavcj;kbf8Kjjjjbaokwbz:bjjjbk::seHu8Jjjjjbc;ae9Rgv8Kjjjjbc9:hodnaeci9UgrcHfal0mbcuhoaiRbbgwc;WeGc;Ge9hmbawcsGgwce0mbavc;abfcFecje;8kbavcUf9cu83ibavc8Wf9cu83ibavcyf9cu83ibavcaf9cu83ibavcKf9cu83ibavczf9cu83ibav9cu83iwav9cu83ibaialfc9WfhDaicefgqarfhidnaeTmbcmcsawceSEhkcbhxcbhmcbhPcbhwcbhlindnaiaD9nmbc9:hoxikdndnaqRbbgoc;Ve0mbavc;abfalaocu7gscl4fcsGcitfgzydlhrazydbhzdnaocsGgHak9pmbavawasfcsGcdtfydbaxaHEhoaHThsdndnadcd9hmbabaPcetfgHaz87ebaHclfao87ebaHcdfar87ebxekabaPcdtfgHazBdbaHcwfaoBdbaHclfarBdbkaxasfhxcdhHavawcdtfaoBdbawasfhwcehsalhOxdkdndnaHcsSmbaHc987aHamffcefhoxekaicefhoai8SbbgHcFeGhsdndnaHcu9mmbaohixekaicvfhiascFbGhscrhHdninao8SbbgOcFbGaHtasVhsaOcu9kmeaocefhoaHcrfgHc8J9hmbxdkkaocefhikasce4cbasceG9R7amfhokdndnadcd9hmbabaPcetfgHaz87ebaHclfao87ebaHcdfar87ebxekabaPcdtfgHazBdbaHcwfaoBdbaHclfarBdbkcdhHavawcdtfaoBdbcehsawcefhwalhOaohmxekdnaocpe0mbaxcefgHavawaDaocsGfRbbgocl49RcsGcdtfydbaocz6gzEhravawao9RcsGcdtfydbaHazfgAaocsGgHEhoaHThCdndnadcd9hmbabaPcetfgHax87ebaHclfao87ebaHcdfar87ebxekabaPcdtfgHaxBdbaHcwfaoBdbaHclfarBdbkcdhsavawcdtfaxBdbavawcefgwcsGcdtfarBdbcihHavc;abfalcitfgOaxBdlaOarBdbavawazfgwcsGcdtfaoBdbalcefcsGhOawaCfhwaxhzaAaCfhxxekaxcbaiRbbgOEgzaoc;:eSgHfhraOcsGhCaOcl4hAdndnaOcs0mbarcefhoxekarhoavawaA9RcsGcdtfydbhrkdndnaCmbaocefhxxekaohxavawaO9RcsGcdtfydbhokdndnaHTmbaicefhHxekaicdfhHai8SbegscFeGhzdnascu9kmbaicofhXazcFbGhzcrhidninaH8SbbgscFbGaitazVhzascu9kmeaHcefhHaicrfgic8J9hmbkaXhHxekaHcefhHkazce4cbazceG9R7amfgmhzkdndnaAcsSmbaHhsxekaHcefhsaH8SbbgicFeGhrdnaicu9kmbaHcvfhXarcFbGhrcrhidninas8SbbgHcFbGaitarVhraHcu9kmeascefhsaicrfgic8J9hmbkaXhsxekascefhskarce4cbarceG9R7amfgmhrkdndnaCcsSmbashixekascefhias8SbbgocFeGhHdnaocu9kmbascvfhXaHcFbGhHcrhodninai8SbbgscFbGaotaHVhHascu9kmeaicefhiaocrfgoc8J9hmbkaXhixekaicefhikaHce4cbaHceG9R7amfgmhokdndnadcd9hmbabaPcetfgHaz87ebaHclfao87ebaHcdfar87ebxekabaPcdtfgHazBdbaHcwfaoBdbaHclfarBdbkcdhsavawcdtfazBdbavawcefgwcsGcdtfarBdbcihHavc;abfalcitfgXazBdlaXarBdbavawaOcz6aAcsSVfgwcsGcdtfaoBdbawaCTaCcsSVfhwalcefcsGhOkaqcefhqavc;abfaOcitfgOarBdlaOaoBdbavc;abfalasfcsGcitfgraoBdlarazBdbawcsGhwalaHfcsGhlaPcifgPae6mbkkcbc99aiaDSEhokavc;aef8Kjjjjbaok:flevu8Jjjjjbcz9Rhvc9:hodnaecvfal0mbcuhoaiRbbc;:eGc;qe9hmbav9cb83iwaicefhraialfc98fhwdnaeTmbdnadcdSmbcbhDindnaraw6mbc9:skarcefhoar8SbbglcFeGhidndnalcu9mmbaohrxekarcvfhraicFbGhicrhldninao8SbbgdcFbGaltaiVhiadcu9kmeaocefhoalcrfglc8J9hmbxdkkaocefhrkabaDcdtfaic8Etc8F91aicd47avcwfaiceGcdtVgoydbfglBdbaoalBdbaDcefgDae9hmbxdkkcbhDindnaraw6mbc9:skarcefhoar8SbbglcFeGhidndnalcu9mmbaohrxekarcvfhraicFbGhicrhldninao8SbbgdcFbGaltaiVhiadcu9kmeaocefhoalcrfglc8J9hmbxdkkaocefhrkabaDcetfaic8Etc8F91aicd47avcwfaiceGcdtVgoydbfgl87ebaoalBdbaDcefgDae9hmbkkcbc99arawSEhokaok:wPliuo97eue978Jjjjjbca9Rhiaec98Ghldndnadcl9hmbdnalTmbcbhvabhdinadadpbbbgocKp:RecKp:Sep;6egraocwp:RecKp:Sep;6earp;Geaoczp:RecKp:Sep;6egwp;Gep;Kep;LegDpxbbbbbbbbbbbbbbbbp:2egqarpxbbbjbbbjbbbjbbbjgkp9op9rp;Kegrpxbb;:9cbb;:9cbb;:9cbb;:9cararp;MeaDaDp;Meawaqawakp9op9rp;Kegrarp;Mep;Kep;Kep;Jep;Negwp;Mepxbbn0bbn0bbn0bbn0gqp;KepxFbbbFbbbFbbbFbbbp9oaopxbbbFbbbFbbbFbbbFp9op9qarawp;Meaqp;Kecwp:RepxbFbbbFbbbFbbbFbbp9op9qaDawp;Meaqp;Keczp:RepxbbFbbbFbbbFbbbFbp9op9qpkbbadczfhdavclfgval6mbkkalaeSmeaipxbbbbbbbbbbbbbbbbgqpklbaiabalcdtfgdaeciGglcdtgv;8qbbdnalTmbaiaipblbgocKp:RecKp:Sep;6egraocwp:RecKp:Sep;6earp;Geaoczp:RecKp:Sep;6egwp;Gep;Kep;LegDaqp:2egqarpxbbbjbbbjbbbjbbbjgkp9op9rp;Kegrpxbb;:9cbb;:9cbb;:9cbb;:9cararp;MeaDaDp;Meawaqawakp9op9rp;Kegrarp;Mep;Kep;Kep;Jep;Negwp;Mepxbbn0bbn0bbn0bbn0gqp;KepxFbbbFbbbFbbbFbbbp9oaopxbbbFbbbFbbbFbbbFp9op9qarawp;Meaqp;Kecwp:RepxbFbbbFbbbFbbbFbbp9op9qaDawp;Meaqp;Keczp:RepxbbFbbbFbbbFbbbFbp9op9qpklbkadaiav;8qbbskdnalTmbcbhvabhdinadczfgxaxpbbbgopxbbbbbbFFbbbbbbFFgkp9oadpbbbgDaopmbediwDqkzHOAKY8AEgwczp:Reczp:Sep;6egraDaopmlvorxmPsCXQL358E8FpxFubbFubbFubbFubbp9op;6eawczp:Sep;6egwp;Gearp;Gep;Kep;Legopxbbbbbbbbbbbbbbbbp:2egqarpxbbbjbbbjbbbjbbbjgmp9op9rp;Kegrpxb;:FSb;:FSb;:FSb;:FSararp;Meaoaop;Meawaqawamp9op9rp;Kegrarp;Mep;Kep;Kep;Jep;Negwp;Mepxbbn0bbn0bbn0bbn0gqp;KepxFFbbFFbbFFbbFFbbp9oaoawp;Meaqp;Keczp:Rep9qgoarawp;Meaqp;KepxFFbbFFbbFFbbFFbbp9ogrpmwDKYqk8AExm35Ps8E8Fp9qpkbbadaDakp9oaoarpmbezHdiOAlvCXorQLp9qpkbbadcafhdavclfgval6mbkkalaeSmbaiaeciGgvcitgdfcbcaad9R;8kbaiabalcitfglad;8qbbdnavTmbaiaipblzgopxbbbbbbFFbbbbbbFFgkp9oaipblbgDaopmbediwDqkzHOAKY8AEgwczp:Reczp:Sep;6egraDaopmlvorxmPsCXQL358E8FpxFubbFubbFubbFubbp9op;6eawczp:Sep;6egwp;Gearp;Gep;Kep;Legopxbbbbbbbbbbbbbbbbp:2egqarpxbbbjbbbjbbbjbbbjgmp9op9rp;Kegrpxb;:FSb;:FSb;:FSb;:FSararp;Meaoaop;Meawaqawamp9op9rp;Kegrarp;Mep;Kep;Kep;Jep;Negwp;Mepxbbn0bbn0bbn0bbn0gqp;KepxFFbbFFbbFFbbFFbbp9oaoawp;Meaqp;Keczp:Rep9qgoarawp;Meaqp;KepxFFbbFFbbFFbbFFbbp9ogrpmwDKYqk8AExm35Ps8E8Fp9qpklzaiaDakp9oaoarpmbezHdiOAlvCXorQLp9qpklbkalaiad;8qbbkk;4wllue97euv978Jjjjjbc8W9Rhidnaec98GglTmbcbhvabhoinaiaopbbbgraoczfgwpbbbgDpmlvorxmPsCXQL358E8Fgqczp:Segkclp:RepklbaopxbbjZbbjZbbjZbbjZpx;Zl81Z;Zl81Z;Zl81Z;Zl81Zakpxibbbibbbibbbibbbp9qp;6ep;NegkaraDpmbediwDqkzHOAKY8AEgrczp:Reczp:Sep;6ep;MegDaDp;Meakarczp:Sep;6ep;Megxaxp;Meakaqczp:Reczp:Sep;6ep;Megqaqp;Mep;Kep;Kep;Lepxbbbbbbbbbbbbbbbbp:4ep;Jepxb;:FSb;:FSb;:FSb;:FSgkp;Mepxbbn0bbn0bbn0bbn0grp;KepxFFbbFFbbFFbbFFbbgmp9oaxakp;Mearp;Keczp:Rep9qgxaDakp;Mearp;Keamp9oaqakp;Mearp;Keczp:Rep9qgkpmbezHdiOAlvCXorQLgrp5baipblbpEb:T:j83ibaocwfarp5eaipblbpEe:T:j83ibawaxakpmwDKYqk8AExm35Ps8E8Fgkp5baipblbpEd:T:j83ibaocKfakp5eaipblbpEi:T:j83ibaocafhoavclfgval6mbkkdnalaeSmbaiaeciGgvcitgofcbcaao9R;8kbaiabalcitfgwao;8qbbdnavTmbaiaipblbgraipblzgDpmlvorxmPsCXQL358E8Fgqczp:Segkclp:RepklaaipxbbjZbbjZbbjZbbjZpx;Zl81Z;Zl81Z;Zl81Z;Zl81Zakpxibbbibbbibbbibbbp9qp;6ep;NegkaraDpmbediwDqkzHOAKY8AEgrczp:Reczp:Sep;6ep;MegDaDp;Meakarczp:Sep;6ep;Megxaxp;Meakaqczp:Reczp:Sep;6ep;Megqaqp;Mep;Kep;Kep;Lepxbbbbbbbbbbbbbbbbp:4ep;Jepxb;:FSb;:FSb;:FSb;:FSgkp;Mepxbbn0bbn0bbn0bbn0grp;KepxFFbbFFbbFFbbFFbbgmp9oaxakp;Mearp;Keczp:Rep9qgxaDakp;Mearp;Keamp9oaqakp;Mearp;Keczp:Rep9qgkpmbezHdiOAlvCXorQLgrp5baipblapEb:T:j83ibaiarp5eaipblapEe:T:j83iwaiaxakpmwDKYqk8AExm35Ps8E8Fgkp5baipblapEd:T:j83izaiakp5eaipblapEi:T:j83iKkawaiao;8qbbkk:Pddiue978Jjjjjbc;ab9Rhidnadcd4ae2glc98GgvTmbcbheabhdinadadpbbbgocwp:Recwp:Sep;6eaocep:SepxbbjFbbjFbbjFbbjFp9opxbbjZbbjZbbjZbbjZp:Uep;Mepkbbadczfhdaeclfgeav6mbkkdnavalSmbaialciGgecdtgdVcbc;abad9R;8kbaiabavcdtfgvad;8qbbdnaeTmbaiaipblbgocwp:Recwp:Sep;6eaocep:SepxbbjFbbjFbbjFbbjFp9opxbbjZbbjZbbjZbbjZp:Uep;Mepklbkavaiad;8qbbkk9teiucbcbydj1jjbgeabcifc98GfgbBdj1jjbdndnabZbcztgd9nmbcuhiabad9RcFFifcz4nbcuSmekaehikaikkkebcjwklz9Tbb";
+
+	var detector = new Uint8Array([0,97,115,109,1,0,0,0,1,4,1,96,0,0,3,3,2,0,0,5,3,1,0,1,12,1,0,10,22,2,12,0,65,0,65,0,65,0,252,10,0,0,11,7,0,65,0,253,15,26,11]);
+	var wasmpack = new Uint8Array([32,0,65,2,1,106,34,33,3,128,11,4,13,64,6,253,10,7,15,116,127,5,8,12,40,16,19,54,20,9,27,255,113,17,42,67,24,23,146,148,18,14,22,45,70,69,56,114,101,21,25,63,75,136,108,28,118,29,73,115]);
+
+	if (typeof WebAssembly !== 'object') {
+		return {
+			supported: false,
+		};
+	}
+
+	var wasm = WebAssembly.validate(detector) ? unpack(wasm_simd) : unpack(wasm_base);
+
+	var instance;
+
+	var ready =
+		WebAssembly.instantiate(wasm, {})
+		.then(function(result) {
+			instance = result.instance;
+			instance.exports.__wasm_call_ctors();
+		});
+
+	function unpack(data) {
+		var result = new Uint8Array(data.length);
+		for (var i = 0; i < data.length; ++i) {
+			var ch = data.charCodeAt(i);
+			result[i] = ch > 96 ? ch - 97 : ch > 64 ? ch - 39 : ch + 4;
+		}
+		var write = 0;
+		for (var i = 0; i < data.length; ++i) {
+			result[write++] = (result[i] < 60) ? wasmpack[result[i]] : (result[i] - 60) * 64 + result[++i];
+		}
+		return result.buffer.slice(0, write);
+	}
+
+	function decode(instance, fun, target, count, size, source, filter) {
+		var sbrk = instance.exports.sbrk;
+		var count4 = (count + 3) & ~3;
+		var tp = sbrk(count4 * size);
+		var sp = sbrk(source.length);
+		var heap = new Uint8Array(instance.exports.memory.buffer);
+		heap.set(source, sp);
+		var res = fun(tp, count, size, sp, source.length);
+		if (res == 0 && filter) {
+			filter(tp, count4, size);
+		}
+		target.set(heap.subarray(tp, tp + count * size));
+		sbrk(tp - sbrk(0));
+		if (res != 0) {
+			throw new Error("Malformed buffer data: " + res);
+		}
+	}
+
+	var filters = {
+		NONE: "",
+		OCTAHEDRAL: "meshopt_decodeFilterOct",
+		QUATERNION: "meshopt_decodeFilterQuat",
+		EXPONENTIAL: "meshopt_decodeFilterExp",
+	};
+
+	var decoders = {
+		ATTRIBUTES: "meshopt_decodeVertexBuffer",
+		TRIANGLES: "meshopt_decodeIndexBuffer",
+		INDICES: "meshopt_decodeIndexSequence",
+	};
+
+	var workers = [];
+	var requestId = 0;
+
+	function createWorker(url) {
+		var worker = {
+			object: new Worker(url),
+			pending: 0,
+			requests: {}
+		};
+
+		worker.object.onmessage = function(event) {
+			var data = event.data;
+
+			worker.pending -= data.count;
+			worker.requests[data.id][data.action](data.value);
+			delete worker.requests[data.id];
+		};
+
+		return worker;
+	}
+
+	function initWorkers(count) {
+		var source =
+			"self.ready = WebAssembly.instantiate(new Uint8Array([" + new Uint8Array(wasm) + "]), {})" +
+			".then(function(result) { result.instance.exports.__wasm_call_ctors(); return result.instance; });" +
+			"self.onmessage = " + workerProcess.name + ";" + decode.toString() + workerProcess.toString();
+
+		var blob = new Blob([source], {type: 'text/javascript'});
+		var url = URL.createObjectURL(blob);
+
+		for (var i = workers.length; i < count; ++i) {
+			workers[i] = createWorker(url);
+		}
+
+		for (var i = count; i < workers.length; ++i) {
+			workers[i].object.postMessage({});
+		}
+
+		workers.length = count;
+
+		URL.revokeObjectURL(url);
+	}
+
+	function decodeWorker(count, size, source, mode, filter) {
+		var worker = workers[0];
+
+		for (var i = 1; i < workers.length; ++i) {
+			if (workers[i].pending < worker.pending) {
+				worker = workers[i];
+			}
+		}
+
+		return new Promise(function (resolve, reject) {
+			var data = new Uint8Array(source);
+			var id = ++requestId;
+
+			worker.pending += count;
+			worker.requests[id] = { resolve: resolve, reject: reject };
+			worker.object.postMessage({ id: id, count: count, size: size, source: data, mode: mode, filter: filter }, [ data.buffer ]);
+		});
+	}
+
+	function workerProcess(event) {
+		var data = event.data;
+		if (!data.id) {
+			return self.close();
+		}
+		self.ready.then(function(instance) {
+			try {
+				var target = new Uint8Array(data.count * data.size);
+				decode(instance, instance.exports[data.mode], target, data.count, data.size, data.source, instance.exports[data.filter]);
+				self.postMessage({ id: data.id, count: data.count, action: "resolve", value: target }, [ target.buffer ]);
+			} catch (error) {
+				self.postMessage({ id: data.id, count: data.count, action: "reject", value: error });
+			}
+		});
+	}
+
+	return {
+		ready: ready,
+		supported: true,
+		useWorkers: function(count) {
+			initWorkers(count);
+		},
+		decodeVertexBuffer: function(target, count, size, source, filter) {
+			decode(instance, instance.exports.meshopt_decodeVertexBuffer, target, count, size, source, instance.exports[filters[filter]]);
+		},
+		decodeIndexBuffer: function(target, count, size, source) {
+			decode(instance, instance.exports.meshopt_decodeIndexBuffer, target, count, size, source);
+		},
+		decodeIndexSequence: function(target, count, size, source) {
+			decode(instance, instance.exports.meshopt_decodeIndexSequence, target, count, size, source);
+		},
+		decodeGltfBuffer: function(target, count, size, source, mode, filter) {
+			decode(instance, instance.exports[decoders[mode]], target, count, size, source, instance.exports[filters[filter]]);
+		},
+		decodeGltfBufferAsync: function(count, size, source, mode, filter) {
+			if (workers.length > 0) {
+				return decodeWorker(count, size, source, decoders[mode], filters[filter]);
+			}
+
+			return ready.then(function() {
+				var target = new Uint8Array(count * size);
+				decode(instance, instance.exports[decoders[mode]], target, count, size, source, instance.exports[filters[filter]]);
+				return target;
+			});
+		}
+	};
+})();
+
 /**
  * Common utilities
  * @module glMatrix
@@ -12364,6 +12548,63 @@ function create$4() {
   out[8] = 1;
   return out;
 }
+/**
+ * Copies the upper-left 3x3 values into the given mat3.
+ *
+ * @param {mat3} out the receiving 3x3 matrix
+ * @param {ReadonlyMat4} a   the source 4x4 matrix
+ * @returns {mat3} out
+ */
+
+function fromMat4(out, a) {
+  out[0] = a[0];
+  out[1] = a[1];
+  out[2] = a[2];
+  out[3] = a[4];
+  out[4] = a[5];
+  out[5] = a[6];
+  out[6] = a[8];
+  out[7] = a[9];
+  out[8] = a[10];
+  return out;
+}
+/**
+ * Calculates a 3x3 matrix from the given quaternion
+ *
+ * @param {mat3} out mat3 receiving operation result
+ * @param {ReadonlyQuat} q Quaternion to create matrix from
+ *
+ * @returns {mat3} out
+ */
+
+function fromQuat(out, q) {
+  var x = q[0],
+      y = q[1],
+      z = q[2],
+      w = q[3];
+  var x2 = x + x;
+  var y2 = y + y;
+  var z2 = z + z;
+  var xx = x * x2;
+  var yx = y * x2;
+  var yy = y * y2;
+  var zx = z * x2;
+  var zy = z * y2;
+  var zz = z * z2;
+  var wx = w * x2;
+  var wy = w * y2;
+  var wz = w * z2;
+  out[0] = 1 - yy - zz;
+  out[3] = yx - wz;
+  out[6] = zx + wy;
+  out[1] = yx + wz;
+  out[4] = 1 - xx - zz;
+  out[7] = zy - wx;
+  out[2] = zx - wy;
+  out[5] = zy + wx;
+  out[8] = 1 - xx - yy;
+  return out;
+}
 /**
  * Calculates a 3x3 normal matrix (transpose inverse) from the 4x4 matrix
  *
@@ -12457,6 +12698,60 @@ function create$3() {
   out[15] = 1;
   return out;
 }
+/**
+ * Creates a new mat4 initialized with values from an existing matrix
+ *
+ * @param {ReadonlyMat4} a matrix to clone
+ * @returns {mat4} a new 4x4 matrix
+ */
+
+function clone(a) {
+  var out = new ARRAY_TYPE(16);
+  out[0] = a[0];
+  out[1] = a[1];
+  out[2] = a[2];
+  out[3] = a[3];
+  out[4] = a[4];
+  out[5] = a[5];
+  out[6] = a[6];
+  out[7] = a[7];
+  out[8] = a[8];
+  out[9] = a[9];
+  out[10] = a[10];
+  out[11] = a[11];
+  out[12] = a[12];
+  out[13] = a[13];
+  out[14] = a[14];
+  out[15] = a[15];
+  return out;
+}
+/**
+ * Copy the values from one mat4 to another
+ *
+ * @param {mat4} out the receiving matrix
+ * @param {ReadonlyMat4} a the source matrix
+ * @returns {mat4} out
+ */
+
+function copy(out, a) {
+  out[0] = a[0];
+  out[1] = a[1];
+  out[2] = a[2];
+  out[3] = a[3];
+  out[4] = a[4];
+  out[5] = a[5];
+  out[6] = a[6];
+  out[7] = a[7];
+  out[8] = a[8];
+  out[9] = a[9];
+  out[10] = a[10];
+  out[11] = a[11];
+  out[12] = a[12];
+  out[13] = a[13];
+  out[14] = a[14];
+  out[15] = a[15];
+  return out;
+}
 /**
  * Create a new mat4 with the given values
  *
@@ -12479,7 +12774,7 @@ function create$3() {
  * @returns {mat4} A new mat4
  */
 
-function fromValues$1(m00, m01, m02, m03, m10, m11, m12, m13, m20, m21, m22, m23, m30, m31, m32, m33) {
+function fromValues$3(m00, m01, m02, m03, m10, m11, m12, m13, m20, m21, m22, m23, m30, m31, m32, m33) {
   var out = new ARRAY_TYPE(16);
   out[0] = m00;
   out[1] = m01;
@@ -12588,6 +12883,45 @@ function invert(out, a) {
   out[15] = (a20 * b03 - a21 * b01 + a22 * b00) * det;
   return out;
 }
+/**
+ * Calculates the determinant of a mat4
+ *
+ * @param {ReadonlyMat4} a the source matrix
+ * @returns {Number} determinant of a
+ */
+
+function determinant(a) {
+  var a00 = a[0],
+      a01 = a[1],
+      a02 = a[2],
+      a03 = a[3];
+  var a10 = a[4],
+      a11 = a[5],
+      a12 = a[6],
+      a13 = a[7];
+  var a20 = a[8],
+      a21 = a[9],
+      a22 = a[10],
+      a23 = a[11];
+  var a30 = a[12],
+      a31 = a[13],
+      a32 = a[14],
+      a33 = a[15];
+  var b00 = a00 * a11 - a01 * a10;
+  var b01 = a00 * a12 - a02 * a10;
+  var b02 = a00 * a13 - a03 * a10;
+  var b03 = a01 * a12 - a02 * a11;
+  var b04 = a01 * a13 - a03 * a11;
+  var b05 = a02 * a13 - a03 * a12;
+  var b06 = a20 * a31 - a21 * a30;
+  var b07 = a20 * a32 - a22 * a30;
+  var b08 = a20 * a33 - a23 * a30;
+  var b09 = a21 * a32 - a22 * a31;
+  var b10 = a21 * a33 - a23 * a31;
+  var b11 = a22 * a33 - a23 * a32; // Calculate the determinant
+
+  return b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+}
 /**
  * Multiplies two mat4s
  *
@@ -12597,7 +12931,7 @@ function invert(out, a) {
  * @returns {mat4} out
  */
 
-function multiply(out, a, b) {
+function multiply$1(out, a, b) {
   var a00 = a[0],
       a01 = a[1],
       a02 = a[2],
@@ -12649,68 +12983,6 @@ function multiply(out, a, b) {
   out[15] = b0 * a03 + b1 * a13 + b2 * a23 + b3 * a33;
   return out;
 }
-/**
- * Scales the mat4 by the dimensions in the given vec3 not using vectorization
- *
- * @param {mat4} out the receiving matrix
- * @param {ReadonlyMat4} a the matrix to scale
- * @param {ReadonlyVec3} v the vec3 to scale the matrix by
- * @returns {mat4} out
- **/
-
-function scale(out, a, v) {
-  var x = v[0],
-      y = v[1],
-      z = v[2];
-  out[0] = a[0] * x;
-  out[1] = a[1] * x;
-  out[2] = a[2] * x;
-  out[3] = a[3] * x;
-  out[4] = a[4] * y;
-  out[5] = a[5] * y;
-  out[6] = a[6] * y;
-  out[7] = a[7] * y;
-  out[8] = a[8] * z;
-  out[9] = a[9] * z;
-  out[10] = a[10] * z;
-  out[11] = a[11] * z;
-  out[12] = a[12];
-  out[13] = a[13];
-  out[14] = a[14];
-  out[15] = a[15];
-  return out;
-}
-/**
- * Creates a matrix from a vector translation
- * This is equivalent to (but much faster than):
- *
- *     mat4.identity(dest);
- *     mat4.translate(dest, dest, vec);
- *
- * @param {mat4} out mat4 receiving operation result
- * @param {ReadonlyVec3} v Translation vector
- * @returns {mat4} out
- */
-
-function fromTranslation(out, v) {
-  out[0] = 1;
-  out[1] = 0;
-  out[2] = 0;
-  out[3] = 0;
-  out[4] = 0;
-  out[5] = 1;
-  out[6] = 0;
-  out[7] = 0;
-  out[8] = 0;
-  out[9] = 0;
-  out[10] = 1;
-  out[11] = 0;
-  out[12] = v[0];
-  out[13] = v[1];
-  out[14] = v[2];
-  out[15] = 1;
-  return out;
-}
 /**
  * Returns the translation vector component of a transformation
  *  matrix. If a matrix is built with fromRotationTranslation,
@@ -12866,50 +13138,6 @@ function fromRotationTranslationScale(out, q, v, s) {
   out[15] = 1;
   return out;
 }
-/**
- * Calculates a 4x4 matrix from the given quaternion
- *
- * @param {mat4} out mat4 receiving operation result
- * @param {ReadonlyQuat} q Quaternion to create matrix from
- *
- * @returns {mat4} out
- */
-
-function fromQuat(out, q) {
-  var x = q[0],
-      y = q[1],
-      z = q[2],
-      w = q[3];
-  var x2 = x + x;
-  var y2 = y + y;
-  var z2 = z + z;
-  var xx = x * x2;
-  var yx = y * x2;
-  var yy = y * y2;
-  var zx = z * x2;
-  var zy = z * y2;
-  var zz = z * z2;
-  var wx = w * x2;
-  var wy = w * y2;
-  var wz = w * z2;
-  out[0] = 1 - yy - zz;
-  out[1] = yx + wz;
-  out[2] = zx - wy;
-  out[3] = 0;
-  out[4] = yx - wz;
-  out[5] = 1 - xx - zz;
-  out[6] = zy + wx;
-  out[7] = 0;
-  out[8] = zx + wy;
-  out[9] = zy - wx;
-  out[10] = 1 - xx - yy;
-  out[11] = 0;
-  out[12] = 0;
-  out[13] = 0;
-  out[14] = 0;
-  out[15] = 1;
-  return out;
-}
 /**
  * Generates a perspective projection matrix with the given bounds.
  * The near/far clip planes correspond to a normalized device coordinate Z range of [-1, 1],
@@ -13043,6 +13271,65 @@ function lookAt(out, eye, center, up) {
   out[15] = 1;
   return out;
 }
+/**
+ * Generates a matrix that makes something look at something else.
+ *
+ * @param {mat4} out mat4 frustum matrix will be written into
+ * @param {ReadonlyVec3} eye Position of the viewer
+ * @param {ReadonlyVec3} center Point the viewer is looking at
+ * @param {ReadonlyVec3} up vec3 pointing up
+ * @returns {mat4} out
+ */
+
+function targetTo(out, eye, target, up) {
+  var eyex = eye[0],
+      eyey = eye[1],
+      eyez = eye[2],
+      upx = up[0],
+      upy = up[1],
+      upz = up[2];
+  var z0 = eyex - target[0],
+      z1 = eyey - target[1],
+      z2 = eyez - target[2];
+  var len = z0 * z0 + z1 * z1 + z2 * z2;
+
+  if (len > 0) {
+    len = 1 / Math.sqrt(len);
+    z0 *= len;
+    z1 *= len;
+    z2 *= len;
+  }
+
+  var x0 = upy * z2 - upz * z1,
+      x1 = upz * z0 - upx * z2,
+      x2 = upx * z1 - upy * z0;
+  len = x0 * x0 + x1 * x1 + x2 * x2;
+
+  if (len > 0) {
+    len = 1 / Math.sqrt(len);
+    x0 *= len;
+    x1 *= len;
+    x2 *= len;
+  }
+
+  out[0] = x0;
+  out[1] = x1;
+  out[2] = x2;
+  out[3] = 0;
+  out[4] = z1 * x2 - z2 * x1;
+  out[5] = z2 * x0 - z0 * x2;
+  out[6] = z0 * x1 - z1 * x0;
+  out[7] = 0;
+  out[8] = z0;
+  out[9] = z1;
+  out[10] = z2;
+  out[11] = 0;
+  out[12] = eyex;
+  out[13] = eyey;
+  out[14] = eyez;
+  out[15] = 1;
+  return out;
+}
 
 /**
  * 3 Dimensional Vector
@@ -13088,7 +13375,7 @@ function length(a) {
  * @returns {vec3} a new 3D vector
  */
 
-function fromValues(x, y, z) {
+function fromValues$2(x, y, z) {
   var out = new ARRAY_TYPE(3);
   out[0] = x;
   out[1] = y;
@@ -13096,42 +13383,38 @@ function fromValues(x, y, z) {
   return out;
 }
 /**
- * Normalize a vec3
+ * Set the components of a vec3 to the given values
  *
  * @param {vec3} out the receiving vector
- * @param {ReadonlyVec3} a vector to normalize
+ * @param {Number} x X component
+ * @param {Number} y Y component
+ * @param {Number} z Z component
  * @returns {vec3} out
  */
 
-function normalize$2(out, a) {
-  var x = a[0];
-  var y = a[1];
-  var z = a[2];
-  var len = x * x + y * y + z * z;
-
-  if (len > 0) {
-    //TODO: evaluate use of glm_invsqrt here?
-    len = 1 / Math.sqrt(len);
-  }
-
-  out[0] = a[0] * len;
-  out[1] = a[1] * len;
-  out[2] = a[2] * len;
+function set(out, x, y, z) {
+  out[0] = x;
+  out[1] = y;
+  out[2] = z;
   return out;
 }
 /**
- * Calculates the dot product of two vec3's
+ * Adds two vec3's
  *
+ * @param {vec3} out the receiving vector
  * @param {ReadonlyVec3} a the first operand
  * @param {ReadonlyVec3} b the second operand
- * @returns {Number} dot product of a and b
+ * @returns {vec3} out
  */
 
-function dot(a, b) {
-  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+function add(out, a, b) {
+  out[0] = a[0] + b[0];
+  out[1] = a[1] + b[1];
+  out[2] = a[2] + b[2];
+  return out;
 }
 /**
- * Computes the cross product of two vec3's
+ * Subtracts vector b from vector a
  *
  * @param {vec3} out the receiving vector
  * @param {ReadonlyVec3} a the first operand
@@ -13139,14 +13422,78 @@ function dot(a, b) {
  * @returns {vec3} out
  */
 
-function cross(out, a, b) {
-  var ax = a[0],
-      ay = a[1],
-      az = a[2];
-  var bx = b[0],
-      by = b[1],
-      bz = b[2];
-  out[0] = ay * bz - az * by;
+function subtract(out, a, b) {
+  out[0] = a[0] - b[0];
+  out[1] = a[1] - b[1];
+  out[2] = a[2] - b[2];
+  return out;
+}
+/**
+ * Negates the components of a vec3
+ *
+ * @param {vec3} out the receiving vector
+ * @param {ReadonlyVec3} a vector to negate
+ * @returns {vec3} out
+ */
+
+function negate(out, a) {
+  out[0] = -a[0];
+  out[1] = -a[1];
+  out[2] = -a[2];
+  return out;
+}
+/**
+ * Normalize a vec3
+ *
+ * @param {vec3} out the receiving vector
+ * @param {ReadonlyVec3} a vector to normalize
+ * @returns {vec3} out
+ */
+
+function normalize$2(out, a) {
+  var x = a[0];
+  var y = a[1];
+  var z = a[2];
+  var len = x * x + y * y + z * z;
+
+  if (len > 0) {
+    //TODO: evaluate use of glm_invsqrt here?
+    len = 1 / Math.sqrt(len);
+  }
+
+  out[0] = a[0] * len;
+  out[1] = a[1] * len;
+  out[2] = a[2] * len;
+  return out;
+}
+/**
+ * Calculates the dot product of two vec3's
+ *
+ * @param {ReadonlyVec3} a the first operand
+ * @param {ReadonlyVec3} b the second operand
+ * @returns {Number} dot product of a and b
+ */
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+/**
+ * Computes the cross product of two vec3's
+ *
+ * @param {vec3} out the receiving vector
+ * @param {ReadonlyVec3} a the first operand
+ * @param {ReadonlyVec3} b the second operand
+ * @returns {vec3} out
+ */
+
+function cross(out, a, b) {
+  var ax = a[0],
+      ay = a[1],
+      az = a[2];
+  var bx = b[0],
+      by = b[1],
+      bz = b[2];
+  out[0] = ay * bz - az * by;
   out[1] = az * bx - ax * bz;
   out[2] = ax * by - ay * bx;
   return out;
@@ -13170,6 +13517,88 @@ function lerp(out, a, b, t) {
   out[2] = az + t * (b[2] - az);
   return out;
 }
+/**
+ * Transforms the vec3 with a mat4.
+ * 4th vector component is implicitly '1'
+ *
+ * @param {vec3} out the receiving vector
+ * @param {ReadonlyVec3} a the vector to transform
+ * @param {ReadonlyMat4} m matrix to transform with
+ * @returns {vec3} out
+ */
+
+function transformMat4$1(out, a, m) {
+  var x = a[0],
+      y = a[1],
+      z = a[2];
+  var w = m[3] * x + m[7] * y + m[11] * z + m[15];
+  w = w || 1.0;
+  out[0] = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+  out[1] = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+  out[2] = (m[2] * x + m[6] * y + m[10] * z + m[14]) / w;
+  return out;
+}
+/**
+ * Transforms the vec3 with a mat3.
+ *
+ * @param {vec3} out the receiving vector
+ * @param {ReadonlyVec3} a the vector to transform
+ * @param {ReadonlyMat3} m the 3x3 matrix to transform with
+ * @returns {vec3} out
+ */
+
+function transformMat3(out, a, m) {
+  var x = a[0],
+      y = a[1],
+      z = a[2];
+  out[0] = x * m[0] + y * m[3] + z * m[6];
+  out[1] = x * m[1] + y * m[4] + z * m[7];
+  out[2] = x * m[2] + y * m[5] + z * m[8];
+  return out;
+}
+/**
+ * Transforms the vec3 with a quat
+ * Can also be used for dual quaternions. (Multiply it with the real part)
+ *
+ * @param {vec3} out the receiving vector
+ * @param {ReadonlyVec3} a the vector to transform
+ * @param {ReadonlyQuat} q quaternion to transform with
+ * @returns {vec3} out
+ */
+
+function transformQuat(out, a, q) {
+  // benchmarks: https://jsperf.com/quaternion-transform-vec3-implementations-fixed
+  var qx = q[0],
+      qy = q[1],
+      qz = q[2],
+      qw = q[3];
+  var x = a[0],
+      y = a[1],
+      z = a[2]; // var qvec = [qx, qy, qz];
+  // var uv = vec3.cross([], qvec, a);
+
+  var uvx = qy * z - qz * y,
+      uvy = qz * x - qx * z,
+      uvz = qx * y - qy * x; // var uuv = vec3.cross([], qvec, uv);
+
+  var uuvx = qy * uvz - qz * uvy,
+      uuvy = qz * uvx - qx * uvz,
+      uuvz = qx * uvy - qy * uvx; // vec3.scale(uv, uv, 2 * w);
+
+  var w2 = qw * 2;
+  uvx *= w2;
+  uvy *= w2;
+  uvz *= w2; // vec3.scale(uuv, uuv, 2);
+
+  uuvx *= 2;
+  uuvy *= 2;
+  uuvz *= 2; // return vec3.add(out, a, vec3.add(out, uv, uuv));
+
+  out[0] = x + uvx + uuvx;
+  out[1] = y + uvy + uuvy;
+  out[2] = z + uvz + uuvz;
+  return out;
+}
 /**
  * Alias for {@link vec3.length}
  * @function
@@ -13245,6 +13674,24 @@ function create$1() {
 
   return out;
 }
+/**
+ * Creates a new vec4 initialized with the given values
+ *
+ * @param {Number} x X component
+ * @param {Number} y Y component
+ * @param {Number} z Z component
+ * @param {Number} w W component
+ * @returns {vec4} a new 4D vector
+ */
+
+function fromValues$1(x, y, z, w) {
+  var out = new ARRAY_TYPE(4);
+  out[0] = x;
+  out[1] = y;
+  out[2] = z;
+  out[3] = w;
+  return out;
+}
 /**
  * Normalize a vec4
  *
@@ -13270,6 +13717,26 @@ function normalize$1(out, a) {
   out[3] = w * len;
   return out;
 }
+/**
+ * Transforms the vec4 with a mat4.
+ *
+ * @param {vec4} out the receiving vector
+ * @param {ReadonlyVec4} a the vector to transform
+ * @param {ReadonlyMat4} m matrix to transform with
+ * @returns {vec4} out
+ */
+
+function transformMat4(out, a, m) {
+  var x = a[0],
+      y = a[1],
+      z = a[2],
+      w = a[3];
+  out[0] = m[0] * x + m[4] * y + m[8] * z + m[12] * w;
+  out[1] = m[1] * x + m[5] * y + m[9] * z + m[13] * w;
+  out[2] = m[2] * x + m[6] * y + m[10] * z + m[14] * w;
+  out[3] = m[3] * x + m[7] * y + m[11] * z + m[15] * w;
+  return out;
+}
 /**
  * Perform some operation over an array of vec4s.
  *
@@ -13360,6 +13827,30 @@ function setAxisAngle(out, axis, rad) {
   out[3] = Math.cos(rad);
   return out;
 }
+/**
+ * Multiplies two quat's
+ *
+ * @param {quat} out the receiving quaternion
+ * @param {ReadonlyQuat} a the first operand
+ * @param {ReadonlyQuat} b the second operand
+ * @returns {quat} out
+ */
+
+function multiply(out, a, b) {
+  var ax = a[0],
+      ay = a[1],
+      az = a[2],
+      aw = a[3];
+  var bx = b[0],
+      by = b[1],
+      bz = b[2],
+      bw = b[3];
+  out[0] = ax * bw + aw * bx + ay * bz - az * by;
+  out[1] = ay * bw + aw * by + az * bx - ax * bz;
+  out[2] = az * bw + aw * bz + ax * by - ay * bx;
+  out[3] = aw * bw - ax * bx - ay * by - az * bz;
+  return out;
+}
 /**
  * Performs a spherical linear interpolation between two quat
  *
@@ -13459,6 +13950,46 @@ function fromMat3(out, m) {
 
   return out;
 }
+/**
+ * Creates a quaternion from the given euler angle x, y, z.
+ *
+ * @param {quat} out the receiving quaternion
+ * @param {x} Angle to rotate around X axis in degrees.
+ * @param {y} Angle to rotate around Y axis in degrees.
+ * @param {z} Angle to rotate around Z axis in degrees.
+ * @returns {quat} out
+ * @function
+ */
+
+function fromEuler(out, x, y, z) {
+  var halfToRad = 0.5 * Math.PI / 180.0;
+  x *= halfToRad;
+  y *= halfToRad;
+  z *= halfToRad;
+  var sx = Math.sin(x);
+  var cx = Math.cos(x);
+  var sy = Math.sin(y);
+  var cy = Math.cos(y);
+  var sz = Math.sin(z);
+  var cz = Math.cos(z);
+  out[0] = sx * cy * cz - cx * sy * sz;
+  out[1] = cx * sy * cz + sx * cy * sz;
+  out[2] = cx * cy * sz - sx * sy * cz;
+  out[3] = cx * cy * cz + sx * sy * sz;
+  return out;
+}
+/**
+ * Creates a new quat initialized with the given values
+ *
+ * @param {Number} x X component
+ * @param {Number} y Y component
+ * @param {Number} z Z component
+ * @param {Number} w W component
+ * @returns {quat} a new quaternion
+ * @function
+ */
+
+var fromValues = fromValues$1;
 /**
  * Normalize a quat
  *
@@ -13483,8 +14014,8 @@ var normalize = normalize$1;
 
 (function () {
   var tmpvec3 = create$2();
-  var xUnitVec3 = fromValues(1, 0, 0);
-  var yUnitVec3 = fromValues(0, 1, 0);
+  var xUnitVec3 = fromValues$2(1, 0, 0);
+  var yUnitVec3 = fromValues$2(0, 1, 0);
   return function (out, a, b) {
     var dot$1 = dot(a, b);
 
@@ -13645,54 +14176,444 @@ class MaterialSystem {
     }
 }
 
+// http:, blob:, data: and similar URLs are fetched as they are
+const URL_SCHEME = /^[a-zA-Z][a-zA-Z\d+.-]*:/;
+// WebIO that fetches relative paths through the host's project file URLs.
+// Relative .bin and image URIs in a .gltf are resolved against the model's
+// project path first, so external resources can be separate project files.
+class ProjectFileIO extends WebIO {
+    constructor(resolveUrl, context = {}) {
+        super();
+        // Kept so forLoad can configure a copy, the base class keeps them private
+        this.extensions = [];
+        this.dependencies = {};
+        this.loaded = 0;
+        this.total = 0;
+        this.resolveUrl = resolveUrl;
+        this.context = context;
+    }
+    registerExtensions(extensions) {
+        this.extensions.push(...extensions);
+        return super.registerExtensions(extensions);
+    }
+    registerDependencies(dependencies) {
+        Object.assign(this.dependencies, dependencies);
+        return super.registerDependencies(dependencies);
+    }
+    // Same configuration, with progress and cancellation for one read
+    forLoad(context) {
+        return new ProjectFileIO(this.resolveUrl, context)
+            .registerExtensions(this.extensions)
+            .registerDependencies(this.dependencies);
+    }
+    async readURI(uri, type) {
+        const url = await this.toUrl(uri);
+        const response = await fetch(url, { signal: this.context.signal });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText} fetching ${uri}`);
+        }
+        const view = await this.readBody(response);
+        return type === 'view' ? view : new TextDecoder().decode(view);
+    }
+    // Streams the body to count bytes as they arrive
+    async readBody(response) {
+        const { onProgress } = this.context;
+        if (!onProgress || !response.body) {
+            return new Uint8Array(await response.arrayBuffer());
+        }
+        // Compressed responses report the compressed length, so loaded can pass it
+        const length = Number(response.headers.get('Content-Length')) || 0;
+        this.total += length;
+        const chunks = [];
+        let size = 0;
+        const reader = response.body.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done)
+                break;
+            chunks.push(value);
+            size += value.byteLength;
+            this.loaded += value.byteLength;
+            onProgress(this.loaded, Math.max(this.total, this.loaded));
+        }
+        // Without a length the total is only known once the body is read
+        if (length === 0) {
+            this.total += size;
+            onProgress(this.loaded, Math.max(this.total, this.loaded));
+        }
+        const view = new Uint8Array(size);
+        let offset = 0;
+        for (const chunk of chunks) {
+            view.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+        return view;
+    }
+    async toUrl(path) {
+        if (!this.resolveUrl || !HTTPUtils.isRelativePath(path) || URL_SCHEME.test(path)) {
+            return path;
+        }
+        // glTF URIs are percent-encoded, project file names are not
+        return this.resolveUrl(decodePath(path.replace(/^(\.\/)+/, '')));
+    }
+}
+// Exporters do not always encode URIs, a stray '%' as in '100%.png' is kept as written
+function decodePath(path) {
+    try {
+        return decodeURIComponent(path);
+    }
+    catch (_a) {
+        return path;
+    }
+}
+
+var BASIS = (() => {
+  var _scriptName = typeof document != 'undefined' ? document.currentScript?.src : undefined;
+  if (typeof __filename != 'undefined') _scriptName ||= __filename;
+  return (
+function(moduleArg = {}) {
+  var moduleRtn;
+
+var Module=moduleArg;var readyPromiseResolve,readyPromiseReject;var readyPromise=new Promise((resolve,reject)=>{readyPromiseResolve=resolve;readyPromiseReject=reject;});var ENVIRONMENT_IS_WEB=typeof window=="object";var ENVIRONMENT_IS_WORKER=typeof importScripts=="function";var ENVIRONMENT_IS_NODE=typeof process=="object"&&typeof process.versions=="object"&&typeof process.versions.node=="string";var moduleOverrides=Object.assign({},Module);var scriptDirectory="";function locateFile(path){if(Module["locateFile"]){return Module["locateFile"](path,scriptDirectory)}return scriptDirectory+path}var readAsync,readBinary;if(ENVIRONMENT_IS_NODE){var fs=require("fs");var nodePath=require("path");scriptDirectory=__dirname+"/";readBinary=filename=>{filename=isFileURI(filename)?new URL(filename):nodePath.normalize(filename);var ret=fs.readFileSync(filename);return ret};readAsync=(filename,binary=true)=>{filename=isFileURI(filename)?new URL(filename):nodePath.normalize(filename);return new Promise((resolve,reject)=>{fs.readFile(filename,binary?undefined:"utf8",(err,data)=>{if(err)reject(err);else resolve(binary?data.buffer:data);});})};if(!Module["thisProgram"]&&process.argv.length>1){process.argv[1].replace(/\\/g,"/");}process.argv.slice(2);}else if(ENVIRONMENT_IS_WEB||ENVIRONMENT_IS_WORKER){if(ENVIRONMENT_IS_WORKER){scriptDirectory=self.location.href;}else if(typeof document!="undefined"&&document.currentScript){scriptDirectory=document.currentScript.src;}if(_scriptName){scriptDirectory=_scriptName;}if(scriptDirectory.startsWith("blob:")){scriptDirectory="";}else {scriptDirectory=scriptDirectory.substr(0,scriptDirectory.replace(/[?#].*/,"").lastIndexOf("/")+1);}{if(ENVIRONMENT_IS_WORKER){readBinary=url=>{var xhr=new XMLHttpRequest;xhr.open("GET",url,false);xhr.responseType="arraybuffer";xhr.send(null);return new Uint8Array(xhr.response)};}readAsync=url=>{if(isFileURI(url)){return new Promise((reject,resolve)=>{var xhr=new XMLHttpRequest;xhr.open("GET",url,true);xhr.responseType="arraybuffer";xhr.onload=()=>{if(xhr.status==200||xhr.status==0&&xhr.response){resolve(xhr.response);}reject(xhr.status);};xhr.onerror=reject;xhr.send(null);})}return fetch(url,{credentials:"same-origin"}).then(response=>{if(response.ok){return response.arrayBuffer()}return Promise.reject(new Error(response.status+" : "+response.url))})};}}else;var out=Module["print"]||console.log.bind(console);var err=Module["printErr"]||console.error.bind(console);Object.assign(Module,moduleOverrides);moduleOverrides=null;if(Module["arguments"])Module["arguments"];if(Module["thisProgram"])Module["thisProgram"];if(Module["quit"])Module["quit"];var wasmBinary;if(Module["wasmBinary"])wasmBinary=Module["wasmBinary"];var wasmMemory;var ABORT=false;var HEAP8,HEAPU8,HEAP16,HEAPU16,HEAP32,HEAPU32,HEAPF32,HEAPF64;function updateMemoryViews(){var b=wasmMemory.buffer;Module["HEAP8"]=HEAP8=new Int8Array(b);Module["HEAP16"]=HEAP16=new Int16Array(b);Module["HEAPU8"]=HEAPU8=new Uint8Array(b);Module["HEAPU16"]=HEAPU16=new Uint16Array(b);Module["HEAP32"]=HEAP32=new Int32Array(b);Module["HEAPU32"]=HEAPU32=new Uint32Array(b);Module["HEAPF32"]=HEAPF32=new Float32Array(b);Module["HEAPF64"]=HEAPF64=new Float64Array(b);}var __ATPRERUN__=[];var __ATINIT__=[];var __ATPOSTRUN__=[];function preRun(){if(Module["preRun"]){if(typeof Module["preRun"]=="function")Module["preRun"]=[Module["preRun"]];while(Module["preRun"].length){addOnPreRun(Module["preRun"].shift());}}callRuntimeCallbacks(__ATPRERUN__);}function initRuntime(){callRuntimeCallbacks(__ATINIT__);}function postRun(){if(Module["postRun"]){if(typeof Module["postRun"]=="function")Module["postRun"]=[Module["postRun"]];while(Module["postRun"].length){addOnPostRun(Module["postRun"].shift());}}callRuntimeCallbacks(__ATPOSTRUN__);}function addOnPreRun(cb){__ATPRERUN__.unshift(cb);}function addOnInit(cb){__ATINIT__.unshift(cb);}function addOnPostRun(cb){__ATPOSTRUN__.unshift(cb);}var runDependencies=0;var dependenciesFulfilled=null;function addRunDependency(id){runDependencies++;Module["monitorRunDependencies"]?.(runDependencies);}function removeRunDependency(id){runDependencies--;Module["monitorRunDependencies"]?.(runDependencies);if(runDependencies==0){if(dependenciesFulfilled){var callback=dependenciesFulfilled;dependenciesFulfilled=null;callback();}}}function abort(what){Module["onAbort"]?.(what);what="Aborted("+what+")";err(what);ABORT=true;what+=". Build with -sASSERTIONS for more info.";var e=new WebAssembly.RuntimeError(what);readyPromiseReject(e);throw e}var dataURIPrefix="data:application/octet-stream;base64,";var isDataURI=filename=>filename.startsWith(dataURIPrefix);var isFileURI=filename=>filename.startsWith("file://");function findWasmBinary(){var f="basis_transcoder.wasm";if(!isDataURI(f)){return locateFile(f)}return f}var wasmBinaryFile;function getBinarySync(file){if(file==wasmBinaryFile&&wasmBinary){return new Uint8Array(wasmBinary)}if(readBinary){return readBinary(file)}throw "both async and sync fetching of the wasm failed"}function getBinaryPromise(binaryFile){if(!wasmBinary){return readAsync(binaryFile).then(response=>new Uint8Array(response),()=>getBinarySync(binaryFile))}return Promise.resolve().then(()=>getBinarySync(binaryFile))}function instantiateArrayBuffer(binaryFile,imports,receiver){return getBinaryPromise(binaryFile).then(binary=>WebAssembly.instantiate(binary,imports)).then(receiver,reason=>{err(`failed to asynchronously prepare wasm: ${reason}`);abort(reason);})}function instantiateAsync(binary,binaryFile,imports,callback){if(!binary&&typeof WebAssembly.instantiateStreaming=="function"&&!isDataURI(binaryFile)&&!isFileURI(binaryFile)&&!ENVIRONMENT_IS_NODE&&typeof fetch=="function"){return fetch(binaryFile,{credentials:"same-origin"}).then(response=>{var result=WebAssembly.instantiateStreaming(response,imports);return result.then(callback,function(reason){err(`wasm streaming compile failed: ${reason}`);err("falling back to ArrayBuffer instantiation");return instantiateArrayBuffer(binaryFile,imports,callback)})})}return instantiateArrayBuffer(binaryFile,imports,callback)}function getWasmImports(){return {a:wasmImports}}function createWasm(){var info=getWasmImports();function receiveInstance(instance,module){wasmExports=instance.exports;wasmMemory=wasmExports["L"];updateMemoryViews();wasmTable=wasmExports["P"];addOnInit(wasmExports["M"]);removeRunDependency();return wasmExports}addRunDependency();function receiveInstantiationResult(result){receiveInstance(result["instance"]);}if(Module["instantiateWasm"]){try{return Module["instantiateWasm"](info,receiveInstance)}catch(e){err(`Module.instantiateWasm callback failed with error: ${e}`);readyPromiseReject(e);}}if(!wasmBinaryFile)wasmBinaryFile=findWasmBinary();instantiateAsync(wasmBinary,wasmBinaryFile,info,receiveInstantiationResult).catch(readyPromiseReject);return {}}var callRuntimeCallbacks=callbacks=>{while(callbacks.length>0){callbacks.shift()(Module);}};Module["noExitRuntime"]||true;class ExceptionInfo{constructor(excPtr){this.excPtr=excPtr;this.ptr=excPtr-24;}set_type(type){HEAPU32[this.ptr+4>>2]=type;}get_type(){return HEAPU32[this.ptr+4>>2]}set_destructor(destructor){HEAPU32[this.ptr+8>>2]=destructor;}get_destructor(){return HEAPU32[this.ptr+8>>2]}set_caught(caught){caught=caught?1:0;HEAP8[this.ptr+12]=caught;}get_caught(){return HEAP8[this.ptr+12]!=0}set_rethrown(rethrown){rethrown=rethrown?1:0;HEAP8[this.ptr+13]=rethrown;}get_rethrown(){return HEAP8[this.ptr+13]!=0}init(type,destructor){this.set_adjusted_ptr(0);this.set_type(type);this.set_destructor(destructor);}set_adjusted_ptr(adjustedPtr){HEAPU32[this.ptr+16>>2]=adjustedPtr;}get_adjusted_ptr(){return HEAPU32[this.ptr+16>>2]}get_exception_ptr(){var isPointer=___cxa_is_pointer_type(this.get_type());if(isPointer){return HEAPU32[this.excPtr>>2]}var adjusted=this.get_adjusted_ptr();if(adjusted!==0)return adjusted;return this.excPtr}}var exceptionLast=0;var ___cxa_throw=(ptr,type,destructor)=>{var info=new ExceptionInfo(ptr);info.init(type,destructor);exceptionLast=ptr;throw exceptionLast};var __abort_js=()=>{abort("");};var structRegistrations={};var runDestructors=destructors=>{while(destructors.length){var ptr=destructors.pop();var del=destructors.pop();del(ptr);}};function readPointer(pointer){return this["fromWireType"](HEAPU32[pointer>>2])}var awaitingDependencies={};var registeredTypes={};var typeDependencies={};var InternalError;var throwInternalError=message=>{throw new InternalError(message)};var whenDependentTypesAreResolved=(myTypes,dependentTypes,getTypeConverters)=>{myTypes.forEach(function(type){typeDependencies[type]=dependentTypes;});function onComplete(typeConverters){var myTypeConverters=getTypeConverters(typeConverters);if(myTypeConverters.length!==myTypes.length){throwInternalError("Mismatched type converter count");}for(var i=0;i<myTypes.length;++i){registerType(myTypes[i],myTypeConverters[i]);}}var typeConverters=new Array(dependentTypes.length);var unregisteredTypes=[];var registered=0;dependentTypes.forEach((dt,i)=>{if(registeredTypes.hasOwnProperty(dt)){typeConverters[i]=registeredTypes[dt];}else {unregisteredTypes.push(dt);if(!awaitingDependencies.hasOwnProperty(dt)){awaitingDependencies[dt]=[];}awaitingDependencies[dt].push(()=>{typeConverters[i]=registeredTypes[dt];++registered;if(registered===unregisteredTypes.length){onComplete(typeConverters);}});}});if(0===unregisteredTypes.length){onComplete(typeConverters);}};var __embind_finalize_value_object=structType=>{var reg=structRegistrations[structType];delete structRegistrations[structType];var rawConstructor=reg.rawConstructor;var rawDestructor=reg.rawDestructor;var fieldRecords=reg.fields;var fieldTypes=fieldRecords.map(field=>field.getterReturnType).concat(fieldRecords.map(field=>field.setterArgumentType));whenDependentTypesAreResolved([structType],fieldTypes,fieldTypes=>{var fields={};fieldRecords.forEach((field,i)=>{var fieldName=field.fieldName;var getterReturnType=fieldTypes[i];var getter=field.getter;var getterContext=field.getterContext;var setterArgumentType=fieldTypes[i+fieldRecords.length];var setter=field.setter;var setterContext=field.setterContext;fields[fieldName]={read:ptr=>getterReturnType["fromWireType"](getter(getterContext,ptr)),write:(ptr,o)=>{var destructors=[];setter(setterContext,ptr,setterArgumentType["toWireType"](destructors,o));runDestructors(destructors);}};});return [{name:reg.name,fromWireType:ptr=>{var rv={};for(var i in fields){rv[i]=fields[i].read(ptr);}rawDestructor(ptr);return rv},toWireType:(destructors,o)=>{for(var fieldName in fields){if(!(fieldName in o)){throw new TypeError(`Missing field: "${fieldName}"`)}}var ptr=rawConstructor();for(fieldName in fields){fields[fieldName].write(ptr,o[fieldName]);}if(destructors!==null){destructors.push(rawDestructor,ptr);}return ptr},argPackAdvance:GenericWireTypeSize,readValueFromPointer:readPointer,destructorFunction:rawDestructor}]});};var __embind_register_bigint=(primitiveType,name,size,minRange,maxRange)=>{};var embind_init_charCodes=()=>{var codes=new Array(256);for(var i=0;i<256;++i){codes[i]=String.fromCharCode(i);}embind_charCodes=codes;};var embind_charCodes;var readLatin1String=ptr=>{var ret="";var c=ptr;while(HEAPU8[c]){ret+=embind_charCodes[HEAPU8[c++]];}return ret};var BindingError;var throwBindingError=message=>{throw new BindingError(message)};function sharedRegisterType(rawType,registeredInstance,options={}){var name=registeredInstance.name;if(!rawType){throwBindingError(`type "${name}" must have a positive integer typeid pointer`);}if(registeredTypes.hasOwnProperty(rawType)){if(options.ignoreDuplicateRegistrations){return}else {throwBindingError(`Cannot register type '${name}' twice`);}}registeredTypes[rawType]=registeredInstance;delete typeDependencies[rawType];if(awaitingDependencies.hasOwnProperty(rawType)){var callbacks=awaitingDependencies[rawType];delete awaitingDependencies[rawType];callbacks.forEach(cb=>cb());}}function registerType(rawType,registeredInstance,options={}){if(!("argPackAdvance"in registeredInstance)){throw new TypeError("registerType registeredInstance requires argPackAdvance")}return sharedRegisterType(rawType,registeredInstance,options)}var GenericWireTypeSize=8;var __embind_register_bool=(rawType,name,trueValue,falseValue)=>{name=readLatin1String(name);registerType(rawType,{name:name,fromWireType:function(wt){return !!wt},toWireType:function(destructors,o){return o?trueValue:falseValue},argPackAdvance:GenericWireTypeSize,readValueFromPointer:function(pointer){return this["fromWireType"](HEAPU8[pointer])},destructorFunction:null});};var shallowCopyInternalPointer=o=>({count:o.count,deleteScheduled:o.deleteScheduled,preservePointerOnDelete:o.preservePointerOnDelete,ptr:o.ptr,ptrType:o.ptrType,smartPtr:o.smartPtr,smartPtrType:o.smartPtrType});var throwInstanceAlreadyDeleted=obj=>{function getInstanceTypeName(handle){return handle.$$.ptrType.registeredClass.name}throwBindingError(getInstanceTypeName(obj)+" instance already deleted");};var finalizationRegistry=false;var detachFinalizer=handle=>{};var runDestructor=$$=>{if($$.smartPtr){$$.smartPtrType.rawDestructor($$.smartPtr);}else {$$.ptrType.registeredClass.rawDestructor($$.ptr);}};var releaseClassHandle=$$=>{$$.count.value-=1;var toDelete=0===$$.count.value;if(toDelete){runDestructor($$);}};var downcastPointer=(ptr,ptrClass,desiredClass)=>{if(ptrClass===desiredClass){return ptr}if(undefined===desiredClass.baseClass){return null}var rv=downcastPointer(ptr,ptrClass,desiredClass.baseClass);if(rv===null){return null}return desiredClass.downcast(rv)};var registeredPointers={};var getInheritedInstanceCount=()=>Object.keys(registeredInstances).length;var getLiveInheritedInstances=()=>{var rv=[];for(var k in registeredInstances){if(registeredInstances.hasOwnProperty(k)){rv.push(registeredInstances[k]);}}return rv};var deletionQueue=[];var flushPendingDeletes=()=>{while(deletionQueue.length){var obj=deletionQueue.pop();obj.$$.deleteScheduled=false;obj["delete"]();}};var delayFunction;var setDelayFunction=fn=>{delayFunction=fn;if(deletionQueue.length&&delayFunction){delayFunction(flushPendingDeletes);}};var init_embind=()=>{Module["getInheritedInstanceCount"]=getInheritedInstanceCount;Module["getLiveInheritedInstances"]=getLiveInheritedInstances;Module["flushPendingDeletes"]=flushPendingDeletes;Module["setDelayFunction"]=setDelayFunction;};var registeredInstances={};var getBasestPointer=(class_,ptr)=>{if(ptr===undefined){throwBindingError("ptr should not be undefined");}while(class_.baseClass){ptr=class_.upcast(ptr);class_=class_.baseClass;}return ptr};var getInheritedInstance=(class_,ptr)=>{ptr=getBasestPointer(class_,ptr);return registeredInstances[ptr]};var makeClassHandle=(prototype,record)=>{if(!record.ptrType||!record.ptr){throwInternalError("makeClassHandle requires ptr and ptrType");}var hasSmartPtrType=!!record.smartPtrType;var hasSmartPtr=!!record.smartPtr;if(hasSmartPtrType!==hasSmartPtr){throwInternalError("Both smartPtrType and smartPtr must be specified");}record.count={value:1};return attachFinalizer(Object.create(prototype,{$$:{value:record,writable:true}}))};function RegisteredPointer_fromWireType(ptr){var rawPointer=this.getPointee(ptr);if(!rawPointer){this.destructor(ptr);return null}var registeredInstance=getInheritedInstance(this.registeredClass,rawPointer);if(undefined!==registeredInstance){if(0===registeredInstance.$$.count.value){registeredInstance.$$.ptr=rawPointer;registeredInstance.$$.smartPtr=ptr;return registeredInstance["clone"]()}else {var rv=registeredInstance["clone"]();this.destructor(ptr);return rv}}function makeDefaultHandle(){if(this.isSmartPointer){return makeClassHandle(this.registeredClass.instancePrototype,{ptrType:this.pointeeType,ptr:rawPointer,smartPtrType:this,smartPtr:ptr})}else {return makeClassHandle(this.registeredClass.instancePrototype,{ptrType:this,ptr:ptr})}}var actualType=this.registeredClass.getActualType(rawPointer);var registeredPointerRecord=registeredPointers[actualType];if(!registeredPointerRecord){return makeDefaultHandle.call(this)}var toType;if(this.isConst){toType=registeredPointerRecord.constPointerType;}else {toType=registeredPointerRecord.pointerType;}var dp=downcastPointer(rawPointer,this.registeredClass,toType.registeredClass);if(dp===null){return makeDefaultHandle.call(this)}if(this.isSmartPointer){return makeClassHandle(toType.registeredClass.instancePrototype,{ptrType:toType,ptr:dp,smartPtrType:this,smartPtr:ptr})}else {return makeClassHandle(toType.registeredClass.instancePrototype,{ptrType:toType,ptr:dp})}}var attachFinalizer=handle=>{if("undefined"===typeof FinalizationRegistry){attachFinalizer=handle=>handle;return handle}finalizationRegistry=new FinalizationRegistry(info=>{releaseClassHandle(info.$$);});attachFinalizer=handle=>{var $$=handle.$$;var hasSmartPtr=!!$$.smartPtr;if(hasSmartPtr){var info={$$:$$};finalizationRegistry.register(handle,info,handle);}return handle};detachFinalizer=handle=>finalizationRegistry.unregister(handle);return attachFinalizer(handle)};var init_ClassHandle=()=>{Object.assign(ClassHandle.prototype,{isAliasOf(other){if(!(this instanceof ClassHandle)){return false}if(!(other instanceof ClassHandle)){return false}var leftClass=this.$$.ptrType.registeredClass;var left=this.$$.ptr;other.$$=other.$$;var rightClass=other.$$.ptrType.registeredClass;var right=other.$$.ptr;while(leftClass.baseClass){left=leftClass.upcast(left);leftClass=leftClass.baseClass;}while(rightClass.baseClass){right=rightClass.upcast(right);rightClass=rightClass.baseClass;}return leftClass===rightClass&&left===right},clone(){if(!this.$$.ptr){throwInstanceAlreadyDeleted(this);}if(this.$$.preservePointerOnDelete){this.$$.count.value+=1;return this}else {var clone=attachFinalizer(Object.create(Object.getPrototypeOf(this),{$$:{value:shallowCopyInternalPointer(this.$$)}}));clone.$$.count.value+=1;clone.$$.deleteScheduled=false;return clone}},delete(){if(!this.$$.ptr){throwInstanceAlreadyDeleted(this);}if(this.$$.deleteScheduled&&!this.$$.preservePointerOnDelete){throwBindingError("Object already scheduled for deletion");}detachFinalizer(this);releaseClassHandle(this.$$);if(!this.$$.preservePointerOnDelete){this.$$.smartPtr=undefined;this.$$.ptr=undefined;}},isDeleted(){return !this.$$.ptr},deleteLater(){if(!this.$$.ptr){throwInstanceAlreadyDeleted(this);}if(this.$$.deleteScheduled&&!this.$$.preservePointerOnDelete){throwBindingError("Object already scheduled for deletion");}deletionQueue.push(this);if(deletionQueue.length===1&&delayFunction){delayFunction(flushPendingDeletes);}this.$$.deleteScheduled=true;return this}});};function ClassHandle(){}var createNamedFunction=(name,body)=>Object.defineProperty(body,"name",{value:name});var ensureOverloadTable=(proto,methodName,humanName)=>{if(undefined===proto[methodName].overloadTable){var prevFunc=proto[methodName];proto[methodName]=function(...args){if(!proto[methodName].overloadTable.hasOwnProperty(args.length)){throwBindingError(`Function '${humanName}' called with an invalid number of arguments (${args.length}) - expects one of (${proto[methodName].overloadTable})!`);}return proto[methodName].overloadTable[args.length].apply(this,args)};proto[methodName].overloadTable=[];proto[methodName].overloadTable[prevFunc.argCount]=prevFunc;}};var exposePublicSymbol=(name,value,numArguments)=>{if(Module.hasOwnProperty(name)){if(undefined===numArguments||undefined!==Module[name].overloadTable&&undefined!==Module[name].overloadTable[numArguments]){throwBindingError(`Cannot register public name '${name}' twice`);}ensureOverloadTable(Module,name,name);if(Module.hasOwnProperty(numArguments)){throwBindingError(`Cannot register multiple overloads of a function with the same number of arguments (${numArguments})!`);}Module[name].overloadTable[numArguments]=value;}else {Module[name]=value;if(undefined!==numArguments){Module[name].numArguments=numArguments;}}};var char_0=48;var char_9=57;var makeLegalFunctionName=name=>{if(undefined===name){return "_unknown"}name=name.replace(/[^a-zA-Z0-9_]/g,"$");var f=name.charCodeAt(0);if(f>=char_0&&f<=char_9){return `_${name}`}return name};function RegisteredClass(name,constructor,instancePrototype,rawDestructor,baseClass,getActualType,upcast,downcast){this.name=name;this.constructor=constructor;this.instancePrototype=instancePrototype;this.rawDestructor=rawDestructor;this.baseClass=baseClass;this.getActualType=getActualType;this.upcast=upcast;this.downcast=downcast;this.pureVirtualFunctions=[];}var upcastPointer=(ptr,ptrClass,desiredClass)=>{while(ptrClass!==desiredClass){if(!ptrClass.upcast){throwBindingError(`Expected null or instance of ${desiredClass.name}, got an instance of ${ptrClass.name}`);}ptr=ptrClass.upcast(ptr);ptrClass=ptrClass.baseClass;}return ptr};function constNoSmartPtrRawPointerToWireType(destructors,handle){if(handle===null){if(this.isReference){throwBindingError(`null is not a valid ${this.name}`);}return 0}if(!handle.$$){throwBindingError(`Cannot pass "${embindRepr(handle)}" as a ${this.name}`);}if(!handle.$$.ptr){throwBindingError(`Cannot pass deleted object as a pointer of type ${this.name}`);}var handleClass=handle.$$.ptrType.registeredClass;var ptr=upcastPointer(handle.$$.ptr,handleClass,this.registeredClass);return ptr}function genericPointerToWireType(destructors,handle){var ptr;if(handle===null){if(this.isReference){throwBindingError(`null is not a valid ${this.name}`);}if(this.isSmartPointer){ptr=this.rawConstructor();if(destructors!==null){destructors.push(this.rawDestructor,ptr);}return ptr}else {return 0}}if(!handle||!handle.$$){throwBindingError(`Cannot pass "${embindRepr(handle)}" as a ${this.name}`);}if(!handle.$$.ptr){throwBindingError(`Cannot pass deleted object as a pointer of type ${this.name}`);}if(!this.isConst&&handle.$$.ptrType.isConst){throwBindingError(`Cannot convert argument of type ${handle.$$.smartPtrType?handle.$$.smartPtrType.name:handle.$$.ptrType.name} to parameter type ${this.name}`);}var handleClass=handle.$$.ptrType.registeredClass;ptr=upcastPointer(handle.$$.ptr,handleClass,this.registeredClass);if(this.isSmartPointer){if(undefined===handle.$$.smartPtr){throwBindingError("Passing raw pointer to smart pointer is illegal");}switch(this.sharingPolicy){case 0:if(handle.$$.smartPtrType===this){ptr=handle.$$.smartPtr;}else {throwBindingError(`Cannot convert argument of type ${handle.$$.smartPtrType?handle.$$.smartPtrType.name:handle.$$.ptrType.name} to parameter type ${this.name}`);}break;case 1:ptr=handle.$$.smartPtr;break;case 2:if(handle.$$.smartPtrType===this){ptr=handle.$$.smartPtr;}else {var clonedHandle=handle["clone"]();ptr=this.rawShare(ptr,Emval.toHandle(()=>clonedHandle["delete"]()));if(destructors!==null){destructors.push(this.rawDestructor,ptr);}}break;default:throwBindingError("Unsupporting sharing policy");}}return ptr}function nonConstNoSmartPtrRawPointerToWireType(destructors,handle){if(handle===null){if(this.isReference){throwBindingError(`null is not a valid ${this.name}`);}return 0}if(!handle.$$){throwBindingError(`Cannot pass "${embindRepr(handle)}" as a ${this.name}`);}if(!handle.$$.ptr){throwBindingError(`Cannot pass deleted object as a pointer of type ${this.name}`);}if(handle.$$.ptrType.isConst){throwBindingError(`Cannot convert argument of type ${handle.$$.ptrType.name} to parameter type ${this.name}`);}var handleClass=handle.$$.ptrType.registeredClass;var ptr=upcastPointer(handle.$$.ptr,handleClass,this.registeredClass);return ptr}var init_RegisteredPointer=()=>{Object.assign(RegisteredPointer.prototype,{getPointee(ptr){if(this.rawGetPointee){ptr=this.rawGetPointee(ptr);}return ptr},destructor(ptr){this.rawDestructor?.(ptr);},argPackAdvance:GenericWireTypeSize,readValueFromPointer:readPointer,fromWireType:RegisteredPointer_fromWireType});};function RegisteredPointer(name,registeredClass,isReference,isConst,isSmartPointer,pointeeType,sharingPolicy,rawGetPointee,rawConstructor,rawShare,rawDestructor){this.name=name;this.registeredClass=registeredClass;this.isReference=isReference;this.isConst=isConst;this.isSmartPointer=isSmartPointer;this.pointeeType=pointeeType;this.sharingPolicy=sharingPolicy;this.rawGetPointee=rawGetPointee;this.rawConstructor=rawConstructor;this.rawShare=rawShare;this.rawDestructor=rawDestructor;if(!isSmartPointer&&registeredClass.baseClass===undefined){if(isConst){this["toWireType"]=constNoSmartPtrRawPointerToWireType;this.destructorFunction=null;}else {this["toWireType"]=nonConstNoSmartPtrRawPointerToWireType;this.destructorFunction=null;}}else {this["toWireType"]=genericPointerToWireType;}}var replacePublicSymbol=(name,value,numArguments)=>{if(!Module.hasOwnProperty(name)){throwInternalError("Replacing nonexistent public symbol");}if(undefined!==Module[name].overloadTable&&undefined!==numArguments){Module[name].overloadTable[numArguments]=value;}else {Module[name]=value;Module[name].argCount=numArguments;}};var dynCallLegacy=(sig,ptr,args)=>{sig=sig.replace(/p/g,"i");var f=Module["dynCall_"+sig];return f(ptr,...args)};var wasmTableMirror=[];var wasmTable;var getWasmTableEntry=funcPtr=>{var func=wasmTableMirror[funcPtr];if(!func){if(funcPtr>=wasmTableMirror.length)wasmTableMirror.length=funcPtr+1;wasmTableMirror[funcPtr]=func=wasmTable.get(funcPtr);}return func};var dynCall=(sig,ptr,args=[])=>{if(sig.includes("j")){return dynCallLegacy(sig,ptr,args)}var rtn=getWasmTableEntry(ptr)(...args);return rtn};var getDynCaller=(sig,ptr)=>(...args)=>dynCall(sig,ptr,args);var embind__requireFunction=(signature,rawFunction)=>{signature=readLatin1String(signature);function makeDynCaller(){if(signature.includes("j")){return getDynCaller(signature,rawFunction)}return getWasmTableEntry(rawFunction)}var fp=makeDynCaller();if(typeof fp!="function"){throwBindingError(`unknown function pointer with signature ${signature}: ${rawFunction}`);}return fp};var extendError=(baseErrorType,errorName)=>{var errorClass=createNamedFunction(errorName,function(message){this.name=errorName;this.message=message;var stack=new Error(message).stack;if(stack!==undefined){this.stack=this.toString()+"\n"+stack.replace(/^Error(:[^\n]*)?\n/,"");}});errorClass.prototype=Object.create(baseErrorType.prototype);errorClass.prototype.constructor=errorClass;errorClass.prototype.toString=function(){if(this.message===undefined){return this.name}else {return `${this.name}: ${this.message}`}};return errorClass};var UnboundTypeError;var getTypeName=type=>{var ptr=___getTypeName(type);var rv=readLatin1String(ptr);_free(ptr);return rv};var throwUnboundTypeError=(message,types)=>{var unboundTypes=[];var seen={};function visit(type){if(seen[type]){return}if(registeredTypes[type]){return}if(typeDependencies[type]){typeDependencies[type].forEach(visit);return}unboundTypes.push(type);seen[type]=true;}types.forEach(visit);throw new UnboundTypeError(`${message}: `+unboundTypes.map(getTypeName).join([", "]))};var __embind_register_class=(rawType,rawPointerType,rawConstPointerType,baseClassRawType,getActualTypeSignature,getActualType,upcastSignature,upcast,downcastSignature,downcast,name,destructorSignature,rawDestructor)=>{name=readLatin1String(name);getActualType=embind__requireFunction(getActualTypeSignature,getActualType);upcast&&=embind__requireFunction(upcastSignature,upcast);downcast&&=embind__requireFunction(downcastSignature,downcast);rawDestructor=embind__requireFunction(destructorSignature,rawDestructor);var legalFunctionName=makeLegalFunctionName(name);exposePublicSymbol(legalFunctionName,function(){throwUnboundTypeError(`Cannot construct ${name} due to unbound types`,[baseClassRawType]);});whenDependentTypesAreResolved([rawType,rawPointerType,rawConstPointerType],baseClassRawType?[baseClassRawType]:[],base=>{base=base[0];var baseClass;var basePrototype;if(baseClassRawType){baseClass=base.registeredClass;basePrototype=baseClass.instancePrototype;}else {basePrototype=ClassHandle.prototype;}var constructor=createNamedFunction(name,function(...args){if(Object.getPrototypeOf(this)!==instancePrototype){throw new BindingError("Use 'new' to construct "+name)}if(undefined===registeredClass.constructor_body){throw new BindingError(name+" has no accessible constructor")}var body=registeredClass.constructor_body[args.length];if(undefined===body){throw new BindingError(`Tried to invoke ctor of ${name} with invalid number of parameters (${args.length}) - expected (${Object.keys(registeredClass.constructor_body).toString()}) parameters instead!`)}return body.apply(this,args)});var instancePrototype=Object.create(basePrototype,{constructor:{value:constructor}});constructor.prototype=instancePrototype;var registeredClass=new RegisteredClass(name,constructor,instancePrototype,rawDestructor,baseClass,getActualType,upcast,downcast);if(registeredClass.baseClass){registeredClass.baseClass.__derivedClasses??=[];registeredClass.baseClass.__derivedClasses.push(registeredClass);}var referenceConverter=new RegisteredPointer(name,registeredClass,true,false,false);var pointerConverter=new RegisteredPointer(name+"*",registeredClass,false,false,false);var constPointerConverter=new RegisteredPointer(name+" const*",registeredClass,false,true,false);registeredPointers[rawType]={pointerType:pointerConverter,constPointerType:constPointerConverter};replacePublicSymbol(legalFunctionName,constructor);return [referenceConverter,pointerConverter,constPointerConverter]});};var heap32VectorToArray=(count,firstElement)=>{var array=[];for(var i=0;i<count;i++){array.push(HEAPU32[firstElement+i*4>>2]);}return array};function usesDestructorStack(argTypes){for(var i=1;i<argTypes.length;++i){if(argTypes[i]!==null&&argTypes[i].destructorFunction===undefined){return true}}return false}function newFunc(constructor,argumentList){if(!(constructor instanceof Function)){throw new TypeError(`new_ called with constructor type ${typeof constructor} which is not a function`)}var dummy=createNamedFunction(constructor.name||"unknownFunctionName",function(){});dummy.prototype=constructor.prototype;var obj=new dummy;var r=constructor.apply(obj,argumentList);return r instanceof Object?r:obj}function createJsInvoker(argTypes,isClassMethodFunc,returns,isAsync){var needsDestructorStack=usesDestructorStack(argTypes);var argCount=argTypes.length;var argsList="";var argsListWired="";for(var i=0;i<argCount-2;++i){argsList+=(i!==0?", ":"")+"arg"+i;argsListWired+=(i!==0?", ":"")+"arg"+i+"Wired";}var invokerFnBody=`\n        return function (${argsList}) {\n        if (arguments.length !== ${argCount-2}) {\n          throwBindingError('function ' + humanName + ' called with ' + arguments.length + ' arguments, expected ${argCount-2}');\n        }`;if(needsDestructorStack){invokerFnBody+="var destructors = [];\n";}var dtorStack=needsDestructorStack?"destructors":"null";var args1=["humanName","throwBindingError","invoker","fn","runDestructors","retType","classParam"];if(isClassMethodFunc){invokerFnBody+="var thisWired = classParam['toWireType']("+dtorStack+", this);\n";}for(var i=0;i<argCount-2;++i){invokerFnBody+="var arg"+i+"Wired = argType"+i+"['toWireType']("+dtorStack+", arg"+i+");\n";args1.push("argType"+i);}if(isClassMethodFunc){argsListWired="thisWired"+(argsListWired.length>0?", ":"")+argsListWired;}invokerFnBody+=(returns||isAsync?"var rv = ":"")+"invoker(fn"+(argsListWired.length>0?", ":"")+argsListWired+");\n";if(needsDestructorStack){invokerFnBody+="runDestructors(destructors);\n";}else {for(var i=isClassMethodFunc?1:2;i<argTypes.length;++i){var paramName=i===1?"thisWired":"arg"+(i-2)+"Wired";if(argTypes[i].destructorFunction!==null){invokerFnBody+=`${paramName}_dtor(${paramName});\n`;args1.push(`${paramName}_dtor`);}}}if(returns){invokerFnBody+="var ret = retType['fromWireType'](rv);\n"+"return ret;\n";}invokerFnBody+="}\n";return [args1,invokerFnBody]}function craftInvokerFunction(humanName,argTypes,classType,cppInvokerFunc,cppTargetFunc,isAsync){var argCount=argTypes.length;if(argCount<2){throwBindingError("argTypes array size mismatch! Must at least get return value and 'this' types!");}var isClassMethodFunc=argTypes[1]!==null&&classType!==null;var needsDestructorStack=usesDestructorStack(argTypes);var returns=argTypes[0].name!=="void";var closureArgs=[humanName,throwBindingError,cppInvokerFunc,cppTargetFunc,runDestructors,argTypes[0],argTypes[1]];for(var i=0;i<argCount-2;++i){closureArgs.push(argTypes[i+2]);}if(!needsDestructorStack){for(var i=isClassMethodFunc?1:2;i<argTypes.length;++i){if(argTypes[i].destructorFunction!==null){closureArgs.push(argTypes[i].destructorFunction);}}}let[args,invokerFnBody]=createJsInvoker(argTypes,isClassMethodFunc,returns,isAsync);args.push(invokerFnBody);var invokerFn=newFunc(Function,args)(...closureArgs);return createNamedFunction(humanName,invokerFn)}var __embind_register_class_constructor=(rawClassType,argCount,rawArgTypesAddr,invokerSignature,invoker,rawConstructor)=>{var rawArgTypes=heap32VectorToArray(argCount,rawArgTypesAddr);invoker=embind__requireFunction(invokerSignature,invoker);whenDependentTypesAreResolved([],[rawClassType],classType=>{classType=classType[0];var humanName=`constructor ${classType.name}`;if(undefined===classType.registeredClass.constructor_body){classType.registeredClass.constructor_body=[];}if(undefined!==classType.registeredClass.constructor_body[argCount-1]){throw new BindingError(`Cannot register multiple constructors with identical number of parameters (${argCount-1}) for class '${classType.name}'! Overload resolution is currently only performed using the parameter count, not actual type info!`)}classType.registeredClass.constructor_body[argCount-1]=()=>{throwUnboundTypeError(`Cannot construct ${classType.name} due to unbound types`,rawArgTypes);};whenDependentTypesAreResolved([],rawArgTypes,argTypes=>{argTypes.splice(1,0,null);classType.registeredClass.constructor_body[argCount-1]=craftInvokerFunction(humanName,argTypes,null,invoker,rawConstructor);return []});return []});};var getFunctionName=signature=>{signature=signature.trim();const argsIndex=signature.indexOf("(");if(argsIndex!==-1){return signature.substr(0,argsIndex)}else {return signature}};var __embind_register_class_function=(rawClassType,methodName,argCount,rawArgTypesAddr,invokerSignature,rawInvoker,context,isPureVirtual,isAsync)=>{var rawArgTypes=heap32VectorToArray(argCount,rawArgTypesAddr);methodName=readLatin1String(methodName);methodName=getFunctionName(methodName);rawInvoker=embind__requireFunction(invokerSignature,rawInvoker);whenDependentTypesAreResolved([],[rawClassType],classType=>{classType=classType[0];var humanName=`${classType.name}.${methodName}`;if(methodName.startsWith("@@")){methodName=Symbol[methodName.substring(2)];}if(isPureVirtual){classType.registeredClass.pureVirtualFunctions.push(methodName);}function unboundTypesHandler(){throwUnboundTypeError(`Cannot call ${humanName} due to unbound types`,rawArgTypes);}var proto=classType.registeredClass.instancePrototype;var method=proto[methodName];if(undefined===method||undefined===method.overloadTable&&method.className!==classType.name&&method.argCount===argCount-2){unboundTypesHandler.argCount=argCount-2;unboundTypesHandler.className=classType.name;proto[methodName]=unboundTypesHandler;}else {ensureOverloadTable(proto,methodName,humanName);proto[methodName].overloadTable[argCount-2]=unboundTypesHandler;}whenDependentTypesAreResolved([],rawArgTypes,argTypes=>{var memberFunction=craftInvokerFunction(humanName,argTypes,classType,rawInvoker,context,isAsync);if(undefined===proto[methodName].overloadTable){memberFunction.argCount=argCount-2;proto[methodName]=memberFunction;}else {proto[methodName].overloadTable[argCount-2]=memberFunction;}return []});return []});};var __embind_register_constant=(name,type,value)=>{name=readLatin1String(name);whenDependentTypesAreResolved([],[type],type=>{type=type[0];Module[name]=type["fromWireType"](value);return []});};var emval_freelist=[];var emval_handles=[];var __emval_decref=handle=>{if(handle>9&&0===--emval_handles[handle+1]){emval_handles[handle]=undefined;emval_freelist.push(handle);}};var count_emval_handles=()=>emval_handles.length/2-5-emval_freelist.length;var init_emval=()=>{emval_handles.push(0,1,undefined,1,null,1,true,1,false,1);Module["count_emval_handles"]=count_emval_handles;};var Emval={toValue:handle=>{if(!handle){throwBindingError("Cannot use deleted val. handle = "+handle);}return emval_handles[handle]},toHandle:value=>{switch(value){case undefined:return 2;case null:return 4;case true:return 6;case false:return 8;default:{const handle=emval_freelist.pop()||emval_handles.length;emval_handles[handle]=value;emval_handles[handle+1]=1;return handle}}}};var EmValType={name:"emscripten::val",fromWireType:handle=>{var rv=Emval.toValue(handle);__emval_decref(handle);return rv},toWireType:(destructors,value)=>Emval.toHandle(value),argPackAdvance:GenericWireTypeSize,readValueFromPointer:readPointer,destructorFunction:null};var __embind_register_emval=rawType=>registerType(rawType,EmValType);var enumReadValueFromPointer=(name,width,signed)=>{switch(width){case 1:return signed?function(pointer){return this["fromWireType"](HEAP8[pointer])}:function(pointer){return this["fromWireType"](HEAPU8[pointer])};case 2:return signed?function(pointer){return this["fromWireType"](HEAP16[pointer>>1])}:function(pointer){return this["fromWireType"](HEAPU16[pointer>>1])};case 4:return signed?function(pointer){return this["fromWireType"](HEAP32[pointer>>2])}:function(pointer){return this["fromWireType"](HEAPU32[pointer>>2])};default:throw new TypeError(`invalid integer width (${width}): ${name}`)}};var __embind_register_enum=(rawType,name,size,isSigned)=>{name=readLatin1String(name);function ctor(){}ctor.values={};registerType(rawType,{name:name,constructor:ctor,fromWireType:function(c){return this.constructor.values[c]},toWireType:(destructors,c)=>c.value,argPackAdvance:GenericWireTypeSize,readValueFromPointer:enumReadValueFromPointer(name,size,isSigned),destructorFunction:null});exposePublicSymbol(name,ctor);};var requireRegisteredType=(rawType,humanName)=>{var impl=registeredTypes[rawType];if(undefined===impl){throwBindingError(`${humanName} has unknown type ${getTypeName(rawType)}`);}return impl};var __embind_register_enum_value=(rawEnumType,name,enumValue)=>{var enumType=requireRegisteredType(rawEnumType,"enum");name=readLatin1String(name);var Enum=enumType.constructor;var Value=Object.create(enumType.constructor.prototype,{value:{value:enumValue},constructor:{value:createNamedFunction(`${enumType.name}_${name}`,function(){})}});Enum.values[enumValue]=Value;Enum[name]=Value;};var embindRepr=v=>{if(v===null){return "null"}var t=typeof v;if(t==="object"||t==="array"||t==="function"){return v.toString()}else {return ""+v}};var floatReadValueFromPointer=(name,width)=>{switch(width){case 4:return function(pointer){return this["fromWireType"](HEAPF32[pointer>>2])};case 8:return function(pointer){return this["fromWireType"](HEAPF64[pointer>>3])};default:throw new TypeError(`invalid float width (${width}): ${name}`)}};var __embind_register_float=(rawType,name,size)=>{name=readLatin1String(name);registerType(rawType,{name:name,fromWireType:value=>value,toWireType:(destructors,value)=>value,argPackAdvance:GenericWireTypeSize,readValueFromPointer:floatReadValueFromPointer(name,size),destructorFunction:null});};var __embind_register_function=(name,argCount,rawArgTypesAddr,signature,rawInvoker,fn,isAsync)=>{var argTypes=heap32VectorToArray(argCount,rawArgTypesAddr);name=readLatin1String(name);name=getFunctionName(name);rawInvoker=embind__requireFunction(signature,rawInvoker);exposePublicSymbol(name,function(){throwUnboundTypeError(`Cannot call ${name} due to unbound types`,argTypes);},argCount-1);whenDependentTypesAreResolved([],argTypes,argTypes=>{var invokerArgsArray=[argTypes[0],null].concat(argTypes.slice(1));replacePublicSymbol(name,craftInvokerFunction(name,invokerArgsArray,null,rawInvoker,fn,isAsync),argCount-1);return []});};var integerReadValueFromPointer=(name,width,signed)=>{switch(width){case 1:return signed?pointer=>HEAP8[pointer]:pointer=>HEAPU8[pointer];case 2:return signed?pointer=>HEAP16[pointer>>1]:pointer=>HEAPU16[pointer>>1];case 4:return signed?pointer=>HEAP32[pointer>>2]:pointer=>HEAPU32[pointer>>2];default:throw new TypeError(`invalid integer width (${width}): ${name}`)}};var __embind_register_integer=(primitiveType,name,size,minRange,maxRange)=>{name=readLatin1String(name);var fromWireType=value=>value;if(minRange===0){var bitshift=32-8*size;fromWireType=value=>value<<bitshift>>>bitshift;}var isUnsignedType=name.includes("unsigned");var checkAssertions=(value,toTypeName)=>{};var toWireType;if(isUnsignedType){toWireType=function(destructors,value){checkAssertions(value,this.name);return value>>>0};}else {toWireType=function(destructors,value){checkAssertions(value,this.name);return value};}registerType(primitiveType,{name:name,fromWireType:fromWireType,toWireType:toWireType,argPackAdvance:GenericWireTypeSize,readValueFromPointer:integerReadValueFromPointer(name,size,minRange!==0),destructorFunction:null});};var __embind_register_memory_view=(rawType,dataTypeIndex,name)=>{var typeMapping=[Int8Array,Uint8Array,Int16Array,Uint16Array,Int32Array,Uint32Array,Float32Array,Float64Array];var TA=typeMapping[dataTypeIndex];function decodeMemoryView(handle){var size=HEAPU32[handle>>2];var data=HEAPU32[handle+4>>2];return new TA(HEAP8.buffer,data,size)}name=readLatin1String(name);registerType(rawType,{name:name,fromWireType:decodeMemoryView,argPackAdvance:GenericWireTypeSize,readValueFromPointer:decodeMemoryView},{ignoreDuplicateRegistrations:true});};var stringToUTF8Array=(str,heap,outIdx,maxBytesToWrite)=>{if(!(maxBytesToWrite>0))return 0;var startIdx=outIdx;var endIdx=outIdx+maxBytesToWrite-1;for(var i=0;i<str.length;++i){var u=str.charCodeAt(i);if(u>=55296&&u<=57343){var u1=str.charCodeAt(++i);u=65536+((u&1023)<<10)|u1&1023;}if(u<=127){if(outIdx>=endIdx)break;heap[outIdx++]=u;}else if(u<=2047){if(outIdx+1>=endIdx)break;heap[outIdx++]=192|u>>6;heap[outIdx++]=128|u&63;}else if(u<=65535){if(outIdx+2>=endIdx)break;heap[outIdx++]=224|u>>12;heap[outIdx++]=128|u>>6&63;heap[outIdx++]=128|u&63;}else {if(outIdx+3>=endIdx)break;heap[outIdx++]=240|u>>18;heap[outIdx++]=128|u>>12&63;heap[outIdx++]=128|u>>6&63;heap[outIdx++]=128|u&63;}}heap[outIdx]=0;return outIdx-startIdx};var stringToUTF8=(str,outPtr,maxBytesToWrite)=>stringToUTF8Array(str,HEAPU8,outPtr,maxBytesToWrite);var lengthBytesUTF8=str=>{var len=0;for(var i=0;i<str.length;++i){var c=str.charCodeAt(i);if(c<=127){len++;}else if(c<=2047){len+=2;}else if(c>=55296&&c<=57343){len+=4;++i;}else {len+=3;}}return len};var UTF8Decoder=typeof TextDecoder!="undefined"?new TextDecoder:undefined;var UTF8ArrayToString=(heapOrArray,idx,maxBytesToRead)=>{var endIdx=idx+maxBytesToRead;var endPtr=idx;while(heapOrArray[endPtr]&&!(endPtr>=endIdx))++endPtr;if(endPtr-idx>16&&heapOrArray.buffer&&UTF8Decoder){return UTF8Decoder.decode(heapOrArray.subarray(idx,endPtr))}var str="";while(idx<endPtr){var u0=heapOrArray[idx++];if(!(u0&128)){str+=String.fromCharCode(u0);continue}var u1=heapOrArray[idx++]&63;if((u0&224)==192){str+=String.fromCharCode((u0&31)<<6|u1);continue}var u2=heapOrArray[idx++]&63;if((u0&240)==224){u0=(u0&15)<<12|u1<<6|u2;}else {u0=(u0&7)<<18|u1<<12|u2<<6|heapOrArray[idx++]&63;}if(u0<65536){str+=String.fromCharCode(u0);}else {var ch=u0-65536;str+=String.fromCharCode(55296|ch>>10,56320|ch&1023);}}return str};var UTF8ToString=(ptr,maxBytesToRead)=>ptr?UTF8ArrayToString(HEAPU8,ptr,maxBytesToRead):"";var __embind_register_std_string=(rawType,name)=>{name=readLatin1String(name);var stdStringIsUTF8=name==="std::string";registerType(rawType,{name:name,fromWireType(value){var length=HEAPU32[value>>2];var payload=value+4;var str;if(stdStringIsUTF8){var decodeStartPtr=payload;for(var i=0;i<=length;++i){var currentBytePtr=payload+i;if(i==length||HEAPU8[currentBytePtr]==0){var maxRead=currentBytePtr-decodeStartPtr;var stringSegment=UTF8ToString(decodeStartPtr,maxRead);if(str===undefined){str=stringSegment;}else {str+=String.fromCharCode(0);str+=stringSegment;}decodeStartPtr=currentBytePtr+1;}}}else {var a=new Array(length);for(var i=0;i<length;++i){a[i]=String.fromCharCode(HEAPU8[payload+i]);}str=a.join("");}_free(value);return str},toWireType(destructors,value){if(value instanceof ArrayBuffer){value=new Uint8Array(value);}var length;var valueIsOfTypeString=typeof value=="string";if(!(valueIsOfTypeString||value instanceof Uint8Array||value instanceof Uint8ClampedArray||value instanceof Int8Array)){throwBindingError("Cannot pass non-string to std::string");}if(stdStringIsUTF8&&valueIsOfTypeString){length=lengthBytesUTF8(value);}else {length=value.length;}var base=_malloc(4+length+1);var ptr=base+4;HEAPU32[base>>2]=length;if(stdStringIsUTF8&&valueIsOfTypeString){stringToUTF8(value,ptr,length+1);}else {if(valueIsOfTypeString){for(var i=0;i<length;++i){var charCode=value.charCodeAt(i);if(charCode>255){_free(ptr);throwBindingError("String has UTF-16 code units that do not fit in 8 bits");}HEAPU8[ptr+i]=charCode;}}else {for(var i=0;i<length;++i){HEAPU8[ptr+i]=value[i];}}}if(destructors!==null){destructors.push(_free,base);}return base},argPackAdvance:GenericWireTypeSize,readValueFromPointer:readPointer,destructorFunction(ptr){_free(ptr);}});};var UTF16Decoder=typeof TextDecoder!="undefined"?new TextDecoder("utf-16le"):undefined;var UTF16ToString=(ptr,maxBytesToRead)=>{var endPtr=ptr;var idx=endPtr>>1;var maxIdx=idx+maxBytesToRead/2;while(!(idx>=maxIdx)&&HEAPU16[idx])++idx;endPtr=idx<<1;if(endPtr-ptr>32&&UTF16Decoder)return UTF16Decoder.decode(HEAPU8.subarray(ptr,endPtr));var str="";for(var i=0;!(i>=maxBytesToRead/2);++i){var codeUnit=HEAP16[ptr+i*2>>1];if(codeUnit==0)break;str+=String.fromCharCode(codeUnit);}return str};var stringToUTF16=(str,outPtr,maxBytesToWrite)=>{maxBytesToWrite??=2147483647;if(maxBytesToWrite<2)return 0;maxBytesToWrite-=2;var startPtr=outPtr;var numCharsToWrite=maxBytesToWrite<str.length*2?maxBytesToWrite/2:str.length;for(var i=0;i<numCharsToWrite;++i){var codeUnit=str.charCodeAt(i);HEAP16[outPtr>>1]=codeUnit;outPtr+=2;}HEAP16[outPtr>>1]=0;return outPtr-startPtr};var lengthBytesUTF16=str=>str.length*2;var UTF32ToString=(ptr,maxBytesToRead)=>{var i=0;var str="";while(!(i>=maxBytesToRead/4)){var utf32=HEAP32[ptr+i*4>>2];if(utf32==0)break;++i;if(utf32>=65536){var ch=utf32-65536;str+=String.fromCharCode(55296|ch>>10,56320|ch&1023);}else {str+=String.fromCharCode(utf32);}}return str};var stringToUTF32=(str,outPtr,maxBytesToWrite)=>{maxBytesToWrite??=2147483647;if(maxBytesToWrite<4)return 0;var startPtr=outPtr;var endPtr=startPtr+maxBytesToWrite-4;for(var i=0;i<str.length;++i){var codeUnit=str.charCodeAt(i);if(codeUnit>=55296&&codeUnit<=57343){var trailSurrogate=str.charCodeAt(++i);codeUnit=65536+((codeUnit&1023)<<10)|trailSurrogate&1023;}HEAP32[outPtr>>2]=codeUnit;outPtr+=4;if(outPtr+4>endPtr)break}HEAP32[outPtr>>2]=0;return outPtr-startPtr};var lengthBytesUTF32=str=>{var len=0;for(var i=0;i<str.length;++i){var codeUnit=str.charCodeAt(i);if(codeUnit>=55296&&codeUnit<=57343)++i;len+=4;}return len};var __embind_register_std_wstring=(rawType,charSize,name)=>{name=readLatin1String(name);var decodeString,encodeString,readCharAt,lengthBytesUTF;if(charSize===2){decodeString=UTF16ToString;encodeString=stringToUTF16;lengthBytesUTF=lengthBytesUTF16;readCharAt=pointer=>HEAPU16[pointer>>1];}else if(charSize===4){decodeString=UTF32ToString;encodeString=stringToUTF32;lengthBytesUTF=lengthBytesUTF32;readCharAt=pointer=>HEAPU32[pointer>>2];}registerType(rawType,{name:name,fromWireType:value=>{var length=HEAPU32[value>>2];var str;var decodeStartPtr=value+4;for(var i=0;i<=length;++i){var currentBytePtr=value+4+i*charSize;if(i==length||readCharAt(currentBytePtr)==0){var maxReadBytes=currentBytePtr-decodeStartPtr;var stringSegment=decodeString(decodeStartPtr,maxReadBytes);if(str===undefined){str=stringSegment;}else {str+=String.fromCharCode(0);str+=stringSegment;}decodeStartPtr=currentBytePtr+charSize;}}_free(value);return str},toWireType:(destructors,value)=>{if(!(typeof value=="string")){throwBindingError(`Cannot pass non-string to C++ string type ${name}`);}var length=lengthBytesUTF(value);var ptr=_malloc(4+length+charSize);HEAPU32[ptr>>2]=length/charSize;encodeString(value,ptr+4,length+charSize);if(destructors!==null){destructors.push(_free,ptr);}return ptr},argPackAdvance:GenericWireTypeSize,readValueFromPointer:readPointer,destructorFunction(ptr){_free(ptr);}});};var __embind_register_value_object=(rawType,name,constructorSignature,rawConstructor,destructorSignature,rawDestructor)=>{structRegistrations[rawType]={name:readLatin1String(name),rawConstructor:embind__requireFunction(constructorSignature,rawConstructor),rawDestructor:embind__requireFunction(destructorSignature,rawDestructor),fields:[]};};var __embind_register_value_object_field=(structType,fieldName,getterReturnType,getterSignature,getter,getterContext,setterArgumentType,setterSignature,setter,setterContext)=>{structRegistrations[structType].fields.push({fieldName:readLatin1String(fieldName),getterReturnType:getterReturnType,getter:embind__requireFunction(getterSignature,getter),getterContext:getterContext,setterArgumentType:setterArgumentType,setter:embind__requireFunction(setterSignature,setter),setterContext:setterContext});};var __embind_register_void=(rawType,name)=>{name=readLatin1String(name);registerType(rawType,{isVoid:true,name:name,argPackAdvance:0,fromWireType:()=>undefined,toWireType:(destructors,o)=>undefined});};var __emscripten_memcpy_js=(dest,src,num)=>HEAPU8.copyWithin(dest,src,src+num);var emval_returnValue=(returnType,destructorsRef,handle)=>{var destructors=[];var result=returnType["toWireType"](destructors,handle);if(destructors.length){HEAPU32[destructorsRef>>2]=Emval.toHandle(destructors);}return result};var __emval_as=(handle,returnType,destructorsRef)=>{handle=Emval.toValue(handle);returnType=requireRegisteredType(returnType,"emval::as");return emval_returnValue(returnType,destructorsRef,handle)};var emval_methodCallers=[];var __emval_call=(caller,handle,destructorsRef,args)=>{caller=emval_methodCallers[caller];handle=Emval.toValue(handle);return caller(null,handle,destructorsRef,args)};var emval_symbols={};var getStringOrSymbol=address=>{var symbol=emval_symbols[address];if(symbol===undefined){return readLatin1String(address)}return symbol};var __emval_call_method=(caller,objHandle,methodName,destructorsRef,args)=>{caller=emval_methodCallers[caller];objHandle=Emval.toValue(objHandle);methodName=getStringOrSymbol(methodName);return caller(objHandle,objHandle[methodName],destructorsRef,args)};var emval_get_global=()=>{if(typeof globalThis=="object"){return globalThis}return function(){return Function}()("return this")()};var __emval_get_global=name=>{if(name===0){return Emval.toHandle(emval_get_global())}else {name=getStringOrSymbol(name);return Emval.toHandle(emval_get_global()[name])}};var emval_addMethodCaller=caller=>{var id=emval_methodCallers.length;emval_methodCallers.push(caller);return id};var emval_lookupTypes=(argCount,argTypes)=>{var a=new Array(argCount);for(var i=0;i<argCount;++i){a[i]=requireRegisteredType(HEAPU32[argTypes+i*4>>2],"parameter "+i);}return a};var __emval_get_method_caller=(argCount,argTypes,kind)=>{var types=emval_lookupTypes(argCount,argTypes);var retType=types.shift();argCount--;var functionBody=`return function (obj, func, destructorsRef, args) {\n`;var offset=0;var argsList=[];if(kind===0){argsList.push("obj");}var params=["retType"];var args=[retType];for(var i=0;i<argCount;++i){argsList.push("arg"+i);params.push("argType"+i);args.push(types[i]);functionBody+=`  var arg${i} = argType${i}.readValueFromPointer(args${offset?"+"+offset:""});\n`;offset+=types[i]["argPackAdvance"];}var invoker=kind===1?"new func":"func.call";functionBody+=`  var rv = ${invoker}(${argsList.join(", ")});\n`;if(!retType.isVoid){params.push("emval_returnValue");args.push(emval_returnValue);functionBody+="  return emval_returnValue(retType, destructorsRef, rv);\n";}functionBody+="};\n";params.push(functionBody);var invokerFunction=newFunc(Function,params)(...args);var functionName=`methodCaller<(${types.map(t=>t.name).join(", ")}) => ${retType.name}>`;return emval_addMethodCaller(createNamedFunction(functionName,invokerFunction))};var __emval_get_module_property=name=>{name=getStringOrSymbol(name);return Emval.toHandle(Module[name])};var __emval_get_property=(handle,key)=>{handle=Emval.toValue(handle);key=Emval.toValue(key);return Emval.toHandle(handle[key])};var __emval_incref=handle=>{if(handle>9){emval_handles[handle+1]+=1;}};var __emval_new_cstring=v=>Emval.toHandle(getStringOrSymbol(v));var __emval_run_destructors=handle=>{var destructors=Emval.toValue(handle);runDestructors(destructors);__emval_decref(handle);};var getHeapMax=()=>2147483648;var growMemory=size=>{var b=wasmMemory.buffer;var pages=(size-b.byteLength+65535)/65536;try{wasmMemory.grow(pages);updateMemoryViews();return 1}catch(e){}};var _emscripten_resize_heap=requestedSize=>{var oldSize=HEAPU8.length;requestedSize>>>=0;var maxHeapSize=getHeapMax();if(requestedSize>maxHeapSize){return false}var alignUp=(x,multiple)=>x+(multiple-x%multiple)%multiple;for(var cutDown=1;cutDown<=4;cutDown*=2){var overGrownHeapSize=oldSize*(1+.2/cutDown);overGrownHeapSize=Math.min(overGrownHeapSize,requestedSize+100663296);var newSize=Math.min(maxHeapSize,alignUp(Math.max(requestedSize,overGrownHeapSize),65536));var replacement=growMemory(newSize);if(replacement){return true}}return false};var _fd_close=fd=>52;function _fd_seek(fd,offset_low,offset_high,whence,newOffset){return 70}var printCharBuffers=[null,[],[]];var printChar=(stream,curr)=>{var buffer=printCharBuffers[stream];if(curr===0||curr===10){(stream===1?out:err)(UTF8ArrayToString(buffer,0));buffer.length=0;}else {buffer.push(curr);}};var _fd_write=(fd,iov,iovcnt,pnum)=>{var num=0;for(var i=0;i<iovcnt;i++){var ptr=HEAPU32[iov>>2];var len=HEAPU32[iov+4>>2];iov+=8;for(var j=0;j<len;j++){printChar(fd,HEAPU8[ptr+j]);}num+=len;}HEAPU32[pnum>>2]=num;return 0};InternalError=Module["InternalError"]=class InternalError extends Error{constructor(message){super(message);this.name="InternalError";}};embind_init_charCodes();BindingError=Module["BindingError"]=class BindingError extends Error{constructor(message){super(message);this.name="BindingError";}};init_ClassHandle();init_embind();init_RegisteredPointer();UnboundTypeError=Module["UnboundTypeError"]=extendError(Error,"UnboundTypeError");init_emval();var wasmImports={K:___cxa_throw,G:__abort_js,s:__embind_finalize_value_object,C:__embind_register_bigint,I:__embind_register_bool,w:__embind_register_class,v:__embind_register_class_constructor,d:__embind_register_class_function,m:__embind_register_constant,H:__embind_register_emval,o:__embind_register_enum,a:__embind_register_enum_value,A:__embind_register_float,i:__embind_register_function,l:__embind_register_integer,f:__embind_register_memory_view,z:__embind_register_std_string,u:__embind_register_std_wstring,t:__embind_register_value_object,c:__embind_register_value_object_field,J:__embind_register_void,F:__emscripten_memcpy_js,n:__emval_as,q:__emval_call,p:__emval_call_method,b:__emval_decref,x:__emval_get_global,j:__emval_get_method_caller,r:__emval_get_module_property,g:__emval_get_property,k:__emval_incref,h:__emval_new_cstring,e:__emval_run_destructors,D:_emscripten_resize_heap,E:_fd_close,B:_fd_seek,y:_fd_write};var wasmExports=createWasm();var ___getTypeName=a0=>(___getTypeName=wasmExports["N"])(a0);var _malloc=a0=>(_malloc=wasmExports["O"])(a0);var _free=a0=>(_free=wasmExports["Q"])(a0);var ___cxa_is_pointer_type=a0=>(___cxa_is_pointer_type=wasmExports["R"])(a0);Module["dynCall_jiji"]=(a0,a1,a2,a3,a4)=>(Module["dynCall_jiji"]=wasmExports["S"])(a0,a1,a2,a3,a4);var calledRun;dependenciesFulfilled=function runCaller(){if(!calledRun)run();if(!calledRun)dependenciesFulfilled=runCaller;};function run(){if(runDependencies>0){return}preRun();if(runDependencies>0){return}function doRun(){if(calledRun)return;calledRun=true;Module["calledRun"]=true;if(ABORT)return;initRuntime();readyPromiseResolve(Module);Module["onRuntimeInitialized"]?.();postRun();}if(Module["setStatus"]){Module["setStatus"]("Running...");setTimeout(function(){setTimeout(function(){Module["setStatus"]("");},1);doRun();},1);}else {doRun();}}if(Module["preInit"]){if(typeof Module["preInit"]=="function")Module["preInit"]=[Module["preInit"]];while(Module["preInit"].length>0){Module["preInit"].pop()();}}run();moduleRtn=readyPromise;
+
+
+  return moduleRtn;
+}
+);
+})();
+if (typeof exports === 'object' && typeof module === 'object')
+  module.exports = BASIS;
+else if (typeof define === 'function' && define['amd'])
+  define([], () => BASIS);
+
+// Basis transcoder_texture_format values
+const TranscoderFormat = {
+    ETC1_RGB: 0,
+    ETC2_RGBA: 1,
+    BC1_RGB: 2,
+    BC3_RGBA: 3,
+    BC7_RGBA: 6,
+    ASTC_4x4_RGBA: 10,
+    RGBA32: 13
+};
+const ASTC = {
+    extension: 'WEBGL_compressed_texture_astc',
+    opaque: [TranscoderFormat.ASTC_4x4_RGBA, 0x93B0], // COMPRESSED_RGBA_ASTC_4x4_KHR
+    alpha: [TranscoderFormat.ASTC_4x4_RGBA, 0x93B0]
+};
+const BC7 = {
+    extension: 'EXT_texture_compression_bptc',
+    opaque: [TranscoderFormat.BC7_RGBA, 0x8E8C], // COMPRESSED_RGBA_BPTC_UNORM_EXT
+    alpha: [TranscoderFormat.BC7_RGBA, 0x8E8C]
+};
+const ETC2 = {
+    extension: 'WEBGL_compressed_texture_etc',
+    opaque: [TranscoderFormat.ETC1_RGB, 0x9274], // COMPRESSED_RGB8_ETC2
+    alpha: [TranscoderFormat.ETC2_RGBA, 0x9278] // COMPRESSED_RGBA8_ETC2_EAC
+};
+const S3TC = {
+    extension: 'WEBGL_compressed_texture_s3tc',
+    opaque: [TranscoderFormat.BC1_RGB, 0x83F0], // COMPRESSED_RGB_S3TC_DXT1_EXT
+    alpha: [TranscoderFormat.BC3_RGBA, 0x83F3] // COMPRESSED_RGBA_S3TC_DXT5_EXT
+};
+// ETC1S transcodes fastest to ETC, UASTC keeps most quality in ASTC and BC7
+const ETC1S_FORMATS = [ETC2, BC7, S3TC];
+const UASTC_FORMATS = [ASTC, BC7, ETC2, S3TC];
+// Transcodes KHR_texture_basisu KTX2 images to a compressed format the GPU supports.
+// The wasm is only fetched once the first KTX2 texture is met, it ships once in Addon/Files
+class KTX2Transcoder {
+    constructor(gl, locateWasm) {
+        this.module = null;
+        this.supported = null;
+        this.gl = gl;
+        this.locateWasm = locateWasm;
+    }
+    async transcode(data) {
+        const basis = await this.getModule();
+        const file = new basis.KTX2File(data);
+        try {
+            if (!file.isValid()) {
+                throw new Error('invalid KTX2 data');
+            }
+            const width = file.getWidth();
+            const height = file.getHeight();
+            const levelCount = file.getLevels();
+            if (!width || !height || !levelCount) {
+                throw new Error('KTX2 image has no levels');
+            }
+            if (!file.startTranscoding()) {
+                throw new Error('KTX2 transcoding could not start');
+            }
+            const [transcoderFormat, format] = this.chooseFormat(file.isUASTC(), file.getHasAlpha(), width, height);
+            const levels = [];
+            for (let level = 0; level < levelCount; level++) {
+                const { origWidth, origHeight } = file.getImageLevelInfo(level, 0, 0);
+                const levelData = new Uint8Array(file.getImageTranscodedSizeInBytes(level, 0, 0, transcoderFormat));
+                if (!file.transcodeImage(levelData, level, 0, 0, transcoderFormat, 0, -1, -1)) {
+                    throw new Error(`KTX2 level ${level} failed to transcode`);
+                }
+                levels.push({ width: origWidth, height: origHeight, data: levelData });
+            }
+            return { format, levels };
+        }
+        finally {
+            file.close();
+            file.delete();
+        }
+    }
+    getModule() {
+        if (!this.module) {
+            this.module = (async () => {
+                const wasmPath = await this.locateWasm();
+                const basis = await BASIS(wasmPath ? {
+                    locateFile: (file) => file.endsWith('.wasm') ? wasmPath : file
+                } : undefined);
+                basis.initializeBasis();
+                console.info('[rendera] KTX2Transcoder: basis transcoder loaded');
+                return basis;
+            })();
+            // A failed load is retried by the next texture
+            this.module.catch(() => { this.module = null; });
+        }
+        return this.module;
+    }
+    chooseFormat(uastc, hasAlpha, width, height) {
+        // Block formats need whole 4x4 blocks at the top level
+        if (width % 4 === 0 && height % 4 === 0) {
+            const supported = this.getSupportedFormats();
+            const target = (uastc ? UASTC_FORMATS : ETC1S_FORMATS).find((format) => supported.has(format));
+            if (target) {
+                return hasAlpha ? target.alpha : target.opaque;
+            }
+        }
+        return [TranscoderFormat.RGBA32, this.gl.RGBA8];
+    }
+    getSupportedFormats() {
+        if (!this.supported) {
+            this.supported = new Set([ASTC, BC7, ETC2, S3TC].filter((format) => this.gl.getExtension(format.extension)));
+        }
+        return this.supported;
+    }
+}
+
+// Image types createImageBitmap may decode, whether it can depends on the browser
+const DECODABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/avif'];
+// Share of the whole load each phase covers, downloads usually dominate
+const LOAD_PHASE_RANGES = {
+    download: [0, 0.8],
+    parse: [0.8, 0.9],
+    upload: [0.9, 1]
+};
 class ModelLoader {
-    constructor(gl, gpuResources) {
+    constructor(gl, gpuResources, options = {}) {
         this.loadedModels = new Map();
         this._pendingDocuments = new Map();
+        this.loadStates = new Map();
+        this.loadListeners = new Set();
+        this.loadProgress = new Map();
+        // Loads that can still be cancelled, by model id
+        this.loadControllers = new Map();
         this.gl = gl;
         this.gpuResources = gpuResources;
-        this.createWebIO();
+        this.options = options;
+        this.webio = this.createWebIO();
+        // Reads report a failed setup, this only keeps it from going unhandled
+        this.webio.catch((error) => console.error('[rendera] ModelLoader: decoder setup failed', error));
+        this.ktx2Transcoder = new KTX2Transcoder(gl, async () => this.options.basisTranscoderPath && (await this.webio).toUrl(this.options.basisTranscoderPath));
     }
     async createWebIO() {
-        const dracoDecoder = await DracoDecoderModule();
-        console.log('ModelLoader: dracoDecoder loaded');
-        this.webio = new WebIO()
+        const io = new ProjectFileIO(this.options.resolveUrl);
+        const dracoDecoderPath = this.options.dracoDecoderPath && await io.toUrl(this.options.dracoDecoderPath);
+        const [dracoDecoder] = await Promise.all([
+            DracoDecoderModule(dracoDecoderPath ? {
+                locateFile: (file) => file.endsWith('.wasm') ? dracoDecoderPath : file
+            } : undefined),
+            // The meshopt wasm is inlined in the bundle, it only needs compiling
+            MeshoptDecoder.ready
+        ]);
+        console.log('ModelLoader: dracoDecoder and meshoptDecoder loaded');
+        return io
             .registerExtensions([...ALL_EXTENSIONS])
             .registerDependencies({
-            'draco3d.decoder': dracoDecoder
+            'draco3d.decoder': dracoDecoder,
+            'meshopt.decoder': MeshoptDecoder
         });
     }
-    async readDocument(url) {
+    async readDocument(url, options = {}) {
+        // Pending documents are keyed by model id, so processModel stores them where hasModel looks
+        return this.readInto(this.generateModelId(url), url, options, (io) => io.readAsJSON(url));
+    }
+    // .glb or self-contained .gltf data already in memory, or a data: URI of either
+    async readBinary(modelId, data, options = {}) {
+        return this.readInto(modelId, modelId.id, options, async (io, onProgress) => {
+            if (typeof data === 'string') {
+                if (!data.startsWith('data:')) {
+                    throw new Error('Only data: URIs can be read as model data, load URLs with readDocument');
+                }
+                return io.readAsJSON(data);
+            }
+            const view = data instanceof Blob
+                ? new Uint8Array(await data.arrayBuffer())
+                : ArrayBuffer.isView(data)
+                    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+                    : new Uint8Array(data);
+            onProgress(view.byteLength, view.byteLength);
+            if (isGLB(view)) {
+                return io.binaryToJSON(view);
+            }
+            return { json: JSON.parse(new TextDecoder().decode(view)), resources: {} };
+        });
+    }
+    // glTF JSON with its external buffers and images by URI, embedded data: URIs need no entry
+    async readJSON(modelId, json, resources = {}, options = {}) {
+        return this.readInto(modelId, modelId.id, options, async () => ({
+            json: typeof json === 'string' ? JSON.parse(json) : json,
+            resources
+        }));
+    }
+    // Reads into a pending document under the model id, failures and cancels are also sent as load events
+    async readInto(modelId, source, options, read) {
+        var _a, _b;
+        const controller = new AbortController();
+        const { signal } = controller;
+        this.loadControllers.set(modelId.id, controller);
+        if ((_a = options.signal) === null || _a === void 0 ? void 0 : _a.aborted) {
+            controller.abort();
+        }
+        else {
+            (_b = options.signal) === null || _b === void 0 ? void 0 : _b.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+        this.loadStates.set(modelId.id, 'reading');
+        this.loadProgress.delete(modelId.id);
+        this.reportProgress(modelId, 'download', 0, 0, 0);
         try {
-            const document = await this.webio.read(url);
-            console.info('[rendera] ModelLoader: read', url);
-            this._pendingDocuments.set(url, document);
+            // Nothing to fetch counts as fetched, empty data reports 0 of 0 bytes
+            const onProgress = (loaded, total) => this.reportProgress(modelId, 'download', total > 0 ? loaded / total : 1, loaded, total);
+            const io = (await this.webio).forLoad({ signal, onProgress });
+            if (signal.aborted)
+                throw new Error('Aborted');
+            const jsonDocument = await read(io, onProgress);
+            if (signal.aborted)
+                throw new Error('Aborted');
+            this.reportProgress(modelId, 'parse', 0);
+            const document = await io.readJSON(jsonDocument);
+            if (signal.aborted)
+                throw new Error('Aborted');
+            console.info('[rendera] ModelLoader: read', source.startsWith('data:') ? modelId.id : source);
+            this._pendingDocuments.set(modelId.id, document);
+            this.loadStates.set(modelId.id, 'pending');
             return true;
         }
         catch (error) {
-            throw this.createModelError(ModelErrorCode.LOAD_FAILED, `Failed to read document: ${error}`);
+            const modelError = signal.aborted
+                ? this.createModelError(ModelErrorCode.LOAD_CANCELLED, `Load of ${modelId.id} was cancelled`, modelId.id)
+                : this.createModelError(ModelErrorCode.LOAD_FAILED, `Failed to read document: ${error}`, modelId.id);
+            this.failLoad(modelId, modelError);
+            throw modelError;
+        }
+    }
+    // Stops a load that has not finished, it fails with LOAD_CANCELLED
+    cancelLoad(modelId) {
+        const controller = this.loadControllers.get(modelId.id);
+        if (!controller)
+            return false;
+        controller.abort();
+        // Reads fail when their fetch rejects and processing checks once it is done, a waiting document fails now
+        if (this._pendingDocuments.delete(modelId.id)) {
+            this.failLoad(modelId, this.createModelError(ModelErrorCode.LOAD_CANCELLED, 'Load was cancelled', modelId.id));
         }
+        return true;
     }
     hasModel(modelId) {
         return this.loadedModels.has(modelId.id);
     }
+    getLoadState(modelId) {
+        var _a;
+        return (_a = this.loadStates.get(modelId.id)) !== null && _a !== void 0 ? _a : null;
+    }
+    getLoadProgress(modelId) {
+        var _a;
+        return (_a = this.loadProgress.get(modelId.id)) !== null && _a !== void 0 ? _a : null;
+    }
+    addLoadListener(listener) {
+        this.loadListeners.add(listener);
+    }
+    removeLoadListener(listener) {
+        this.loadListeners.delete(listener);
+    }
+    emitLoadEvent(event) {
+        for (const listener of this.loadListeners) {
+            listener(event);
+        }
+    }
+    // Progress never goes back within a phase, though a new resource can grow the download total
+    reportProgress(modelId, phase, fraction, loaded, total) {
+        var _a, _b, _c;
+        const previous = this.loadProgress.get(modelId.id);
+        const [start, end] = LOAD_PHASE_RANGES[phase];
+        const current = {
+            phase,
+            loaded: (_a = loaded !== null && loaded !== void 0 ? loaded : previous === null || previous === void 0 ? void 0 : previous.loaded) !== null && _a !== void 0 ? _a : 0,
+            total: (_b = total !== null && total !== void 0 ? total : previous === null || previous === void 0 ? void 0 : previous.total) !== null && _b !== void 0 ? _b : 0,
+            progress: Math.max(start + (end - start) * Math.min(fraction, 1), (_c = previous === null || previous === void 0 ? void 0 : previous.progress) !== null && _c !== void 0 ? _c : 0)
+        };
+        this.loadProgress.set(modelId.id, current);
+        // Streaming reports every chunk, listeners hear about each whole percent
+        if (previous && previous.phase === phase && Math.floor(previous.progress * 100) === Math.floor(current.progress * 100)) {
+            return;
+        }
+        this.emitLoadEvent({ type: 'progress', modelId: modelId.id, ...current });
+    }
+    failLoad(modelId, error) {
+        this.loadControllers.delete(modelId.id);
+        this.loadStates.set(modelId.id, 'failed');
+        this.emitLoadEvent({ type: 'failed', modelId: modelId.id, error });
+    }
     async processModel(modelId) {
+        var _a;
         const document = this._pendingDocuments.get(modelId.id);
         this._pendingDocuments.delete(modelId.id);
         if (!document) {
             console.error('[rendera] ModelLoader: processModel - document not found', modelId.id);
             return false;
         }
-        const modelData = await this.processDocument(document);
-        if (!modelData) {
-            console.error('[rendera] ModelLoader: processModel - modelData not found', modelId.id);
+        const signal = (_a = this.loadControllers.get(modelId.id)) === null || _a === void 0 ? void 0 : _a.signal;
+        if (signal === null || signal === void 0 ? void 0 : signal.aborted) {
+            this.failLoad(modelId, this.createModelError(ModelErrorCode.LOAD_CANCELLED, 'Load was cancelled', modelId.id));
+            return false;
+        }
+        this.loadStates.set(modelId.id, 'processing');
+        this.reportProgress(modelId, 'upload', 0);
+        let modelData;
+        try {
+            modelData = await this.processDocument(document);
+        }
+        catch (error) {
+            console.error('[rendera] ModelLoader: processModel - failed', modelId.id, error);
+            const modelError = error.code
+                ? { ...error, modelId: modelId.id }
+                : this.createModelError(ModelErrorCode.INVALID_MODEL, `Failed to process document: ${error}`, modelId.id);
+            this.failLoad(modelId, modelError);
+            return false;
+        }
+        // Uploads can't be stopped part way, a cancel during them drops the result
+        if (signal === null || signal === void 0 ? void 0 : signal.aborted) {
+            this.cleanupModelResources(modelData);
+            this.failLoad(modelId, this.createModelError(ModelErrorCode.LOAD_CANCELLED, 'Load was cancelled', modelId.id));
             return false;
         }
         // Store model data
+        this.loadControllers.delete(modelId.id);
+        this.reportProgress(modelId, 'upload', 1);
         this.loadedModels.set(modelId.id, modelData);
+        this.loadStates.set(modelId.id, 'loaded');
         console.info('[rendera] ModelLoader: processModel - modelData loaded', modelId.id);
+        this.emitLoadEvent({ type: 'loaded', modelId: modelId.id });
         return true;
     }
+    get loadedModelIds() {
+        return [...this.loadedModels.keys()];
+    }
     get pendingDocuments() {
         return this._pendingDocuments;
     }
@@ -13720,6 +14641,8 @@ class ModelLoader {
         // Clean up GPU resources
         this.cleanupModelResources(modelData);
         this.loadedModels.delete(modelId);
+        this.loadStates.delete(modelId);
+        this.loadProgress.delete(modelId);
     }
     async processDocument(document) {
         const modelData = {
@@ -13729,6 +14652,7 @@ class ModelLoader {
             jointData: [],
             rootNode: document.getRoot().listScenes()[0].listChildren()[0],
             scene: document.getRoot().listScenes()[0],
+            nodesByName: new Map(),
             renderableNodes: [],
             materialSystem: new MaterialSystem(this.gl, SAMPLER_TEXTURE_UNIT_MAP)
         };
@@ -13748,6 +14672,7 @@ class ModelLoader {
         console.log('ModelLoader: processJoints', modelData);
         await this.processRenderableNodes(document, modelData);
         console.log('ModelLoader: processRenderableNodes', modelData);
+        this.processNodeNames(modelData);
         this.gpuResources.gpuResourceCache.restoreModelMode();
         await this.processMaterials(document, modelData);
         console.log('ModelLoader: processMaterials', modelData);
@@ -13770,6 +14695,20 @@ class ModelLoader {
             }
         });
     }
+    // Unnamed joints go by their generated joint names
+    processNodeNames(modelData) {
+        modelData.scene.traverse(node => {
+            const name = node.getName();
+            if (name && !modelData.nodesByName.has(name)) {
+                modelData.nodesByName.set(name, node);
+            }
+        });
+        for (const joint of modelData.jointData) {
+            if (!modelData.nodesByName.has(joint.name)) {
+                modelData.nodesByName.set(joint.name, joint.node);
+            }
+        }
+    }
     processMesh(mesh, document) {
         const modelMesh = {
             primitives: [],
@@ -13850,10 +14789,50 @@ class ModelLoader {
             indexType: this.getIndexType(indices !== null && indices !== void 0 ? indices : null),
             vertexCount: positionAttribute.getCount(),
             hasSkin: !!primitive.getAttribute('JOINTS_0'),
+            geometry: this.createPickGeometry(primitive),
             attributes,
             vao
         };
     }
+    // getElement decodes normalized and quantized values, so picking sees what the shader sees
+    createPickGeometry(primitive) {
+        var _a;
+        const positionAttribute = primitive.getAttribute('POSITION');
+        const count = positionAttribute.getCount();
+        const positions = new Float32Array(count * 3);
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        const element = [];
+        for (let i = 0; i < count; i++) {
+            positionAttribute.getElement(i, element);
+            for (let axis = 0; axis < 3; axis++) {
+                positions[i * 3 + axis] = element[axis];
+                min[axis] = Math.min(min[axis], element[axis]);
+                max[axis] = Math.max(max[axis], element[axis]);
+            }
+        }
+        const indices = (_a = primitive.getIndices()) === null || _a === void 0 ? void 0 : _a.getArray();
+        const jointsAttribute = primitive.getAttribute('JOINTS_0');
+        const weightsAttribute = primitive.getAttribute('WEIGHTS_0');
+        let joints = null;
+        let weights = null;
+        if (jointsAttribute && weightsAttribute) {
+            joints = new Uint32Array(count * 4);
+            weights = new Float32Array(count * 4);
+            for (let i = 0; i < count; i++) {
+                joints.set(jointsAttribute.getElement(i, element), i * 4);
+                weights.set(weightsAttribute.getElement(i, element), i * 4);
+            }
+        }
+        return {
+            positions,
+            indices: indices ? Uint32Array.from(indices) : null,
+            joints,
+            weights,
+            min,
+            max
+        };
+    }
     getMaterialIndex(primitive, document) {
         const material = primitive.getMaterial();
         const materials = document.getRoot().listMaterials();
@@ -13952,7 +14931,7 @@ class ModelLoader {
         modelData.jointData = joints.map((joint, index) => {
             // Get the inverse bind matrix for this joint (16 floats per matrix)
             const matrixOffset = index * 16;
-            const inverseBindMatrix = fromValues$1(matrices[matrixOffset], matrices[matrixOffset + 1], matrices[matrixOffset + 2], matrices[matrixOffset + 3], matrices[matrixOffset + 4], matrices[matrixOffset + 5], matrices[matrixOffset + 6], matrices[matrixOffset + 7], matrices[matrixOffset + 8], matrices[matrixOffset + 9], matrices[matrixOffset + 10], matrices[matrixOffset + 11], matrices[matrixOffset + 12], matrices[matrixOffset + 13], matrices[matrixOffset + 14], matrices[matrixOffset + 15]);
+            const inverseBindMatrix = fromValues$3(matrices[matrixOffset], matrices[matrixOffset + 1], matrices[matrixOffset + 2], matrices[matrixOffset + 3], matrices[matrixOffset + 4], matrices[matrixOffset + 5], matrices[matrixOffset + 6], matrices[matrixOffset + 7], matrices[matrixOffset + 8], matrices[matrixOffset + 9], matrices[matrixOffset + 10], matrices[matrixOffset + 11], matrices[matrixOffset + 12], matrices[matrixOffset + 13], matrices[matrixOffset + 14], matrices[matrixOffset + 15]);
             // Get child indices, validating each one
             const children = joint.listChildren()
                 .map(child => joints.indexOf(child))
@@ -13975,8 +14954,8 @@ class ModelLoader {
         // Clean up textures
         modelData.materialSystem.cleanup();
     }
-    createModelError(code, message) {
-        return createModelError(code, message);
+    createModelError(code, message, modelId) {
+        return createModelError(code, message, modelId);
     }
     generateModelId(url) {
         // Simple hash function for URL
@@ -14006,12 +14985,14 @@ class ModelLoader {
         if (!imageData) {
             throw this.createModelError(ModelErrorCode.INVALID_DATA, 'Texture image data is null');
         }
-        // Create a blob from the array buffer and convert to image
-        const blob = new Blob([imageData], { type: 'image/png' });
-        const imageUrl = URL.createObjectURL(blob);
-        const image = await this.loadImage(imageUrl);
-        URL.revokeObjectURL(imageUrl);
-        const texture = this.gpuResources.createTexture(image);
+        // The declared type wins, the bytes are sniffed when a URI left it out
+        const mimeType = textureNode.getMimeType() || ImageUtils.getMimeType(imageData) || '';
+        const name = textureNode.getName() || textureNode.getURI() || 'embedded image';
+        // KTX2 brings its own mip levels, already in a GPU format
+        const isKTX2 = mimeType === 'image/ktx2';
+        const texture = isKTX2
+            ? await this.createKTX2Texture(imageData, name)
+            : await this.createImageTexture(imageData, mimeType, name);
         this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
         // Get wrap modes from textureInfo or use defaults
         const wrapS = (_a = textureInfo === null || textureInfo === void 0 ? void 0 : textureInfo.getWrapS()) !== null && _a !== void 0 ? _a : this.gl.REPEAT;
@@ -14024,22 +15005,52 @@ class ModelLoader {
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, minFilter);
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, magFilter);
         // Generate mipmaps if using a mipmap filter
-        if (minFilter === this.gl.LINEAR_MIPMAP_LINEAR ||
+        if (!isKTX2 && (minFilter === this.gl.LINEAR_MIPMAP_LINEAR ||
             minFilter === this.gl.LINEAR_MIPMAP_NEAREST ||
             minFilter === this.gl.NEAREST_MIPMAP_LINEAR ||
-            minFilter === this.gl.NEAREST_MIPMAP_NEAREST) {
+            minFilter === this.gl.NEAREST_MIPMAP_NEAREST)) {
             this.gl.generateMipmap(this.gl.TEXTURE_2D);
         }
         this.gl.bindTexture(this.gl.TEXTURE_2D, null);
         return texture;
     }
-    loadImage(url) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => resolve(img);
-            img.onerror = reject;
-            img.src = url;
-        });
+    async createImageTexture(imageData, mimeType, name) {
+        const image = await this.decodeImage(imageData, mimeType, name);
+        try {
+            return this.gpuResources.createTexture(image);
+        }
+        finally {
+            image.close();
+        }
+    }
+    // Levels the file doesn't have are not generated, compressed formats can't be rendered to
+    async createKTX2Texture(imageData, name) {
+        let transcoded;
+        try {
+            transcoded = await this.ktx2Transcoder.transcode(imageData);
+        }
+        catch (error) {
+            throw this.createModelError(ModelErrorCode.TEXTURE_DECODE_FAILED, `Texture ${name} (image/ktx2) could not be transcoded: ${error}`);
+        }
+        return this.gpuResources.createCompressedTexture(transcoded.levels, transcoded.format);
+    }
+    // Decodes off the main thread where the browser can. glTF images are uploaded as stored: top row
+    // first, straight alpha and no color space conversion, normal and ORM maps are data not color
+    async decodeImage(imageData, mimeType, name) {
+        if (!DECODABLE_IMAGE_TYPES.includes(mimeType)) {
+            throw this.createModelError(ModelErrorCode.TEXTURE_DECODE_FAILED, `Texture ${name} has unsupported image type ${mimeType || 'unknown'}`);
+        }
+        try {
+            return await createImageBitmap(new Blob([imageData], { type: mimeType }), {
+                imageOrientation: 'none',
+                premultiplyAlpha: 'none',
+                colorSpaceConversion: 'none'
+            });
+        }
+        catch (error) {
+            // e.g. AVIF or WebP in a browser without a decoder for it
+            throw this.createModelError(ModelErrorCode.TEXTURE_DECODE_FAILED, `Texture ${name} (${mimeType}) could not be decoded: ${error}`);
+        }
     }
     getIndexType(accessor) {
         var _a;
@@ -14058,10 +15069,16 @@ class ModelLoader {
         }
     }
 }
+// GLB files start with the magic 'glTF'
+function isGLB(view) {
+    return view.byteLength >= 12 && view[0] === 0x67 && view[1] === 0x6c && view[2] === 0x54 && view[3] === 0x46;
+}
 
 class GPUResourceCache {
     constructor(gl) {
         this.cachedState = null;
+        // Host (e.g. Construct) render state, saved around each embedded render pass
+        this.cachedRenderState = null;
         this.gl = gl;
     }
     cacheModelMode() {
@@ -14092,6 +15109,80 @@ class GPUResourceCache {
             this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, this.cachedState.elementArrayBuffer);
         }
     }
+    cacheRenderMode() {
+        const gl = this.gl;
+        const textureUnits = Object.values(SAMPLER_TEXTURE_UNIT_MAP);
+        const activeTexture = gl.getParameter(gl.ACTIVE_TEXTURE);
+        // Texture bindings are per unit, so visit every unit the model shader uses
+        const textureBindings = [];
+        for (const unit of textureUnits) {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            textureBindings[unit] = gl.getParameter(gl.TEXTURE_BINDING_2D);
+        }
+        gl.activeTexture(activeTexture);
+        this.cachedRenderState = {
+            framebuffer: gl.getParameter(gl.FRAMEBUFFER_BINDING),
+            vao: gl.getParameter(gl.VERTEX_ARRAY_BINDING),
+            arrayBuffer: gl.getParameter(gl.ARRAY_BUFFER_BINDING),
+            shaderProgram: gl.getParameter(gl.CURRENT_PROGRAM),
+            activeTexture,
+            textureBindings,
+            viewport: gl.getParameter(gl.VIEWPORT),
+            depthTest: gl.isEnabled(gl.DEPTH_TEST),
+            depthMask: gl.getParameter(gl.DEPTH_WRITEMASK),
+            depthFunc: gl.getParameter(gl.DEPTH_FUNC),
+            cullFace: gl.isEnabled(gl.CULL_FACE),
+            cullFaceMode: gl.getParameter(gl.CULL_FACE_MODE),
+            frontFace: gl.getParameter(gl.FRONT_FACE),
+            blend: gl.isEnabled(gl.BLEND),
+            blendSrcRGB: gl.getParameter(gl.BLEND_SRC_RGB),
+            blendDstRGB: gl.getParameter(gl.BLEND_DST_RGB),
+            blendSrcAlpha: gl.getParameter(gl.BLEND_SRC_ALPHA),
+            blendDstAlpha: gl.getParameter(gl.BLEND_DST_ALPHA),
+            blendEquationRGB: gl.getParameter(gl.BLEND_EQUATION_RGB),
+            blendEquationAlpha: gl.getParameter(gl.BLEND_EQUATION_ALPHA),
+            clearColor: gl.getParameter(gl.COLOR_CLEAR_VALUE),
+            scissorTest: gl.isEnabled(gl.SCISSOR_TEST),
+            stencilTest: gl.isEnabled(gl.STENCIL_TEST)
+        };
+    }
+    restoreRenderMode() {
+        const state = this.cachedRenderState;
+        if (!state)
+            return;
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, state.framebuffer);
+        gl.bindVertexArray(state.vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, state.arrayBuffer);
+        gl.useProgram(state.shaderProgram);
+        state.textureBindings.forEach((texture, unit) => {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+        });
+        gl.activeTexture(state.activeTexture);
+        gl.viewport(state.viewport[0], state.viewport[1], state.viewport[2], state.viewport[3]);
+        this.setEnabled(gl.DEPTH_TEST, state.depthTest);
+        gl.depthMask(state.depthMask);
+        gl.depthFunc(state.depthFunc);
+        this.setEnabled(gl.CULL_FACE, state.cullFace);
+        gl.cullFace(state.cullFaceMode);
+        gl.frontFace(state.frontFace);
+        this.setEnabled(gl.BLEND, state.blend);
+        gl.blendFuncSeparate(state.blendSrcRGB, state.blendDstRGB, state.blendSrcAlpha, state.blendDstAlpha);
+        gl.blendEquationSeparate(state.blendEquationRGB, state.blendEquationAlpha);
+        gl.clearColor(state.clearColor[0], state.clearColor[1], state.clearColor[2], state.clearColor[3]);
+        this.setEnabled(gl.SCISSOR_TEST, state.scissorTest);
+        this.setEnabled(gl.STENCIL_TEST, state.stencilTest);
+        this.cachedRenderState = null;
+    }
+    setEnabled(capability, enabled) {
+        if (enabled) {
+            this.gl.enable(capability);
+        }
+        else {
+            this.gl.disable(capability);
+        }
+    }
 }
 
 class GPUResourceManager {
@@ -14102,10 +15193,14 @@ class GPUResourceManager {
         this.vaos = new Set();
         this.MAX_LIGHTS = 8;
         this.lights = new Array(8);
-        this.dirtyLightParams = false;
+        // Start dirty so the active light count reaches the shader on first bind
+        this.dirtyLightParams = true;
+        this.activeLightCount = 8;
         this.dirtyLightStates = new Set();
         this.cameraPosition = [0, 0, 0];
         this.dirtyCameraPosition = false;
+        this.ambientColor = [0.03, 0.03, 0.03];
+        this.dirtyAmbientColor = true;
         this.gl = gl;
         this.shaderSystem = new ShaderSystem(gl);
         // Initialize lights array with default values
@@ -14150,6 +15245,28 @@ class GPUResourceManager {
         this.textures.add(texture);
         return texture;
     }
+    // Uploads every level as given, RGBA8 levels are plain pixels and others are compressed blocks
+    createCompressedTexture(levels, format) {
+        const texture = this.gl.createTexture();
+        if (!texture) {
+            throw this.createError(ModelErrorCode.GL_ERROR, 'Failed to create WebGL texture');
+        }
+        // Construct shares this context, so its texture binding is put back afterwards
+        const previous = this.gl.getParameter(this.gl.TEXTURE_BINDING_2D);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+        levels.forEach((level, index) => {
+            if (format === this.gl.RGBA8) {
+                this.gl.texImage2D(this.gl.TEXTURE_2D, index, this.gl.RGBA8, level.width, level.height, 0, this.gl.RGBA, this.gl.UNSIGNED_BYTE, level.data);
+            }
+            else {
+                this.gl.compressedTexImage2D(this.gl.TEXTURE_2D, index, format, level.width, level.height, 0, level.data);
+            }
+        });
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAX_LEVEL, levels.length - 1);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, previous);
+        this.textures.add(texture);
+        return texture;
+    }
     deleteBuffer(buffer) {
         this.gl.deleteBuffer(buffer);
         this.buffers.delete(buffer);
@@ -14297,6 +15414,8 @@ class GPUResourceManager {
         in mat3 v_TBN;
 
         uniform vec3 u_CameraPosition;
+        uniform vec3 u_AmbientColor;
+        uniform int u_ActiveLightCount;
         uniform vec4 u_BaseColorFactor;
         uniform vec3 u_EmissiveFactor;
         uniform float u_MetallicFactor;
@@ -14437,11 +15556,12 @@ class GPUResourceManager {
             // Calculate lighting
             vec3 color = vec3(0.0);
             for(int i = 0; i < MAX_LIGHTS; i++) {
+                if (i >= u_ActiveLightCount) break;
                 color += calculateLightContribution(u_Lights[i], N, V, baseColor, metallic, roughness);
             }
             
             // Add ambient and emissive
-            vec3 ambient = vec3(0.03) * baseColor * aoSample;
+            vec3 ambient = u_AmbientColor * baseColor * aoSample;
             vec3 emissive = SRGBtoLinear(emissiveSample.rgb);
             color += ambient + emissive;
             
@@ -14457,18 +15577,41 @@ class GPUResourceManager {
         }`;
         return this.shaderSystem.createProgram(vertexShader, fragmentShader, 'default');
     }
+    get resourceCounts() {
+        return { buffers: this.buffers.size, textures: this.textures.size, vaos: this.vaos.size };
+    }
+    get maxLights() {
+        return this.MAX_LIGHTS;
+    }
+    getLight(index) {
+        if (!this.isValidLightIndex(index))
+            return null;
+        return this.lights[index];
+    }
+    isValidLightIndex(index) {
+        return Number.isInteger(index) && index >= 0 && index < this.MAX_LIGHTS;
+    }
     updateLight(index, lightParams) {
-        if (index >= this.MAX_LIGHTS)
+        if (!this.isValidLightIndex(index))
             return;
         Object.assign(this.lights[index], lightParams);
         this.dirtyLightParams = true;
     }
+    setAmbientColor(color) {
+        this.ambientColor = color;
+        this.dirtyAmbientColor = true;
+    }
+    // Lights in slots at or above the count are skipped by the shader
+    setActiveLightCount(count) {
+        this.activeLightCount = Math.min(Math.max(Math.floor(count), 0), this.MAX_LIGHTS);
+        this.dirtyLightParams = true;
+    }
     updateCameraPosition(position) {
         this.cameraPosition = position;
         this.dirtyCameraPosition = true;
     }
     setLightEnabled(index, enabled) {
-        if (index >= this.MAX_LIGHTS)
+        if (!this.isValidLightIndex(index))
             return;
         this.lights[index].enabled = enabled;
         this.dirtyLightStates.add(index);
@@ -14484,6 +15627,12 @@ class GPUResourceManager {
             this.dirtyLightStates.clear();
         }
     }
+    updateAmbientColorUniforms(shader) {
+        if (this.dirtyAmbientColor) {
+            this.gl.uniform3fv(this.gl.getUniformLocation(shader, 'u_AmbientColor'), this.ambientColor);
+            this.dirtyAmbientColor = false;
+        }
+    }
     updateCameraPositionUniforms(shader) {
         if (this.dirtyCameraPosition) {
             this.gl.uniform3fv(this.gl.getUniformLocation(shader, 'u_CameraPosition'), this.cameraPosition);
@@ -14491,6 +15640,7 @@ class GPUResourceManager {
         }
     }
     updateAllLightUniforms(shader) {
+        this.gl.uniform1i(this.gl.getUniformLocation(shader, 'u_ActiveLightCount'), this.activeLightCount);
         for (let i = 0; i < this.MAX_LIGHTS; i++) {
             const light = this.lights[i];
             const prefix = `u_Lights[${i}]`;
@@ -14533,31 +15683,33 @@ class GPUResourceManager {
         const materialSystem = modelData.materialSystem;
         this.gl.useProgram(shader);
         this.updateCameraPositionUniforms(shader);
+        this.updateAmbientColorUniforms(shader);
         this.updateLightUniforms(shader);
         materialSystem.bindMaterial(materialIndex, shader);
     }
     setLightDirection(index, direction) {
-        if (index >= this.MAX_LIGHTS)
+        if (!this.isValidLightIndex(index))
             return;
-        if (this.lights[index].type !== 'directional')
+        const light = this.lights[index];
+        if (light.type === 'point')
             return;
-        this.lights[index].direction = direction;
+        light.direction = direction;
         this.dirtyLightParams = true;
     }
     setLightColor(index, color) {
-        if (index >= this.MAX_LIGHTS)
+        if (!this.isValidLightIndex(index))
             return;
         this.lights[index].color = color;
         this.dirtyLightParams = true;
     }
     setLightIntensity(index, intensity) {
-        if (index >= this.MAX_LIGHTS)
+        if (!this.isValidLightIndex(index))
             return;
         this.lights[index].intensity = intensity;
         this.dirtyLightParams = true;
     }
     setSpotLightParams(index, angle, penumbra) {
-        if (index >= this.MAX_LIGHTS || this.lights[index].type !== 'spot')
+        if (!this.isValidLightIndex(index) || this.lights[index].type !== 'spot')
             return;
         this.lights[index].spotAngle = angle;
         this.lights[index].spotPenumbra = penumbra;
@@ -14638,6 +15790,28 @@ class ShaderSystem {
     }
 }
 
+// Euler angles are in degrees and applied in X, Y, Z order, the same as quat.fromEuler
+function eulerToQuaternion(x, y, z) {
+    const q = fromEuler(create(), x, y, z);
+    return [q[0], q[1], q[2], q[3]];
+}
+function quaternionToEuler(rotation) {
+    const q = normalize(create(), [rotation[0], rotation[1], rotation[2], rotation[3]]);
+    // Column-major, m[column * 3 + row] of Rz * Ry * Rx
+    const m = fromQuat(create$4(), q);
+    const sinY = Math.max(-1, Math.min(1, -m[2]));
+    const toDegrees = 180 / Math.PI;
+    if (Math.abs(sinY) < 0.9999999) {
+        return [
+            Math.atan2(m[5], m[8]) * toDegrees,
+            Math.asin(sinY) * toDegrees,
+            Math.atan2(m[1], m[0]) * toDegrees
+        ];
+    }
+    // Gimbal lock, X and Z turn about the same axis so Z is folded into X
+    return [Math.atan2(-m[7], m[4]) * toDegrees, Math.asin(sinY) * toDegrees, 0];
+}
+
 class Model {
     constructor(instanceId, manager) {
         this.instanceId = instanceId;
@@ -14664,8 +15838,117 @@ class Model {
     stopAnimation() {
         this._manager.stopModelAnimation(this);
     }
-    setBindPose() {
-        this._manager.setModelBindPose(this);
+    setBindPose() {
+        this._manager.setModelBindPose(this);
+    }
+    setAnimationSpeed(speed) {
+        this._manager.setModelAnimationSpeed(speed, this);
+    }
+    setAnimationLoop(loop) {
+        this._manager.setModelAnimationLoop(loop, this);
+    }
+    get animationName() {
+        var _a, _b;
+        return (_b = (_a = this._manager.getModelAnimationState(this)) === null || _a === void 0 ? void 0 : _a.currentAnimation) !== null && _b !== void 0 ? _b : null;
+    }
+    get animationTime() {
+        var _a, _b;
+        return (_b = (_a = this._manager.getModelAnimationState(this)) === null || _a === void 0 ? void 0 : _a.currentTime) !== null && _b !== void 0 ? _b : 0;
+    }
+    get animationDuration() {
+        return this._manager.getModelAnimationDuration(this);
+    }
+    get isAnimationPlaying() {
+        const state = this._manager.getModelAnimationState(this);
+        return !!state && state.playing && state.currentAnimation !== null;
+    }
+    get animationNames() {
+        return this._manager.getModelAnimationNames(this);
+    }
+    setLayer(layer) {
+        this._manager.setModelLayer(layer, this);
+    }
+    get layer() {
+        return this._manager.getModelLayer(this);
+    }
+    get nodeNames() {
+        return this._manager.getModelNodeNames(this);
+    }
+    getNodeTransform(name) {
+        return this._manager.getModelNodeTransform(name, this);
+    }
+    attachTo(parent, node = '', offset) {
+        this._manager.attachModel(parent, node, this, offset);
+    }
+    detach(keepWorldPose = true) {
+        this._manager.detachModel(this, keepWorldPose);
+    }
+    get attachment() {
+        return this._manager.getModelAttachment(this);
+    }
+    // Relative to the parent when attached, the same as the world transform otherwise
+    get localTransform() {
+        return this._manager.getModelLocalTransform(this);
+    }
+    get worldTransform() {
+        return this._manager.getModelWorldTransform(this);
+    }
+    setWorldPosition(x, y, z) {
+        this._manager.setModelWorldTransform({ position: [x, y, z] }, this);
+    }
+    setWorldRotation(quaternion) {
+        this._manager.setModelWorldTransform({ rotation: [quaternion[0], quaternion[1], quaternion[2], quaternion[3]] }, this);
+    }
+    setWorldScale(x, y, z) {
+        this._manager.setModelWorldTransform({ scale: [x, y, z] }, this);
+    }
+    // Position, rotation and scale read back the local transform, as set
+    get position() {
+        var _a, _b;
+        return (_b = (_a = this.localTransform) === null || _a === void 0 ? void 0 : _a.position) !== null && _b !== void 0 ? _b : [0, 0, 0];
+    }
+    get quaternion() {
+        var _a, _b;
+        return (_b = (_a = this.localTransform) === null || _a === void 0 ? void 0 : _a.rotation) !== null && _b !== void 0 ? _b : [0, 0, 0, 1];
+    }
+    get scale() {
+        var _a, _b;
+        return (_b = (_a = this.localTransform) === null || _a === void 0 ? void 0 : _a.scale) !== null && _b !== void 0 ? _b : [1, 1, 1];
+    }
+    // Degrees, applied in X, Y, Z order
+    get eulerAngles() {
+        return quaternionToEuler(this.quaternion);
+    }
+    setEulerAngles(x, y, z) {
+        this._manager.setModelRotation(new Float32Array(eulerToQuaternion(x, y, z)), this);
+    }
+    // Moves in the parent's space
+    translate(x, y, z) {
+        this._manager.translateModel(x, y, z, this);
+    }
+    // Moves along the instance's own axes
+    translateLocal(x, y, z) {
+        this._manager.translateModel(x, y, z, this, true);
+    }
+    // Turns by Euler angles in degrees about the instance's own axes
+    rotate(x, y, z) {
+        this._manager.rotateModel(eulerToQuaternion(x, y, z), this);
+    }
+    lookAt(x, y, z, up) {
+        this._manager.lookAtModel(x, y, z, this, up);
+    }
+    // World space unit vectors, glTF style: +Z forward, -X right, +Y up
+    get forward() {
+        var _a, _b;
+        return (_b = (_a = this._manager.getModelAxes(this)) === null || _a === void 0 ? void 0 : _a.forward) !== null && _b !== void 0 ? _b : [0, 0, 1];
+    }
+    get right() {
+        var _a, _b;
+        return (_b = (_a = this._manager.getModelAxes(this)) === null || _a === void 0 ? void 0 : _a.right) !== null && _b !== void 0 ? _b : [-1, 0, 0];
+    }
+    get up() {
+        var _a, _b;
+        return (_b = (_a = this._manager.getModelAxes(this)) === null || _a === void 0 ? void 0 : _a.up) !== null && _b !== void 0 ? _b : [0, 1, 0];
     }
     // Additional convenience methods
     setQuaternion(x, y, z, w) {
@@ -14680,8 +15963,20 @@ class Model {
 class AnimationController {
     constructor(modelLoader) {
         this.modelLoader = modelLoader;
+        this.listeners = new Set();
         this.modelLoader = modelLoader;
     }
+    addListener(listener) {
+        this.listeners.add(listener);
+    }
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+    emit(event) {
+        for (const listener of this.listeners) {
+            listener(event);
+        }
+    }
     updateNodeLocalTransforms(instance) {
         const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
         if (!modelData)
@@ -14731,7 +16026,6 @@ class AnimationController {
         });
     }
     updateAnimation(instance, deltaTime) {
-        var _a;
         const animationState = instance.animationState;
         const currentAnimation = animationState.currentAnimation;
         const playing = animationState.playing;
@@ -14754,7 +16048,34 @@ class AnimationController {
         // Find maximum duration across all channels
         const maxDuration = this.maxDuration(animation);
         // Update animation time
-        instance.animationState.currentTime = this.updateTime(instance.animationState, deltaTime, maxDuration);
+        const previousTime = animationState.currentTime;
+        animationState.currentTime = this.updateTime(animationState, deltaTime, maxDuration);
+        const wrapped = animationState.loop && animationState.currentTime < previousTime;
+        const finished = !animationState.loop && maxDuration > 0 && animationState.currentTime >= maxDuration;
+        this.updatePose(instance, animation, modelData);
+        // Notify after the pose is updated, so listeners see the final/wrapped frame
+        if (wrapped) {
+            this.emit({ type: 'looped', instanceId: instance.instanceId.id, animation: currentAnimation });
+        }
+        else if (finished) {
+            // Hold the last frame; playing again restarts the clip
+            animationState.playing = false;
+            this.emit({ type: 'finished', instanceId: instance.instanceId.id, animation: currentAnimation });
+        }
+    }
+    // Pose the instance at its current time, without advancing it or notifying listeners
+    applyPose(instance) {
+        const currentAnimation = instance.animationState.currentAnimation;
+        if (currentAnimation === null)
+            return;
+        const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
+        const animation = modelData === null || modelData === void 0 ? void 0 : modelData.animations.get(currentAnimation);
+        if (!modelData || !animation)
+            return;
+        this.updatePose(instance, animation, modelData);
+    }
+    updatePose(instance, animation, modelData) {
+        var _a;
         // TODO: This can be optimized by creating a version of this at the model level and copying it to the instance
         this.updateNodeLocalTransforms(instance);
         // Update node transforms from animation
@@ -14762,10 +16083,18 @@ class AnimationController {
         // Update node hierarchy transforms
         this.updateNodeHierarchyTransforms(instance);
         // Update bone matrices if skinning
-        if (((_a = modelData === null || modelData === void 0 ? void 0 : modelData.jointData) === null || _a === void 0 ? void 0 : _a.length) > 0) {
+        if (((_a = modelData.jointData) === null || _a === void 0 ? void 0 : _a.length) > 0) {
             this.updateNodeSkinningMatrices(instance);
         }
     }
+    getDuration(instance) {
+        var _a;
+        const currentAnimation = instance.animationState.currentAnimation;
+        if (currentAnimation === null)
+            return 0;
+        const animation = (_a = this.modelLoader.getModelData(instance.instanceId.modelId)) === null || _a === void 0 ? void 0 : _a.animations.get(currentAnimation);
+        return animation ? this.maxDuration(animation) : 0;
+    }
     updateNodeHierarchyTransforms(instance) {
         const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
         if (!modelData)
@@ -14794,7 +16123,7 @@ class AnimationController {
                 const scale = (_c = nodeTransforms.scale) !== null && _c !== void 0 ? _c : create$2();
                 fromRotationTranslationScale(animationMatrix, rotation, translation, scale);
             }
-            multiply(animationMatrix, parentMatrix, animationMatrix);
+            multiply$1(animationMatrix, parentMatrix, animationMatrix);
             instance.animationState.animationMatrices.set(node, animationMatrix);
         });
         // console.info(`Updated animation matrices for instance ${instance.instanceId.id}`);
@@ -14816,6 +16145,8 @@ class AnimationController {
         return maxDuration;
     }
     updateTime(state, deltaTime, duration) {
+        if (duration <= 0)
+            return 0;
         const newTime = state.currentTime + (deltaTime * state.speed);
         return state.loop ? (newTime % duration) : Math.min(newTime, duration);
     }
@@ -14899,8 +16230,8 @@ class AnimationController {
             const jointMatrix = (_c = animationMatrices.get(joint)) !== null && _c !== void 0 ? _c : create$3();
             const boneMatrix = create$3();
             const inverseBindMatrix = this.mat4FromTypedArray(inverseBindMatrices, jj);
-            multiply(boneMatrix, nodeInverseMatrix, jointMatrix);
-            multiply(boneMatrix, boneMatrix, inverseBindMatrix);
+            multiply$1(boneMatrix, nodeInverseMatrix, jointMatrix);
+            multiply$1(boneMatrix, boneMatrix, inverseBindMatrix);
             // mat4.multiply(boneMatrix, jointMatrix, inverseBindMatrix);
             nodeBoneMatrices.set(boneMatrix, jj * 16);
         }
@@ -14990,6 +16321,393 @@ class AnimationController {
     }
 }
 
+// Casts rays against instances as they are drawn, skinned meshes in their current pose.
+// Each primitive's bounds are tested before its triangles
+class Picker {
+    constructor(modelLoader) {
+        this.modelLoader = modelLoader;
+    }
+    // World matrices must be up to date
+    pick(instances, origin, direction) {
+        var _a;
+        const rayOrigin = fromValues$2(origin[0], origin[1], origin[2]);
+        const rayDirection = normalize$2(create$2(), [direction[0], direction[1], direction[2]]);
+        if (length(rayDirection) === 0)
+            return null;
+        let nearest = null;
+        for (const instance of instances) {
+            const hit = this.pickInstance(instance, rayOrigin, rayDirection, (_a = nearest === null || nearest === void 0 ? void 0 : nearest.distance) !== null && _a !== void 0 ? _a : Infinity);
+            if (hit) {
+                nearest = hit;
+            }
+        }
+        return nearest;
+    }
+    pickInstance(instance, origin, direction, maxDistance) {
+        var _a;
+        const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
+        if (!modelData)
+            return null;
+        const animationState = instance.animationState;
+        let nearest = null;
+        for (const renderableNode of modelData.renderableNodes) {
+            // Same choice as the renderer: skinned vertices are in model space, others go through the node matrix
+            const boneMatrices = renderableNode.useSkinning ? animationState.boneMatrices.get(renderableNode.node) : undefined;
+            const skinned = !!boneMatrices && boneMatrices.length > 0;
+            const matrix = clone(instance.worldMatrix);
+            if (!skinned) {
+                const nodeMatrix = animationState.animationMatrices.get(renderableNode.node);
+                if (nodeMatrix) {
+                    multiply$1(matrix, matrix, nodeMatrix);
+                }
+            }
+            const inverse = invert(create$3(), matrix);
+            if (!inverse)
+                continue;
+            // An affine transform keeps distances along the ray, so hits compare across spaces
+            const localOrigin = transformMat4$1(create$2(), origin, inverse);
+            const localDirection = transformMat3(create$2(), direction, fromMat4(create$4(), inverse));
+            // Back faces are culled when drawing, a mirroring transform flips which side that is
+            const mirrored = determinant(matrix) < 0;
+            for (const primitive of renderableNode.modelMesh.primitives) {
+                let geometry = primitive.geometry;
+                const limit = Math.min(maxDistance, (_a = nearest === null || nearest === void 0 ? void 0 : nearest.distance) !== null && _a !== void 0 ? _a : Infinity);
+                if (skinned) {
+                    // Without joints the shader collapses skinned vertices, nothing is drawn
+                    if (!geometry.joints || !geometry.weights)
+                        continue;
+                    // Skinning touches every vertex, rays that miss the bounds of the posed joints are dropped before that
+                    const bounds = skinnedBounds(geometry, boneMatrices);
+                    const boundsDistance = bounds && intersectBox(localOrigin, localDirection, bounds[0], bounds[1]);
+                    if (boundsDistance === null || boundsDistance >= limit)
+                        continue;
+                    geometry = skinGeometry(geometry, boneMatrices);
+                }
+                const boxDistance = intersectBox(localOrigin, localDirection, geometry.min, geometry.max);
+                if (boxDistance === null || boxDistance >= limit)
+                    continue;
+                const triangle = intersectTriangles(localOrigin, localDirection, geometry, mirrored, limit);
+                if (!triangle)
+                    continue;
+                nearest = {
+                    instanceId: instance.instanceId.id,
+                    distance: triangle.distance,
+                    point: [
+                        origin[0] + direction[0] * triangle.distance,
+                        origin[1] + direction[1] * triangle.distance,
+                        origin[2] + direction[2] * triangle.distance
+                    ],
+                    normal: worldNormal(triangle, matrix, direction),
+                    meshName: renderableNode.modelMesh.name,
+                    nodeName: renderableNode.node.getName()
+                };
+            }
+        }
+        return nearest;
+    }
+}
+// Joints with weight in a skinned primitive, found once per primitive
+const weightedJoints = new WeakMap();
+function getWeightedJoints(geometry) {
+    let joints = weightedJoints.get(geometry);
+    if (!joints) {
+        const found = new Set();
+        for (let i = 0; i < geometry.joints.length; i++) {
+            if (geometry.weights[i] !== 0) {
+                found.add(geometry.joints[i]);
+            }
+        }
+        joints = [...found];
+        weightedJoints.set(geometry, joints);
+    }
+    return joints;
+}
+// A skinned vertex is a weighted average of its joints' transforms of a point inside the bind-pose box,
+// so the box around every weighted joint's transform of that box holds the posed primitive. Null when no joint moves it
+function skinnedBounds(geometry, boneMatrices) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const corner = create$2();
+    let found = false;
+    for (const joint of getWeightedJoints(geometry)) {
+        const m = joint * 16;
+        if (m + 16 > boneMatrices.length)
+            continue;
+        const bone = boneMatrices.subarray(m, m + 16);
+        found = true;
+        for (let i = 0; i < 8; i++) {
+            set(corner, i & 1 ? geometry.max[0] : geometry.min[0], i & 2 ? geometry.max[1] : geometry.min[1], i & 4 ? geometry.max[2] : geometry.min[2]);
+            transformMat4$1(corner, corner, bone);
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], corner[axis]);
+                max[axis] = Math.max(max[axis], corner[axis]);
+            }
+        }
+    }
+    return found ? [min, max] : null;
+}
+// Mirrors the vertex shader: weighted bone transforms, bone matrices are column-major
+function skinGeometry(geometry, boneMatrices) {
+    const { positions, joints, weights } = geometry;
+    const skinned = new Float32Array(positions.length);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let v = 0; v < positions.length / 3; v++) {
+        const x = positions[v * 3];
+        const y = positions[v * 3 + 1];
+        const z = positions[v * 3 + 2];
+        let sx = 0, sy = 0, sz = 0, sw = 0;
+        for (let i = 0; i < 4; i++) {
+            const weight = weights[v * 4 + i];
+            const m = joints[v * 4 + i] * 16;
+            if (weight === 0 || m + 16 > boneMatrices.length)
+                continue;
+            sx += weight * (boneMatrices[m] * x + boneMatrices[m + 4] * y + boneMatrices[m + 8] * z + boneMatrices[m + 12]);
+            sy += weight * (boneMatrices[m + 1] * x + boneMatrices[m + 5] * y + boneMatrices[m + 9] * z + boneMatrices[m + 13]);
+            sz += weight * (boneMatrices[m + 2] * x + boneMatrices[m + 6] * y + boneMatrices[m + 10] * z + boneMatrices[m + 14]);
+            sw += weight;
+        }
+        // Weights that don't sum to one end up in w, which the projection divides out
+        if (sw === 0)
+            continue;
+        const point = [sx / sw, sy / sw, sz / sw];
+        for (let axis = 0; axis < 3; axis++) {
+            skinned[v * 3 + axis] = point[axis];
+            min[axis] = Math.min(min[axis], point[axis]);
+            max[axis] = Math.max(max[axis], point[axis]);
+        }
+    }
+    return { ...geometry, positions: skinned, min, max };
+}
+// Slab test, distance to where the ray enters the box or 0 when it starts inside
+function intersectBox(origin, direction, min, max) {
+    let near = 0;
+    let far = Infinity;
+    for (let axis = 0; axis < 3; axis++) {
+        if (Math.abs(direction[axis]) < 1e-12) {
+            if (origin[axis] < min[axis] || origin[axis] > max[axis])
+                return null;
+            continue;
+        }
+        let t0 = (min[axis] - origin[axis]) / direction[axis];
+        let t1 = (max[axis] - origin[axis]) / direction[axis];
+        if (t0 > t1)
+            [t0, t1] = [t1, t0];
+        near = Math.max(near, t0);
+        far = Math.min(far, t1);
+        if (near > far)
+            return null;
+    }
+    return near;
+}
+// Möller-Trumbore over the primitive's triangle list, front faces only
+function intersectTriangles(origin, direction, geometry, mirrored, maxDistance) {
+    var _a;
+    const { positions, indices } = geometry;
+    const triangleCount = Math.floor((indices ? indices.length : positions.length / 3) / 3);
+    const [ox, oy, oz] = origin;
+    const [dx, dy, dz] = direction;
+    let nearest = null;
+    for (let triangle = 0; triangle < triangleCount; triangle++) {
+        const i0 = indices ? indices[triangle * 3] : triangle * 3;
+        const i1 = indices ? indices[triangle * 3 + 1] : triangle * 3 + 1;
+        const i2 = indices ? indices[triangle * 3 + 2] : triangle * 3 + 2;
+        const ax = positions[i0 * 3], ay = positions[i0 * 3 + 1], az = positions[i0 * 3 + 2];
+        const e1x = positions[i1 * 3] - ax, e1y = positions[i1 * 3 + 1] - ay, e1z = positions[i1 * 3 + 2] - az;
+        const e2x = positions[i2 * 3] - ax, e2y = positions[i2 * 3 + 1] - ay, e2z = positions[i2 * 3 + 2] - az;
+        const px = dy * e2z - dz * e2y;
+        const py = dz * e2x - dx * e2z;
+        const pz = dx * e2y - dy * e2x;
+        const determinant = e1x * px + e1y * py + e1z * pz;
+        // Positive for counter-clockwise triangles facing the ray
+        if (mirrored ? determinant > -1e-12 : determinant < 1e-12)
+            continue;
+        const inverse = 1 / determinant;
+        const tx = ox - ax, ty = oy - ay, tz = oz - az;
+        const u = (tx * px + ty * py + tz * pz) * inverse;
+        if (u < 0 || u > 1)
+            continue;
+        const qx = ty * e1z - tz * e1y;
+        const qy = tz * e1x - tx * e1z;
+        const qz = tx * e1y - ty * e1x;
+        const v = (dx * qx + dy * qy + dz * qz) * inverse;
+        if (v < 0 || u + v > 1)
+            continue;
+        const distance = (e2x * qx + e2y * qy + e2z * qz) * inverse;
+        if (distance < 0 || distance >= ((_a = nearest === null || nearest === void 0 ? void 0 : nearest.distance) !== null && _a !== void 0 ? _a : maxDistance))
+            continue;
+        nearest = { distance, positions, indices: [i0, i1, i2] };
+    }
+    return nearest;
+}
+// Face normal of the hit triangle after the transform it was drawn with, towards the ray origin
+function worldNormal(triangle, matrix, direction) {
+    const corners = triangle.indices.map((index) => transformMat4$1(create$2(), [triangle.positions[index * 3], triangle.positions[index * 3 + 1], triangle.positions[index * 3 + 2]], matrix));
+    const edge1 = subtract(create$2(), corners[1], corners[0]);
+    const edge2 = subtract(create$2(), corners[2], corners[0]);
+    const normal = normalize$2(create$2(), cross(create$2(), edge1, edge2));
+    if (dot(normal, direction) > 0) {
+        negate(normal, normal);
+    }
+    return [normal[0], normal[1], normal[2]];
+}
+
+class SceneGraph {
+    constructor() {
+        // Removed nodes leave a null slot until createNode reuses it
+        this.nodes = [];
+        this.freeSlots = [];
+        this.dirtyNodes = new Set();
+        // Initialize root node
+        this.nodes.push({
+            nodeIndex: 0,
+            localMatrix: create$3(), // Identity matrix
+            worldMatrix: create$3(), // Identity matrix
+            children: [],
+            parent: -1 // Root has no parent
+        });
+    }
+    createNode(parent = 0, options) {
+        var _a;
+        if (!this.nodes[parent]) {
+            parent = 0;
+        }
+        const nodeIndex = (_a = this.freeSlots.pop()) !== null && _a !== void 0 ? _a : this.nodes.length;
+        const node = {
+            nodeIndex,
+            localMatrix: create$3(), // Identity matrix
+            worldMatrix: create$3(), // Identity matrix
+            children: [],
+            parent,
+            ...options
+        };
+        // Add to parent's children
+        this.nodes[parent].children.push(nodeIndex);
+        this.nodes[nodeIndex] = node;
+        this.markDirty(nodeIndex);
+        return nodeIndex;
+    }
+    setLocalMatrix(nodeIndex, matrix) {
+        const node = this.nodes[nodeIndex];
+        if (node) {
+            node.localMatrix.set(matrix);
+            this.markDirty(nodeIndex);
+        }
+    }
+    getLocalMatrix(nodeIndex) {
+        var _a, _b;
+        return (_b = (_a = this.nodes[nodeIndex]) === null || _a === void 0 ? void 0 : _a.localMatrix) !== null && _b !== void 0 ? _b : null;
+    }
+    // Only current after updateWorldMatrices
+    getWorldMatrix(nodeIndex) {
+        var _a, _b;
+        return (_b = (_a = this.nodes[nodeIndex]) === null || _a === void 0 ? void 0 : _a.worldMatrix) !== null && _b !== void 0 ? _b : null;
+    }
+    getParent(nodeIndex) {
+        var _a, _b;
+        return (_b = (_a = this.nodes[nodeIndex]) === null || _a === void 0 ? void 0 : _a.parent) !== null && _b !== void 0 ? _b : -1;
+    }
+    isAncestor(ancestorIndex, nodeIndex) {
+        for (let index = this.getParent(nodeIndex); index !== -1; index = this.getParent(index)) {
+            if (index === ancestorIndex)
+                return true;
+        }
+        return false;
+    }
+    updateWorldMatrices() {
+        var _a, _b;
+        if (this.dirtyNodes.size === 0)
+            return;
+        // A dirty node's subtree is dirty too, so updates start at dirty nodes under a clean parent
+        for (const nodeIndex of this.dirtyNodes) {
+            const node = this.nodes[nodeIndex];
+            if (!node || this.dirtyNodes.has(node.parent))
+                continue;
+            this.updateNodeWorldMatrix(nodeIndex, (_b = (_a = this.nodes[node.parent]) === null || _a === void 0 ? void 0 : _a.worldMatrix) !== null && _b !== void 0 ? _b : null);
+        }
+        this.dirtyNodes.clear();
+    }
+    updateNodeWorldMatrix(nodeIndex, parentWorldMatrix) {
+        const node = this.nodes[nodeIndex];
+        if (parentWorldMatrix) {
+            // Multiply parent's world matrix with node's local matrix
+            multiply$1(node.worldMatrix, parentWorldMatrix, node.localMatrix);
+        }
+        else {
+            // Root node just copies its local matrix
+            copy(node.worldMatrix, node.localMatrix);
+        }
+        // Recursively update children
+        for (const childIndex of node.children) {
+            this.updateNodeWorldMatrix(childIndex, node.worldMatrix);
+        }
+    }
+    markDirty(nodeIndex) {
+        // Mark node and all its children as dirty, a dirty node's children already are
+        if (this.dirtyNodes.has(nodeIndex))
+            return;
+        this.dirtyNodes.add(nodeIndex);
+        const node = this.nodes[nodeIndex];
+        for (const childIndex of node.children) {
+            this.markDirty(childIndex);
+        }
+    }
+    // Query methods
+    getNode(nodeIndex) {
+        return this.nodes[nodeIndex] || null;
+    }
+    findNodesByMesh(meshIndex) {
+        return this.nodes
+            .filter(node => (node === null || node === void 0 ? void 0 : node.mesh) === meshIndex)
+            .map(node => node.nodeIndex);
+    }
+    findNodesBySkin(skinIndex) {
+        return this.nodes
+            .filter(node => (node === null || node === void 0 ? void 0 : node.skin) === skinIndex)
+            .map(node => node.nodeIndex);
+    }
+    // Hierarchy manipulation
+    reparentNode(nodeIndex, newParentIndex) {
+        if (nodeIndex === newParentIndex ||
+            nodeIndex === 0 || // Can't reparent root
+            !this.nodes[nodeIndex] ||
+            !this.nodes[newParentIndex] ||
+            this.isAncestor(nodeIndex, newParentIndex)) { // Would create a cycle
+            return false;
+        }
+        const node = this.nodes[nodeIndex];
+        const oldParent = this.nodes[node.parent];
+        const newParent = this.nodes[newParentIndex];
+        // Remove from old parent
+        oldParent.children = oldParent.children.filter(child => child !== nodeIndex);
+        // Add to new parent
+        newParent.children.push(nodeIndex);
+        node.parent = newParentIndex;
+        // Update transforms
+        this.markDirty(nodeIndex);
+        return true;
+    }
+    // Cleanup
+    removeNode(nodeIndex) {
+        if (nodeIndex === 0)
+            return; // Can't remove root
+        const node = this.nodes[nodeIndex];
+        if (!node)
+            return;
+        // Reparent children to grandparent
+        for (const childIndex of [...node.children]) {
+            this.reparentNode(childIndex, node.parent);
+        }
+        // Remove from parent's children
+        const parent = this.nodes[node.parent];
+        parent.children = parent.children.filter(child => child !== nodeIndex);
+        // Free the slot for the next createNode
+        this.nodes[nodeIndex] = null;
+        this.freeSlots.push(nodeIndex);
+        this.dirtyNodes.delete(nodeIndex);
+    }
+}
+
 class InstanceManager {
     constructor(gl, modelLoader, gpuResources) {
         this.gpuResources = gpuResources;
@@ -14998,10 +16716,21 @@ class InstanceManager {
         // GPU instance data
         this.instanceBuffers = new Map();
         this.nextInstanceId = 1;
+        // Instances whose local matrix needs rebuilding from their transform
         this.dirtyInstances = new Set();
+        // Attached instances by child id, their transform is local to the parent's node
+        this.attachments = new Map();
+        // One node per instance, parented like the attachments, world matrices are the instances' own
+        this.sceneGraph = new SceneGraph();
+        // Bumped when a transform, pose, layer or the set of instances changes, see changeCount
+        this.changes = 0;
+        this.defaultNormalMapEnabled = false;
+        this.clearMode = 'depth';
+        this.clearColor = [0, 0, 0, 1];
         this.gl = gl;
         this.modelLoader = modelLoader;
         this._animationController = new AnimationController(modelLoader);
+        this._picker = new Picker(modelLoader);
         this.defaultShaderProgram = this.gpuResources.getDefaultShader();
     }
     initialize() {
@@ -15043,17 +16772,22 @@ class InstanceManager {
         lookAt(viewMatrix, eye, center, up);
         return { view: viewMatrix, projection: projectionMatrix };
     }
-    createModel(modelId, animationName) {
+    // An explicit instance id is only for restoring saved instances, it must not be in use
+    createModel(modelId, animationName, id) {
         // Verify model exists
         const modelData = this.modelLoader.getModelData(modelId);
         if (!modelData) {
             throw this.createError(ModelErrorCode.RESOURCE_NOT_FOUND, `Model ${modelId} not found`);
         }
+        if (id !== undefined && this.instances.has(id)) {
+            throw this.createError(ModelErrorCode.INVALID_DATA, `Instance ${id} already exists`);
+        }
         // Create instance data
         const instanceId = {
-            id: this.nextInstanceId++,
+            id: id !== null && id !== void 0 ? id : this.nextInstanceId++,
             modelId
         };
+        this.nextInstanceId = Math.max(this.nextInstanceId, instanceId.id + 1);
         if (modelData.animations.size > 0) {
             if (!animationName || !modelData.animations.has(animationName)) {
                 const firstAnimation = modelData.animations.keys().next().value;
@@ -15063,15 +16797,18 @@ class InstanceManager {
         else {
             animationName = undefined;
         }
+        const sceneNode = this.sceneGraph.createNode();
         const instanceData = {
             instanceId,
+            sceneNode,
             transform: {
                 position: new Float32Array([0, 0, 0]),
                 rotation: new Float32Array([0, 0, 0, 1]), // Quaternion
                 scale: new Float32Array([1, 1, 1])
             },
             renderOptions: {
-                useNormalMap: false
+                useNormalMap: this.defaultNormalMapEnabled,
+                layer: ''
             },
             animationState: {
                 currentAnimation: animationName !== null && animationName !== void 0 ? animationName : null,
@@ -15083,10 +16820,11 @@ class InstanceManager {
                 animationNodeTransforms: new WeakMap(),
                 boneMatrices: new WeakMap()
             },
-            worldMatrix: new Float32Array(16) // 4x4 matrix
+            worldMatrix: this.sceneGraph.getWorldMatrix(sceneNode)
         };
         // Store instance
         this.instances.set(instanceId.id, instanceData);
+        this.dirtyInstances.add(instanceId.id);
         // Animate instance for 0 seconds to set bind pose
         this.updateAnimation(instanceData, 0);
         // Add to model group
@@ -15094,8 +16832,19 @@ class InstanceManager {
         // Create Model interface
         return new Model(instanceId, this);
     }
+    // Instances attached to the deleted one are deleted with it, returns every deleted id
     deleteModel(instanceId) {
+        if (!this.instances.has(instanceId))
+            return [];
+        const deleted = [instanceId];
+        for (const [childId, attachment] of [...this.attachments]) {
+            if (attachment.parentId === instanceId) {
+                deleted.push(...this.deleteModel(childId));
+            }
+        }
+        this.attachments.delete(instanceId);
         this.cleanupInstance(instanceId);
+        return deleted;
     }
     updateInstance(instanceId, deltaTime) {
         const instance = this.instances.get(instanceId);
@@ -15105,16 +16854,96 @@ class InstanceManager {
         if (instance.animationState.currentAnimation !== null) {
             this.updateAnimation(instance, deltaTime);
         }
-        // Update world matrix if transform is dirty
-        if (this.dirtyInstances.has(instanceId)) {
-            this.updateWorldMatrix(instance);
+    }
+    // Advance every instance, e.g. once per host tick
+    update(deltaTime) {
+        for (const instanceId of this.instances.keys()) {
+            this.updateInstance(instanceId, deltaTime);
         }
+        this.updateTransforms();
     }
-    render(viewProjection) {
+    // Without layers every instance is drawn, otherwise only instances on one of the layers
+    render(viewProjection, layers) {
+        this.updateTransforms();
         // Render each model group
         for (const [modelId, instanceGroup] of this.instancesByModel) {
-            this.renderModelInstances(modelId, instanceGroup, viewProjection);
+            const group = layers ? this.filterByLayer(instanceGroup, layers) : instanceGroup;
+            if (group.size === 0)
+                continue;
+            this.renderModelInstances(modelId, group, viewProjection);
+        }
+    }
+    // Render into a context owned by a host renderer (e.g. Construct), leaving its state as found
+    renderEmbedded(viewProjection, viewport, layers, clearMode = this.clearMode) {
+        if (!this.hasInstancesOnLayers(layers))
+            return;
+        const cache = this.gpuResources.gpuResourceCache;
+        cache.cacheRenderMode();
+        this.gl.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
+        this.gl.disable(this.gl.SCISSOR_TEST);
+        this.gl.disable(this.gl.STENCIL_TEST);
+        this.gl.enable(this.gl.DEPTH_TEST);
+        this.gl.depthMask(true);
+        this.gl.depthFunc(this.gl.LESS);
+        this.gl.enable(this.gl.CULL_FACE);
+        this.gl.cullFace(this.gl.BACK);
+        this.gl.frontFace(this.gl.CCW);
+        this.gl.enable(this.gl.BLEND);
+        this.gl.blendEquation(this.gl.FUNC_ADD);
+        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+        // Models are depth tested against each other, not against the host's 2D content
+        if (clearMode === 'color-depth') {
+            this.gl.clearColor(...this.clearColor);
+            this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
         }
+        else if (clearMode === 'depth') {
+            this.gl.clear(this.gl.DEPTH_BUFFER_BIT);
+        }
+        this.render(viewProjection, layers);
+        cache.restoreRenderMode();
+    }
+    hasInstancesOnLayers(layers) {
+        var _a;
+        if (!layers)
+            return this.instances.size > 0;
+        for (const instance of this.instances.values()) {
+            if (layers.includes((_a = instance.renderOptions.layer) !== null && _a !== void 0 ? _a : ''))
+                return true;
+        }
+        return false;
+    }
+    // Nearest instance hit by a world space ray, only instances on one of the layers if given
+    pick(origin, direction, layers) {
+        var _a;
+        this.updateTransforms();
+        const candidates = [];
+        for (const instance of this.instances.values()) {
+            if (layers && !layers.includes((_a = instance.renderOptions.layer) !== null && _a !== void 0 ? _a : ''))
+                continue;
+            candidates.push(instance);
+        }
+        return this._picker.pick(candidates, origin, direction);
+    }
+    filterByLayer(instanceGroup, layers) {
+        var _a, _b;
+        const group = new Set();
+        for (const instanceId of instanceGroup) {
+            const layer = (_b = (_a = this.instances.get(instanceId)) === null || _a === void 0 ? void 0 : _a.renderOptions.layer) !== null && _b !== void 0 ? _b : '';
+            if (layers.includes(layer)) {
+                group.add(instanceId);
+            }
+        }
+        return group;
+    }
+    setClearMode(mode, color) {
+        this.clearMode = mode;
+        if (color) {
+            this.clearColor = color;
+        }
+    }
+    // Normal mapping state for instances created from now on
+    setDefaultNormalMapEnabled(enabled) {
+        this.defaultNormalMapEnabled = enabled;
     }
     setModelPosition(x, y, z, instance) {
         const instanceData = this.instances.get(instance.instanceId.id);
@@ -15141,6 +16970,8 @@ class InstanceManager {
         const instanceData = this.instances.get(instance.instanceId.id);
         if (instanceData) {
             this._animationController.setBindPose(instanceData);
+            this.markSocketsDirty(instance.instanceId.id);
+            this.changes++;
         }
     }
     playModelAnimation(animationName, instance, options) {
@@ -15161,6 +16992,269 @@ class InstanceManager {
             instanceData.animationState.currentAnimation = null;
         }
     }
+    setModelAnimationSpeed(speed, instance) {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (instanceData) {
+            instanceData.animationState.speed = speed;
+        }
+    }
+    setModelAnimationLoop(loop, instance) {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (instanceData) {
+            instanceData.animationState.loop = loop;
+        }
+    }
+    getModelAnimationState(instance) {
+        var _a, _b;
+        return (_b = (_a = this.instances.get(instance.instanceId.id)) === null || _a === void 0 ? void 0 : _a.animationState) !== null && _b !== void 0 ? _b : null;
+    }
+    getModelAnimationDuration(instance) {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        return instanceData ? this._animationController.getDuration(instanceData) : 0;
+    }
+    getModelAnimationNames(instance) {
+        const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
+        return modelData ? [...modelData.animations.keys()] : [];
+    }
+    setModelLayer(layer, instance) {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (instanceData) {
+            instanceData.renderOptions.layer = layer;
+            this.changes++;
+        }
+    }
+    getModelLayer(instance) {
+        var _a, _b;
+        return (_b = (_a = this.instances.get(instance.instanceId.id)) === null || _a === void 0 ? void 0 : _a.renderOptions.layer) !== null && _b !== void 0 ? _b : '';
+    }
+    getModelSnapshot(instance) {
+        var _a;
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData)
+            return null;
+        const { transform, animationState } = instanceData;
+        const attachment = this.attachments.get(instance.instanceId.id);
+        return {
+            modelId: instance.instanceId.modelId,
+            position: Array.from(transform.position),
+            rotation: Array.from(transform.rotation),
+            scale: Array.from(transform.scale),
+            useNormalMap: !!instanceData.renderOptions.useNormalMap,
+            layer: (_a = instanceData.renderOptions.layer) !== null && _a !== void 0 ? _a : '',
+            ...(attachment && { attachment: { ...attachment } }),
+            animation: {
+                name: animationState.currentAnimation,
+                time: animationState.currentTime,
+                speed: animationState.speed,
+                loop: animationState.loop,
+                playing: animationState.playing
+            }
+        };
+    }
+    restoreModelSnapshot(snapshot, instance) {
+        var _a;
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData)
+            return;
+        instanceData.transform.position.set(snapshot.position);
+        instanceData.transform.rotation.set(snapshot.rotation);
+        instanceData.transform.scale.set(snapshot.scale);
+        instanceData.renderOptions.useNormalMap = snapshot.useNormalMap;
+        instanceData.renderOptions.layer = (_a = snapshot.layer) !== null && _a !== void 0 ? _a : '';
+        // Attachments to parents that don't exist yet are left to the caller
+        const parent = snapshot.attachment && this.instances.get(snapshot.attachment.parentId);
+        if (parent && this.sceneGraph.reparentNode(instanceData.sceneNode, parent.sceneNode)) {
+            this.attachments.set(instance.instanceId.id, { ...snapshot.attachment });
+        }
+        else if (this.attachments.delete(instance.instanceId.id)) {
+            this.sceneGraph.reparentNode(instanceData.sceneNode, 0);
+        }
+        const animationState = instanceData.animationState;
+        const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
+        const name = snapshot.animation.name;
+        animationState.currentAnimation = name !== null && (modelData === null || modelData === void 0 ? void 0 : modelData.animations.has(name)) ? name : null;
+        animationState.currentTime = snapshot.animation.time;
+        animationState.speed = snapshot.animation.speed;
+        animationState.loop = snapshot.animation.loop;
+        animationState.playing = snapshot.animation.playing;
+        this._animationController.applyPose(instanceData);
+        this.dirtyInstances.add(instance.instanceId.id);
+        this.markSocketsDirty(instance.instanceId.id);
+    }
+    getModelNodeNames(instance) {
+        const modelData = this.modelLoader.getModelData(instance.instanceId.modelId);
+        return modelData ? [...modelData.nodesByName.keys()] : [];
+    }
+    // Node or joint matrix as drawn: the instance's world matrix times the node's animated matrix
+    getModelNodeWorldMatrix(name, instance) {
+        var _a;
+        const instanceData = this.instances.get(instance.instanceId.id);
+        const node = (_a = this.modelLoader.getModelData(instance.instanceId.modelId)) === null || _a === void 0 ? void 0 : _a.nodesByName.get(name);
+        if (!instanceData || !node)
+            return null;
+        this.updateTransforms();
+        return multiply$1(create$3(), instanceData.worldMatrix, this.getNodeMatrix(instanceData, node));
+    }
+    getModelNodeTransform(name, instance) {
+        const matrix = this.getModelNodeWorldMatrix(name, instance);
+        if (!matrix)
+            return null;
+        const position = getTranslation(create$2(), matrix);
+        const rotation = normalize(create(), getRotation(create(), matrix));
+        return {
+            position: [position[0], position[1], position[2]],
+            rotation: [rotation[0], rotation[1], rotation[2], rotation[3]]
+        };
+    }
+    // The instance's transform becomes its offset from the parent's node or joint, '' for the parent's origin
+    attachModel(parent, node, instance, offset = {}) {
+        var _a, _b, _c, _d;
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData || !this.instances.has(parent.instanceId.id)) {
+            throw this.createError(ModelErrorCode.RESOURCE_NOT_FOUND, `Instance ${instanceData ? parent.instanceId.id : instance.instanceId.id} not found`);
+        }
+        if (node && !((_a = this.modelLoader.getModelData(parent.instanceId.modelId)) === null || _a === void 0 ? void 0 : _a.nodesByName.has(node))) {
+            throw this.createError(ModelErrorCode.RESOURCE_NOT_FOUND, `Node ${node} not found on instance ${parent.instanceId.id}`);
+        }
+        const parentNode = this.instances.get(parent.instanceId.id).sceneNode;
+        if (!this.sceneGraph.reparentNode(instanceData.sceneNode, parentNode)) {
+            throw this.createError(ModelErrorCode.INVALID_DATA, `Instance ${instance.instanceId.id} cannot be attached to itself or its own attachments`);
+        }
+        this.attachments.set(instance.instanceId.id, { parentId: parent.instanceId.id, node });
+        instanceData.transform.position.set((_b = offset.position) !== null && _b !== void 0 ? _b : [0, 0, 0]);
+        instanceData.transform.rotation.set((_c = offset.rotation) !== null && _c !== void 0 ? _c : [0, 0, 0, 1]);
+        instanceData.transform.scale.set((_d = offset.scale) !== null && _d !== void 0 ? _d : [1, 1, 1]);
+        this.dirtyInstances.add(instance.instanceId.id);
+    }
+    // Keeping the world pose turns the current world matrix back into the instance's transform
+    detachModel(instance, keepWorldPose = true) {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData || !this.attachments.has(instance.instanceId.id))
+            return;
+        this.updateTransforms();
+        this.attachments.delete(instance.instanceId.id);
+        this.sceneGraph.reparentNode(instanceData.sceneNode, 0);
+        if (keepWorldPose) {
+            decomposeMatrix(instanceData.worldMatrix, instanceData.transform);
+        }
+        this.dirtyInstances.add(instance.instanceId.id);
+    }
+    getModelAttachment(instance) {
+        const attachment = this.attachments.get(instance.instanceId.id);
+        return attachment ? { ...attachment } : null;
+    }
+    getModelChildren(instance) {
+        const children = [];
+        for (const [childId, attachment] of this.attachments) {
+            if (attachment.parentId === instance.instanceId.id) {
+                children.push(childId);
+            }
+        }
+        return children;
+    }
+    getModelLocalTransform(instance) {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        return instanceData ? toTransformValues(instanceData.transform) : null;
+    }
+    getModelWorldTransform(instance) {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData)
+            return null;
+        this.updateTransforms();
+        return toTransformValues(decomposeMatrix(instanceData.worldMatrix));
+    }
+    // Sets world space values, the instance's local transform is solved from its parent
+    setModelWorldTransform(values, instance) {
+        var _a;
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData)
+            return;
+        this.updateTransforms();
+        const world = decomposeMatrix(instanceData.worldMatrix);
+        if (values.position)
+            world.position.set(values.position);
+        if (values.rotation)
+            world.rotation.set(values.rotation);
+        if (values.scale)
+            world.scale.set(values.scale);
+        const worldMatrix = fromRotationTranslationScale(create$3(), world.rotation, world.position, world.scale);
+        // Parent world matrix times the socket is what the local transform is relative to
+        const parentMatrix = clone((_a = this.sceneGraph.getWorldMatrix(this.sceneGraph.getParent(instanceData.sceneNode))) !== null && _a !== void 0 ? _a : create$3());
+        const socketMatrix = this.getSocketMatrix(instance.instanceId.id);
+        if (socketMatrix) {
+            multiply$1(parentMatrix, parentMatrix, socketMatrix);
+        }
+        const inverseParent = invert(create$3(), parentMatrix);
+        if (!inverseParent)
+            return;
+        decomposeMatrix(multiply$1(worldMatrix, inverseParent, worldMatrix), instanceData.transform);
+        this.dirtyInstances.add(instance.instanceId.id);
+    }
+    // Moves in the parent's space, or along the instance's own axes when local
+    translateModel(x, y, z, instance, local = false) {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData)
+            return;
+        const offset = fromValues$2(x, y, z);
+        if (local) {
+            transformQuat(offset, offset, instanceData.transform.rotation);
+        }
+        add(instanceData.transform.position, instanceData.transform.position, offset);
+        this.dirtyInstances.add(instance.instanceId.id);
+    }
+    // Turns about the instance's own axes when local, otherwise about its parent's
+    rotateModel(quaternion, instance, local = true) {
+        const instanceData = this.instances.get(instance.instanceId.id);
+        if (!instanceData)
+            return;
+        const rotation = instanceData.transform.rotation;
+        const delta = fromValues(quaternion[0], quaternion[1], quaternion[2], quaternion[3]);
+        if (local) {
+            multiply(rotation, rotation, delta);
+        }
+        else {
+            multiply(rotation, delta, rotation);
+        }
+        normalize(rotation, rotation);
+        this.dirtyInstances.add(instance.instanceId.id);
+    }
+    // Turns the instance's forward axis toward a world point, keeping its up axis toward up
+    lookAtModel(x, y, z, instance, up = [0, 1, 0]) {
+        var _a;
+        const position = (_a = this.getModelWorldTransform(instance)) === null || _a === void 0 ? void 0 : _a.position;
+        if (!position)
+            return;
+        const target = fromValues$2(x, y, z);
+        const direction = subtract(create$2(), target, position);
+        if (length(direction) < 1e-9)
+            return;
+        let upAxis = fromValues$2(up[0], up[1], up[2]);
+        // Looking along the up axis leaves the turn undefined, fall back to another up
+        if (length(cross(create$2(), direction, upAxis)) < 1e-9) {
+            upAxis = Math.abs(direction[2]) < Math.abs(direction[1]) ? fromValues$2(0, 0, 1) : fromValues$2(0, 1, 0);
+        }
+        // targetTo points +Z from its target to its eye, so the eye is the point looked at
+        const matrix = targetTo(create$3(), target, position, upAxis);
+        const rotation = normalize(create(), getRotation(create(), matrix));
+        this.setModelWorldTransform({ rotation: [rotation[0], rotation[1], rotation[2], rotation[3]] }, instance);
+    }
+    getModelAxes(instance) {
+        var _a;
+        const rotation = (_a = this.getModelWorldTransform(instance)) === null || _a === void 0 ? void 0 : _a.rotation;
+        if (!rotation)
+            return null;
+        const axis = (x, y, z) => {
+            const direction = transformQuat(create$2(), [x, y, z], rotation);
+            return [direction[0], direction[1], direction[2]];
+        };
+        return { forward: axis(0, 0, 1), right: axis(-1, 0, 0), up: axis(0, 1, 0) };
+    }
+    addAnimationListener(listener) {
+        this._animationController.addListener(listener);
+    }
+    removeAnimationListener(listener) {
+        this._animationController.removeListener(listener);
+    }
     createError(code, message) {
         return { name: 'ModelError', code, message };
     }
@@ -15185,26 +17279,55 @@ class InstanceManager {
         if (instance.animationState.currentAnimation === null || !instance.animationState.playing)
             return;
         this._animationController.updateAnimation(instance, deltaTime);
-        this.dirtyInstances.add(instance.instanceId.id);
+        this.markSocketsDirty(instance.instanceId.id);
+        this.changes++;
+    }
+    // Instances attached to a node move with the parent's pose
+    markSocketsDirty(instanceId) {
+        for (const [childId, attachment] of this.attachments) {
+            if (attachment.parentId === instanceId && attachment.node) {
+                this.dirtyInstances.add(childId);
+            }
+        }
+    }
+    // Rebuild the local matrices of changed instances, then the world matrices of their subtrees
+    updateTransforms() {
+        if (this.dirtyInstances.size > 0) {
+            this.changes++;
+        }
+        for (const instanceId of this.dirtyInstances) {
+            const instance = this.instances.get(instanceId);
+            if (instance) {
+                this.updateLocalMatrix(instance);
+            }
+        }
+        this.dirtyInstances.clear();
+        this.sceneGraph.updateWorldMatrices();
     }
-    updateWorldMatrixWithScale(instance) {
-        // Calculate world matrix from position, rotation, and scale
-        const matrix = create$3();
-        // Create translation matrix
-        fromTranslation(matrix, instance.transform.position);
-        // Create rotation matrix and multiply with existing matrix
-        const rotationMatrix = create$3();
-        fromQuat(rotationMatrix, instance.transform.rotation);
-        multiply(matrix, matrix, rotationMatrix);
-        // Apply scale
-        scale(matrix, matrix, instance.transform.scale);
-        instance.worldMatrix.set(matrix);
-    }
-    updateWorldMatrix(instance) {
-        // Calculate world matrix from position, rotation, and scale
+    updateLocalMatrix(instance) {
+        // Calculate local matrix from position, rotation, and scale
         const srtMatrix = create$3();
         fromRotationTranslationScale(srtMatrix, instance.transform.rotation, instance.transform.position, instance.transform.scale);
-        instance.worldMatrix.set(srtMatrix);
+        const socketMatrix = this.getSocketMatrix(instance.instanceId.id);
+        if (socketMatrix) {
+            multiply$1(srtMatrix, socketMatrix, srtMatrix);
+        }
+        this.sceneGraph.setLocalMatrix(instance.sceneNode, srtMatrix);
+    }
+    // Animated matrix of the node an attached instance hangs from, in the parent's model space
+    getSocketMatrix(instanceId) {
+        var _a;
+        const attachment = this.attachments.get(instanceId);
+        const parent = (attachment === null || attachment === void 0 ? void 0 : attachment.node) && this.instances.get(attachment.parentId);
+        if (!parent)
+            return null;
+        const node = (_a = this.modelLoader.getModelData(parent.instanceId.modelId)) === null || _a === void 0 ? void 0 : _a.nodesByName.get(attachment.node);
+        return node ? this.getNodeMatrix(parent, node) : null;
+    }
+    // Nodes of instances that were never posed are at their rest pose
+    getNodeMatrix(instance, node) {
+        var _a;
+        return (_a = instance.animationState.animationMatrices.get(node)) !== null && _a !== void 0 ? _a : node.getWorldMatrix();
     }
     renderModelInstances(modelId, instanceGroup, viewProjection) {
         var _a;
@@ -15221,8 +17344,6 @@ class InstanceManager {
             const renderOptions = instance.renderOptions;
             // Set normal map state for this instance
             this.gpuResources.setNormalMapEnabled(this.defaultShaderProgram, (_a = renderOptions.useNormalMap) !== null && _a !== void 0 ? _a : false);
-            // Update world matrix
-            this.updateWorldMatrix(instance);
             // For each mesh in the model
             for (const renderableNode of modelData.renderableNodes) {
                 const mesh = renderableNode.modelMesh;
@@ -15275,7 +17396,7 @@ class InstanceManager {
                     const nodeMatrix = animationMatrices.get(renderableNode.node);
                     if (nodeMatrix) {
                         const nodeWorldMatrix = create$3();
-                        multiply(nodeWorldMatrix, nodeMatrix, instance.worldMatrix);
+                        multiply$1(nodeWorldMatrix, nodeMatrix, instance.worldMatrix);
                         normalFromMat4(normalMatrix, nodeWorldMatrix);
                     }
                     else {
@@ -15325,6 +17446,8 @@ class InstanceManager {
         // Remove instance data
         this.instances.delete(instanceId);
         this.dirtyInstances.delete(instanceId);
+        this.changes++;
+        this.sceneGraph.removeNode(instance.sceneNode);
     }
     setModelNormalMapEnabled(enabled, instance) {
         const instanceData = this.instances.get(instance.instanceId.id);
@@ -15333,9 +17456,195 @@ class InstanceManager {
             this.dirtyInstances.add(instance.instanceId.id);
         }
     }
+    get instanceCountsByModel() {
+        const counts = new Map();
+        for (const [modelId, group] of this.instancesByModel) {
+            counts.set(modelId, group.size);
+        }
+        return counts;
+    }
+    // Anything drawn or picked differs once this changes, so per-frame work can be skipped while it holds.
+    // World matrices are brought up to date first
+    get changeCount() {
+        this.updateTransforms();
+        return this.changes;
+    }
     get animationController() {
         return this._animationController;
     }
 }
+// Position, rotation and scale of an affine matrix, into an existing transform if given
+function decomposeMatrix(matrix, transform = {
+    position: new Float32Array(3),
+    rotation: new Float32Array(4),
+    scale: new Float32Array(3)
+}) {
+    getTranslation(transform.position, matrix);
+    getScaling(transform.scale, matrix);
+    normalize(transform.rotation, getRotation(transform.rotation, matrix));
+    return transform;
+}
+function toTransformValues(transform) {
+    const { position, rotation, scale } = transform;
+    return {
+        position: [position[0], position[1], position[2]],
+        rotation: [rotation[0], rotation[1], rotation[2], rotation[3]],
+        scale: [scale[0], scale[1], scale[2]]
+    };
+}
+
+class Camera {
+    constructor(gpuResources) {
+        this._position = fromValues$2(0, 0, 300);
+        this._target = fromValues$2(0, 0, 0);
+        this._up = fromValues$2(0, 1, 0);
+        this._fov = 45;
+        this._near = 0.1;
+        this._far = 1000;
+        this.gpuResources = gpuResources;
+        this.syncCameraPosition();
+    }
+    setPosition(x, y, z) {
+        set(this._position, x, y, z);
+        this.syncCameraPosition();
+    }
+    lookAt(x, y, z) {
+        set(this._target, x, y, z);
+    }
+    setUp(x, y, z) {
+        set(this._up, x, y, z);
+    }
+    setFov(fov) {
+        this._fov = fov;
+    }
+    setClipPlanes(near, far) {
+        this._near = near;
+        this._far = far;
+    }
+    // Look straight down -z at (x, y, 0), far enough back that the vertical fov spans height
+    frameView(x, y, height) {
+        const distance = (height / 2) / Math.tan(this._fov * Math.PI / 360);
+        set(this._target, x, y, 0);
+        set(this._up, 0, 1, 0);
+        this.setPosition(x, y, distance);
+    }
+    getViewProjection(resolution) {
+        const projection = create$3();
+        perspective(projection, this._fov * Math.PI / 180, resolution.width / resolution.height, this._near, this._far);
+        const view = create$3();
+        lookAt(view, this._position, this._target, this._up);
+        return { view, projection };
+    }
+    // Project a world point into the layout rectangle the camera image covers, y down.
+    // Depth is -1 at the near plane and 1 at the far plane, null for points in the eye plane
+    worldToLayout(x, y, z, viewport) {
+        const clip = transformMat4(create$1(), [x, y, z, 1], this.viewProjectionMatrix(viewport));
+        if (clip[3] === 0)
+            return null;
+        const ndcX = clip[0] / clip[3];
+        const ndcY = clip[1] / clip[3];
+        return [
+            viewport.left + (ndcX + 1) / 2 * viewport.width,
+            viewport.top + (1 - ndcY) / 2 * viewport.height,
+            clip[2] / clip[3]
+        ];
+    }
+    // Ray through a layout point, starting on the near plane, with a unit direction
+    getRay(x, y, viewport) {
+        const inverse = invert(create$3(), this.viewProjectionMatrix(viewport));
+        if (!inverse)
+            return null;
+        const ndcX = (x - viewport.left) / viewport.width * 2 - 1;
+        const ndcY = 1 - (y - viewport.top) / viewport.height * 2;
+        const origin = this.unproject(inverse, ndcX, ndcY, -1);
+        const far = this.unproject(inverse, ndcX, ndcY, 1);
+        const direction = normalize$2(create$2(), subtract(create$2(), far, origin));
+        return { origin, direction };
+    }
+    // Cast a ray through a layout point and intersect it with the world plane z = planeZ.
+    // Null when the ray is parallel to the plane or the plane is behind the camera
+    layoutToWorld(x, y, viewport, planeZ = 0) {
+        const ray = this.getRay(x, y, viewport);
+        if (!ray)
+            return null;
+        const { origin, direction } = ray;
+        if (Math.abs(direction[2]) < 1e-9)
+            return null;
+        const t = (planeZ - origin[2]) / direction[2];
+        if (t < 0)
+            return null;
+        return [origin[0] + direction[0] * t, origin[1] + direction[1] * t, planeZ];
+    }
+    get position() {
+        return this._position;
+    }
+    get target() {
+        return this._target;
+    }
+    get up() {
+        return this._up;
+    }
+    get fov() {
+        return this._fov;
+    }
+    get near() {
+        return this._near;
+    }
+    get far() {
+        return this._far;
+    }
+    viewProjectionMatrix(viewport) {
+        const { view, projection } = this.getViewProjection(viewport);
+        return multiply$1(create$3(), projection, view);
+    }
+    unproject(inverseViewProjection, x, y, z) {
+        const point = transformMat4(create$1(), [x, y, z, 1], inverseViewProjection);
+        return fromValues$2(point[0] / point[3], point[1] / point[3], point[2] / point[3]);
+    }
+    // Specular lighting needs the eye position, keep the shader's copy in step with the camera
+    syncCameraPosition() {
+        this.gpuResources.updateCameraPosition([this._position[0], this._position[1], this._position[2]]);
+    }
+}
+
+// Maps host layout pixels (y down) to world units (y up) around a chosen origin
+class CoordinateMapping {
+    constructor() {
+        this._originX = 0;
+        this._originY = 0;
+        this._unitsPerPixel = 1;
+    }
+    setOrigin(x, y) {
+        this._originX = x;
+        this._originY = y;
+    }
+    setUnitsPerPixel(unitsPerPixel) {
+        if (unitsPerPixel <= 0)
+            return;
+        this._unitsPerPixel = unitsPerPixel;
+    }
+    // z is a height in pixels, e.g. a z elevation
+    layoutToWorld(x, y, z = 0) {
+        const scale = this._unitsPerPixel;
+        return [(x - this._originX) * scale, (this._originY - y) * scale, z * scale];
+    }
+    worldToLayout(x, y, z = 0) {
+        const scale = this._unitsPerPixel;
+        return [x / scale + this._originX, this._originY - y / scale, z / scale];
+    }
+    // Length in pixels to length in world units
+    toWorldLength(pixels) {
+        return pixels * this._unitsPerPixel;
+    }
+    get originX() {
+        return this._originX;
+    }
+    get originY() {
+        return this._originY;
+    }
+    get unitsPerPixel() {
+        return this._unitsPerPixel;
+    }
+}
 
-export { GPUResourceCache, GPUResourceManager, InstanceManager, ModelLoader };
+export { Camera, CoordinateMapping, GPUResourceCache, GPUResourceManager, InstanceManager, ModelLoader, eulerToQuaternion, quaternionToEuler };
@@ -2,4 +2,7 @@ export { ModelLoader } from './ModelLoader';
 export { GPUResourceManager } from './GPUResourceManager';
 export { InstanceManager } from './InstanceManager';
 export { GPUResourceCache } from './GPUResourceCache';
+export { Camera } from './Camera';
+export { CoordinateMapping } from './CoordinateMapping';
+export { eulerToQuaternion, quaternionToEuler } from './euler';
 //# sourceMappingURL=main.d.ts.map
\ No newline at end of file
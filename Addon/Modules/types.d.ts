@@ -1,7 +1,8 @@
 import { Model } from './Model';
-import { Node, Animation, Scene } from '@gltf-transform/core';
+import { Node, Animation, Scene, GLTF } from '@gltf-transform/core';
 import { mat4, vec3, vec4 } from 'gl-matrix';
 import { MaterialSystem } from './MaterialSystem';
+import { ModelError } from './errors';
 export declare const MAX_BONES = 64;
 export interface IAnimationTarget {
     updateTransform(path: 'translation' | 'rotation' | 'scale', values: Float32Array): void;
@@ -25,6 +26,16 @@ export interface Transform {
     rotation: Float32Array;
     scale: Float32Array;
 }
+export interface TransformAxes {
+    forward: [number, number, number];
+    right: [number, number, number];
+    up: [number, number, number];
+}
+export interface TransformValues {
+    position: [number, number, number];
+    rotation: [number, number, number, number];
+    scale: [number, number, number];
+}
 export interface AnimationState {
     currentAnimation: string | null;
     playing: boolean;
@@ -50,6 +61,7 @@ export interface MeshPrimitive {
     indexType: number;
     vertexCount: number;
     hasSkin: boolean;
+    geometry: PickGeometry;
     attributes: {
         POSITION?: WebGLBuffer;
         NORMAL?: WebGLBuffer;
@@ -58,6 +70,22 @@ export interface MeshPrimitive {
         WEIGHTS_0?: WebGLBuffer;
     };
 }
+export interface PickGeometry {
+    positions: Float32Array;
+    indices: Uint32Array | null;
+    joints: Uint32Array | null;
+    weights: Float32Array | null;
+    min: [number, number, number];
+    max: [number, number, number];
+}
+export interface PickResult {
+    instanceId: number;
+    distance: number;
+    point: [number, number, number];
+    normal: [number, number, number];
+    meshName: string;
+    nodeName: string;
+}
 export interface ModelMesh {
     primitives: MeshPrimitive[];
     name: string;
@@ -73,24 +101,107 @@ export type InterpolationType = 'LINEAR' | 'STEP' | 'CUBICSPLINE';
 export interface InstanceData {
     readonly instanceId: InstanceId;
     transform: Transform;
+    readonly sceneNode: number;
     animationState: AnimationState;
     worldMatrix: Float32Array;
     renderOptions: {
         useNormalMap?: boolean;
         lightPosition?: [number, number, number];
+        layer?: string;
+    };
+}
+export interface InstanceSnapshot {
+    modelId: string;
+    position: number[];
+    rotation: number[];
+    scale: number[];
+    useNormalMap: boolean;
+    layer: string;
+    attachment?: Attachment;
+    animation: {
+        name: string | null;
+        time: number;
+        speed: number;
+        loop: boolean;
+        playing: boolean;
     };
 }
+export interface Attachment {
+    parentId: number;
+    node: string;
+}
+export interface AttachmentOffset {
+    position?: ArrayLike<number>;
+    rotation?: ArrayLike<number>;
+    scale?: ArrayLike<number>;
+}
+export interface NodeTransform {
+    position: [number, number, number];
+    rotation: [number, number, number, number];
+}
+export type ProjectUrlResolver = (path: string) => Promise<string>;
+export interface ModelLoaderOptions {
+    dracoDecoderPath?: string;
+    basisTranscoderPath?: string;
+    resolveUrl?: ProjectUrlResolver;
+}
+export type ModelLoadState = 'reading' | 'pending' | 'processing' | 'loaded' | 'failed';
+export type ModelLoadPhase = 'download' | 'parse' | 'upload';
+export interface ModelLoadProgress {
+    phase: ModelLoadPhase;
+    loaded: number;
+    total: number;
+    progress: number;
+}
+export type ModelSource = ArrayBuffer | ArrayBufferView | Blob | string;
+export interface ReadDocumentOptions {
+    signal?: AbortSignal;
+}
+export type ModelLoadEvent = {
+    type: 'loaded';
+    modelId: string;
+} | {
+    type: 'failed';
+    modelId: string;
+    error: ModelError;
+} | ({
+    type: 'progress';
+    modelId: string;
+} & ModelLoadProgress);
+export type ModelLoadListener = (event: ModelLoadEvent) => void;
+export type AnimationEvent = {
+    type: 'finished' | 'looped';
+    instanceId: number;
+    animation: string;
+};
+export type AnimationListener = (event: AnimationEvent) => void;
+export type ClearMode = 'none' | 'depth' | 'color-depth';
+export interface GPUResourceCounts {
+    buffers: number;
+    textures: number;
+    vaos: number;
+}
 export interface IModelLoader {
     hasModel(modelId: ModelId): boolean;
-    readDocument(url: string): Promise<boolean>;
+    getLoadState(modelId: ModelId): ModelLoadState | null;
+    addLoadListener(listener: ModelLoadListener): void;
+    removeLoadListener(listener: ModelLoadListener): void;
+    getLoadProgress(modelId: ModelId): ModelLoadProgress | null;
+    readDocument(url: string, options?: ReadDocumentOptions): Promise<boolean>;
+    readBinary(modelId: ModelId, data: ModelSource, options?: ReadDocumentOptions): Promise<boolean>;
+    readJSON(modelId: ModelId, json: GLTF.IGLTF | string, resources?: Record<string, Uint8Array>, options?: ReadDocumentOptions): Promise<boolean>;
+    cancelLoad(modelId: ModelId): boolean;
     processModel(modelId: ModelId): Promise<boolean>;
     getModelData(modelId: string): ModelData | null;
     deleteModel(modelId: string): void;
     generateModelId(url: string): ModelId;
+    readonly loadedModelIds: string[];
 }
 export interface IGPUResourceCache {
     cacheModelMode(): void;
     restoreModelMode(): void;
+    cacheRenderMode(): void;
+    restoreRenderMode(): void;
 }
 export interface IInstanceManager {
     setModelPosition(x: number, y: number, z: number, instance: Model): void;
@@ -101,6 +212,31 @@ export interface IInstanceManager {
     setModelNormalMapEnabled(enabled: boolean, instance: Model): void;
     updateModelAnimation(instance: Model, deltaTime: number): void;
     setModelBindPose(instance: Model): void;
+    setModelAnimationSpeed(speed: number, instance: Model): void;
+    setModelAnimationLoop(loop: boolean, instance: Model): void;
+    getModelAnimationState(instance: Model): Readonly<AnimationState> | null;
+    getModelAnimationDuration(instance: Model): number;
+    getModelAnimationNames(instance: Model): string[];
+    setModelLayer(layer: string, instance: Model): void;
+    getModelLayer(instance: Model): string;
+    getModelSnapshot(instance: Model): InstanceSnapshot | null;
+    restoreModelSnapshot(snapshot: InstanceSnapshot, instance: Model): void;
+    readonly instanceCountsByModel: Map<string, number>;
+    getModelNodeNames(instance: Model): string[];
+    getModelNodeWorldMatrix(name: string, instance: Model): mat4 | null;
+    getModelNodeTransform(name: string, instance: Model): NodeTransform | null;
+    attachModel(parent: Model, node: string, instance: Model, offset?: AttachmentOffset): void;
+    detachModel(instance: Model, keepWorldPose?: boolean): void;
+    getModelAttachment(instance: Model): Attachment | null;
+    getModelLocalTransform(instance: Model): TransformValues | null;
+    getModelWorldTransform(instance: Model): TransformValues | null;
+    setModelWorldTransform(values: Partial<TransformValues>, instance: Model): void;
+    translateModel(x: number, y: number, z: number, instance: Model, local?: boolean): void;
+    rotateModel(quaternion: ArrayLike<number>, instance: Model, local?: boolean): void;
+    lookAtModel(x: number, y: number, z: number, instance: Model, up?: ArrayLike<number>): void;
+    getModelAxes(instance: Model): TransformAxes | null;
+    getModelChildren(instance: Model): number[];
+    pick(origin: ArrayLike<number>, direction: ArrayLike<number>, layers?: readonly string[]): PickResult | null;
 }
 export interface IModel {
     readonly instanceId: InstanceId;
@@ -109,8 +245,39 @@ export interface IModel {
     setScale(x: number, y: number, z: number): void;
     playAnimation(name: string, options?: AnimationOptions): void;
     stopAnimation(): void;
+    setAnimationSpeed(speed: number): void;
+    setAnimationLoop(loop: boolean): void;
+    readonly animationName: string | null;
+    readonly animationTime: number;
+    readonly animationDuration: number;
+    readonly isAnimationPlaying: boolean;
+    readonly animationNames: string[];
     setNormalMapEnabled(enabled: boolean): void;
     setBindPose(): void;
+    setLayer(layer: string): void;
+    readonly layer: string;
+    readonly nodeNames: string[];
+    getNodeTransform(name: string): NodeTransform | null;
+    attachTo(parent: Model, node?: string, offset?: AttachmentOffset): void;
+    detach(keepWorldPose?: boolean): void;
+    readonly attachment: Attachment | null;
+    readonly localTransform: TransformValues | null;
+    readonly worldTransform: TransformValues | null;
+    setWorldPosition(x: number, y: number, z: number): void;
+    setWorldRotation(quaternion: ArrayLike<number>): void;
+    setWorldScale(x: number, y: number, z: number): void;
+    readonly position: [number, number, number];
+    readonly quaternion: [number, number, number, number];
+    readonly scale: [number, number, number];
+    readonly eulerAngles: [number, number, number];
+    setEulerAngles(x: number, y: number, z: number): void;
+    translate(x: number, y: number, z: number): void;
+    translateLocal(x: number, y: number, z: number): void;
+    rotate(x: number, y: number, z: number): void;
+    lookAt(x: number, y: number, z: number, up?: ArrayLike<number>): void;
+    readonly forward: [number, number, number];
+    readonly right: [number, number, number];
+    readonly up: [number, number, number];
 }
 export declare enum TextureType {
     BaseColor = 0,
@@ -126,6 +293,7 @@ export interface ModelData {
     jointData: JointData[];
     rootNode: Node;
     scene: Scene;
+    nodesByName: Map<string, Node>;
     renderableNodes: {
         node: Node;
         modelMesh: ModelMesh;
@@ -146,9 +314,15 @@ export interface AnimationOptions {
     blendDuration?: number;
 }
 export type BufferUsage = WebGL2RenderingContext['STATIC_DRAW'] | WebGL2RenderingContext['DYNAMIC_DRAW'];
+export interface TextureLevel {
+    width: number;
+    height: number;
+    data: Uint8Array;
+}
 export interface IGPUResourceManager {
     createBuffer(data: BufferSource, usage: BufferUsage): WebGLBuffer;
-    createTexture(image: ImageData | HTMLImageElement): WebGLTexture;
+    createTexture(image: ImageData | HTMLImageElement | ImageBitmap): WebGLTexture;
+    createCompressedTexture(levels: TextureLevel[], format: number): WebGLTexture;
     deleteBuffer(buffer: WebGLBuffer): void;
     deleteTexture(texture: WebGLTexture): void;
     deleteVertexArray(vao: WebGLVertexArrayObject): void;
@@ -158,6 +332,12 @@ export interface IGPUResourceManager {
     createIndexBuffer(data: BufferSource, usage: BufferUsage): WebGLBuffer;
     setNormalMapEnabled(program: WebGLProgram, enabled: boolean): void;
     setLightPosition(program: WebGLProgram, lightPosition: [number, number, number]): void;
+    updateCameraPosition(position: [number, number, number]): void;
+    setAmbientColor(color: [number, number, number]): void;
+    setActiveLightCount(count: number): void;
+    readonly resourceCounts: GPUResourceCounts;
+    readonly maxLights: number;
+    getLight(index: number): Readonly<Light> | null;
     updateLight(index: number, lightParams: Partial<Light>): void;
     setLightEnabled(index: number, enabled: boolean): void;
     setLightDirection(index: number, direction: [number, number, number]): void;
@@ -0,0 +1,540 @@
+import type { AnimationEvent, Light, Model, ModelError, ModelLoadEvent, ModelLoadProgress, ModelSource, NodeTransform, PickResult } from './Modules/index.js';
+import type { Instance } from './Instance.js';
+
+export type RenderaEvent =
+	| { type: 'load', path: string }
+	| { type: 'loadfailed', path: string, error: { code: string, message: string } }
+	| ({ type: 'loadprogress', path: string } & ModelLoadProgress)
+	| { type: 'animationfinished' | 'animationlooped', model: RenderaModel, animation: string };
+
+export type RenderaEventType = RenderaEvent['type'];
+export type RenderaLoadOptions = { signal?: AbortSignal, onProgress?: (progress: ModelLoadProgress) => void };
+/** Nearest hit under a layout position. Point, normal and distance are in world units. */
+export type RenderaPickResult = Omit<PickResult, 'instanceId'> & { model: RenderaModel };
+
+export type RenderaEventListener<T extends RenderaEventType = RenderaEventType> = (e: Extract<RenderaEvent, { type: T }>) => void;
+
+/** A 3D instance. Handles stay valid until the instance is destroyed. */
+export class RenderaModel {
+	#instance: Instance;
+	#model: Model;
+
+	constructor(instance: Instance, model: Model) {
+		this.#instance = instance;
+		this.#model = model;
+	}
+
+	get id(): number {
+		return this.#model.instanceId.id;
+	}
+
+	/** Path the model was loaded from. */
+	get path(): string {
+		const modelId = this.#model.instanceId.modelId;
+		return this.#instance.modelPaths.get(modelId) ?? modelId;
+	}
+
+	get tag(): string {
+		return this.#instance._getModelTag(this.#model);
+	}
+
+	get isDestroyed(): boolean {
+		return !this.#instance.models.has(this.id);
+	}
+
+	get position(): [number, number, number] {
+		const position = this.#snapshot()?.position ?? [0, 0, 0];
+		return [position[0], position[1], position[2]];
+	}
+
+	/** Rotation quaternion as [x, y, z, w]. */
+	get rotation(): [number, number, number, number] {
+		const rotation = this.#snapshot()?.rotation ?? [0, 0, 0, 1];
+		return [rotation[0], rotation[1], rotation[2], rotation[3]];
+	}
+
+	get scale(): [number, number, number] {
+		const scale = this.#snapshot()?.scale ?? [1, 1, 1];
+		return [scale[0], scale[1], scale[2]];
+	}
+
+	/** World transform, including the parent when attached. The plain getters are local to the parent. */
+	get worldPosition(): [number, number, number] {
+		return this.#model.worldTransform?.position ?? [0, 0, 0];
+	}
+
+	get worldRotation(): [number, number, number, number] {
+		return this.#model.worldTransform?.rotation ?? [0, 0, 0, 1];
+	}
+
+	get worldScale(): [number, number, number] {
+		return this.#model.worldTransform?.scale ?? [1, 1, 1];
+	}
+
+	setPosition(x: number, y: number, z: number): void {
+		this.#model.setPosition(x, y, z);
+	}
+
+	setWorldPosition(x: number, y: number, z: number): void {
+		this.#model.setWorldPosition(x, y, z);
+	}
+
+	setWorldRotation(x: number, y: number, z: number, w: number): void {
+		this.#model.setWorldRotation([x, y, z, w]);
+	}
+
+	setWorldScale(x: number, y: number, z: number): void {
+		this.#model.setWorldScale(x, y, z);
+	}
+
+	setRotation(x: number, y: number, z: number, w: number): void {
+		this.#model.setQuaternion(x, y, z, w);
+	}
+
+	setScale(x: number, y: number, z: number): void {
+		this.#model.setScale(x, y, z);
+	}
+
+	/** Local rotation as Euler angles in degrees, applied in X, Y, Z order. */
+	get eulerAngles(): [number, number, number] {
+		return this.#model.eulerAngles;
+	}
+
+	setEulerAngles(x: number, y: number, z: number): void {
+		this.#model.setEulerAngles(x, y, z);
+	}
+
+	/** Moves in the parent's space, or the world when not attached. */
+	translate(x: number, y: number, z: number): void {
+		this.#model.translate(x, y, z);
+	}
+
+	/** Moves along the model's own rotated axes. */
+	translateLocal(x: number, y: number, z: number): void {
+		this.#model.translateLocal(x, y, z);
+	}
+
+	/** Turns about the model's own axes by Euler angles in degrees. */
+	rotate(x: number, y: number, z: number): void {
+		this.#model.rotate(x, y, z);
+	}
+
+	/** Turns +Z toward a world position, keeping +Y toward up. */
+	lookAt(x: number, y: number, z: number, up: [number, number, number] = [0, 1, 0]): void {
+		this.#model.lookAt(x, y, z, up);
+	}
+
+	/** World direction of +Z. */
+	get forward(): [number, number, number] {
+		return this.#model.forward;
+	}
+
+	/** World direction of -X. */
+	get right(): [number, number, number] {
+		return this.#model.right;
+	}
+
+	/** World direction of +Y. */
+	get up(): [number, number, number] {
+		return this.#model.up;
+	}
+
+	setNormalMapEnabled(enabled: boolean): void {
+		this.#model.setNormalMapEnabled(enabled);
+	}
+
+	/** Name of the Construct layer the model is drawn on, '' for the top layer. */
+	get layer(): string {
+		return this.#model.layer;
+	}
+
+	set layer(layer: string) {
+		this.#model.setLayer(layer);
+	}
+
+	/** Names of the model's nodes and joints. */
+	get nodeNames(): string[] {
+		return this.#model.nodeNames;
+	}
+
+	/** World position and rotation of a node or joint in its current pose. */
+	getNodeTransform(name: string): NodeTransform | null {
+		return this.#model.getNodeTransform(name);
+	}
+
+	/** Where a node or joint appears on a layer, '' for the top layer. The angle is its X axis in degrees. */
+	getNodeLayoutTransform(name: string, layer: string | number = ''): { x: number, y: number, depth: number, angle: number } | null {
+		return this.#instance._nodeToLayout(this.#model, name, layer);
+	}
+
+	/** Attaches to a node or joint of another model, '' for its origin. The transform becomes the offset from the node. */
+	attachTo(parent: RenderaModel, node = '', offset?: { position?: number[], rotation?: number[], scale?: number[] }): void {
+		const parentModel = this.#instance.models.get(parent.id);
+		if (!parentModel) {
+			throw new Error(`Model ${parent.id} is destroyed`);
+		}
+		this.#model.attachTo(parentModel, node, offset);
+	}
+
+	detach(keepWorldPose = true): void {
+		this.#model.detach(keepWorldPose);
+	}
+
+	/** The model this one is attached to, destroying it also destroys this one. */
+	get parent(): RenderaModel | null {
+		const attachment = this.#model.attachment;
+		return attachment ? this.#instance.api.getModel(attachment.parentId) : null;
+	}
+
+	/** Node or joint of the parent this model is attached to, '' for its origin. */
+	get attachedNode(): string {
+		return this.#model.attachment?.node ?? '';
+	}
+
+	get animationNames(): string[] {
+		return this.#model.animationNames;
+	}
+
+	get animationName(): string | null {
+		return this.#model.animationName;
+	}
+
+	get animationTime(): number {
+		return this.#model.animationTime;
+	}
+
+	get animationDuration(): number {
+		return this.#model.animationDuration;
+	}
+
+	get isAnimationPlaying(): boolean {
+		return this.#model.isAnimationPlaying;
+	}
+
+	/** Throws if the model has no animation with that name. */
+	playAnimation(name: string, options?: { loop?: boolean, speed?: number }): void {
+		if (!this.animationNames.includes(name)) {
+			throw new Error(`Animation '${name}' not found`);
+		}
+		this.#model.playAnimation(name, options);
+	}
+
+	stopAnimation(): void {
+		this.#model.stopAnimation();
+	}
+
+	setAnimationSpeed(speed: number): void {
+		this.#model.setAnimationSpeed(speed);
+	}
+
+	setAnimationLoop(loop: boolean): void {
+		this.#model.setAnimationLoop(loop);
+	}
+
+	setBindPose(): void {
+		this.#model.setBindPose();
+	}
+
+	/**
+	 * Follows the position and angle of a Construct world instance every tick, the same as the Follow object action.
+	 * Positions go through the coordinate mapping, copied scale is relative to the object's size and this model's scale now.
+	 */
+	follow(target: IWorldInstance, options: { copyScale?: boolean, useZElevation?: boolean, destroyWithObject?: boolean, offset?: number[], angleOffset?: number } = {}): void {
+		const { copyScale = false, useZElevation = true, destroyWithObject = true, offset = [0, 0, 0], angleOffset = 0 } = options;
+		const scale = this.#snapshot()?.scale ?? [1, 1, 1];
+		this.#instance._follow(this.#model, target, {
+			offset: [offset[0], offset[1], offset[2]],
+			angleOffset,
+			copyScale,
+			useZElevation,
+			destroyWithObject,
+			baseWidth: target.width,
+			baseHeight: target.height,
+			baseScale: [scale[0], scale[1], scale[2]]
+		});
+	}
+
+	/** Stops following, the model keeps its current transform. */
+	unfollow(): void {
+		this.#instance._unfollow(this.#model);
+	}
+
+	/** The Construct instance this model follows. */
+	get followedObject(): IWorldInstance | null {
+		return this.#instance.followBindings.get(this.id)?.target ?? null;
+	}
+
+	destroy(): void {
+		if (this.isDestroyed) return;
+		this.#instance._destroyModel(this.#model);
+	}
+
+	#snapshot() {
+		return this.#instance.instanceManager.getModelSnapshot(this.#model);
+	}
+}
+
+/** The camera the models are drawn with. Moving it stops it following the layout. */
+export class RenderaCamera {
+	#instance: Instance;
+
+	constructor(instance: Instance) {
+		this.#instance = instance;
+	}
+
+	get followsLayout(): boolean {
+		return this.#instance.cameraFollowsLayout;
+	}
+
+	set followsLayout(follow: boolean) {
+		this.#instance.cameraFollowsLayout = follow;
+	}
+
+	get position(): [number, number, number] {
+		const position = this.#instance.camera.position;
+		return [position[0], position[1], position[2]];
+	}
+
+	get target(): [number, number, number] {
+		const target = this.#instance.camera.target;
+		return [target[0], target[1], target[2]];
+	}
+
+	get up(): [number, number, number] {
+		const up = this.#instance.camera.up;
+		return [up[0], up[1], up[2]];
+	}
+
+	/** Vertical field of view in degrees. */
+	get fov(): number {
+		return this.#instance.camera.fov;
+	}
+
+	get near(): number {
+		return this.#instance.camera.near;
+	}
+
+	get far(): number {
+		return this.#instance.camera.far;
+	}
+
+	setPosition(x: number, y: number, z: number): void {
+		this.#instance.cameraFollowsLayout = false;
+		this.#instance.camera.setPosition(x, y, z);
+	}
+
+	lookAt(x: number, y: number, z: number): void {
+		this.#instance.cameraFollowsLayout = false;
+		this.#instance.camera.lookAt(x, y, z);
+	}
+
+	setUp(x: number, y: number, z: number): void {
+		this.#instance.cameraFollowsLayout = false;
+		this.#instance.camera.setUp(x, y, z);
+	}
+
+	setFov(fov: number): void {
+		this.#instance.camera.setFov(fov);
+	}
+
+	setClipPlanes(near: number, far: number): void {
+		this.#instance.camera.setClipPlanes(near, far);
+	}
+
+	/** Layout position and depth where a world point appears on a layer, '' for the top layer. */
+	worldToLayout(x: number, y: number, z: number, layer: string | number = ''): [number, number, number] | null {
+		return this.#instance._worldToLayout(x, y, z, layer);
+	}
+
+	/** World point under a layout position on a layer, on the plane at height planeZ. */
+	layoutToWorld(x: number, y: number, planeZ = 0, layer: string | number = ''): [number, number, number] | null {
+		return this.#instance._layoutToWorld(x, y, planeZ, layer);
+	}
+}
+
+/**
+ * Scripting API of the Rendera object, reached from project scripts with
+ * `runtime.objects.Rendera.getFirstInstance().api`.
+ */
+export class RenderaScriptInterface {
+	#instance: Instance;
+	#handles = new WeakMap<Model, RenderaModel>();
+	#listeners = new Map<RenderaEventType, Set<RenderaEventListener<any>>>();
+	readonly camera: RenderaCamera;
+
+	constructor(instance: Instance) {
+		this.#instance = instance;
+		this.camera = new RenderaCamera(instance);
+		instance.modelLoader.addLoadListener((e) => this.#onModelLoadEvent(e));
+		instance.instanceManager.addAnimationListener((e) => this.#onAnimationEvent(e));
+	}
+
+	/**
+	 * Resolves once the model can be instanced, rejects with the load error.
+	 * Aborting the signal cancels the load, also for other callers waiting on the same path.
+	 */
+	loadModel(path: string, options: RenderaLoadOptions = {}): Promise<void> {
+		return this.#load(path, () => this.#instance._loadModel(path), options);
+	}
+
+	/**
+	 * Loads a .glb or self-contained .gltf from memory, e.g. a user upload or a server response.
+	 * The name is used as the model's path from then on. Instances of it in a savegame are restored
+	 * once the same name is loaded again.
+	 */
+	loadModelFromData(name: string, data: ModelSource, options: RenderaLoadOptions = {}): Promise<void> {
+		return this.#load(name, () => this.#instance._loadModelFromData(name, data), options);
+	}
+
+	/** Stops loading a model, its load fails with LOAD_CANCELLED. False if it is not loading. */
+	cancelModelLoad(path: string): boolean {
+		return this.#instance._cancelModelLoad(path);
+	}
+
+	/** 0 to 1, 1 once loaded. */
+	getModelLoadProgress(path: string): number {
+		return this.#instance._getModelLoadProgress(path);
+	}
+
+	isModelLoaded(path: string): boolean {
+		const modelLoader = this.#instance.modelLoader;
+		return modelLoader.hasModel(modelLoader.generateModelId(path));
+	}
+
+	/** Creates an instance of a loaded model, throws if the model is not loaded. */
+	createModel(path: string, tag = ''): RenderaModel {
+		const modelId = this.#instance.modelLoader.generateModelId(path);
+		if (!this.#instance.modelLoader.hasModel(modelId)) {
+			throw new Error(`Model '${path}' is not loaded`);
+		}
+		const model = this.#instance.instanceManager.createModel(modelId.id);
+		this.#instance._addModel(model, tag);
+		return this.#getHandle(model);
+	}
+
+	/** Looks up an instance by id or tag. */
+	getModel(instance: number | string): RenderaModel | null {
+		const model = this.#instance._getModel(instance);
+		return model ? this.#getHandle(model) : null;
+	}
+
+	get models(): RenderaModel[] {
+		return [...this.#instance.models.values()].map((model) => this.#getHandle(model));
+	}
+
+	/** Nearest model drawn on a layer under a layout position, '' for the top layer. */
+	pick(x: number, y: number, layer: string | number = ''): RenderaPickResult | null {
+		const found = this.#instance._getLayer(layer);
+		const hit = found && this.#instance._pickOnLayer(x, y, found);
+		const model = hit && this.#instance.models.get(hit.instanceId);
+		if (!hit || !model) return null;
+		const { instanceId, ...result } = hit;
+		return { ...result, model: this.#getHandle(model) };
+	}
+
+	get maxLights(): number {
+		return this.#instance.gpuResourceManager.maxLights;
+	}
+
+	/** A copy of a light slot. Spot angles are the cosine of the cone half-angle. */
+	getLight(index: number): Light | null {
+		const light = this.#instance.gpuResourceManager.getLight(index);
+		return light ? structuredClone(light) as Light : null;
+	}
+
+	/** Merges the values into a light slot, switching its type when `type` is given. */
+	setLight(index: number, light: Partial<Light>): void {
+		this.#instance.gpuResourceManager.updateLight(index, light);
+	}
+
+	setLightEnabled(index: number, enabled: boolean): void {
+		this.#instance.gpuResourceManager.setLightEnabled(index, enabled);
+	}
+
+	addEventListener<T extends RenderaEventType>(type: T, listener: RenderaEventListener<T>): void {
+		let listeners = this.#listeners.get(type);
+		if (!listeners) {
+			listeners = new Set();
+			this.#listeners.set(type, listeners);
+		}
+		listeners.add(listener);
+	}
+
+	removeEventListener<T extends RenderaEventType>(type: T, listener: RenderaEventListener<T>): void {
+		this.#listeners.get(type)?.delete(listener);
+	}
+
+	#dispatch(e: RenderaEvent): void {
+		for (const listener of this.#listeners.get(e.type) ?? []) {
+			listener(e);
+		}
+	}
+
+	#load(path: string, start: () => void, { signal, onProgress }: RenderaLoadOptions): Promise<void> {
+		const modelLoader = this.#instance.modelLoader;
+		const modelId = modelLoader.generateModelId(path);
+		if (modelLoader.hasModel(modelId)) {
+			return Promise.resolve();
+		}
+		return new Promise((resolve, reject) => {
+			const cancel = () => this.cancelModelLoad(path);
+			const listener = (e: ModelLoadEvent) => {
+				if (e.modelId !== modelId.id) return;
+				if (e.type === 'progress') {
+					const { type, modelId, ...progress } = e;
+					onProgress?.(progress);
+					return;
+				}
+				modelLoader.removeLoadListener(listener);
+				signal?.removeEventListener('abort', cancel);
+				if (e.type === 'loaded') {
+					resolve();
+				} else {
+					reject(toError(e.error));
+				}
+			};
+			modelLoader.addLoadListener(listener);
+			signal?.addEventListener('abort', cancel, { once: true });
+			start();
+			if (signal?.aborted) {
+				cancel();
+			}
+		});
+	}
+
+	#getHandle(model: Model): RenderaModel {
+		let handle = this.#handles.get(model);
+		if (!handle) {
+			handle = new RenderaModel(this.#instance, model);
+			this.#handles.set(model, handle);
+		}
+		return handle;
+	}
+
+	#onModelLoadEvent(e: ModelLoadEvent): void {
+		const path = this.#instance.modelPaths.get(e.modelId) ?? e.modelId;
+		if (e.type === 'progress') {
+			const { type, modelId, ...progress } = e;
+			this.#dispatch({ type: 'loadprogress', path, ...progress });
+		} else if (e.type === 'loaded') {
+			this.#dispatch({ type: 'load', path });
+		} else {
+			this.#dispatch({ type: 'loadfailed', path, error: { code: e.error.code, message: e.error.message } });
+		}
+	}
+
+	#onAnimationEvent(e: AnimationEvent): void {
+		const model = this.#instance.models.get(e.instanceId);
+		if (!model) return;
+		this.#dispatch({
+			type: e.type === 'finished' ? 'animationfinished' : 'animationlooped',
+			model: this.#getHandle(model),
+			animation: e.animation
+		});
+	}
+}
+
+// Load errors are plain objects, scripts get a real Error carrying the same code
+function toError(error: ModelError): Error & { code: string } {
+	return Object.assign(new Error(error.message), { code: error.code });
+}
@@ -0,0 +1,78 @@
+// Packages the Rendera Model companion into Builds/, next to the Rendera addon that Lost builds.
+// Only the files in addon.json's file-list are packed. Runs with Deno or Node
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { deflateRawSync } from 'node:zlib';
+
+const addonDir = dirname(fileURLToPath(import.meta.url));
+const buildDir = join(addonDir, '..', 'Builds');
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c;
+});
+
+function crc32(data) {
+	let crc = 0xFFFFFFFF;
+	for (const byte of data) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// A .c3addon is a plain zip, entries are deflated and carry no timestamps
+function zip(files) {
+	const locals = [];
+	const centrals = [];
+	let offset = 0;
+	for (const { name, data } of files) {
+		const nameBytes = Buffer.from(name);
+		const compressed = deflateRawSync(data);
+		const crc = crc32(data);
+
+		const local = Buffer.alloc(30);
+		local.writeUInt32LE(0x04034B50, 0);
+		local.writeUInt16LE(20, 4);
+		local.writeUInt16LE(0x0800, 6);
+		local.writeUInt16LE(8, 8);
+		local.writeUInt32LE(crc, 14);
+		local.writeUInt32LE(compressed.length, 18);
+		local.writeUInt32LE(data.length, 22);
+		local.writeUInt16LE(nameBytes.length, 26);
+		locals.push(local, nameBytes, compressed);
+
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014B50, 0);
+		central.writeUInt16LE(20, 4);
+		central.writeUInt16LE(20, 6);
+		central.writeUInt16LE(0x0800, 8);
+		central.writeUInt16LE(8, 10);
+		central.writeUInt32LE(crc, 16);
+		central.writeUInt32LE(compressed.length, 20);
+		central.writeUInt32LE(data.length, 24);
+		central.writeUInt16LE(nameBytes.length, 28);
+		central.writeUInt32LE(offset, 42);
+		centrals.push(central, nameBytes);
+
+		offset += local.length + nameBytes.length + compressed.length;
+	}
+	const centralSize = centrals.reduce((size, part) => size + part.length, 0);
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054B50, 0);
+	end.writeUInt16LE(files.length, 8);
+	end.writeUInt16LE(files.length, 10);
+	end.writeUInt32LE(centralSize, 12);
+	end.writeUInt32LE(offset, 16);
+	return Buffer.concat([...locals, ...centrals, end]);
+}
+
+const addon = JSON.parse(readFileSync(join(addonDir, 'addon.json'), 'utf8'));
+const files = addon['file-list'].map((name) => ({ name, data: readFileSync(join(addonDir, name)) }));
+const output = join(buildDir, `${addon.id}_${addon.version}.c3addon`);
+mkdirSync(buildDir, { recursive: true });
+writeFileSync(output, zip(files));
+console.info(`[rendera] Built ${output}`);
@@ -0,0 +1,7 @@
+const C3 = globalThis.C3;
+
+C3.Plugins.rendera_model.Acts = {
+	setModel(path) {
+		this._setModel(path);
+	}
+};
@@ -0,0 +1,15 @@
+const C3 = globalThis.C3;
+
+C3.Plugins.rendera_model.Cnds = {
+	onModelReady() {
+		return true;
+	},
+
+	onModelFailed() {
+		return true;
+	},
+
+	isModelReady() {
+		return !!this._model && !this._model.isDestroyed;
+	}
+};
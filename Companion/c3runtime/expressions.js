@@ -0,0 +1,15 @@
+const C3 = globalThis.C3;
+
+C3.Plugins.rendera_model.Exps = {
+	ModelId() {
+		return this._model && !this._model.isDestroyed ? this._model.id : -1;
+	},
+
+	ModelPath() {
+		return this._path;
+	},
+
+	LoadError() {
+		return this._loadError;
+	}
+};
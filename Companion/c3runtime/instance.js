@@ -0,0 +1,168 @@
+const C3 = globalThis.C3;
+
+// The Rendera object is single-global and lives as long as the runtime, so it is looked up once
+let renderaApi = null;
+
+C3.Plugins.rendera_model.Instance = class RenderaModelInstance extends globalThis.ISDKWorldInstanceBase {
+	constructor() {
+		super();
+		this._path = '';
+		this._tag = '';
+		this._angleOffset = 0;
+		this._copyScale = true;
+		this._loadError = '';
+		// Handle from the Rendera scripting API, null until the model has loaded
+		this._model = null;
+		// The Model property is loaded on the first tick, so no trigger fires while the instance is created
+		this._started = false;
+		// Bumped on every model change, a load that finishes after it creates nothing.
+		// Loads are not aborted, other instances may be waiting on the same path
+		this._loadCount = 0;
+
+		const properties = this._getInitProperties();
+		if (properties) {
+			this._path = properties[0];
+			this._tag = properties[1];
+			this._angleOffset = properties[2];
+			this._copyScale = properties[3];
+		}
+		this._setTicking(true);
+	}
+
+	/** The 3D instance drawn for this object, see the Rendera scripting API. */
+	get model() {
+		return this._model && !this._model.isDestroyed ? this._model : null;
+	}
+
+	_release() {
+		this._loadCount++;
+		this._destroyModel();
+		super._release();
+	}
+
+	_tick() {
+		if (!this._started) {
+			this._setModel(this._path);
+		}
+		const model = this.model;
+		// Moving the object to another layer moves its model with it
+		if (model && model.layer !== this.layer.name) {
+			model.layer = this.layer.name;
+		}
+	}
+
+	async _setModel(path) {
+		const load = ++this._loadCount;
+		this._started = true;
+		this._destroyModel();
+		this._path = path;
+		this._loadError = '';
+		if (!path) return;
+		const api = this._getRendera();
+		if (!api) {
+			this._failLoad('Add a Rendera object to the project to use Rendera Model');
+			return;
+		}
+		try {
+			await api.loadModel(path);
+		} catch (error) {
+			if (load === this._loadCount) {
+				this._failLoad(error.message);
+			}
+			return;
+		}
+		if (load !== this._loadCount) return;
+		this._bindModel(api.createModel(path, this._tag));
+		this._trigger(C3.Plugins.rendera_model.Cnds.onModelReady);
+	}
+
+	_bindModel(model) {
+		this._model = model;
+		model.layer = this.layer.name;
+		// Rendera moves the model with the object every tick, Z elevation becomes height and the size scales the model
+		model.follow(this, { copyScale: this._copyScale, useZElevation: true, destroyWithObject: true, angleOffset: this._angleOffset });
+	}
+
+	_destroyModel() {
+		if (this._model) {
+			this._model.destroy();
+			this._model = null;
+		}
+	}
+
+	_failLoad(message) {
+		this._loadError = message;
+		console.error('[rendera] Rendera Model failed to load', this._path, message);
+		this._trigger(C3.Plugins.rendera_model.Cnds.onModelFailed);
+	}
+
+	// The Rendera object can be renamed, so it is found by its scripting API
+	_getRendera() {
+		if (!renderaApi) {
+			for (const objectClass of Object.values(this.runtime.objects)) {
+				const api = objectClass.getFirstInstance()?.api;
+				if (api && typeof api.createModel === 'function') {
+					renderaApi = api;
+					break;
+				}
+			}
+		}
+		return renderaApi;
+	}
+
+	_saveToJson() {
+		return {
+			path: this._path,
+			tag: this._tag,
+			angleOffset: this._angleOffset,
+			copyScale: this._copyScale,
+			modelId: this.model ? this.model.id : -1
+		};
+	}
+
+	_loadFromJson(o) {
+		this._tag = o.tag;
+		this._angleOffset = o.angleOffset;
+		this._copyScale = o.copyScale;
+		this._restoreModel(o.path, o.modelId);
+	}
+
+	// Rendera restores its instances and their follow bindings by uid, once the model has loaded
+	async _restoreModel(path, modelId) {
+		const load = ++this._loadCount;
+		this._started = true;
+		// Rendera already dropped the old instance when its own savegame state was loaded
+		this._model = null;
+		this._path = path;
+		this._loadError = '';
+		const api = this._getRendera();
+		if (!path || !api) return;
+		try {
+			await api.loadModel(path);
+		} catch (error) {
+			if (load === this._loadCount) {
+				this._failLoad(error.message);
+			}
+			return;
+		}
+		if (load !== this._loadCount) return;
+		const restored = modelId >= 0 ? api.getModel(modelId) : null;
+		if (restored && restored.path === path) {
+			this._model = restored;
+		} else {
+			this._bindModel(api.createModel(path, this._tag));
+		}
+		this._trigger(C3.Plugins.rendera_model.Cnds.onModelReady);
+	}
+
+	_getDebuggerProperties() {
+		return [{
+			title: 'Rendera Model',
+			properties: [
+				{ name: '$Model', value: this._path },
+				{ name: '$Model id', value: this.model ? this.model.id : -1 },
+				{ name: '$Load error', value: this._loadError }
+			]
+		}];
+	}
+};
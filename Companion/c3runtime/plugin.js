@@ -0,0 +1,7 @@
+const C3 = globalThis.C3;
+
+C3.Plugins.rendera_model = class RenderaModelPlugin extends globalThis.ISDKPluginBase {
+	constructor() {
+		super();
+	}
+};
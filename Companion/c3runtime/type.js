@@ -0,0 +1,9 @@
+const C3 = globalThis.C3;
+
+C3.Plugins.rendera_model.Type = class RenderaModelType extends globalThis.ISDKObjectTypeBase {
+	constructor() {
+		super();
+	}
+
+	_onCreate() { }
+};
@@ -0,0 +1,33 @@
+const SDK = globalThis.SDK;
+
+const PLUGIN_CLASS = SDK.Plugins.rendera_model;
+
+PLUGIN_CLASS.Instance = class RenderaModelEditorInstance extends SDK.IWorldInstanceBase {
+	constructor(sdkType, inst) {
+		super(sdkType, inst);
+	}
+
+	Release() { }
+
+	OnCreate() { }
+
+	OnPlacedInLayout() {
+		this._inst.SetSize(64, 64);
+	}
+
+	// Models are only drawn at runtime, the editor shows the object's box
+	Draw(iRenderer, iDrawParams) {
+		const quad = this._inst.GetQuad();
+		iRenderer.SetColorFillMode();
+		iRenderer.SetColorRgba(0.2, 0.4, 0.6, 0.4);
+		iRenderer.Quad(quad);
+		iRenderer.SetColorRgba(0.2, 0.4, 0.6, 1);
+		iRenderer.LineQuad(quad);
+	}
+
+	OnPropertyChanged(id, value) { }
+
+	LoadC2Property(name, valueString) {
+		return false;
+	}
+};
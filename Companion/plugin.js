@@ -0,0 +1,35 @@
+const SDK = globalThis.SDK;
+
+const PLUGIN_ID = 'rendera_model';
+const PLUGIN_CATEGORY = '3d';
+
+const PLUGIN_CLASS = SDK.Plugins[PLUGIN_ID] = class RenderaModelPlugin extends SDK.IPluginBase {
+	constructor() {
+		super(PLUGIN_ID);
+		SDK.Lang.PushContext('plugins.' + PLUGIN_ID.toLowerCase());
+		this._info.SetName(globalThis.lang('.name'));
+		this._info.SetDescription(globalThis.lang('.description'));
+		this._info.SetCategory(PLUGIN_CATEGORY);
+		this._info.SetAuthor('Mikal');
+		this._info.SetHelpUrl(globalThis.lang('.help-url'));
+		this._info.SetIcon('icon.svg', 'image/svg+xml');
+		// One instance per model, its size, angle and Z elevation drive the model
+		this._info.SetPluginType('world');
+		this._info.SetIsResizable(true);
+		this._info.SetIsRotatable(true);
+		this._info.SetSupportsZElevation(true);
+		this._info.SetCanBeBundled(false);
+
+		SDK.Lang.PushContext('.properties');
+		this._info.SetProperties([
+			new SDK.PluginProperty('text', 'model', ''),
+			new SDK.PluginProperty('text', 'tag', ''),
+			new SDK.PluginProperty('float', 'angle-offset', 0),
+			new SDK.PluginProperty('check', 'copy-scale', true)
+		]);
+		SDK.Lang.PopContext();
+		SDK.Lang.PopContext();
+	}
+};
+
+PLUGIN_CLASS.Register(PLUGIN_ID, PLUGIN_CLASS);
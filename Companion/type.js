@@ -0,0 +1,9 @@
+const SDK = globalThis.SDK;
+
+const PLUGIN_CLASS = SDK.Plugins.rendera_model;
+
+PLUGIN_CLASS.Type = class RenderaModelType extends SDK.ITypeBase {
+	constructor(sdkPlugin, iObjectType) {
+		super(sdkPlugin, iObjectType);
+	}
+};
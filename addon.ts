@@ -11,34 +11,21 @@ Addon
 //    .addRemoteScripts('https://cdn/index.js')
 
     /** @Properties  */
-    .addPluginProperty('integer', 'Integer', { type: Property.Integer })
-    .addPluginProperty('float', 'Float', { type: Property.Float })
-    .addPluginProperty('percent', 'Percent', { type: Property.Percent })
-    .addPluginProperty('text', 'Text', { type: Property.Text })
-    .addPluginProperty('longText', 'Long Text', { type: Property.LongText })
-    .addPluginProperty('check', 'Check', { type: Property.Checkbox })
-    .addPluginProperty('font', 'Font', { type: Property.Font })
-    .addPluginProperty('combo', 'Combo', {
+    .addPluginProperty('clear-mode', 'Clear mode', {
         type: Property.Combo,
-        items: [['item1', 'item2']]
+        items: [['depth', 'Depth only'], ['color-depth', 'Color and depth'], ['none', 'None']],
+        description: 'What is cleared before the models are drawn.'
     })
-    .addPluginProperty('color', 'Color', { type: Property.Color, initialValue: [255, 210, 155] })
-    .createGroup('group', 'Awesome Group')
-        .addPluginProperty('info', 'Info', { type: Property.Info, info: 'Lost' })
-        .addPluginProperty('link', 'Link', {
-            type: Property.Link,
-            callbackType: 'for-each-instance',
-            callback: (inst) => {
-                console.log('Link property for each instance');
-            }
-        })
-        .addPluginProperty('link2', 'Link', {
-            type: Property.Link,
-            callbackType: 'once-for-type',
-            callback: (type) => {
-                console.log('Link property once for type');
-            }
-        })
+    .addPluginProperty('clear-color', 'Clear color', { type: Property.Color, initialValue: [0, 0, 0], description: 'Color used when the clear mode clears color.' })
+    .addPluginProperty('camera-fov', 'Camera FOV', { type: Property.Float, initialValue: 45, description: 'Default vertical field of view, in degrees.' })
+    .addPluginProperty('camera-near', 'Camera near', { type: Property.Float, initialValue: 1, description: 'Default near clipping distance.' })
+    .addPluginProperty('camera-far', 'Camera far', { type: Property.Float, initialValue: 10000, description: 'Default far clipping distance.' })
+    .addPluginProperty('ambient-color', 'Ambient color', { type: Property.Color, initialValue: [0.03, 0.03, 0.03], description: 'Ambient light added to every model.' })
+    .addPluginProperty('max-lights', 'Max active lights', { type: Property.Integer, initialValue: 8, max: 8, description: 'Number of light slots evaluated by the shader, up to 8.' })
+    .addPluginProperty('normal-mapping', 'Normal mapping', { type: Property.Checkbox, initialValue: true, description: 'Enable normal mapping on new instances.' })
+    .addPluginProperty('draco-path', 'Draco decoder path', { type: Property.Text, initialValue: 'draco_decoder_gltf.wasm', description: 'URL of the Draco decoder wasm.' })
+    .addPluginProperty('basis-path', 'Basis transcoder path', { type: Property.Text, initialValue: 'basis_transcoder.wasm', description: 'URL of the Basis Universal transcoder wasm, used for KTX2 textures.' })
+    .addPluginProperty('hover-picking', 'Hover picking', { type: Property.Checkbox, initialValue: false, description: 'Track the instance under the mouse for the hover conditions. Picks again only when the mouse, the view or the models change.' })
 ;
 
 export default Addon;
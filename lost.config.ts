@@ -20,7 +20,8 @@ const config: LostConfig = {
     },
     websiteUrl: 'https://kindeyegames.itch.io/rendera',
     files: [
-        { FileName: "draco_decoder_gltf.wasm", Type: 'copy-to-output' }
+        { FileName: "draco_decoder_gltf.wasm", Type: 'copy-to-output' },
+        { FileName: "basis_transcoder.wasm", Type: 'copy-to-output' }
     ]
 }
 